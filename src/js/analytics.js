@@ -7,6 +7,9 @@
  * Uses Chart.js (loaded via CDN) for all visualizations.
  */
 
+import { BROKERS } from './brokers.js';
+import { escapeHtml } from './util.js';
+
 /* ───────────────────────────────────────────────
    Broker Column Mappings
    ─────────────────────────────────────────────── */
@@ -17,7 +20,9 @@
  * merged output (after validation/repair).
  *
  * Index-based for DHL/FedEx/UPS (fixed layouts).
- * Header-based for DSV (variable layouts across months).
+ * Header-based for DSV (variable layouts across months).  Brokers built
+ * from a declarative definition (K+N, DB Schenker, custom brokers) carry
+ * their field mapping themselves — see columnMapFor().
  */
 const COLUMN_MAP = {
   DHL: {
@@ -69,6 +74,7 @@ const COLUMN_MAP = {
     exchangeRate:     24,   // KURS
     grossWeight:      27,   // GESAMTROHMASSE
     packageCount:     61,   // PACKSTUECKE ANZAHL
+    positionNo:       53,   // POSITION NR
     hsCode:           56,   // TARIFNUMMER
     countryOfOrigin:  57,   // URSPRUNGSLAND
     procedureCode:    58,   // VERFAHRENSCODE
@@ -124,6 +130,7 @@ const COLUMN_MAP = {
       // Both variants must be listed for each field.
       date:            ['Anlagedatum', 'MassgeblicherZeitpunkt', 'Ãberlassungsdatum', 'Überlassungsdatum', 'Entry Date \n(ddmmyy)', 'Arrival Date'],
       declarationNo:   ['Registriernummer/MRN', 'Registrienummer/MRN', 'RegistrierNummer', 'Formal Entry Number'],
+      positionNo:      ['PositionNo', 'Line No'],
       declarantName:   ['DT Name', 'Anmelder Name', 'Broker Name'],
       declarantEORI:   ['Anmelder DT EORI', 'DT EORI', 'Anmelder EORI', 'Anmelder Ländercode'],
       shipperName:     ['CZ Name', 'Versender Name', 'Versender', 'Supplier Name / Shipper Name'],
@@ -155,32 +162,40 @@ const COLUMN_MAP = {
       container:       ['Container'],
     },
   },
-  // KN and Schenker use basic merge — analytics are limited
-  KN:       { type: 'generic' },
-  SCHENKER: { type: 'generic' },
 };
 
+/**
+ * Column mapping of a broker: COLUMN_MAP, else the headerMap of the
+ * registered broker (declarative definitions), else auto-detection.
+ * null for unknown brokers.
+ */
+function columnMapFor(brokerId) {
+  if (COLUMN_MAP[brokerId]) return COLUMN_MAP[brokerId];
+  const broker = BROKERS.find(b => b.id === brokerId);
+  if (!broker) return null;
+  return broker.headerMap ? { type: 'header', headerMap: broker.headerMap } : { type: 'generic' };
+}
+
 /* ───────────────────────────────────────────────
    Data Extraction Helpers
    ─────────────────────────────────────────────── */
 
 /**
- * Build a DSV column index resolver from headers.
+ * Build a column index resolver from headers for a header-based broker.
  */
-function buildDSVResolver(headers) {
+function buildHeaderResolver(headers, brokerId, headerMap) {
   const headerRow = (headers[0] || []).map(h => h != null ? String(h).trim() : '');
   const map = {};
-  const dsvMap = COLUMN_MAP.DSV.headerMap;
 
-  for (const [field, names] of Object.entries(dsvMap)) {
+  for (const [field, names] of Object.entries(headerMap)) {
     for (const name of names) {
       // For procedureCode, the generic header "Verfahren" appears twice in
-      // Sea files: once at col ~2 (declaration type, e.g. "IMDC") and once
-      // at col ~84 (customs procedure code, e.g. "4000"). We want the
+      // DSV Sea files: once at col ~2 (declaration type, e.g. "IMDC") and
+      // once at col ~84 (customs procedure code, e.g. "4000"). We want the
       // second (position-level) occurrence, so search from column 40 onwards.
       // However, more specific names like "VerfahrensCode" (Luftfracht Q1,
       // col 9) are unambiguous and should match at any position.
-      const startIdx = (field === 'procedureCode' && name.toLowerCase() === 'verfahren') ? 40 : 0;
+      const startIdx = (brokerId === 'DSV' && field === 'procedureCode' && name.toLowerCase() === 'verfahren') ? 40 : 0;
       const idx = headerRow.findIndex((h, i) => i >= startIdx && h.toLowerCase() === name.toLowerCase());
       if (idx !== -1) { map[field] = idx; break; }
     }
@@ -370,28 +385,42 @@ function normaliseProcCode(v) {
    ─────────────────────────────────────────────── */
 
 /**
- * Main aggregation function. Takes merged data + broker config
- * and returns a comprehensive analytics object.
+ * Column index of every logical field (date, declarationNo, hsCode…)
+ * in a broker's merged output.  Also used by the duplicate-row check
+ * (duplicates.js).
+ *
+ * @param {Array<Array>} headers — header rows of the merged data
+ * @param {string} brokerId
+ * @returns {Object<string, number>|null} field → column; null for
+ *   unknown brokers
  */
-export function aggregateData(headers, data, brokerId) {
-  const mapCfg = COLUMN_MAP[brokerId];
+export function resolveColumns(headers, brokerId) {
+  const mapCfg = columnMapFor(brokerId);
   if (!mapCfg) return null;
 
-  let colMap;
-
   if (mapCfg.type === 'index') {
     // Direct index mapping
-    colMap = {};
+    const colMap = {};
     for (const [k, v] of Object.entries(mapCfg)) {
       if (k === 'type') continue;
       colMap[k] = v;
     }
-  } else if (mapCfg.type === 'header') {
-    colMap = buildDSVResolver(headers);
-  } else {
-    // Generic broker — try to auto-detect from headers
-    colMap = autoDetectColumns(headers);
+    return colMap;
+  }
+  if (mapCfg.type === 'header') {
+    return buildHeaderResolver(headers, brokerId, mapCfg.headerMap);
   }
+  // Generic broker — try to auto-detect from headers
+  return autoDetectColumns(headers);
+}
+
+/**
+ * Main aggregation function. Takes merged data + broker config
+ * and returns a comprehensive analytics object.
+ */
+export function aggregateData(headers, data, brokerId) {
+  const colMap = resolveColumns(headers, brokerId);
+  if (!colMap) return null;
 
   // ── Extract structured records ──
   const records = [];
@@ -991,6 +1020,8 @@ function autoDetectColumns(headers) {
   // Try common patterns
   const patterns = {
     date: ['datum', 'date', 'anlagedatum'],
+    declarationNo: ['registriernummer', 'mrn', 'declaration number', 'entry number'],
+    positionNo: ['positionsnummer', 'positionno', 'position no', 'item no', 'line no'],
     invoiceValue: ['rechnungspreis', 'rechnungsbetrag', 'invoice', 'preis'],
     currency: ['waehrung', 'währung', 'wkz', 'currency'],
     hsCode: ['tarifnummer', 'zolltarifnummer', 'hs code', 'warentarifnummer'],
@@ -1673,7 +1704,7 @@ export function renderBrokerBreakdownTable(breakdown) {
     return `
       <tr>
         <td class="rank">${i + 1}</td>
-        <td><span class="country-badge">${b.brokerLabel}</span></td>
+        <td><span class="country-badge">${escapeHtml(b.brokerLabel)}</span></td>
         <td class="mono">${b.totalRows.toLocaleString()}</td>
         <td class="mono">${share}%</td>
         <td class="mono">${fmtEUR(b.totalInvoice)}</td>
@@ -4,8 +4,34 @@
  */
 
 import { BROKERS } from './brokers.js';
-import { mergeFiles, downloadExcel } from './engine.js';
+import { parseBrokerDefinitions, registerBrokers } from './broker-defs.js';
+import {
+  WIZARD_FIELDS, fieldKind, guessHeaderRow, suggestFields, suggestFormats, makeBrokerId, buildWizardDefinition,
+} from './broker-wizard.js';
+import { PROVENANCE_HEADERS, parseFileDetailed, listSheets } from './engine.js';
+import { SUGGEST_THRESHOLD } from './header-mapping.js';
+import { ENCODING_LABELS } from './encoding.js';
+import { FORMAT_LABELS } from './formats.js';
+import { downloadExcel } from './export.js';
+import {
+  ISSUE_RULES, revalidateRow, manualEditIssue, recountReport, reportSummary,
+  pendingReviews, reviewRepair, shiftSchemaFor, DATE_FORMATS,
+} from './validator.js';
+import { encodeBundle, decodeBundle, BUNDLE_EXTENSION } from './bundle.js';
+import { saveAs } from 'file-saver';
+import { createDataGrid } from './grid.js';
+import { buildRowDiff } from './diff.js';
+import {
+  createSession, recordMerges, describeFile, isStorageAvailable,
+  listSessions, loadSession, saveSession, renameSession, deleteSession, getLastSessionId,
+  getUserBrokerDefinitions, putUserBrokerDefinition, getUserHeaderSynonyms, putUserHeaderSynonyms,
+} from './storage.js';
+import { startMerge, isAbortError } from './merge-client.js';
+import { detectFileBroker, groupFilesByBroker } from './detector.js';
+import { collectReportFiles, isArchive, groupByPeriod, formatPeriod, hashFile } from './upload.js';
+import { DUPLICATE_DECISIONS, resolveDuplicates } from './duplicates.js';
 import { aggregateData, mergeAnalytics, renderCharts, renderKPICards, renderCountryTable, renderHSTable, renderBrokerBreakdownTable, CHART_INFO } from './analytics.js';
+import { escapeHtml } from './util.js';
 
 /* ───────────────────────────────────────────────
    State
@@ -15,6 +41,20 @@ let selectedBroker = null;
 let uploadedFiles = [];
 let mergedResult = null;   // { headers, data, stats }
 let storedReports = [];    // { brokerId, brokerLabel, analytics } per processed broker
+let fileDetections = new Map(); // File → detectBroker() result (detector.js)
+const fileOrigins = new WeakMap(); // File → path inside the ZIP / folder it came from (upload.js)
+const fileSheets = new WeakMap();  // File → sheet names picked for the merge (default sheet when absent)
+const fileHashes = new WeakMap();  // File → SHA-256 of its contents (upload.js), to refuse identical uploads
+let sheetPicker = null;    // { file, sheets } while a file's sheet picker is open (sheets null while loading)
+let mergedGroups = [];     // { broker, result } per broker when a mixed drop was split
+let activeMerge = null;    // { promise, cancel } while a merge runs (merge-client.js)
+let showSource = false;    // leading Source File / Sheet / Row columns in preview + download
+let reportGroupBy = 'col'; // 'col' | 'rule' — grouping of fix lists in the report modal
+let currentSession = null; // storage.js session that merges + storedReports are saved into
+let dataGrid = null;       // createDataGrid() handle for the result view
+const gridMarks = new Map(); // "rowIndex:col" → cell class (warnings, manual edits)
+const reviewRows = new Set(); // rowIndex of rows with a repair awaiting review
+let persistTimer = 0;      // debounce for saving the session after cell edits
 
 /* ───────────────────────────────────────────────
    DOM refs
@@ -65,6 +105,8 @@ function showView(name) {
 
   // Scroll to top when switching views
   window.scrollTo(0, 0);
+
+  if (name === 'broker') renderSessionList();
 }
 
 /* ───────────────────────────────────────────────
@@ -84,13 +126,32 @@ function toast(msg, type = 'info') {
    Loading
    ─────────────────────────────────────────────── */
 
-function showLoading(msg) {
+function showLoading(msg, { cancellable = false } = {}) {
   $('#loading-text').textContent = msg;
+  $('#loading-detail').textContent = '';
+  $('#loading-overlay').classList.toggle('cancellable', cancellable);
   $('#loading-overlay').classList.add('active');
 }
 
 function hideLoading() {
-  $('#loading-overlay').classList.remove('active');
+  $('#loading-overlay').classList.remove('active', 'cancellable');
+}
+
+/**
+ * Render a structured progress event from mergeFiles() as a second
+ * line under the loading message ("File 2/5 · 12,340 rows").
+ */
+function formatProgressDetail(info) {
+  if (!info) return '';
+  const parts = [];
+  if (info.fileIndex && info.fileCount) parts.push(`File ${info.fileIndex}/${info.fileCount}`);
+  if (info.rowsProcessed != null) {
+    const rows = info.totalRows
+      ? `${info.rowsProcessed.toLocaleString()} / ${info.totalRows.toLocaleString()} rows`
+      : `${info.rowsProcessed.toLocaleString()} rows`;
+    parts.push(rows);
+  }
+  return parts.join(' · ');
 }
 
 /* ───────────────────────────────────────────────
@@ -120,8 +181,8 @@ function renderBrokerGrid() {
       return `
         <li class="cap-item">
           <span class="cap-icon">${icon}</span>
-          <span class="cap-category">${c.category}</span>
-          <span class="cap-text">${c.text}</span>
+          <span class="cap-category">${escapeHtml(c.category)}</span>
+          <span class="cap-text">${escapeHtml(c.text)}</span>
         </li>`;
     }).join('');
     const badge = processedIds.has(b.id)
@@ -130,7 +191,7 @@ function renderBrokerGrid() {
     return `
     <div class="broker-card" data-broker="${b.id}" style="--broker-color:${b.color}; --broker-accent:${b.accent}">
       <div class="broker-logo">${b.logoIcon}</div>
-      <div class="broker-name">${b.label}</div>
+      <div class="broker-name">${escapeHtml(b.label)}</div>
       <div class="broker-tag">${b.headerRows} header row${b.headerRows > 1 ? 's' : ''}</div>
       ${badge}
       <div class="broker-capabilities">
@@ -175,7 +236,7 @@ function renderOverallButton() {
   section.id = 'overall-analytics-section';
   section.className = 'overall-analytics-section';
 
-  const brokerNames = storedReports.map(r => r.brokerLabel).join(', ');
+  const brokerNames = storedReports.map(r => escapeHtml(r.brokerLabel)).join(', ');
   const totalRows = storedReports.reduce((s, r) => s + r.analytics.totalRows, 0);
 
   section.innerHTML = `
@@ -203,11 +264,833 @@ function renderOverallButton() {
   document.getElementById('btn-open-overall').addEventListener('click', handleOpenOverallAnalytics);
   document.getElementById('btn-clear-stored').addEventListener('click', () => {
     storedReports = [];
+    persistSession();
     renderBrokerGrid();
     toast('All stored reports cleared', 'info');
   });
 }
 
+/* ───────────────────────────────────────────────
+   Broker definitions (broker-defs.js)
+   ─────────────────────────────────────────────── */
+
+/**
+ * Register declarative brokers available at startup: an optional
+ * `brokers.json` deployed next to the app, then the definitions the user
+ * loaded earlier (these win on an id clash).
+ */
+async function loadStartupBrokers() {
+  try {
+    const res = await fetch('./brokers.json', { cache: 'no-cache' });
+    if (res.ok) {
+      const { brokers, errors } = parseBrokerDefinitions(await res.text());
+      registerBrokers(BROKERS, brokers);
+      if (errors.length > 0) console.warn('brokers.json: skipped invalid definitions', errors);
+    }
+  } catch {
+    // No deployed definitions — nothing to add.
+  }
+
+  const { brokers, errors } = parseBrokerDefinitions(getUserBrokerDefinitions());
+  registerBrokers(BROKERS, brokers);
+  if (errors.length > 0) console.warn('Stored broker definitions skipped', errors);
+}
+
+/**
+ * Load broker definitions from a user-supplied JSON file, register the
+ * valid ones and keep them for the next visit.
+ */
+async function handleLoadBrokerDefinition(file) {
+  let text;
+  try {
+    text = await file.text();
+  } catch (err) {
+    toast('Could not read ' + escapeHtml(file.name) + ': ' + escapeHtml(err.message), 'error');
+    return;
+  }
+
+  const { brokers, errors } = parseBrokerDefinitions(text);
+  if (errors.length > 0) {
+    const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+    toast(`Invalid broker definition — ${escapeHtml(errors.slice(0, 3).join('; '))}${more}`, 'error');
+    console.warn(`${file.name}: invalid broker definitions`, errors);
+  }
+  if (brokers.length === 0) return;
+
+  const replaced = registerBrokers(BROKERS, brokers);
+  for (const b of brokers) putUserBrokerDefinition(b.definition);
+  renderBrokerGrid();
+  const labels = brokers.map(b => escapeHtml(b.label)).join(', ');
+  toast(`${replaced.length > 0 ? 'Updated' : 'Added'} broker${brokers.length > 1 ? 's' : ''}: ${labels}`, 'success');
+}
+
+/* ───────────────────────────────────────────────
+   Custom broker wizard (broker-wizard.js)
+   ─────────────────────────────────────────────── */
+
+const WIZARD_STEPS = ['Sample file', 'Columns', 'Formats', 'Save'];
+const WIZARD_PREVIEW_ROWS = 15;
+const WIZARD_PREVIEW_COLS = 12;
+
+const NUMBER_FORMAT_LABELS = {
+  'auto':          'Auto-detect per value',
+  'comma-decimal': '1.234,56 (decimal comma)',
+  'dot-decimal':   '1,234.56 (decimal dot)',
+};
+
+// { step, fileName, rows, headerRow, dataStartRow, label, tags, tagsFor,
+//   numberFormat, dateFormat, errors } while the wizard is open
+let wizard = null;
+
+function openWizard() {
+  wizard = {
+    step: 0, fileName: null, rows: null, headerRow: 0, dataStartRow: 1, label: '',
+    tags: [], tagsFor: null, numberFormat: null, dateFormat: null, errors: [],
+  };
+  renderWizard();
+  $('#wizard-modal').classList.add('active');
+}
+
+function closeWizard() {
+  $('#wizard-modal').classList.remove('active');
+  wizard = null;
+}
+
+async function handleWizardSample(file) {
+  let rows;
+  try {
+    ({ rows } = await parseFileDetailed(file, null));
+  } catch (err) {
+    toast('Could not read ' + escapeHtml(file.name) + ': ' + escapeHtml(err.message), 'error');
+    return;
+  }
+  if (!wizard) return;
+  wizard.fileName = file.name;
+  wizard.rows = rows;
+  wizard.headerRow = guessHeaderRow(rows);
+  wizard.dataStartRow = wizard.headerRow + 1;
+  if (!wizard.label) wizard.label = file.name.replace(/\.[^.]+$/, '');
+  wizard.tagsFor = null;
+  wizard.numberFormat = null;
+  wizard.dateFormat = null;
+  renderWizard();
+}
+
+const wizardCell = (v) => escapeHtml(v == null ? '' : String(v).slice(0, 40));
+
+function renderWizardSample() {
+  const file = `
+    <div class="wizard-file">
+      <label class="btn btn-secondary btn-sm">
+        Choose sample file
+        <input type="file" id="wizard-file" accept=".xlsx,.xlsm,.xlsb,.xls,.ods,.fods,.xml,.csv,.tsv,.txt,.prn" hidden />
+      </label>
+      <span>${wizard.fileName ? escapeHtml(wizard.fileName) : 'No file chosen'}</span>
+    </div>`;
+  if (!wizard.rows) {
+    return `<p class="wizard-intro">Upload one report of the new broker. Its layout becomes the broker definition — later files must share it.</p>${file}`;
+  }
+
+  const rows = wizard.rows.slice(0, WIZARD_PREVIEW_ROWS).map((row, r) => {
+    const cls = r === wizard.headerRow ? 'is-header' : r < wizard.dataStartRow ? 'is-skipped' : '';
+    const cells = (row || []).slice(0, WIZARD_PREVIEW_COLS).map(v => `<td title="${wizardCell(v)}">${wizardCell(v)}</td>`).join('');
+    return `<tr data-row="${r}" class="${cls}"><td class="wizard-rownum">${r + 1}</td>${cells}</tr>`;
+  }).join('');
+
+  return `
+    <p class="wizard-intro">Click the row that holds the column headers. Rows above it are skipped, data is read from the first data row on.</p>
+    ${file}
+    <div class="wizard-inputs">
+      <label>Broker name <input type="text" id="wizard-label" value="${escapeHtml(wizard.label)}" /></label>
+      <label>Header row <input type="number" id="wizard-header-row" min="1" value="${wizard.headerRow + 1}" /></label>
+      <label>First data row <input type="number" id="wizard-data-row" min="${wizard.headerRow + 2}" value="${wizard.dataStartRow + 1}" /></label>
+    </div>
+    <div class="wizard-preview"><table class="wizard-table"><tbody>${rows}</tbody></table></div>`;
+}
+
+function renderWizardColumns() {
+  const header = wizard.rows[wizard.headerRow] || [];
+  const data = wizard.rows.slice(wizard.dataStartRow, wizard.dataStartRow + 3);
+  const options = (selected) => ['<option value="">—</option>', ...WIZARD_FIELDS.map(f =>
+    `<option value="${f.field}"${f.field === selected ? ' selected' : ''}>${f.label}</option>`)].join('');
+
+  const rows = header.map((h, col) => {
+    if (h == null || String(h).trim() === '') return '';
+    const sample = data.map(r => wizardCell(r && r[col])).filter(Boolean).join(' · ');
+    return `
+      <tr>
+        <td class="wizard-rownum">${col + 1}</td>
+        <td>${wizardCell(h)}</td>
+        <td class="wizard-sample" title="${sample}">${sample}</td>
+        <td><select data-col="${col}">${options(wizard.tags[col])}</select></td>
+      </tr>`;
+  }).join('');
+
+  return `
+    <p class="wizard-intro">Tag the columns the validator and analytics should use. Untagged columns are merged as they are.</p>
+    <div class="wizard-preview">
+      <table class="wizard-table">
+        <thead><tr><th>#</th><th>Header</th><th>Sample values</th><th>Field</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+function renderWizardFormats() {
+  const dateFormats = ['auto', ...Object.keys(DATE_FORMATS)];
+  const select = (id, values, labels, selected) => `
+    <select id="${id}">${values.map(v => `<option value="${v}"${v === selected ? ' selected' : ''}>${labels[v] || v}</option>`).join('')}</select>`;
+
+  const samples = (match) => {
+    const cols = wizard.tags.map((f, c) => (match(f) ? c : -1)).filter(c => c >= 0);
+    const values = [];
+    for (const row of wizard.rows.slice(wizard.dataStartRow, wizard.dataStartRow + 20)) {
+      for (const c of cols) if (row && row[c] != null && row[c] !== '' && values.length < 6) values.push(wizardCell(row[c]));
+    }
+    return values.length > 0 ? values.join(' · ') : 'no tagged values';
+  };
+
+  return `
+    <p class="wizard-intro">How the report writes numbers and dates. Suggestions come from the sample; "Auto" keeps the built-in detection (e.g. Excel dates).</p>
+    <div class="wizard-inputs">
+      <label>Number format ${select('wizard-number-format', Object.keys(NUMBER_FORMAT_LABELS), NUMBER_FORMAT_LABELS, wizard.numberFormat)}</label>
+    </div>
+    <p class="wizard-intro wizard-sample">${samples(f => fieldKind(f) === 'number')}</p>
+    <div class="wizard-inputs">
+      <label>Date format ${select('wizard-date-format', dateFormats, { auto: 'Auto (Excel dates, DD.MM.YYYY)' }, wizard.dateFormat)}</label>
+    </div>
+    <p class="wizard-intro wizard-sample">${samples(f => fieldKind(f) === 'date')}</p>`;
+}
+
+function renderWizardSummary() {
+  const def = wizardDefinition();
+  const tagged = Object.entries(def.fields).map(([field, [name]]) =>
+    `${WIZARD_FIELDS.find(f => f.field === field).label}: ${escapeHtml(name)}`).join('<br>');
+  const errors = wizard.errors.length > 0
+    ? `<div class="wizard-errors">${wizard.errors.map(escapeHtml).join('<br>')}</div>`
+    : '';
+  return `
+    <p class="wizard-intro">The broker is saved in this browser and appears on the broker view. Files are detected by its header names.</p>
+    <dl class="wizard-summary">
+      <dt>Name</dt><dd>${escapeHtml(def.label)} (${escapeHtml(def.id)})</dd>
+      <dt>Header row</dt><dd>${def.headerStartRow + 1}</dd>
+      <dt>First data row</dt><dd>${def.dataStartRow + 1}</dd>
+      <dt>Numbers</dt><dd>${NUMBER_FORMAT_LABELS[def.numberFormat || 'auto']}</dd>
+      <dt>Dates</dt><dd>${def.dateFormat || 'Auto'}</dd>
+      <dt>Fields</dt><dd>${tagged || 'none tagged'}</dd>
+    </dl>
+    ${errors}`;
+}
+
+function wizardDefinition() {
+  return buildWizardDefinition({
+    ...wizard,
+    id: makeBrokerId(wizard.label, BROKERS.map(b => b.id)),
+  });
+}
+
+function renderWizard() {
+  const body = [renderWizardSample, renderWizardColumns, renderWizardFormats, renderWizardSummary][wizard.step];
+  $('#wizard-body').innerHTML = body();
+  $('#wizard-step').textContent = `Step ${wizard.step + 1} of ${WIZARD_STEPS.length} — ${WIZARD_STEPS[wizard.step]}`;
+  $('#wizard-back').disabled = wizard.step === 0;
+  $('#wizard-next').disabled = !wizard.rows;
+  $('#wizard-next').textContent = wizard.step === WIZARD_STEPS.length - 1 ? 'Save Broker' : 'Next';
+}
+
+function handleWizardNext() {
+  if (wizard.step === 0) {
+    if (!wizard.label.trim()) {
+      toast('Enter a broker name', 'error');
+      return;
+    }
+    if (wizard.tagsFor !== wizard.headerRow) {
+      wizard.tags = suggestFields(wizard.rows[wizard.headerRow], BROKERS);
+      wizard.tagsFor = wizard.headerRow;
+    }
+  } else if (wizard.step === 1 && wizard.numberFormat === null) {
+    const suggested = suggestFormats(wizard.rows.slice(wizard.dataStartRow), wizard.tags);
+    wizard.numberFormat = suggested.numberFormat;
+    wizard.dateFormat = suggested.dateFormat;
+  } else if (wizard.step === WIZARD_STEPS.length - 1) {
+    saveWizardBroker();
+    return;
+  }
+  wizard.errors = [];
+  wizard.step++;
+  renderWizard();
+}
+
+function saveWizardBroker() {
+  const { brokers, errors } = parseBrokerDefinitions(wizardDefinition());
+  if (errors.length > 0) {
+    wizard.errors = errors;
+    renderWizard();
+    return;
+  }
+  registerBrokers(BROKERS, brokers);
+  putUserBrokerDefinition(brokers[0].definition);
+  closeWizard();
+  renderBrokerGrid();
+  toast(`Added broker: ${escapeHtml(brokers[0].label)}`, 'success');
+}
+
+function setupWizard() {
+  $('#btn-custom-broker').addEventListener('click', openWizard);
+  $('#wizard-close').addEventListener('click', closeWizard);
+  $('#wizard-modal').addEventListener('click', (e) => {
+    if (e.target === $('#wizard-modal')) closeWizard();
+  });
+  $('#wizard-back').addEventListener('click', () => {
+    wizard.errors = [];
+    wizard.step--;
+    renderWizard();
+  });
+  $('#wizard-next').addEventListener('click', handleWizardNext);
+
+  const body = $('#wizard-body');
+  body.addEventListener('click', (e) => {
+    const tr = e.target.closest('tr[data-row]');
+    if (!tr || wizard.step !== 0) return;
+    wizard.headerRow = Number(tr.dataset.row);
+    wizard.dataStartRow = wizard.headerRow + 1;
+    renderWizard();
+  });
+  body.addEventListener('input', (e) => {
+    if (e.target.id === 'wizard-label') wizard.label = e.target.value;
+  });
+  body.addEventListener('change', (e) => {
+    const t = e.target;
+    if (t.id === 'wizard-file') {
+      const file = t.files[0];
+      if (file) handleWizardSample(file);
+      return;
+    }
+    if (t.id === 'wizard-header-row' || t.id === 'wizard-data-row') {
+      const max = Math.max(wizard.rows.length - 1, 0);
+      const value = Math.min(Math.max(Number(t.value) - 1 || 0, 0), max);
+      if (t.id === 'wizard-header-row') {
+        wizard.headerRow = value;
+        wizard.dataStartRow = Math.max(wizard.dataStartRow, value + 1);
+      } else {
+        wizard.dataStartRow = Math.max(value, wizard.headerRow + 1);
+      }
+      renderWizard();
+    } else if (t.dataset.col != null) {
+      const col = Number(t.dataset.col);
+      const field = t.value || null;
+      // A field maps to one column — untag it elsewhere
+      if (field) wizard.tags = wizard.tags.map(f => (f === field ? null : f));
+      wizard.tags[col] = field;
+      if (field) renderWizard();
+    } else if (t.id === 'wizard-number-format') {
+      wizard.numberFormat = t.value;
+    } else if (t.id === 'wizard-date-format') {
+      wizard.dateFormat = t.value;
+    }
+  });
+}
+
+/* ───────────────────────────────────────────────
+   Header mapping dialog (header-mapping.js)
+   ─────────────────────────────────────────────── */
+
+// { broker, unmatched, resolve } while the dialog is open
+let mapping = null;
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+
+/**
+ * Ask the user where the headers alignment could not match belong.
+ * Resolves with the chosen synonyms (header → unified header, or the
+ * header itself to keep it as a new column), or null when cancelled.
+ *
+ * @param {Object} broker
+ * @param {Array}  unmatched — mergeFiles() `unmatchedHeaders`
+ * @returns {Promise<Object<string, string>|null>}
+ */
+function askHeaderMapping(broker, unmatched) {
+  return new Promise((resolve) => {
+    mapping = { broker, unmatched, resolve };
+    renderMappingDialog();
+    $('#mapping-modal').classList.add('active');
+  });
+}
+
+function renderMappingDialog() {
+  const rows = mapping.unmatched.map((u, i) => {
+    const best = u.candidates[0];
+    const preselect = best && best.score >= SUGGEST_THRESHOLD ? best.header : '';
+    const options = u.candidates.map(c => {
+      const detail = c.valueScore === null
+        ? `name ${percent(c.nameScore)}`
+        : `name ${percent(c.nameScore)}, values ${percent(c.valueScore)}`;
+      return `<option value="${escapeHtml(c.header)}" ${c.header === preselect ? 'selected' : ''}>${escapeHtml(c.header)} — ${percent(c.score)} (${detail})</option>`;
+    }).join('');
+    return `
+      <tr>
+        <td>
+          <div class="mapping-header">${escapeHtml(u.header)}</div>
+          <div class="mapping-meta">${u.files.map(escapeHtml).join(', ')}</div>
+          ${u.samples.length > 0 ? `<div class="mapping-meta">e.g. ${u.samples.map(escapeHtml).join(' · ')}</div>` : ''}
+        </td>
+        <td>
+          <select data-mapping="${i}">
+            ${options}
+            <option value="" ${preselect ? '' : 'selected'}>Keep as a new column</option>
+          </select>
+        </td>
+      </tr>`;
+  }).join('');
+
+  $('#mapping-body').innerHTML = `
+    <p class="wizard-intro">
+      ${mapping.unmatched.length} column${mapping.unmatched.length > 1 ? 's' : ''} in these ${escapeHtml(mapping.broker.label)} files did not match the other files' headers.
+      Pick the column each one was renamed from — the choice is saved and applied to later merges.
+      Suggestions are ranked by name and by how alike the values look.
+    </p>
+    <table class="mapping-table">
+      <thead><tr><th>Unmatched column</th><th>Merge into</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function closeMappingDialog(synonyms) {
+  $('#mapping-modal').classList.remove('active');
+  const { resolve } = mapping;
+  mapping = null;
+  resolve(synonyms);
+}
+
+function handleConfirmMapping() {
+  const synonyms = {};
+  const targets = new Set();
+  for (const select of $('#mapping-body').querySelectorAll('select[data-mapping]')) {
+    const { header } = mapping.unmatched[Number(select.dataset.mapping)];
+    const target = select.value;
+    if (target && targets.has(target)) {
+      toast(`"${escapeHtml(target)}" is chosen for more than one column`, 'error');
+      return;
+    }
+    if (target) targets.add(target);
+    synonyms[header] = target || header;
+  }
+  closeMappingDialog(synonyms);
+}
+
+function setupMappingDialog() {
+  $('#mapping-close').addEventListener('click', () => closeMappingDialog(null));
+  $('#mapping-cancel').addEventListener('click', () => closeMappingDialog(null));
+  $('#mapping-confirm').addEventListener('click', handleConfirmMapping);
+  $('#mapping-modal').addEventListener('click', (e) => {
+    if (e.target === $('#mapping-modal')) closeMappingDialog(null);
+  });
+}
+
+/* ───────────────────────────────────────────────
+   Duplicate lines dialog (duplicates.js)
+   ─────────────────────────────────────────────── */
+
+// { broker, result, resolve } while the dialog is open
+let duplicates = null;
+
+/**
+ * Ask what to do with each group of duplicate declaration lines in a
+ * merge.  Resolves with one decision per `result.stats.duplicates`
+ * group; closing the dialog keeps every copy.
+ *
+ * @param {Object} broker
+ * @param {Object} result — mergeFiles() result
+ * @returns {Promise<Array<'first'|'last'|'all'>>}
+ */
+function askDuplicateDecisions(broker, result) {
+  return new Promise((resolve) => {
+    duplicates = { broker, result, resolve };
+    renderDuplicatesDialog();
+    $('#duplicates-modal').classList.add('active');
+  });
+}
+
+function renderDuplicatesDialog() {
+  const groups = duplicates.result.stats.duplicates;
+  const provenance = duplicates.result.provenance || [];
+  const options = Object.entries(DUPLICATE_DECISIONS)
+    .map(([value, label]) => `<option value="${value}" ${value === 'first' ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
+  const rows = groups.map((g, i) => {
+    const key = [
+      `Declaration ${g.key.declarationNo}`,
+      g.key.positionNo != null ? `position ${g.key.positionNo || '—'}` : null,
+      g.key.hsCode != null ? `HS ${g.key.hsCode || '—'}` : null,
+    ].filter(Boolean).join(' · ');
+    const copies = g.rows.map(r => escapeHtml(formatSource(provenance[r - 1]) || `row ${r}`));
+    return `
+      <tr>
+        <td>
+          <div class="mapping-header">${escapeHtml(key)}</div>
+          ${copies.map((c, n) => `<div class="mapping-meta">${n + 1}. ${c}</div>`).join('')}
+        </td>
+        <td>
+          <select data-duplicate="${i}">${options}</select>
+        </td>
+      </tr>`;
+  }).join('');
+
+  $('#duplicates-body').innerHTML = `
+    <p class="wizard-intro">
+      ${groups.length} declaration line${groups.length > 1 ? 's appear' : ' appears'} more than once in these ${escapeHtml(duplicates.broker.label)} files —
+      usually the same report uploaded under two names, or a corrected re-send overlapping the original.
+      Keep the first copy, the last (most recent) copy or all of them. Each decision is recorded in the validation report.
+    </p>
+    <div class="duplicates-apply">
+      <span>Set all to</span>
+      ${Object.entries(DUPLICATE_DECISIONS).map(([value, label]) => `<button class="btn btn-secondary btn-sm" data-duplicate-all="${value}">${label}</button>`).join('')}
+    </div>
+    <table class="mapping-table">
+      <thead><tr><th>Duplicate line and its copies</th><th>Decision</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+
+  $('#duplicates-body').querySelectorAll('[data-duplicate-all]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      for (const select of $('#duplicates-body').querySelectorAll('select[data-duplicate]')) {
+        select.value = btn.dataset.duplicateAll;
+      }
+    });
+  });
+}
+
+function closeDuplicatesDialog(decisions) {
+  $('#duplicates-modal').classList.remove('active');
+  const { result, resolve } = duplicates;
+  duplicates = null;
+  resolve(decisions || result.stats.duplicates.map(() => 'all'));
+}
+
+function handleConfirmDuplicates() {
+  const decisions = [];
+  for (const select of $('#duplicates-body').querySelectorAll('select[data-duplicate]')) {
+    decisions[Number(select.dataset.duplicate)] = select.value;
+  }
+  closeDuplicatesDialog(decisions);
+}
+
+function setupDuplicatesDialog() {
+  $('#duplicates-close').addEventListener('click', () => closeDuplicatesDialog(null));
+  $('#duplicates-keep-all').addEventListener('click', () => closeDuplicatesDialog(null));
+  $('#duplicates-confirm').addEventListener('click', handleConfirmDuplicates);
+  $('#duplicates-modal').addEventListener('click', (e) => {
+    if (e.target === $('#duplicates-modal')) closeDuplicatesDialog(null);
+  });
+}
+
+/* ───────────────────────────────────────────────
+   Sessions (IndexedDB — storage.js)
+   ─────────────────────────────────────────────── */
+
+/**
+ * Save merges + storedReports of the current session, creating the
+ * session on first use.  Failures are logged, never thrown — losing
+ * persistence must not break the merge flow.
+ */
+async function persistSession() {
+  if (!isStorageAvailable()) return;
+  if (!currentSession) {
+    if (storedReports.length === 0 && mergedGroups.length === 0) return;
+    currentSession = createSession();
+  }
+  currentSession.reports = storedReports;
+  currentSession.activeBrokerId = selectedBroker ? selectedBroker.id : currentSession.activeBrokerId;
+  try {
+    await saveSession(currentSession);
+  } catch (err) {
+    console.warn('Could not save session:', err);
+    return;
+  }
+  if (views.broker.classList.contains('active')) renderSessionList();
+}
+
+/**
+ * Make a stored session the current one: storedReports, merged groups
+ * and the active broker's result are restored.
+ * @returns {boolean} true when the session had a merged result to show
+ */
+function applySession(session) {
+  currentSession = session;
+  storedReports = session.reports;
+  mergedGroups = session.merges
+    .map(m => ({ broker: BROKERS.find(b => b.id === m.brokerId), result: m.result }))
+    .filter(g => g.broker);
+  uploadedFiles = [];
+  fileDetections.clear();
+  renderFileList();
+
+  if (mergedGroups.length === 0) {
+    selectedBroker = null;
+    mergedResult = null;
+    return false;
+  }
+  const active = mergedGroups.find(g => g.broker.id === session.activeBrokerId) || mergedGroups[0];
+  selectedBroker = active.broker;
+  mergedResult = active.result;
+  renderActiveBrokerBanner();
+  return true;
+}
+
+async function openSession(id) {
+  let session;
+  try {
+    session = await loadSession(id);
+  } catch (err) {
+    toast('Could not open session: ' + escapeHtml(err.message), 'error');
+    return;
+  }
+  if (!session) {
+    toast('Session not found', 'error');
+    renderSessionList();
+    return;
+  }
+  if (applySession(session)) {
+    renderDashboard();
+    showView('result');
+  } else {
+    renderBrokerGrid();
+  }
+  toast(`Session "${escapeHtml(session.name)}" opened`, 'success');
+}
+
+function startNewSession() {
+  currentSession = null;
+  storedReports = [];
+  selectedBroker = null;
+  uploadedFiles = [];
+  fileDetections.clear();
+  mergedResult = null;
+  mergedGroups = [];
+  renderFileList();
+  renderBrokerGrid();
+  toast('Started a new session', 'info');
+}
+
+/**
+ * "New session" on the result and analytics views: back to the broker
+ * view for another merge.  Pending changes are saved to the current
+ * session first, then it is let go so the next merge is stored as a
+ * session of its own.
+ */
+function startNewMerge() {
+  clearTimeout(persistTimer);
+  persistSession();
+  currentSession = null;
+  selectedBroker = null;
+  uploadedFiles = [];
+  fileDetections.clear();
+  mergedResult = null;
+  mergedGroups = [];
+  renderBrokerGrid();
+  showView('broker');
+}
+
+function formatSessionTime(ts) {
+  const d = new Date(ts);
+  const date = `${String(d.getDate()).padStart(2, '0')}.${String(d.getMonth() + 1).padStart(2, '0')}.${d.getFullYear()}`;
+  return `${date} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+async function renderSessionList() {
+  const el = $('#session-section');
+  if (!isStorageAvailable()) {
+    el.innerHTML = '';
+    return;
+  }
+
+  let sessions;
+  try {
+    sessions = await listSessions();
+  } catch (err) {
+    console.warn('Could not list sessions:', err);
+    el.innerHTML = '';
+    return;
+  }
+  if (sessions.length === 0) {
+    el.innerHTML = '';
+    return;
+  }
+
+  const currentId = currentSession ? currentSession.id : null;
+  el.innerHTML = `
+    <div class="session-header">
+      <h2>Saved Sessions</h2>
+      <button class="btn btn-secondary btn-sm" id="btn-session-new">New Session</button>
+    </div>
+    <div class="session-list">
+      ${sessions.map(s => `
+        <div class="session-item ${s.id === currentId ? 'current' : ''}" data-session="${s.id}">
+          <div class="session-info">
+            <div class="session-name" data-name="${escapeHtml(s.name)}">${escapeHtml(s.name)}${s.id === currentId ? ' <span class="session-current">current</span>' : ''}</div>
+            <div class="session-meta">
+              ${s.brokerIds.join(', ') || 'No brokers yet'} · ${s.totalRows.toLocaleString()} rows · ${s.fileCount} file${s.fileCount !== 1 ? 's' : ''} · ${s.reportCount} report${s.reportCount !== 1 ? 's' : ''} · ${formatSessionTime(s.updatedAt)}
+            </div>
+          </div>
+          <div class="session-actions">
+            <button class="btn btn-primary btn-sm" data-action="open">Open</button>
+            <button class="btn btn-secondary btn-sm" data-action="export">Export</button>
+            <button class="btn btn-secondary btn-sm" data-action="rename">Rename</button>
+            <button class="btn btn-secondary btn-sm" data-action="delete">Delete</button>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  $('#btn-session-new').addEventListener('click', startNewSession);
+  el.querySelectorAll('.session-item').forEach(item => {
+    const id = item.dataset.session;
+    item.querySelector('[data-action="open"]').addEventListener('click', () => openSession(id));
+    item.querySelector('[data-action="export"]').addEventListener('click', async () => {
+      try {
+        const session = await loadSession(id);
+        if (session) await exportSession(session);
+      } catch (err) {
+        toast('Export failed: ' + err.message, 'error');
+      }
+    });
+    item.querySelector('[data-action="rename"]').addEventListener('click', () => startRename(item, id));
+    const del = item.querySelector('[data-action="delete"]');
+    del.addEventListener('click', async () => {
+      // Two-step delete: first click arms the button
+      if (!del.classList.contains('armed')) {
+        del.classList.add('armed');
+        del.textContent = 'Confirm';
+        return;
+      }
+      try {
+        await deleteSession(id);
+      } catch (err) {
+        toast('Could not delete session: ' + err.message, 'error');
+        return;
+      }
+      if (currentSession && currentSession.id === id) currentSession = null;
+      renderSessionList();
+      toast('Session deleted', 'info');
+    });
+  });
+}
+
+function startRename(item, id) {
+  const nameEl = item.querySelector('.session-name');
+  const current = nameEl.dataset.name;
+  nameEl.innerHTML = `<input class="session-rename" type="text" value="${escapeHtml(current)}" />`;
+  const input = nameEl.querySelector('input');
+  input.focus();
+  input.select();
+
+  let done = false;
+  const commit = async (save) => {
+    if (done) return;
+    done = true;
+    const name = input.value.trim();
+    if (save && name && name !== current) {
+      try {
+        await renameSession(id, name);
+        if (currentSession && currentSession.id === id) currentSession.name = name;
+      } catch (err) {
+        toast('Could not rename session: ' + escapeHtml(err.message), 'error');
+      }
+    }
+    renderSessionList();
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') commit(true);
+    else if (e.key === 'Escape') { e.stopPropagation(); commit(false); }
+  });
+  input.addEventListener('blur', () => commit(true));
+}
+
+/* ───────────────────────────────────────────────
+   Session bundle export / import (bundle.js)
+   ─────────────────────────────────────────────── */
+
+async function exportSession(session) {
+  const blob = await encodeBundle(session);
+  const name = (session.name || 'Session').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '');
+  const date = new Date().toISOString().slice(0, 10);
+  const ext = blob.type === 'application/gzip' ? BUNDLE_EXTENSION : '.session.json';
+  saveAs(blob, `${name}_${date}${ext}`);
+}
+
+async function handleExportSession() {
+  if (!currentSession || currentSession.merges.length === 0) {
+    toast('Nothing to export yet — merge some files first', 'error');
+    return;
+  }
+  currentSession.reports = storedReports;
+  if (selectedBroker) currentSession.activeBrokerId = selectedBroker.id;
+
+  showLoading('Packaging session…');
+  try {
+    await exportSession(currentSession);
+    toast('Session exported', 'success');
+  } catch (err) {
+    toast('Export failed: ' + err.message, 'error');
+    console.error(err);
+  } finally {
+    hideLoading();
+  }
+}
+
+async function handleImportSession(file) {
+  showLoading('Reading session file…');
+  let session;
+  try {
+    session = await decodeBundle(file);
+  } catch (err) {
+    hideLoading();
+    toast('Import failed: ' + escapeHtml(err.message), 'error');
+    return;
+  }
+
+  const unknown = session.merges.filter(m => !BROKERS.some(b => b.id === m.brokerId)).map(m => m.brokerId);
+  if (unknown.length > 0) {
+    toast(`Skipped results for unknown broker${unknown.length > 1 ? 's' : ''}: ${unknown.map(escapeHtml).join(', ')}`, 'error');
+  }
+
+  const hasResult = applySession(session);
+  await persistSession();
+  hideLoading();
+
+  if (hasResult) {
+    renderDashboard();
+    showView('result');
+  } else {
+    renderBrokerGrid();
+    renderSessionList();
+  }
+  toast(`Imported session "${escapeHtml(session.name || file.name)}"`, 'success');
+}
+
+/**
+ * Reopen the session that was active before the page was reloaded.
+ */
+async function restoreLastSession() {
+  const id = getLastSessionId();
+  if (!id || !isStorageAvailable()) return;
+  try {
+    const session = await loadSession(id);
+    if (!session) return;
+    if (applySession(session)) {
+      renderDashboard();
+      showView('result');
+    } else {
+      renderBrokerGrid();
+    }
+    toast(`Restored session "${escapeHtml(session.name)}"`, 'info');
+  } catch (err) {
+    console.warn('Could not restore last session:', err);
+  }
+}
+
 /* ───────────────────────────────────────────────
    Step 2 — Upload
    ─────────────────────────────────────────────── */
@@ -218,13 +1101,14 @@ function renderActiveBrokerBanner() {
   $('#active-broker-banner').innerHTML = `
     <div class="broker-logo-sm">${b.logoIcon}</div>
     <div class="broker-info">
-      <h3>${b.label}</h3>
+      <h3>${escapeHtml(b.label)}</h3>
       <p>${b.headerRows} header row${b.headerRows > 1 ? 's' : ''} · Data starts at row ${b.dataStartRow + 1}</p>
     </div>
     <button class="btn-change" id="btn-change-broker">Change</button>
   `;
   $('#btn-change-broker').addEventListener('click', () => {
     uploadedFiles = [];
+    fileDetections.clear();
     renderFileList();
     showView('broker');
   });
@@ -238,66 +1122,339 @@ function renderFileList() {
     return;
   }
 
-  list.innerHTML = uploadedFiles.map((f, i) => `
+  // Grouped the way the merge will split them — by broker — and within
+  // a broker by the period read from the file name or its folders
+  const originOf = (f) => fileOrigins.get(f) || f.name;
+  const { groups, unassigned } = groupFilesByBroker(uploadedFiles, fileDetections, selectedBroker);
+  const sections = [];
+  for (const g of groups) {
+    for (const p of groupByPeriod(g.files, originOf)) sections.push({ label: g.broker.label, ...p });
+  }
+  if (unassigned.length) sections.push({ label: 'Unknown broker', period: null, files: unassigned });
+
+  const item = (f) => {
+    const i = uploadedFiles.indexOf(f);
+    const origin = fileOrigins.get(f);
+    return `
     <div class="file-item" data-idx="${i}">
       <span class="file-icon">${IC.fileOk}</span>
-      <span class="file-name">${f.name}</span>
+      <span class="file-name">${escapeHtml(f.name)}${origin ? `<span class="file-origin" title="${escapeHtml(origin)}">${escapeHtml(origin)}</span>` : ''}</span>
+      ${renderSheetButton(f, i)}
+      ${renderDetectionBadge(fileDetections.get(f))}
       <span class="file-size">${formatSize(f.size)}</span>
       <button class="file-remove" data-idx="${i}" title="Remove">${IC.x}</button>
     </div>
-  `).join('');
+    ${sheetPicker && sheetPicker.file === f ? renderSheetPicker(sheetPicker.sheets, fileSheets.get(f)) : ''}
+  `;
+  };
+
+  list.innerHTML = sections.length > 1
+    ? sections.map(sec => `
+      <div class="file-group-title">${escapeHtml(sec.label)} · ${formatPeriod(sec.period)} <span>${sec.files.length} file${sec.files.length !== 1 ? 's' : ''}</span></div>
+      ${sec.files.map(item).join('')}
+    `).join('')
+    : uploadedFiles.map(item).join('');
 
   list.querySelectorAll('.file-remove').forEach(btn => {
     btn.addEventListener('click', (e) => {
       const idx = parseInt(e.currentTarget.dataset.idx);
+      fileDetections.delete(uploadedFiles[idx]);
+      if (sheetPicker && sheetPicker.file === uploadedFiles[idx]) sheetPicker = null;
       uploadedFiles.splice(idx, 1);
       renderFileList();
     });
   });
 
-  $('#btn-merge').disabled = false;
+  list.querySelectorAll('.file-sheets').forEach(btn => {
+    btn.addEventListener('click', (e) => toggleSheetPicker(uploadedFiles[parseInt(e.currentTarget.dataset.idx)]));
+  });
+  list.querySelectorAll('.sheet-picker input').forEach(box => {
+    box.addEventListener('change', handleSheetToggle);
+  });
+
+  $('#btn-merge').disabled = false;
+}
+
+/* ───────────────────────────────────────────────
+   Sheet picker (workbooks with several sheets)
+   ─────────────────────────────────────────────── */
+
+/** The broker a file will be merged with — as groupFilesByBroker decides. */
+function mergeBrokerOf(file) {
+  const det = fileDetections.get(file);
+  return det && det.autoSelect ? det.broker : selectedBroker;
+}
+
+/**
+ * "Sheets" button for workbooks with more than one sheet, showing how
+ * many are picked for the merge.
+ */
+function renderSheetButton(file, idx) {
+  const det = fileDetections.get(file);
+  if (!det || !det.sheetNames || det.sheetNames.length < 2) return '';
+  const picked = fileSheets.get(file);
+  const text = !picked ? `${det.sheetNames.length} sheets`
+    : picked.length === 1 ? picked[0] : `${picked.length} sheets merged`;
+  const cls = picked ? 'file-sheets picked' : 'file-sheets';
+  return `<button class="${cls}" data-idx="${idx}" title="Choose the sheets to merge">${IC.table}${escapeHtml(text)}</button>`;
+}
+
+/**
+ * Candidate sheets (engine.listSheets) with row count and header
+ * preview; every checked sheet is merged as its own part.
+ */
+function renderSheetPicker(sheets, picked) {
+  if (!sheets) return `<div class="sheet-picker loading">Reading sheets…</div>`;
+  const isPicked = (sh) => (picked ? picked.includes(sh.name) : sh.default);
+  return `
+    <div class="sheet-picker">
+      ${sheets.map(sh => `
+        <label class="sheet-option">
+          <input type="checkbox" value="${escapeHtml(sh.name)}" ${isPicked(sh) ? 'checked' : ''} />
+          <span class="sheet-name">${escapeHtml(sh.name)}</span>
+          <span class="sheet-rows">${sh.rowCount.toLocaleString()} row${sh.rowCount !== 1 ? 's' : ''}</span>
+          <span class="sheet-header" title="${escapeHtml(sh.headerPreview.join(' · '))}">${escapeHtml(sh.headerPreview.join(' · ') || 'no header')}</span>
+        </label>
+      `).join('')}
+    </div>
+  `;
+}
+
+async function toggleSheetPicker(file) {
+  if (sheetPicker && sheetPicker.file === file) {
+    sheetPicker = null;
+    renderFileList();
+    return;
+  }
+  const picker = { file, sheets: null };
+  sheetPicker = picker;
+  renderFileList();
+  try {
+    picker.sheets = await listSheets(file, mergeBrokerOf(file));
+  } catch (err) {
+    toast(`Could not read the sheets of ${escapeHtml(file.name)}: ${escapeHtml(err.message)}`, 'error');
+    if (sheetPicker === picker) sheetPicker = null;
+  }
+  if (sheetPicker === picker || !sheetPicker) renderFileList();
+}
+
+function handleSheetToggle(e) {
+  const { file, sheets } = sheetPicker;
+  const boxes = [...e.currentTarget.closest('.sheet-picker').querySelectorAll('input')];
+  const names = boxes.filter(b => b.checked).map(b => b.value);
+  if (names.length === 0) {
+    // At least one sheet is always merged
+    e.currentTarget.checked = true;
+    return;
+  }
+  const defaults = sheets.filter(sh => sh.default).map(sh => sh.name);
+  if (names.length === defaults.length && names.every(n => defaults.includes(n))) fileSheets.delete(file);
+  else fileSheets.set(file, names);
+  renderFileList();
+}
+
+/**
+ * Small pill next to a file name showing which broker the detector
+ * thinks produced it.  Highlighted when it disagrees with the selected
+ * card — such files are merged under their detected broker instead.
+ */
+function renderDetectionBadge(det) {
+  if (!det) return `<span class="file-detect pending">detecting…</span>`;
+  if (!det.broker) {
+    const title = det.error ? `Could not read file: ${det.error}` : 'No broker fingerprint matched';
+    return `<span class="file-detect unknown" title="${escapeHtml(title)}">unknown broker</span>`;
+  }
+  const pct = Math.round(det.confidence * 100);
+  const mismatch = det.autoSelect && selectedBroker && det.broker.id !== selectedBroker.id;
+  const cls = mismatch ? 'mismatch' : det.autoSelect ? 'confident' : 'weak';
+  const title = mismatch
+    ? `Looks like ${det.broker.label}, not ${selectedBroker.label} — it will be merged separately`
+    : det.autoSelect ? 'Detected from file contents' : 'Low confidence — the selected broker will be used';
+  return `<span class="file-detect ${cls}" title="${escapeHtml(title)}">${escapeHtml(det.broker.label)} · ${pct}%</span>`;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+  return (bytes / 1048576).toFixed(1) + ' MB';
+}
+
+function setupUpload() {
+  const dropZone = $('#drop-zone');
+  const fileInput = $('#file-input');
+  const folderInput = $('#folder-input');
+
+  ['dragenter', 'dragover'].forEach(e =>
+    dropZone.addEventListener(e, (ev) => { ev.preventDefault(); dropZone.classList.add('dragover'); })
+  );
+  ['dragleave', 'drop'].forEach(e =>
+    dropZone.addEventListener(e, () => dropZone.classList.remove('dragover'))
+  );
+
+  dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    intakeFiles(droppedItems(e.dataTransfer)).then(addFiles);
+  });
+
+  fileInput.addEventListener('change', () => {
+    const items = [...fileInput.files];
+    fileInput.value = '';
+    intakeFiles(items).then(addFiles);
+  });
+
+  $('#btn-add-folder').addEventListener('click', () => folderInput.click());
+  folderInput.addEventListener('change', () => {
+    const items = [...folderInput.files];
+    folderInput.value = '';
+    intakeFiles(items).then(addFiles);
+  });
+}
+
+/**
+ * What a drop holds: FileSystemEntry objects where the browser offers
+ * them (dropped folders keep their structure), else the plain files.
+ * Must run inside the drop handler — the DataTransfer is emptied after.
+ */
+function droppedItems(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])]
+    .filter(i => i.kind === 'file')
+    .map(i => (i.webkitGetAsEntry ? i.webkitGetAsEntry() : null));
+  return entries.length > 0 && entries.every(Boolean) ? entries : [...dataTransfer.files];
+}
+
+/**
+ * Unpack ZIP archives and walk folders (upload.js) and return the report
+ * files found, each with its origin path.  Anything else is skipped.
+ */
+async function intakeFiles(items) {
+  const unpacking = items.some(i => i.isDirectory || isArchive(i.name));
+  if (unpacking) showLoading('Unpacking archives…');
+  try {
+    const { files, skipped } = await collectReportFiles(items);
+    const other = skipped.filter(s => s.reason === 'Not a report file');
+    if (other.length > 0) {
+      toast(`${other.length} non-report file${other.length > 1 ? 's' : ''} skipped (PDFs, images…)`, 'info');
+    }
+    for (const s of skipped) {
+      if (s.reason !== 'Not a report file') toast(`Could not read ${escapeHtml(s.origin)}: ${escapeHtml(s.reason)}`, 'error');
+    }
+    return files;
+  } finally {
+    if (unpacking) hideLoading();
+  }
 }
 
-function formatSize(bytes) {
-  if (bytes < 1024) return bytes + ' B';
-  if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
-  return (bytes / 1048576).toFixed(1) + ' MB';
+/**
+ * Add report files ({ file, origin } from intakeFiles) to the upload
+ * list.  A file already listed under the same origin path is ignored;
+ * one whose contents are identical to a listed file (same SHA-256,
+ * whatever its name) is skipped with a notice.
+ */
+async function addFiles(uploads) {
+  const keyOf = (f) => fileOrigins.get(f) || f.name;
+  const existing = new Set(uploadedFiles.map(keyOf));
+  const hashes = new Map();
+  for (const f of uploadedFiles) {
+    if (!fileHashes.has(f)) fileHashes.set(f, await hashFile(f));
+    hashes.set(fileHashes.get(f), f);
+  }
+  const added = [];
+  for (const { file, origin } of uploads) {
+    if (origin !== file.name) fileOrigins.set(file, origin);
+    if (existing.has(keyOf(file))) continue;
+    const hash = await hashFile(file);
+    const same = hashes.get(hash);
+    if (same) {
+      toast(`${escapeHtml(keyOf(file))} is identical to ${escapeHtml(keyOf(same))} — skipped`, 'info');
+      continue;
+    }
+    fileHashes.set(file, hash);
+    hashes.set(hash, file);
+    existing.add(keyOf(file));
+    uploadedFiles.push(file);
+    added.push(file);
+  }
+  if (added.length > 0) {
+    toast(`${added.length} file${added.length > 1 ? 's' : ''} added`, 'success');
+    renderFileList();
+    detectFiles(added).then(renderFileList);
+  }
+  return added;
 }
 
-function setupUpload() {
-  const dropZone = $('#drop-zone');
-  const fileInput = $('#file-input');
+/**
+ * Fingerprint files in the background and remember the results.
+ */
+async function detectFiles(files) {
+  for (const f of files) {
+    if (fileDetections.has(f)) continue;
+    fileDetections.set(f, await detectFileBroker(f));
+  }
+}
+
+/* ───────────────────────────────────────────────
+   Broker auto-detection (drop on the broker view)
+   ─────────────────────────────────────────────── */
+
+function setupDetectZone() {
+  const zone = $('#detect-zone');
+  const input = $('#detect-input');
 
   ['dragenter', 'dragover'].forEach(e =>
-    dropZone.addEventListener(e, (ev) => { ev.preventDefault(); dropZone.classList.add('dragover'); })
+    zone.addEventListener(e, (ev) => { ev.preventDefault(); zone.classList.add('dragover'); })
   );
   ['dragleave', 'drop'].forEach(e =>
-    dropZone.addEventListener(e, () => dropZone.classList.remove('dragover'))
+    zone.addEventListener(e, () => zone.classList.remove('dragover'))
   );
-
-  dropZone.addEventListener('drop', (e) => {
+  zone.addEventListener('drop', (e) => {
     e.preventDefault();
-    addFiles(e.dataTransfer.files);
+    handleDetectDrop(droppedItems(e.dataTransfer));
   });
-
-  fileInput.addEventListener('change', () => {
-    addFiles(fileInput.files);
-    fileInput.value = '';
+  input.addEventListener('change', () => {
+    const items = [...input.files];
+    input.value = '';
+    handleDetectDrop(items);
   });
 }
 
-function addFiles(fileList) {
-  const existing = new Set(uploadedFiles.map(f => f.name));
-  let added = 0;
-  for (const f of fileList) {
-    if (existing.has(f.name)) continue;
-    uploadedFiles.push(f);
-    added++;
+/**
+ * Files dropped without a broker card: fingerprint them, select the
+ * detected broker and continue to the upload step.  A mixed drop keeps
+ * every file — the merge later splits them into per-broker groups.
+ */
+async function handleDetectDrop(items) {
+  const uploads = await intakeFiles(items);
+  const files = uploads.map(u => u.file);
+  if (!files.length) return;
+
+  showLoading('Detecting broker…');
+  uploadedFiles = [];
+  await detectFiles(files);
+  hideLoading();
+
+  const { groups, unassigned } = groupFilesByBroker(files, fileDetections, null);
+  if (groups.length === 0) {
+    toast('Could not recognise the broker — please pick one manually', 'error');
+    return;
   }
-  if (added > 0) {
-    toast(`${added} file${added > 1 ? 's' : ''} added`, 'success');
-    renderFileList();
+
+  // Largest group wins the "selected" slot; the others are merged alongside.
+  groups.sort((a, b) => b.files.length - a.files.length);
+  selectedBroker = groups[0].broker;
+  await addFiles(uploads);
+
+  if (groups.length > 1) {
+    toast(`Mixed drop: ${groups.map(g => escapeHtml(g.broker.label)).join(', ')} — each broker is merged separately`, 'info');
+  } else {
+    const det = fileDetections.get(groups[0].files[0]);
+    toast(`Detected ${escapeHtml(selectedBroker.label)} (${Math.round(det.confidence * 100)}% confidence)`, 'success');
   }
+  if (unassigned.length > 0) {
+    toast(`${unassigned.length} file${unassigned.length > 1 ? 's' : ''} not recognised — merged as ${escapeHtml(selectedBroker.label)}`, 'info');
+  }
+
+  renderActiveBrokerBanner();
+  showView('upload');
 }
 
 /* ───────────────────────────────────────────────
@@ -310,16 +1467,31 @@ function renderDashboard() {
   const b = selectedBroker;
   const v = stats.validation || {};
 
+  renderGroupTabs();
+
   // ── Header ──
   $('#result-header').innerHTML = `
     <div class="broker-logo-lg">${b.logoIcon}</div>
     <div class="result-info">
-      <h2>${b.label} — Consolidated Report</h2>
+      <h2>${escapeHtml(b.label)} — Consolidated Report</h2>
       <p>${stats.totalFiles} file${stats.totalFiles !== 1 ? 's' : ''} merged · ${stats.totalRows.toLocaleString()} data rows · ${new Date().toLocaleDateString('en-GB')}</p>
     </div>
   `;
 
-  // ── Stats cards ──
+  renderStatsCards(stats);
+
+  // ── Validation panel ──
+  renderValidationPanel(v);
+
+  // ── File breakdown ──
+  renderFileBreakdown(stats);
+
+  // ── Data grid ──
+  renderDataGrid(headers, data, mergedResult.provenance);
+}
+
+function renderStatsCards(stats) {
+  const v = stats.validation || {};
   const warns = (v.issues || []).filter(i => i.type === 'warning').length;
   $('#stats-row').innerHTML = `
     <div class="stat-card accent">
@@ -330,8 +1502,8 @@ function renderDashboard() {
       <div class="stat-value">${stats.totalFiles}</div>
       <div class="stat-label">Files Merged</div>
     </div>
-    <div class="stat-card ${v.shiftFixes > 0 ? 'warning' : 'success'}">
-      <div class="stat-value">${v.shiftFixes || 0}</div>
+    <div class="stat-card ${v.shiftFixes + (v.gapFixes || 0) > 0 ? 'warning' : 'success'}">
+      <div class="stat-value">${(v.shiftFixes || 0) + (v.gapFixes || 0)}</div>
       <div class="stat-label">Shifts Fixed</div>
     </div>
     <div class="stat-card ${v.numberFixes > 0 ? 'warning' : 'success'}">
@@ -340,15 +1512,31 @@ function renderDashboard() {
     </div>
     ${warns > 0 ? `<div class="stat-card danger"><div class="stat-value">${warns}</div><div class="stat-label">Warnings</div></div>` : ''}
   `;
+}
 
-  // ── Validation panel ──
-  renderValidationPanel(v);
-
-  // ── File breakdown ──
-  renderFileBreakdown(stats);
-
-  // ── Data preview ──
-  renderPreviewTable(headers, data);
+/**
+ * Tabs above the result header — one per broker when a mixed upload
+ * was split into separate merges.  Hidden for single-broker merges.
+ */
+function renderGroupTabs() {
+  const el = $('#group-tabs');
+  if (mergedGroups.length < 2) {
+    el.innerHTML = '';
+    return;
+  }
+  el.innerHTML = mergedGroups.map((g, i) => `
+    <button class="group-tab ${g.result === mergedResult ? 'active' : ''}" data-group="${i}" style="--broker-color:${g.broker.color}">
+      ${escapeHtml(g.broker.label)} <span class="group-tab-count">${g.result.stats.totalRows.toLocaleString()} rows</span>
+    </button>
+  `).join('');
+  el.querySelectorAll('.group-tab').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const g = mergedGroups[parseInt(btn.dataset.group)];
+      selectedBroker = g.broker;
+      mergedResult = g.result;
+      renderDashboard();
+    });
+  });
 }
 
 function renderValidationPanel(v) {
@@ -357,25 +1545,24 @@ function renderValidationPanel(v) {
   const hasIssues = issues.length > 0;
   const shiftCount = v.shiftFixes || 0;
   const numberCount = v.numberFixes || 0;
-  const warnCount = issues.filter(i => i.type === 'warning').length;
+  const warnCount = issues.filter(i => i.severity === 'warning').length;
+  const manualCount = issues.filter(i => i.type === 'manual').length;
+  const duplicateCount = issues.filter(i => i.type === 'duplicate').length;
+  const pendingCount = pendingReviews(v).length;
+  const gapCount = v.gapFixes || 0;
+  const hasReviews = issues.some(i => (i.type === 'shift' || i.type === 'gap') && i.review) ||
+    Object.values(v.snapshots || {}).some(s => s.repairs.some(rp => rp.review === 'rejected'));
 
   const statusClass = hasIssues ? 'fixed' : 'clean';
   const statusIcon = hasIssues ? IC.alert : IC.check;
   const statusText = hasIssues ? 'Data corrected automatically' : 'All data validated — no issues';
 
-  // Categorize issues for the summary badges
+  // Sub-categorize shifts for the summary badges
   const shiftIssues = issues.filter(i => i.type === 'shift');
-  const numberIssues = issues.filter(i => i.type === 'number');
-  const warningIssues = issues.filter(i => i.type === 'warning');
-
-  // Sub-categorize shifts
-  const shipperShifts = shiftIssues.filter(i => (i.zone || '').includes('Shipper'));
-  const consigneeShifts = shiftIssues.filter(i => (i.zone || '').includes('Consignee'));
-  const midRowShifts = shiftIssues.filter(i => (i.detail || '').includes('Mid-row'));
-  const goodsShifts = shiftIssues.filter(i => (i.zone || '').includes('Goods'));
-
-  const midRowShifts2 = shiftIssues.filter(i => (i.zone || '') === 'Mid-row');
-  const goodsShifts2 = shiftIssues.filter(i => (i.zone || '') === 'Goods');
+  const shipperShifts = shiftIssues.filter(i => i.zone === 'Shipper');
+  const consigneeShifts = shiftIssues.filter(i => i.zone === 'Consignee');
+  const midRowShifts = shiftIssues.filter(i => i.zone === 'Mid-row');
+  const goodsShifts = shiftIssues.filter(i => i.zone === 'Goods');
 
   panel.innerHTML = `
     <div class="validation-header" id="validation-toggle">
@@ -389,13 +1576,18 @@ function renderValidationPanel(v) {
         ${shiftCount > 0 ? `<span class="v-badge shift">${IC.shift} ${shiftCount} shifted row${shiftCount > 1 ? 's' : ''} realigned</span>` : ''}
         ${shipperShifts.length > 0 ? `<span class="v-badge shift" style="opacity:0.8;font-size:0.72rem">${shipperShifts.length} shipper</span>` : ''}
         ${consigneeShifts.length > 0 ? `<span class="v-badge shift" style="opacity:0.8;font-size:0.72rem">${consigneeShifts.length} consignee</span>` : ''}
-        ${midRowShifts2.length > 0 ? `<span class="v-badge shift" style="opacity:0.8;font-size:0.72rem">${midRowShifts2.length} mid-row</span>` : ''}
-        ${goodsShifts2.length > 0 ? `<span class="v-badge shift" style="opacity:0.8;font-size:0.72rem">${goodsShifts2.length} goods zone</span>` : ''}
+        ${midRowShifts.length > 0 ? `<span class="v-badge shift" style="opacity:0.8;font-size:0.72rem">${midRowShifts.length} mid-row</span>` : ''}
+        ${goodsShifts.length > 0 ? `<span class="v-badge shift" style="opacity:0.8;font-size:0.72rem">${goodsShifts.length} goods zone</span>` : ''}
+        ${gapCount > 0 ? `<span class="v-badge shift">${IC.shift} ${gapCount} missing cell${gapCount > 1 ? 's' : ''} re-inserted</span>` : ''}
         ${numberCount > 0 ? `<span class="v-badge number">${IC.hash} ${numberCount.toLocaleString()} number format${numberCount > 1 ? 's' : ''} fixed</span>` : ''}
+        ${manualCount > 0 ? `<span class="v-badge manual">${IC.check} ${manualCount} manual edit${manualCount > 1 ? 's' : ''}</span>` : ''}
+        ${duplicateCount > 0 ? `<span class="v-badge manual">${IC.list} ${duplicateCount} duplicate line${duplicateCount > 1 ? 's' : ''} resolved</span>` : ''}
+        ${pendingCount > 0 ? `<span class="v-badge review">${IC.alert} ${pendingCount} repair${pendingCount > 1 ? 's' : ''} to review</span>` : ''}
         ${warnCount > 0 ? `<span class="v-badge warn">${IC.alert} ${warnCount} warning${warnCount > 1 ? 's' : ''}</span>` : ''}
         ${!hasIssues ? `<span class="v-badge number">${IC.check} Clean data — no corrections needed</span>` : ''}
       </div>
       ${hasIssues ? `<button class="btn-view-report" id="btn-view-report">${IC.list} View Detailed Report</button>` : ''}
+      ${hasReviews ? `<button class="btn-view-report" id="btn-review-repairs">${IC.shift} Review Repairs${pendingCount > 0 ? ` (${pendingCount})` : ''}</button>` : ''}
     </div>
   `;
 
@@ -411,6 +1603,9 @@ function renderValidationPanel(v) {
   if (hasIssues) {
     $('#btn-view-report').addEventListener('click', () => openReportModal(v));
   }
+  if (hasReviews) {
+    $('#btn-review-repairs').addEventListener('click', () => openReviewModal(v));
+  }
 }
 
 /* ───────────────────────────────────────────────
@@ -423,28 +1618,45 @@ function openReportModal(v) {
   const issues = v.issues || [];
 
   const shiftIssues = issues.filter(i => i.type === 'shift');
+  const gapIssues = issues.filter(i => i.type === 'gap');
   const numberIssues = issues.filter(i => i.type === 'number');
+  const dateIssues = issues.filter(i => i.type === 'date');
+  const cleanupIssues = issues.filter(i => i.type === 'cleanup');
+  const manualIssues = issues.filter(i => i.type === 'manual');
+  const duplicateIssues = issues.filter(i => i.type === 'duplicate');
   const warningIssues = issues.filter(i => i.type === 'warning');
 
   // Sub-categorize shifts
-  const shipperShifts = shiftIssues.filter(i => (i.zone || '').includes('Shipper'));
-  const consigneeShifts = shiftIssues.filter(i => (i.zone || '').includes('Consignee'));
-  const midRowShifts = shiftIssues.filter(i => (i.zone || '') === 'Mid-row');
-  const goodsShifts = shiftIssues.filter(i => (i.zone || '') === 'Goods');
-  const otherShifts = shiftIssues.filter(i =>
-    !(i.zone || '').includes('Shipper') &&
-    !(i.zone || '').includes('Consignee') &&
-    (i.zone || '') !== 'Mid-row' &&
-    (i.zone || '') !== 'Goods'
-  );
+  const knownZones = ['Shipper', 'Consignee', 'Mid-row', 'Goods'];
+  const shipperShifts = shiftIssues.filter(i => i.zone === 'Shipper');
+  const consigneeShifts = shiftIssues.filter(i => i.zone === 'Consignee');
+  const midRowShifts = shiftIssues.filter(i => i.zone === 'Mid-row');
+  const goodsShifts = shiftIssues.filter(i => i.zone === 'Goods');
+  const otherShifts = shiftIssues.filter(i => !knownZones.includes(i.zone));
 
   body.innerHTML = `
     ${renderSummaryBar(v)}
-    ${shiftIssues.length > 0 ? renderShiftSection(shipperShifts, consigneeShifts, midRowShifts, goodsShifts, otherShifts) : ''}
-    ${numberIssues.length > 0 ? renderNumberSection(numberIssues) : ''}
+    ${shiftIssues.length + gapIssues.length + numberIssues.length + dateIssues.length + cleanupIssues.length + manualIssues.length + duplicateIssues.length > 0 ? renderGroupByToggle() : ''}
+    ${shiftIssues.length + gapIssues.length > 0 ? renderShiftSection(shipperShifts, consigneeShifts, midRowShifts, goodsShifts, otherShifts, gapIssues, v.snapshots) : ''}
+    ${numberIssues.length > 0 ? renderFixSection(FIX_SECTIONS.number, numberIssues) : ''}
+    ${dateIssues.length > 0 ? renderFixSection(FIX_SECTIONS.date, dateIssues) : ''}
+    ${cleanupIssues.length > 0 ? renderFixSection(FIX_SECTIONS.cleanup, cleanupIssues) : ''}
+    ${manualIssues.length > 0 ? renderFixSection(FIX_SECTIONS.manual, manualIssues) : ''}
+    ${duplicateIssues.length > 0 ? renderFixSection(FIX_SECTIONS.duplicate, duplicateIssues) : ''}
     ${warningIssues.length > 0 ? renderWarningSection(warningIssues) : ''}
   `;
 
+  body.querySelectorAll('[data-group-by]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      reportGroupBy = btn.dataset.groupBy;
+      openReportModal(v);
+    });
+  });
+
+  body.querySelectorAll('[data-diff-row]').forEach(btn => {
+    btn.addEventListener('click', () => openDiffModal(v, Number(btn.dataset.diffRow)));
+  });
+
   // Attach section toggles
   body.querySelectorAll('.report-section-header').forEach(header => {
     header.addEventListener('click', () => {
@@ -461,10 +1673,208 @@ function closeReportModal() {
   $('#report-modal').classList.remove('active');
 }
 
+/* ───────────────────────────────────────────────
+   Shift Repair Diff Modal
+   ─────────────────────────────────────────────── */
+
+const DIFF_STATUS_LABEL = {
+  merged: (c) => `merged from cols ${c.sources.join(', ')}`,
+  moved: (c) => `${c.sources[0] > c.col ? '←' : '→'} from col ${c.sources[0]}`,
+  inserted: () => 'blank re-inserted',
+  padded: () => 'padding',
+  changed: () => 'normalised',
+  same: () => '',
+};
+
+/** Signed shift amount: +2 overflow, -1 missing cell. */
+function formatShift(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function formatDiffValue(v, valid) {
+  const cls = valid === false ? ' class="diff-invalid" title="Fails the DHL column check"' : '';
+  return v == null || v === ''
+    ? `<td${cls}><span class="diff-empty">empty</span></td>`
+    : `<td${cls}>${escapeHtml(String(v))}</td>`;
+}
+
+/**
+ * Side-by-side view of a repaired row: original cells, repaired cells and
+ * where each repaired value came from, per zone.
+ * @param {Object} v         — validation report
+ * @param {number} rowNumber — 1-based data row (issue.row)
+ */
+function openDiffModal(v, rowNumber) {
+  const snapshot = v.snapshots && v.snapshots[rowNumber];
+  const row = mergedResult && mergedResult.data[rowNumber - 1];
+  if (!snapshot || !row) return;
+
+  const diff = buildRowDiff(snapshot, row, mergedResult.headers, shiftSchemaFor(selectedBroker, mergedResult.headers));
+  const source = formatSource(mergedResult.provenance && mergedResult.provenance[rowNumber - 1]);
+  const repairs = diff.repairs.map(rp => `
+    <span class="diff-repair${rp.review === 'rejected' ? ' rejected' : ''}">
+      ${rp.zone} ${formatShift(rp.shift)} at col ${rp.col}${rp.confidence != null ? ` · ${Math.round(rp.confidence * 100)}%` : ''}${rp.review ? ` · ${REVIEW_LABEL[rp.review].toLowerCase()}` : ''}
+    </span>
+  `).join('');
+
+  const zones = diff.zones.map(z => `
+    <div class="diff-zone">
+      <div class="diff-zone-title">${z.name} <span class="diff-zone-range">cols ${z.from}–${z.to}</span></div>
+      <table class="diff-table">
+        <thead><tr><th>Col</th><th>Column</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+        <tbody>
+          ${z.cells.map(c => `
+            <tr class="diff-${c.status}">
+              <td class="mono">${c.col}</td>
+              <td>${escapeHtml(c.name)}</td>
+              ${formatDiffValue(c.before, c.validBefore)}
+              ${formatDiffValue(c.after, c.validAfter)}
+              <td class="diff-status">${DIFF_STATUS_LABEL[c.status](c)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+
+  $('#diff-title').textContent = `Row ${rowNumber} — before / after repair`;
+  $('#diff-body').innerHTML = `
+    <div class="diff-summary">
+      <div class="diff-repairs">${repairs}</div>
+      <div class="diff-stats">
+        ${diff.merged} merged · ${diff.moved} moved ·
+        schema checks ${diff.schema.before}/${diff.schema.total} → ${diff.schema.after}/${diff.schema.total}
+      </div>
+      ${source ? `<div class="diff-source">${escapeHtml(source)}</div>` : ''}
+    </div>
+    ${zones}
+  `;
+  $('#diff-modal').classList.add('active');
+}
+
+function closeDiffModal() {
+  $('#diff-modal').classList.remove('active');
+}
+
+/* ───────────────────────────────────────────────
+   Repair Review Queue
+   ─────────────────────────────────────────────── */
+
+const REVIEW_LABEL = {
+  pending: 'Pending',
+  accepted: 'Accepted',
+  adjusted: 'Shift changed',
+  rejected: 'Rejected',
+};
+
+/**
+ * Low-confidence shift repairs (validator REVIEW_THRESHOLD) with
+ * accept / reject / change-shift controls.  Decided repairs stay listed.
+ * @param {Object} v — validation report
+ * @param {Object} [opts]
+ * @param {boolean} [opts.beforeExport] — opened from Download: offer to
+ *   download anyway
+ */
+function openReviewModal(v, opts = {}) {
+  const items = [];
+  for (const [row, snap] of Object.entries(v.snapshots || {})) {
+    snap.repairs.forEach((rp, index) => {
+      if (rp.review) items.push({ row: Number(row), index, rp });
+    });
+  }
+  const pending = items.filter(it => it.rp.review === 'pending').length;
+
+  const list = items.map(({ row, index, rp }) => `
+    <div class="review-item ${rp.review}">
+      <span class="issue-row">Row ${row}</span>
+      <div class="review-info">
+        <div class="review-title">${rp.zone} ${formatShift(rp.shift)} <span class="review-rule">${ISSUE_RULES[rp.rule] || rp.rule}</span></div>
+        <div class="review-meta">
+          <span class="issue-confidence${rp.review === 'pending' ? ' low' : ''}">${Math.round(rp.confidence * 100)}% confidence</span>
+          <span class="review-status">${REVIEW_LABEL[rp.review]}</span>
+        </div>
+      </div>
+      <div class="review-actions" data-row="${row}" data-index="${index}">
+        <button class="issue-diff-btn" data-diff-row="${row}">Diff</button>
+        ${rp.review === 'pending' ? `
+          <button class="review-btn accept" data-decision="accepted">Accept</button>
+          <button class="review-btn reject" data-decision="rejected">Reject</button>
+          <input class="review-shift" type="number" ${rp.shift > 0 ? 'min="1" max="8"' : 'min="-3" max="-1"'} step="1" value="${rp.shift}" title="Shift amount">
+          <button class="review-btn" data-decision="adjusted">Apply shift</button>
+        ` : ''}
+      </div>
+    </div>
+  `).join('');
+
+  $('#review-body').innerHTML = `
+    ${opts.beforeExport && pending > 0 ? `
+      <div class="review-export-note">
+        ${pending} low-confidence repair${pending > 1 ? 's are' : ' is'} still pending. Review ${pending > 1 ? 'them' : 'it'} before exporting, or
+        <button class="review-btn" id="btn-download-anyway">Download anyway</button>
+      </div>
+    ` : ''}
+    <p class="review-intro">
+      These shift repairs were applied, but too few column checks improved for them to pass unreviewed.
+      Accept a repair to keep it, reject it to restore the original cells, or set a different shift amount.
+    </p>
+    ${items.length > 0 ? list : '<p class="review-intro">No repairs need review.</p>'}
+  `;
+
+  const body = $('#review-body');
+  body.querySelectorAll('[data-diff-row]').forEach(btn => {
+    btn.addEventListener('click', () => openDiffModal(v, Number(btn.dataset.diffRow)));
+  });
+  body.querySelectorAll('[data-decision]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const box = btn.closest('.review-actions');
+      const shift = Number(box.querySelector('.review-shift').value);
+      handleReviewDecision(v, Number(box.dataset.row), Number(box.dataset.index), btn.dataset.decision, shift, opts);
+    });
+  });
+  const anyway = $('#btn-download-anyway');
+  if (anyway) {
+    anyway.addEventListener('click', () => {
+      closeReviewModal();
+      downloadResult();
+    });
+  }
+
+  $('#review-modal').classList.add('active');
+}
+
+function closeReviewModal() {
+  $('#review-modal').classList.remove('active');
+}
+
+function handleReviewDecision(v, rowNumber, index, decision, shift, opts) {
+  const rp = v.snapshots[rowNumber].repairs[index];
+  if (decision === 'adjusted' && shift === rp.shift) decision = 'accepted';
+  try {
+    reviewRepair(v, mergedResult.data, rowNumber, index, { decision, shift }, mergedResult.headers, selectedBroker);
+  } catch (err) {
+    toast(err.message, 'error');
+    return;
+  }
+  mergedResult.stats.validationSummary = reportSummary(v);
+  const dropped = v.issues.filter(i => i.row === rowNumber && i.rule === 'manual-edit-dropped').length;
+  if (dropped > 0) toast(`Row ${rowNumber}: ${dropped} manual edit${dropped > 1 ? 's' : ''} dropped — the cell no longer exists`, 'error');
+
+  updateCellMarks(v.issues);
+  dataGrid.refresh();
+  renderStatsCards(mergedResult.stats);
+  renderValidationPanel(v);
+  openReviewModal(v, opts);
+
+  toast(`Row ${rowNumber}: ${rp.zone} repair ${REVIEW_LABEL[rp.review].toLowerCase()}`, 'success');
+  clearTimeout(persistTimer);
+  persistTimer = setTimeout(persistSession, 1000);
+}
+
 function renderSummaryBar(v) {
   const issues = v.issues || [];
-  const warnCount = issues.filter(i => i.type === 'warning').length;
-  const shiftRows = new Set(issues.filter(i => i.type === 'shift').map(i => i.row)).size;
+  const warnCount = issues.filter(i => i.severity === 'warning').length;
+  const shiftRows = new Set(issues.filter(i => i.type === 'shift' || i.type === 'gap').map(i => i.row)).size;
+  const columns = new Set(issues.filter(i => i.col != null).map(i => i.col)).size;
 
   return `
     <div class="report-summary-bar">
@@ -480,6 +1890,10 @@ function renderSummaryBar(v) {
         <div class="stat-num number">${(v.numberFixes || 0).toLocaleString()}</div>
         <div class="stat-label">Number Fixes</div>
       </div>
+      <div class="report-summary-stat">
+        <div class="stat-num">${columns}</div>
+        <div class="stat-label">Columns Affected</div>
+      </div>
       <div class="report-summary-stat">
         <div class="stat-num ${warnCount > 0 ? 'warn' : 'clean'}">${warnCount}</div>
         <div class="stat-label">Warnings</div>
@@ -492,8 +1906,8 @@ function renderSummaryBar(v) {
   `;
 }
 
-function renderShiftSection(shipperShifts, consigneeShifts, midRowShifts, goodsShifts, otherShifts) {
-  const total = shipperShifts.length + consigneeShifts.length + midRowShifts.length + goodsShifts.length + otherShifts.length;
+function renderShiftSection(shipperShifts, consigneeShifts, midRowShifts, goodsShifts, otherShifts, gapIssues, snapshots) {
+  const total = shipperShifts.length + consigneeShifts.length + midRowShifts.length + goodsShifts.length + otherShifts.length + gapIssues.length;
 
   let subsections = '';
 
@@ -506,7 +1920,7 @@ function renderShiftSection(shipperShifts, consigneeShifts, midRowShifts, goodsS
         <div class="report-subsection-desc" style="font-size:0.75rem;color:var(--text-dim);margin-bottom:8px">
           The shipper address field overflowed into adjacent columns, pushing Town/Postcode/Country right. Merged address fragments and realigned the row.
         </div>
-        ${renderIssuesList(shipperShifts)}
+        ${renderIssuesList(shipperShifts, snapshots)}
       </div>
     `;
   }
@@ -520,7 +1934,7 @@ function renderShiftSection(shipperShifts, consigneeShifts, midRowShifts, goodsS
         <div class="report-subsection-desc" style="font-size:0.75rem;color:var(--text-dim);margin-bottom:8px">
           The consignee address overflowed into adjacent columns. Merged fragments and shifted subsequent columns back into alignment.
         </div>
-        ${renderIssuesList(consigneeShifts)}
+        ${renderIssuesList(consigneeShifts, snapshots)}
       </div>
     `;
   }
@@ -534,7 +1948,7 @@ function renderShiftSection(shipperShifts, consigneeShifts, midRowShifts, goodsS
         <div class="report-subsection-desc" style="font-size:0.75rem;color:var(--text-dim);margin-bottom:8px">
           The delivery location field (col 32) overflowed, pushing freight, weight, and all downstream columns right. Merged location text and realigned the entire row.
         </div>
-        ${renderIssuesList(midRowShifts)}
+        ${renderIssuesList(midRowShifts, snapshots)}
       </div>
     `;
   }
@@ -548,7 +1962,7 @@ function renderShiftSection(shipperShifts, consigneeShifts, midRowShifts, goodsS
         <div class="report-subsection-desc" style="font-size:0.75rem;color:var(--text-dim);margin-bottom:8px">
           The goods description spanned multiple cells, pushing HS Code, Country of Origin, and other fields right. Merged description fragments and realigned HS Code to col 110.
         </div>
-        ${renderIssuesList(goodsShifts)}
+        ${renderIssuesList(goodsShifts, snapshots)}
       </div>
     `;
   }
@@ -559,7 +1973,21 @@ function renderShiftSection(shipperShifts, consigneeShifts, midRowShifts, goodsS
         <div class="report-subsection-title">
           Other Shifts <span class="sub-count">${otherShifts.length}</span>
         </div>
-        ${renderIssuesList(otherShifts)}
+        ${renderIssuesList(otherShifts, snapshots)}
+      </div>
+    `;
+  }
+
+  if (gapIssues.length > 0) {
+    subsections += `
+      <div class="report-subsection">
+        <div class="report-subsection-title">
+          Missing Cells Re-inserted <span class="sub-count">${gapIssues.length}</span>
+        </div>
+        <div class="report-subsection-desc" style="font-size:0.75rem;color:var(--text-dim);margin-bottom:8px">
+          A field was missing entirely (e.g. an empty postcode collapsed), so the following columns slid left. Re-inserted a blank cell and shifted the rest of the row back right.
+        </div>
+        ${renderIssuesList(gapIssues, snapshots)}
       </div>
     `;
   }
@@ -579,22 +2007,81 @@ function renderShiftSection(shipperShifts, consigneeShifts, midRowShifts, goodsS
   `;
 }
 
-function renderNumberSection(numberIssues) {
-  // Group by column for better organization
-  const byCol = {};
-  for (const iss of numberIssues) {
-    const colMatch = (iss.detail || '').match(/Col (\d+)/);
-    const col = colMatch ? `Col ${colMatch[1]}` : 'Other';
-    if (!byCol[col]) byCol[col] = [];
-    byCol[col].push(iss);
+// Titles / descriptions of the per-type fix sections in the report modal.
+const FIX_SECTIONS = {
+  number: {
+    title: 'Number Format Corrections',
+    icon: IC.hash,
+    iconClass: 'number-icon',
+    desc: 'European number formats (comma decimal separator, leading comma/dot) were converted to standard decimal format.',
+  },
+  date: {
+    title: 'Date Conversions',
+    icon: IC.hash,
+    iconClass: 'number-icon',
+    desc: 'Excel serial numbers and compressed numeric dates were converted to DD.MM.YYYY.',
+  },
+  cleanup: {
+    title: 'Text Cleanup',
+    icon: IC.check,
+    iconClass: 'number-icon',
+    desc: 'Leading and trailing line breaks were stripped from text cells.',
+  },
+  manual: {
+    title: 'Manual Edits',
+    icon: IC.check,
+    iconClass: 'number-icon',
+    desc: 'Cells edited by hand in the data grid. The row checks were re-run after each edit.',
+  },
+  duplicate: {
+    title: 'Duplicate Lines',
+    icon: IC.list,
+    iconClass: 'number-icon',
+    desc: 'Declaration lines found more than once across the merged files (same declaration number, position and HS code), with the copy kept for each.',
+  },
+};
+
+/**
+ * Group issues by column ("Col 33 · Freight EUR") or by rule, depending
+ * on the toggle at the top of the report modal.
+ * @returns {Array<[string, Array]>} [label, issues] pairs
+ */
+function groupIssues(issues, by) {
+  const groups = new Map();
+  for (const iss of issues) {
+    let key;
+    if (by === 'rule') {
+      key = ISSUE_RULES[iss.rule] || iss.rule || 'Other';
+    } else if (iss.col != null) {
+      key = iss.header ? `Col ${iss.col} · ${iss.header}` : `Col ${iss.col}`;
+    } else {
+      // Row-level issues (duplicate lines) have no column
+      key = ISSUE_RULES[iss.rule] || 'Other';
+    }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(iss);
   }
+  return [...groups.entries()];
+}
 
-  const colEntries = Object.entries(byCol).sort((a, b) => a[1].length - b[1].length);
+function renderGroupByToggle() {
+  return `
+    <div class="report-groupby">
+      <span>Group fixes by</span>
+      <button class="${reportGroupBy === 'col' ? 'active' : ''}" data-group-by="col">Column</button>
+      <button class="${reportGroupBy === 'rule' ? 'active' : ''}" data-group-by="rule">Rule</button>
+    </div>
+  `;
+}
+
+function renderFixSection(section, fixIssues) {
+  // Smallest groups first so rare fixes stay visible under the cap
+  const groups = groupIssues(fixIssues, reportGroupBy).sort((a, b) => a[1].length - b[1].length);
   const MAX_DISPLAY = 50;
   let displayed = 0;
 
   let subsections = '';
-  for (const [col, items] of colEntries) {
+  for (const [label, items] of groups) {
     const remaining = MAX_DISPLAY - displayed;
     if (remaining <= 0) break;
     const toShow = items.slice(0, remaining);
@@ -602,30 +2089,32 @@ function renderNumberSection(numberIssues) {
     subsections += `
       <div class="report-subsection">
         <div class="report-subsection-title">
-          ${col} <span class="sub-count">${items.length} fix${items.length !== 1 ? 'es' : ''}</span>
+          ${label} <span class="sub-count">${items.length} fix${items.length !== 1 ? 'es' : ''}</span>
         </div>
         ${renderIssuesList(toShow)}
-        ${items.length > toShow.length ? `<div style="font-size:0.72rem;color:var(--text-dim);padding-top:4px">… and ${items.length - toShow.length} more in this column</div>` : ''}
+        ${items.length > toShow.length ? `<div style="font-size:0.72rem;color:var(--text-dim);padding-top:4px">… and ${items.length - toShow.length} more in this group</div>` : ''}
       </div>
     `;
   }
 
+  const colCount = new Set(fixIssues.filter(i => i.col != null).map(i => i.col)).size;
+
   return `
     <div class="report-section">
       <div class="report-section-header">
-        <div class="section-icon number-icon">${IC.hash}</div>
-        <div class="section-title-text">Number Format Corrections</div>
-        <div class="section-count">${numberIssues.length.toLocaleString()} fix${numberIssues.length !== 1 ? 'es' : ''}</div>
+        <div class="section-icon ${section.iconClass}">${section.icon}</div>
+        <div class="section-title-text">${section.title}</div>
+        <div class="section-count">${fixIssues.length.toLocaleString()} fix${fixIssues.length !== 1 ? 'es' : ''}</div>
         <svg class="section-chevron" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"/></svg>
       </div>
       <div class="report-section-body">
         <div class="report-subsection">
           <div class="report-subsection-desc" style="font-size:0.75rem;color:var(--text-dim);margin-bottom:8px">
-            European number formats (comma decimal separator, leading comma/dot) were converted to standard decimal format. Affected ${Object.keys(byCol).length} column${Object.keys(byCol).length !== 1 ? 's' : ''}.
+            ${section.desc}${colCount > 0 ? ` Affected ${colCount} column${colCount !== 1 ? 's' : ''}.` : ''}
           </div>
         </div>
         ${subsections}
-        ${numberIssues.length > MAX_DISPLAY ? `<div style="padding:12px 16px;font-size:0.72rem;color:var(--text-dim)">Showing ${MAX_DISPLAY} of ${numberIssues.length.toLocaleString()} number fixes. All corrections applied successfully.</div>` : ''}
+        ${fixIssues.length > MAX_DISPLAY ? `<div style="padding:12px 16px;font-size:0.72rem;color:var(--text-dim)">Showing ${MAX_DISPLAY} of ${fixIssues.length.toLocaleString()} fixes. All corrections applied successfully.</div>` : ''}
       </div>
     </div>
   `;
@@ -645,41 +2134,69 @@ function renderWarningSection(warningIssues) {
           <div class="report-subsection-desc" style="font-size:0.75rem;color:var(--text-dim);margin-bottom:8px">
             These issues could not be automatically corrected. Please review the affected rows in the output file.
           </div>
-          ${renderIssuesList(warningIssues)}
         </div>
+        ${groupIssues(warningIssues, 'rule').map(([label, items]) => `
+          <div class="report-subsection">
+            <div class="report-subsection-title">
+              ${label} <span class="sub-count">${items.length}</span>
+            </div>
+            ${renderIssuesList(items)}
+          </div>
+        `).join('')}
       </div>
     </div>
   `;
 }
 
-function renderIssuesList(issues) {
+/**
+ * "file.xlsx · Sheet1 · row 42" — where an issue's row came from.
+ */
+function formatSource(src) {
+  if (!src) return '';
+  return [src.file, src.sheet, `row ${src.row}`].filter(Boolean).join(' · ');
+}
+
+/**
+ * @param {Array}  issues
+ * @param {Object} [snapshots] — report.snapshots; rows found there get a
+ *   Diff button (data-diff-row) that opens the before/after view
+ */
+function renderIssuesList(issues, snapshots) {
   return issues.map(iss => {
     // Format the detail nicely — highlight values in code tags
     let detail = iss.detail || '';
     detail = detail.replace(/"([^"]*)"/g, '<code>$1</code>');
     detail = detail.replace(/→/g, ' → ');
+    const source = formatSource(iss.source);
 
     return `
       <div class="report-issue">
         <span class="issue-row">Row ${iss.row}</span>
         <span class="issue-detail">${detail}</span>
+        ${iss.confidence != null ? `<span class="issue-confidence${iss.review === 'pending' ? ' low' : ''}" title="${iss.review === 'pending' ? 'Low confidence — awaiting review' : 'Repair confidence'}">${Math.round(iss.confidence * 100)}%</span>` : ''}
+        ${source ? `<span class="issue-source" title="${source}">${source}</span>` : ''}
+        ${snapshots && snapshots[iss.row] ? `<button class="issue-diff-btn" data-diff-row="${iss.row}" title="Compare the row before and after repair">Diff</button>` : ''}
       </div>
     `;
   }).join('');
 }
 
 function renderFileBreakdown(stats) {
+  const multiSheet = new Set(stats.rowsPerFile.filter((f, i, all) => all.findIndex(o => o.name === f.name) !== i).map(f => f.name));
   const rows = stats.rowsPerFile.map(f => `
     <tr>
-      <td>${f.name}</td>
+      <td>${escapeHtml(f.name)}${multiSheet.has(f.name) ? ` <span class="file-sheet" title="Sheet">› ${escapeHtml(f.sheet)}</span>` : ''}${f.format ? ` <span class="file-format" title="File format">${FORMAT_LABELS[f.format]}</span>` : ''}${f.encoding ? ` <span class="file-encoding" title="Text encoding">${ENCODING_LABELS[f.encoding]}</span>` : ''}${
+        f.headerRow != null && f.headerRow !== f.headerRowConfigured
+          ? ` <span class="file-header-row" title="Header found by its column names, not at the configured row ${escapeHtml(f.headerRowConfigured)}">Header at row ${escapeHtml(f.headerRow)}</span>`
+          : ''}</td>
       <td class="mono">${f.rows.toLocaleString()}</td>
     </tr>
   `).join('');
 
   const skippedRows = (stats.skippedFiles || []).map(f => `
     <tr>
-      <td style="color:var(--danger)">${f.name}</td>
-      <td style="color:var(--danger);font-size:0.75rem">${f.error}</td>
+      <td style="color:var(--danger)">${escapeHtml(f.name)}</td>
+      <td style="color:var(--danger);font-size:0.75rem">${escapeHtml(f.error)}</td>
     </tr>
   `).join('');
 
@@ -689,31 +2206,169 @@ function renderFileBreakdown(stats) {
       <thead><tr><th>File</th><th>Rows</th></tr></thead>
       <tbody>${rows}${skippedRows}</tbody>
     </table>
+    ${renderLayoutReport(stats.layoutReport)}
   `;
 }
 
-function renderPreviewTable(headers, data) {
-  const maxCols = 30;
-  const maxRows = 20;
-  const displayHeaders = (headers[0] || []).slice(0, maxCols);
-  const displayData = data.slice(0, maxRows);
+// How a renamed column was matched (engine.buildLayoutReport `via`)
+const RENAME_VIA_LABEL = {
+  'synonym':       'synonym',
+  'user-synonym':  'your mapping',
+  'normalized':    'encoding / spelling',
+  'edit-distance': 'similar spelling',
+};
 
-  const ths = `<th>#</th>` + displayHeaders.map((h, i) => `<th title="Col ${i}">${h ?? `Col ${i}`}</th>`).join('');
-  const trs = displayData.map((row, r) => {
-    const tds = `<td class="row-idx">${r + 1}</td>` +
-      displayHeaders.map((_, c) => `<td>${row[c] ?? ''}</td>`).join('');
-    return `<tr>${tds}</tr>`;
-  }).join('');
+/**
+ * Layout report under the file breakdown: per file its layout variant
+ * and the columns added, removed, renamed or moved to air-only compared
+ * with the merged header.  A file whose layout differs from the file
+ * before it is highlighted.
+ */
+function renderLayoutReport(report) {
+  if (!report || report.files.length === 0) return '';
+  const label = new Map(report.variants.map(v => [v.id, v.label]));
+  const list = (items) => (items.length === 0
+    ? '<span class="layout-none">—</span>'
+    : `<details><summary>${items.length}</summary>${items.join('<br>')}</details>`);
+
+  const rows = report.files.map((f, i) => `
+    <tr class="${i > 0 && f.variant !== report.files[i - 1].variant ? 'layout-changed' : ''}">
+      <td>${escapeHtml(f.file)}</td>
+      <td>${label.get(f.variant)}</td>
+      <td>${list(f.added.map(escapeHtml))}</td>
+      <td>${list(f.removed.map(escapeHtml))}</td>
+      <td>${list(f.renamed.map(r => `<code>${escapeHtml(r.header)}</code> → <code>${escapeHtml(r.matched)}</code> <span class="layout-via">${escapeHtml(RENAME_VIA_LABEL[r.via] || r.via)}</span>`))}</td>
+      <td>${list(f.airOnly.map(escapeHtml))}</td>
+    </tr>
+  `).join('');
 
-  $('#preview-section').innerHTML = `
-    <h3>${IC.table} Data Preview <span style="font-weight:400;color:var(--text-muted);font-size:0.78rem">(first ${maxRows} rows, ${maxCols} columns)</span></h3>
-    <div class="preview-wrapper">
-      <table class="preview-table">
-        <thead><tr>${ths}</tr></thead>
-        <tbody>${trs}</tbody>
-      </table>
-    </div>
+  const n = report.variants.length;
+  return `
+    <h3>${IC.list} Layout Report</h3>
+    <p class="layout-summary${n > 1 ? ' drift' : ''}">
+      ${n} layout${n > 1 ? 's' : ''} across ${report.files.length} file${report.files.length > 1 ? 's' : ''} · merged header ${report.unifiedColumns} columns
+    </p>
+    <table class="breakdown-table layout-table">
+      <thead><tr><th>File</th><th>Layout</th><th>Added</th><th>Removed</th><th>Renamed</th><th>Air-only</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Full data grid over the merged result (grid.js).  Provenance columns
+ * are prepended when the "Source columns" toggle is on.
+ */
+function renderDataGrid(headers, data, provenance) {
+  if (dataGrid) dataGrid.destroy();
+
+  const unified = headers[0] || [];
+  const width = Math.max(unified.length, ...data.slice(0, 50).map(r => r.length));
+  const columns = [];
+  if (showSource && provenance) {
+    const keys = ['file', 'sheet', 'row'];
+    PROVENANCE_HEADERS.forEach((h, k) => columns.push({
+      label: h,
+      className: 'source-cell',
+      get: (i) => (provenance[i] || {})[keys[k]],
+    }));
+  }
+  updateCellMarks((mergedResult.stats.validation || {}).issues || []);
+  for (let c = 0; c < width; c++) {
+    columns.push({
+      label: unified[c] ?? `Col ${c}`,
+      title: `Col ${c}${unified[c] ? ` · ${unified[c]}` : ''}`,
+      get: (i) => data[i][c],
+      set: (i, text) => handleCellEdit(i, c, text),
+      cellClass: (i) => gridMarks.get(`${i}:${c}`),
+    });
+  }
+
+  const section = $('#preview-section');
+  section.innerHTML = `
+    <h3>${IC.table} Data <span style="font-weight:400;color:var(--text-muted);font-size:0.78rem">(${data.length.toLocaleString()} rows, ${width} columns · double-click a cell to edit)</span></h3>
+    <div id="data-grid"></div>
   `;
+  dataGrid = createDataGrid($('#data-grid'), {
+    columns,
+    rowCount: data.length,
+    rowClass: (i) => (reviewRows.has(i) ? 'row-review' : ''),
+  });
+}
+
+/**
+ * Rebuild the grid cell classes for warnings, manual edits and pending
+ * repairs, and the rows whose repairs await review (marked in the #
+ * column).  A warning outranks an edit on the same cell.
+ */
+function updateCellMarks(issues) {
+  gridMarks.clear();
+  reviewRows.clear();
+  for (const iss of issues) {
+    if ((iss.type === 'shift' || iss.type === 'gap') && iss.review === 'pending') reviewRows.add(iss.row - 1);
+    if (iss.col == null) continue;
+    const key = `${iss.row - 1}:${iss.col}`;
+    if (iss.type === 'warning') gridMarks.set(key, 'cell-warning');
+    else if (iss.type === 'manual' && !gridMarks.has(key)) gridMarks.set(key, 'cell-manual');
+    else if ((iss.type === 'shift' || iss.type === 'gap') && iss.review === 'pending' && !gridMarks.has(key)) gridMarks.set(key, 'cell-review');
+  }
+}
+
+/**
+ * Typed value for an edited cell: numbers stay numbers when the cell
+ * held a number, empty input clears the cell.
+ */
+function parseEditValue(text, before) {
+  const t = text.trim();
+  if (t === '') return null;
+  if (typeof before === 'number') {
+    const n = Number(t.replace(',', '.'));
+    if (Number.isFinite(n)) return n;
+  }
+  return t;
+}
+
+/**
+ * Apply a manual edit from the data grid: store the value, re-run the
+ * broker's row checks, log a `manual` issue and refresh the counts.
+ */
+function handleCellEdit(rowIndex, col, text) {
+  const row = mergedResult.data[rowIndex];
+  const before = row[col] ?? null;
+  const after = parseEditValue(text, before);
+  if (after === before) return;
+  row[col] = after;
+
+  const v = mergedResult.stats.validation;
+  const rowNumber = rowIndex + 1;
+  const source = mergedResult.provenance ? mergedResult.provenance[rowIndex] : undefined;
+  const fresh = [
+    manualEditIssue(rowNumber, col, before, after, mergedResult.headers),
+    ...revalidateRow(row, rowNumber, selectedBroker, mergedResult.headers),
+  ];
+  if (source) fresh.forEach(iss => { iss.source = source; });
+
+  // Replace the row's warnings, keep issues in row order
+  const kept = v.issues.filter(i => !(i.row === rowNumber && i.type === 'warning'));
+  let at = kept.findIndex(i => i.row > rowNumber);
+  if (at < 0) at = kept.length;
+  kept.splice(at, 0, ...fresh);
+  v.issues = kept;
+  recountReport(v);
+  mergedResult.stats.validationSummary = reportSummary(v);
+
+  // Refresh in place so the grid keeps its sort/filter state
+  updateCellMarks(v.issues);
+  dataGrid.refresh();
+
+  renderStatsCards(mergedResult.stats);
+  renderValidationPanel(v);
+
+  const warns = fresh.filter(i => i.type === 'warning').length;
+  toast(warns > 0 ? `Row ${rowNumber}: ${warns} warning${warns > 1 ? 's' : ''} remain` : `Row ${rowNumber} passes the checks`, warns > 0 ? 'error' : 'success');
+
+  clearTimeout(persistTimer);
+  persistTimer = setTimeout(persistSession, 1000);
 }
 
 /* ───────────────────────────────────────────────
@@ -721,34 +2376,118 @@ function renderPreviewTable(headers, data) {
    ─────────────────────────────────────────────── */
 
 async function handleMerge() {
-  if (!selectedBroker || !uploadedFiles.length) return;
+  if (!selectedBroker || !uploadedFiles.length || activeMerge) return;
 
-  showLoading('Parsing files…');
+  showLoading('Parsing files…', { cancellable: true });
 
   try {
-    mergedResult = await mergeFiles(uploadedFiles, selectedBroker, (msg) => {
-      $('#loading-text').textContent = msg;
-    });
+    // Files whose contents clearly belong to another broker are merged
+    // in their own group rather than through the selected card's rules.
+    await detectFiles(uploadedFiles);
+    const { groups } = groupFilesByBroker(uploadedFiles, fileDetections, selectedBroker);
+
+    const results = [];
+    for (const group of groups) {
+      const prefix = groups.length > 1 ? `${group.broker.label}: ` : '';
+      const result = await mergeGroup(group, prefix);
+      results.push({ broker: group.broker, files: group.files, result });
+    }
+    activeMerge = null;
+    mergedGroups = results;
+
+    const active = mergedGroups.find(g => g.broker.id === selectedBroker.id) || mergedGroups[0];
+    selectedBroker = active.broker;
+    mergedResult = active.result;
+
+    currentSession = recordMerges(currentSession, mergedGroups.map(g => ({
+      brokerId: g.broker.id,
+      files: g.files.map(f => describeFile(f, g.broker.id)),
+      result: g.result,
+    })));
+    persistSession();
 
     hideLoading();
     renderDashboard();
     showView('result');
-    toast(`Merged ${mergedResult.stats.totalRows.toLocaleString()} rows from ${mergedResult.stats.totalFiles} file${mergedResult.stats.totalFiles > 1 ? 's' : ''}`, 'success');
+    if (mergedGroups.length > 1) {
+      toast(`Merged ${mergedGroups.length} broker groups separately`, 'success');
+    } else {
+      toast(`Merged ${mergedResult.stats.totalRows.toLocaleString()} rows from ${mergedResult.stats.totalFiles} file${mergedResult.stats.totalFiles > 1 ? 's' : ''}`, 'success');
+    }
   } catch (err) {
+    activeMerge = null;
     hideLoading();
+    if (isAbortError(err)) {
+      // Nothing was committed yet — the upload view is still intact.
+      toast('Merge cancelled', 'info');
+      return;
+    }
     toast('Merge failed: ' + err.message, 'error');
     console.error(err);
   }
 }
 
+/**
+ * Merge one broker group.  When header alignment leaves columns
+ * unmatched, the mapping dialog is shown and the merge re-run with the
+ * confirmed synonyms; cancelling the dialog cancels the merge.
+ * Duplicate declaration lines in the finished merge are resolved in
+ * the duplicates dialog.
+ */
+async function mergeGroup(group, prefix) {
+  let userSynonyms = getUserHeaderSynonyms(group.broker.id);
+  for (;;) {
+    activeMerge = startMerge(group.files, group.broker, (msg, info) => {
+      $('#loading-text').textContent = prefix + msg;
+      $('#loading-detail').textContent = formatProgressDetail(info);
+    }, { userSynonyms, stopOnUnmatched: true, sheets: group.files.map(f => fileSheets.get(f) || null) });
+    const result = await activeMerge.promise;
+    activeMerge = null;
+    if (!result.unmatchedHeaders) {
+      if (result.stats.duplicates && result.stats.duplicates.length > 0) {
+        hideLoading();
+        resolveDuplicates(result, await askDuplicateDecisions(group.broker, result));
+        showLoading(prefix + 'Finishing merge…');
+      }
+      return result;
+    }
+
+    hideLoading();
+    const chosen = await askHeaderMapping(group.broker, result.unmatchedHeaders);
+    if (!chosen) throw new DOMException('Merge cancelled', 'AbortError');
+    putUserHeaderSynonyms(group.broker.id, chosen);
+    userSynonyms = { ...userSynonyms, ...chosen };
+    showLoading(prefix + 'Parsing files…', { cancellable: true });
+  }
+}
+
+function handleCancelMerge() {
+  if (!activeMerge) return;
+  $('#loading-text').textContent = 'Cancelling…';
+  activeMerge.cancel();
+}
+
 /* ───────────────────────────────────────────────
    Download handler
    ─────────────────────────────────────────────── */
 
 function handleDownload() {
   if (!mergedResult) return;
+  const v = mergedResult.stats.validation;
+  if (v && pendingReviews(v).length > 0) {
+    openReviewModal(v, { beforeExport: true });
+    return;
+  }
+  downloadResult();
+}
+
+function downloadResult() {
   const fileName = `${selectedBroker.label}_Consolidated_${new Date().toISOString().slice(0, 10)}.xlsx`;
-  downloadExcel(mergedResult.headers, mergedResult.data, fileName, mergedResult.airOnly);
+  downloadExcel(mergedResult.headers, mergedResult.data, fileName, mergedResult.airOnly, {
+    provenance: showSource ? mergedResult.provenance : null,
+    issues: (mergedResult.stats.validation || {}).issues,
+    layoutReport: mergedResult.stats.layoutReport,
+  });
   toast('Download started', 'success');
 }
 
@@ -817,6 +2556,7 @@ function handleOpenAnalytics() {
       } else {
         storedReports.push(report);
       }
+      persistSession();
 
       renderAnalyticsDashboard(analytics);
       hideLoading();
@@ -837,7 +2577,7 @@ function renderAnalyticsDashboard(analytics) {
   $('#analytics-header').innerHTML = `
     <div class="broker-logo-lg">${b.logoIcon}</div>
     <div class="result-info">
-      <h2>${b.label} — Import Analytics</h2>
+      <h2>${escapeHtml(b.label)} — Import Analytics</h2>
       <p>${analytics.totalRows.toLocaleString()} declarations analyzed · ${analytics.kpis.monthsCovered} month${analytics.kpis.monthsCovered !== 1 ? 's' : ''} · ${analytics.kpis.uniqueCountries} countr${analytics.kpis.uniqueCountries !== 1 ? 'ies' : 'y'}</p>
     </div>
   `;
@@ -898,7 +2638,7 @@ function handleOpenOverallAnalytics() {
 }
 
 function renderOverallDashboard(overall) {
-  const brokerNames = storedReports.map(r => r.brokerLabel).join(', ');
+  const brokerNames = storedReports.map(r => escapeHtml(r.brokerLabel)).join(', ');
 
   // Header
   $('#overall-header').innerHTML = `
@@ -940,39 +2680,51 @@ function renderOverallDashboard(overall) {
 
 function init() {
   renderBrokerGrid();
+  renderSessionList();
   setupUpload();
+  setupDetectZone();
+  setupWizard();
+  setupMappingDialog();
+  setupDuplicatesDialog();
 
   // Navigation buttons
   $('#btn-back-broker').addEventListener('click', () => {
     uploadedFiles = [];
+    fileDetections.clear();
     renderFileList();
     renderBrokerGrid();
     showView('broker');
   });
 
   $('#btn-merge').addEventListener('click', handleMerge);
+  $('#btn-cancel-merge').addEventListener('click', handleCancelMerge);
   $('#btn-download').addEventListener('click', handleDownload);
+  $('#btn-export-session').addEventListener('click', handleExportSession);
+  $('#btn-load-broker').addEventListener('click', () => $('#load-broker-input').click());
+  $('#load-broker-input').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) handleLoadBrokerDefinition(file);
+  });
+  $('#btn-import-session').addEventListener('click', () => $('#import-session-input').click());
+  $('#import-session-input').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) handleImportSession(file);
+  });
+  $('#toggle-source').addEventListener('change', (e) => {
+    showSource = e.target.checked;
+    if (mergedResult) renderDataGrid(mergedResult.headers, mergedResult.data, mergedResult.provenance);
+  });
 
   $('#btn-back-upload').addEventListener('click', () => showView('upload'));
-  $('#btn-new-session').addEventListener('click', () => {
-    selectedBroker = null;
-    uploadedFiles = [];
-    mergedResult = null;
-    renderBrokerGrid();
-    showView('broker');
-  });
+  $('#btn-new-session').addEventListener('click', startNewMerge);
 
   // Analytics buttons
   $('#btn-analytics').addEventListener('click', handleOpenAnalytics);
   $('#btn-back-result').addEventListener('click', () => showView('result'));
   $('#btn-download-analytics').addEventListener('click', handleDownload);
-  $('#btn-new-session-analytics').addEventListener('click', () => {
-    selectedBroker = null;
-    uploadedFiles = [];
-    mergedResult = null;
-    renderBrokerGrid();
-    showView('broker');
-  });
+  $('#btn-new-session-analytics').addEventListener('click', startNewMerge);
 
   // Overall Analytics buttons
   $('#btn-back-broker-overall').addEventListener('click', () => {
@@ -981,6 +2733,7 @@ function init() {
   });
   $('#btn-clear-reports').addEventListener('click', () => {
     storedReports = [];
+    persistSession();
     renderBrokerGrid();
     showView('broker');
     toast('All stored reports cleared', 'info');
@@ -1007,13 +2760,35 @@ function init() {
     if (e.target === $('#chart-info-modal')) closeChartInfo();
   });
 
+  // Shift diff modal — close handlers
+  $('#diff-close').addEventListener('click', closeDiffModal);
+  $('#diff-modal').addEventListener('click', (e) => {
+    if (e.target === $('#diff-modal')) closeDiffModal();
+  });
+
+  // Repair review modal — close handlers
+  $('#review-close').addEventListener('click', closeReviewModal);
+  $('#review-modal').addEventListener('click', (e) => {
+    if (e.target === $('#review-modal')) closeReviewModal();
+  });
+
   // Escape key — close whichever modal is open
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
       if ($('#chart-info-modal').classList.contains('active')) closeChartInfo();
+      else if ($('#wizard-modal').classList.contains('active')) closeWizard();
+      else if ($('#mapping-modal').classList.contains('active')) closeMappingDialog(null);
+      else if ($('#duplicates-modal').classList.contains('active')) closeDuplicatesDialog(null);
+      else if ($('#diff-modal').classList.contains('active')) closeDiffModal();
+      else if ($('#review-modal').classList.contains('active')) closeReviewModal();
       else if ($('#report-modal').classList.contains('active')) closeReportModal();
     }
   });
+
+  loadStartupBrokers().then(() => {
+    renderBrokerGrid();
+    restoreLastSession();
+  });
 }
 
 init();
@@ -0,0 +1,383 @@
+/**
+ * Declarative broker definitions.
+ *
+ * A broker can be described as plain JSON instead of code: layout, CSV
+ * delimiter or fixed-width columns, footer and sheet rules, header
+ * synonyms, air-only columns, typed columns for the validator and the
+ * field mapping for analytics.
+ * compileBrokerDefinition() turns a definition into the same object shape
+ * as the hand-written entries in BROKERS (brokers.js), so the engine,
+ * validator, detector and analytics need no special casing.
+ *
+ * Definitions come from three places: built-in ones in brokers.js, an
+ * optional `brokers.json` deployed next to the app (fetched at startup)
+ * and files the user loads on the broker view (kept in localStorage,
+ * see storage.js).
+ *
+ * Example:
+ *   {
+ *     "id": "ACME", "label": "Acme Customs",
+ *     "headerRows": 1, "headerStartRow": 0, "dataStartRow": 1,
+ *     "csvDelimiter": ";",
+ *     "fixedWidth": { "widths": [10, 12, 30, 14] },
+ *     "footer": { "minFilled": 2, "ignoreValues": ["0", "0,00"] },
+ *     "sheet": { "pattern": "^import", "fileNamePattern": "luft" },
+ *     "headerSynonyms": { "Old Name": "New Name" },
+ *     "airOnlyColumns": ["AWB"],
+ *     "columns": { "numeric": ["Zollwert"], "date": ["Datum"],
+ *                  "country": ["Ursprung"], "hsCode": ["Tarifnummer"] },
+ *     "fields": { "hsCode": ["Tarifnummer"], "customsValue": ["Zollwert"] },
+ *     "numberFormat": "comma-decimal", "dateFormat": "DD.MM.YYYY",
+ *     "fingerprint": { "headerKeywords": ["Zollwert"], "fileNamePattern": "acme" }
+ *   }
+ *
+ * All patterns are regular expression source strings, matched
+ * case-insensitively.
+ */
+
+import { NUMBER_FORMATS, DATE_FORMATS } from './validator.js';
+
+/* ───────────────────────────────────────────────
+   Schema
+   ─────────────────────────────────────────────── */
+
+const STRING_LIST = { type: 'array', items: { type: 'string', minLength: 1 } };
+const REGEX = { type: 'string', minLength: 1, format: 'regex' };
+const COLOR = { type: 'string', pattern: '^#[0-9a-fA-F]{3,8}$' };
+
+/**
+ * JSON Schema (draft-07 subset) of a broker definition.  Checked by
+ * validateBrokerDefinition(); the keywords it uses are the ones
+ * checkSchema() understands.
+ */
+export const BROKER_DEFINITION_SCHEMA = {
+  type: 'object',
+  required: ['id', 'label', 'headerRows', 'dataStartRow'],
+  additionalProperties: false,
+  properties: {
+    id:             { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+    label:          { type: 'string', minLength: 1 },
+    headerRows:     { type: 'integer', minimum: 1 },
+    headerStartRow: { type: 'integer', minimum: 0 },
+    dataStartRow:   { type: 'integer', minimum: 0 },
+    csvDelimiter:   { type: 'string', minLength: 1, maxLength: 1 },
+    // Column widths of fixed-width TXT exports; {} infers them
+    fixedWidth: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        widths: { type: 'array', items: { type: 'integer', minimum: 1 } },
+      },
+    },
+    color:          COLOR,
+    textColor:      COLOR,
+    accent:         COLOR,
+    capabilities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'text'],
+        additionalProperties: false,
+        properties: {
+          category: { type: 'string', minLength: 1 },
+          icon:     { type: 'string' },
+          text:     { type: 'string', minLength: 1 },
+        },
+      },
+    },
+    footer: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        minFilled:    { type: 'integer', minimum: 0 },
+        ignoreValues: { type: 'array', items: { type: ['string', 'number'] } },
+      },
+    },
+    sheet: {
+      type: 'object',
+      required: ['pattern'],
+      additionalProperties: false,
+      properties: {
+        pattern:         REGEX,
+        fileNamePattern: REGEX,
+      },
+    },
+    headerSynonyms: { type: 'object', additionalProperties: { type: 'string' } },
+    airOnlyColumns: STRING_LIST,
+    columns: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        numeric: STRING_LIST,
+        date:    STRING_LIST,
+        country: STRING_LIST,
+        hsCode:  STRING_LIST,
+      },
+    },
+    fields: { type: 'object', additionalProperties: STRING_LIST },
+    numberFormat: { type: 'string', enum: Object.keys(NUMBER_FORMATS) },
+    dateFormat:   { type: 'string', enum: Object.keys(DATE_FORMATS) },
+    fingerprint: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        columnCounts:     { type: 'array', items: { type: 'integer', minimum: 1 } },
+        headerKeywords:   STRING_LIST,
+        fileNamePattern:  REGEX,
+        sheetNamePattern: REGEX,
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function isRegex(s) {
+  try {
+    new RegExp(s);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check `value` against a schema node, pushing "path: message" strings
+ * onto `errors`.
+ */
+function checkSchema(value, schema, path, errors) {
+  const actual = typeOf(value);
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(t => t === actual || (t === 'number' && actual === 'integer'))) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${actual}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: must not be empty`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: at most ${schema.maxLength} character(s)`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+    if (schema.format === 'regex' && !isRegex(value)) errors.push(`${path}: not a valid regular expression`);
+  }
+
+  if ((actual === 'integer' || actual === 'number') && schema.minimum != null && value < schema.minimum) {
+    errors.push(`${path}: must be ≥ ${schema.minimum}`);
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, errors));
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (props[key]) checkSchema(v, props[key], childPath, errors);
+      else if (schema.additionalProperties === false) errors.push(`${childPath}: unknown property`);
+      else if (typeof schema.additionalProperties === 'object') checkSchema(v, schema.additionalProperties, childPath, errors);
+    }
+  }
+}
+
+/**
+ * Validate a broker definition against BROKER_DEFINITION_SCHEMA plus the
+ * rules a schema cannot express.
+ *
+ * @param {*} def
+ * @returns {string[]} error messages, empty when the definition is valid
+ */
+export function validateBrokerDefinition(def) {
+  const errors = [];
+  checkSchema(def, BROKER_DEFINITION_SCHEMA, '', errors);
+  if (errors.length > 0) return errors.map(e => e.replace(/^: /, 'definition: '));
+
+  const headerEnd = (def.headerStartRow ?? 0) + def.headerRows;
+  if (def.dataStartRow < headerEnd) {
+    errors.push(`dataStartRow: must be ≥ ${headerEnd} (after the header rows)`);
+  }
+  return errors;
+}
+
+/* ───────────────────────────────────────────────
+   Compilation
+   ─────────────────────────────────────────────── */
+
+const isEmpty = (v) => v == null || v === '';
+
+function escapeXml(s) {
+  return String(s).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+/** Card logo of a definition broker: the label on the brand colour. */
+function defaultLogo(label, color, textColor) {
+  return `<svg viewBox="0 0 120 40" fill="none" xmlns="http://www.w3.org/2000/svg">
+      <rect width="120" height="40" rx="6" fill="${color}"/>
+      <text x="60" y="26" text-anchor="middle" font-family="Arial,sans-serif" font-size="13" font-weight="700" fill="${textColor}">${escapeXml(label.slice(0, 16))}</text>
+    </svg>`;
+}
+
+/** Capability lines for the broker card, from what the definition declares. */
+function defaultCapabilities(def) {
+  const caps = [{ category: 'Parsing', icon: 'layers', text: `Declarative definition, header at row ${(def.headerStartRow ?? 0) + 1}` }];
+  const cols = def.columns || {};
+  if (cols.numeric || cols.date || def.numberFormat || def.dateFormat) caps.push({ category: 'Normalise', icon: 'decimal', text: 'Numbers & dates in the declared columns' });
+  if (cols.country || cols.hsCode) caps.push({ category: 'Validate', icon: 'shield', text: 'HS code & country code checks' });
+  if (def.headerSynonyms) caps.push({ category: 'Align', icon: 'align', text: 'Header alignment through synonyms' });
+  return caps;
+}
+
+/**
+ * Footer rule: rows with fewer than `minFilled` cells that hold a value
+ * are skipped; values listed in `ignoreValues` (e.g. 0, "0,00") don't
+ * count as a value.
+ */
+function footerRule(footer = {}) {
+  const minFilled = footer.minFilled ?? 2;
+  const ignore = new Set((footer.ignoreValues || []).map(String));
+  return (row) => {
+    if (!row || row.length < minFilled) return true;
+    return row.filter(c => !isEmpty(c) && !ignore.has(String(c))).length < minFilled;
+  };
+}
+
+/**
+ * Sheet rule: the first sheet whose name matches `pattern`, tried only
+ * for file names matching `fileNamePattern` (when set); else the first
+ * sheet.
+ */
+function sheetRule(sheet) {
+  const pattern = new RegExp(sheet.pattern, 'i');
+  const fileNamePattern = sheet.fileNamePattern ? new RegExp(sheet.fileNamePattern, 'i') : null;
+  return (sheetNames, fileName) => {
+    if (fileNamePattern && !fileNamePattern.test(fileName || '')) return sheetNames[0];
+    return sheetNames.find(n => pattern.test(n)) || sheetNames[0];
+  };
+}
+
+/**
+ * Turn a valid definition into a broker object (see BROKERS).  The
+ * definition itself is kept as `broker.definition` — it is plain JSON,
+ * so it can be posted to the merge worker and stored.
+ *
+ * Definitions are shared as files, so they cannot bring their own logo
+ * markup (it is rendered as HTML); the card shows the label on the brand
+ * colour.  Built-in brokers pass their logo in `options.logoIcon`.
+ *
+ * @param {Object} def — passes validateBrokerDefinition()
+ * @param {Object} [options]
+ * @param {string} [options.logoIcon] — trusted SVG markup (built-in brokers only)
+ * @returns {Object} broker
+ */
+export function compileBrokerDefinition(def, { logoIcon } = {}) {
+  const color = def.color || '#334155';
+  const textColor = def.textColor || '#FFFFFF';
+  const broker = {
+    id: def.id,
+    label: def.label,
+    headerRows: def.headerRows,
+    headerStartRow: def.headerStartRow ?? 0,
+    dataStartRow: def.dataStartRow,
+    color,
+    textColor,
+    accent: def.accent || color,
+    logoIcon: logoIcon || defaultLogo(def.label, color, textColor),
+    capabilities: def.capabilities || defaultCapabilities(def),
+    isFooterRow: footerRule(def.footer),
+    definition: def,
+  };
+
+  if (def.csvDelimiter) broker.csvDelimiter = def.csvDelimiter;
+  if (def.fixedWidth) broker.fixedWidth = { ...def.fixedWidth };
+  if (def.sheet) broker.sheetSelector = sheetRule(def.sheet);
+  if (def.headerSynonyms) broker.headerSynonyms = { ...def.headerSynonyms };
+  if (def.airOnlyColumns) broker.airOnlyColumns = [...def.airOnlyColumns];
+  if (def.fields) broker.headerMap = def.fields;
+  if (def.columns) broker.columnTypes = def.columns;
+  if (def.numberFormat) broker.numberFormat = def.numberFormat;
+  if (def.dateFormat) broker.dateFormat = def.dateFormat;
+
+  const fp = def.fingerprint || {};
+  broker.fingerprint = {};
+  if (fp.columnCounts) broker.fingerprint.columnCounts = [...fp.columnCounts];
+  if (fp.headerKeywords) broker.fingerprint.headerKeywords = [...fp.headerKeywords];
+  if (fp.fileNamePattern) broker.fingerprint.fileNamePattern = new RegExp(fp.fileNamePattern, 'i');
+  if (fp.sheetNamePattern) broker.fingerprint.sheetNamePattern = new RegExp(fp.sheetNamePattern, 'i');
+
+  return broker;
+}
+
+/* ───────────────────────────────────────────────
+   Loading
+   ─────────────────────────────────────────────── */
+
+/**
+ * Parse and validate broker definitions from a JSON string or an already
+ * parsed value: a single definition, an array of them, or
+ * `{ "brokers": [...] }`.  Invalid definitions are skipped and reported.
+ *
+ * @param {string|Object|Array} input
+ * @returns {{ brokers: Object[], errors: string[] }} compiled brokers and
+ *   messages prefixed with the definition id (or its position)
+ */
+export function parseBrokerDefinitions(input) {
+  let value = input;
+  if (typeof input === 'string') {
+    try {
+      value = JSON.parse(input);
+    } catch (err) {
+      return { brokers: [], errors: [`Not valid JSON: ${err.message}`] };
+    }
+  }
+
+  const defs = Array.isArray(value) ? value
+    : value && Array.isArray(value.brokers) ? value.brokers
+      : [value];
+
+  const brokers = [];
+  const errors = [];
+  const seen = new Set();
+  defs.forEach((def, i) => {
+    const name = def && typeof def.id === 'string' ? def.id : `#${i + 1}`;
+    const problems = validateBrokerDefinition(def);
+    if (problems.length === 0 && seen.has(def.id)) problems.push('id: defined twice in this file');
+    if (problems.length > 0) {
+      errors.push(...problems.map(p => `${name}: ${p}`));
+      return;
+    }
+    seen.add(def.id);
+    brokers.push(compileBrokerDefinition(def));
+  });
+  return { brokers, errors };
+}
+
+/**
+ * Add brokers to a broker list (BROKERS), replacing entries with the same
+ * id.  Mutates `list`.
+ *
+ * @returns {string[]} ids that replaced an existing entry
+ */
+export function registerBrokers(list, brokers) {
+  const replaced = [];
+  for (const broker of brokers) {
+    const idx = list.findIndex(b => b.id === broker.id);
+    if (idx >= 0) {
+      list[idx] = broker;
+      replaced.push(broker.id);
+    } else {
+      list.push(broker);
+    }
+  }
+  return replaced;
+}
@@ -0,0 +1,205 @@
+/**
+ * Custom broker wizard — the pure part.
+ *
+ * The wizard on the broker view (app.js) walks the user through a sample
+ * report: pick the header row and the first data row, tag columns with
+ * semantic fields, choose the number and date layout, and save.  The
+ * result is a declarative broker definition (broker-defs.js), so a custom
+ * broker goes through mergeFiles, validateAndFix and aggregateData like
+ * K+N or DB Schenker do.
+ *
+ * Everything here works on the sample sheet as an array of rows and has
+ * no DOM access.
+ */
+
+import { NUMBER_FORMATS, DATE_FORMATS, parseFormattedNumber, parseFormattedDate } from './validator.js';
+
+/**
+ * Semantic fields a column can be tagged with, in the order the picker
+ * lists them.  The names are the headerMap / analytics field names;
+ * `kind` marks the fields whose values are numbers or dates.
+ */
+export const WIZARD_FIELDS = [
+  { field: 'date',            label: 'Declaration date', kind: 'date' },
+  { field: 'declarationNo',   label: 'Declaration number / MRN' },
+  { field: 'positionNo',      label: 'Position / item number' },
+  { field: 'hsCode',          label: 'HS code' },
+  { field: 'description',     label: 'Goods description' },
+  { field: 'countryOfOrigin', label: 'Country of origin' },
+  { field: 'shipperName',     label: 'Shipper name' },
+  { field: 'shipperCountry',  label: 'Shipper / dispatch country' },
+  { field: 'consigneeName',   label: 'Consignee name' },
+  { field: 'incoterm',        label: 'Incoterm' },
+  { field: 'procedureCode',   label: 'Procedure code' },
+  { field: 'invoiceValue',    label: 'Invoice value', kind: 'number' },
+  { field: 'currency',        label: 'Invoice currency' },
+  { field: 'exchangeRate',    label: 'Exchange rate', kind: 'number' },
+  { field: 'customsValue',    label: 'Customs value', kind: 'number' },
+  { field: 'dutyRate',        label: 'Duty rate', kind: 'number' },
+  { field: 'dutyAmount',      label: 'Duty', kind: 'number' },
+  { field: 'eustValue',       label: 'Import VAT base', kind: 'number' },
+  { field: 'vatAmount',       label: 'Import VAT', kind: 'number' },
+  { field: 'grossWeight',     label: 'Gross weight', kind: 'number' },
+  { field: 'netWeight',       label: 'Net weight', kind: 'number' },
+  { field: 'freightCost',     label: 'Freight costs', kind: 'number' },
+  { field: 'packageCount',    label: 'Packages', kind: 'number' },
+];
+
+/** 'number' | 'date' | undefined for a WIZARD_FIELDS field name. */
+export function fieldKind(field) {
+  const f = WIZARD_FIELDS.find(w => w.field === field);
+  return f ? f.kind : undefined;
+}
+
+// Rows scanned for the header row.
+const HEADER_SCAN_ROWS = 20;
+
+const isEmpty = (v) => v == null || v === '';
+
+/**
+ * Guess the header row of a sample: the first row, among the top ones,
+ * with the most non-empty text cells.
+ *
+ * @param {Array[]} rows
+ * @returns {number} zero-based row index (0 for an empty sample)
+ */
+export function guessHeaderRow(rows) {
+  let best = 0;
+  let bestCount = 0;
+  const limit = Math.min(rows.length, HEADER_SCAN_ROWS);
+  for (let r = 0; r < limit; r++) {
+    const count = (rows[r] || []).filter(c => typeof c === 'string' && c.trim() !== '' && isNaN(Number(c))).length;
+    if (count > bestCount) {
+      best = r;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Suggest a field per column from the header names other brokers already
+ * map (their headerMap).  Each field is suggested once, for the first
+ * column that matches it.
+ *
+ * @param {Array}    headerRow
+ * @param {Object[]} brokers — BROKERS
+ * @returns {(string|null)[]} field per column
+ */
+export function suggestFields(headerRow, brokers) {
+  const byName = new Map();
+  for (const b of brokers) {
+    for (const [field, names] of Object.entries(b.headerMap || {})) {
+      if (!WIZARD_FIELDS.some(f => f.field === field)) continue;
+      for (const name of names) {
+        const key = name.trim().toLowerCase();
+        if (!byName.has(key)) byName.set(key, field);
+      }
+    }
+  }
+
+  const used = new Set();
+  return (headerRow || []).map(h => {
+    if (isEmpty(h)) return null;
+    const field = byName.get(String(h).trim().toLowerCase());
+    if (!field || used.has(field)) return null;
+    used.add(field);
+    return field;
+  });
+}
+
+/**
+ * Suggest number and date layouts from the sample values of the tagged
+ * columns: the layout that reads the most values, preferring the first
+ * listed on a tie.  'auto' when no tagged value is text in a known layout.
+ *
+ * @param {Array[]}          dataRows
+ * @param {(string|null)[]}  tags — field per column
+ * @returns {{ numberFormat: string, dateFormat: string }}
+ */
+export function suggestFormats(dataRows, tags) {
+  const numberValues = [];
+  const dateValues = [];
+  tags.forEach((field, col) => {
+    if (!field) return;
+    for (const row of dataRows) {
+      const v = row && row[col];
+      if (typeof v !== 'string' || v.trim() === '') continue;
+      if (fieldKind(field) === 'number') numberValues.push(v);
+      else if (fieldKind(field) === 'date') dateValues.push(v);
+    }
+  });
+
+  const pick = (formats, values, parse) => {
+    let best = 'auto';
+    let bestHits = 0;
+    for (const format of Object.keys(formats)) {
+      const hits = values.filter(v => parse(v, format) !== null).length;
+      if (hits > bestHits) {
+        best = format;
+        bestHits = hits;
+      }
+    }
+    return best;
+  };
+
+  // Plain integers read the same either way — only values with a
+  // separator tell the layouts apart.
+  const separated = numberValues.filter(v => /[.,]/.test(v));
+  return {
+    numberFormat: pick(NUMBER_FORMATS, separated, parseFormattedNumber),
+    dateFormat: pick(DATE_FORMATS, dateValues, parseFormattedDate),
+  };
+}
+
+/**
+ * Broker id from a label: upper case, other characters → "_", made
+ * unique against `existingIds` with a numeric suffix.
+ */
+export function makeBrokerId(label, existingIds = []) {
+  const base = String(label).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'CUSTOM';
+  let id = base;
+  for (let n = 2; existingIds.includes(id); n++) id = `${base}_${n}`;
+  return id;
+}
+
+/**
+ * Build the broker definition the wizard saves.
+ *
+ * @param {Object} state
+ * @param {string} state.id
+ * @param {string} state.label
+ * @param {Array[]} state.rows          — sample sheet rows
+ * @param {number} state.headerRow      — zero-based
+ * @param {number} state.dataStartRow   — zero-based
+ * @param {(string|null)[]} state.tags  — field per column
+ * @param {string} [state.numberFormat] — NUMBER_FORMATS key or 'auto'
+ * @param {string} [state.dateFormat]   — DATE_FORMATS key or 'auto'
+ * @returns {Object} definition for parseBrokerDefinitions()
+ */
+export function buildWizardDefinition(state) {
+  const headerRow = state.rows[state.headerRow] || [];
+  const fields = {};
+  state.tags.forEach((field, col) => {
+    if (!field || isEmpty(headerRow[col])) return;
+    fields[field] = [String(headerRow[col]).trim()];
+  });
+
+  const keywords = headerRow.filter(h => !isEmpty(h)).map(h => String(h).trim());
+  let width = headerRow.length;
+  while (width > 0 && isEmpty(headerRow[width - 1])) width--;
+  const def = {
+    id: state.id,
+    label: state.label.trim(),
+    headerRows: 1,
+    headerStartRow: state.headerRow,
+    dataStartRow: state.dataStartRow,
+    footer: { minFilled: 2 },
+    fields,
+    fingerprint: { headerKeywords: keywords.slice(0, 16) },
+  };
+  if (width > 0) def.fingerprint.columnCounts = [width];
+  if (state.numberFormat && state.numberFormat !== 'auto') def.numberFormat = state.numberFormat;
+  if (state.dateFormat && state.dateFormat !== 'auto') def.dateFormat = state.dateFormat;
+  return def;
+}
@@ -1,7 +1,13 @@
 /**
  * Broker configuration — brand identity + parsing rules
+ *
+ * DHL, FedEx, DSV and UPS are written as code.  K+N and DB Schenker are
+ * declarative definitions (broker-defs.js) — the format custom brokers
+ * use too; they are added to this list at startup (app.js).
  */
 
+import { compileBrokerDefinition } from './broker-defs.js';
+
 export const BROKERS = [
   {
     id: 'DHL',
@@ -23,6 +29,19 @@ export const BROKERS = [
       { category: 'Normalise',  icon: 'decimal', text: 'Number format conversion (e.g. "1.234,56" → 1234.56)' },
       { category: 'Validate',   icon: 'shield',  text: 'HS code & country code checks (e.g. 8–11 digit HS, 2-letter ISO)' },
     ],
+    /**
+     * Fingerprint used by the broker detector (detector.js) to recognise
+     * an uploaded file without the user picking a card first.
+     */
+    fingerprint: {
+      columnCounts: [137],
+      headerKeywords: [
+        'Date of Declaration', 'EORI Number IOR', 'Declaration Number',
+        'Shipper Name', 'Shipper Country', 'Consignee Name', 'Incoterm',
+        'Freight', 'Description of Goods', 'HS Code', 'Country of Origin',
+      ],
+      fileNamePattern: /dhl/i,
+    },
     isFooterRow: (row) => {
       if (!row || row.length < 3) return true;
       const nonEmpty = row.filter(c => c != null && c !== '');
@@ -45,17 +64,28 @@ export const BROKERS = [
     </svg>`,
     capabilities: [
       { category: 'Parsing',    icon: 'layers',  text: 'Header at row 14, single-header layout' },
+      { category: 'Repair',     icon: 'wrench',  text: 'Schema-based overflow realignment (e.g. description spilling into EIGENMASSE → merged)' },
       { category: 'Normalise',  icon: 'decimal', text: 'Number conversion (e.g. "5.678,90" → 5678.90)' },
       { category: 'Cleanse',    icon: 'broom',   text: 'Field cleanup (e.g. trailing \\n and spaces stripped)' },
       { category: 'Validate',   icon: 'shield',  text: 'HS code & country code checks (e.g. invalid codes flagged)' },
     ],
+    fingerprint: {
+      columnCounts: [92],
+      headerKeywords: [
+        'AWB', 'REGISTRIERNUMMER', 'DATUM', 'ZOLLNUMMER ANMELDER EORI',
+        'NAME VERSENDER', 'VERSENDUNGSLAND', 'WKZ', 'GESAMTROHMASSE',
+        'TARIFNUMMER', 'URSPRUNGSLAND', 'VERFAHRENSCODE', 'WARENBESCHREIBUNG',
+        'EIGENMASSE', 'ZOLLWERT', 'EUSTWERT', 'ZOLLSATZ',
+      ],
+      fileNamePattern: /fedex|fdx/i,
+    },
     isFooterRow: (row) => {
       if (!row || row.length < 3) return true;
       const nonEmpty = row.filter(c => c != null && c !== '');
       return nonEmpty.length < 3;
     },
   },
-  {
+  compileBrokerDefinition({
     id: 'KN',
     label: 'Kuehne + Nagel',
     headerRows: 1,
@@ -64,20 +94,55 @@ export const BROKERS = [
     color: '#003A70',
     textColor: '#FFFFFF',
     accent: '#0075BE',
+    capabilities: [
+      { category: 'Parsing',    icon: 'layers',  text: 'Header-name column mapping (German & English reports)' },
+      { category: 'Repair',     icon: 'wrench',  text: 'Schema-based overflow realignment (e.g. description spilling into Zollwert → merged)' },
+      { category: 'Normalise',  icon: 'decimal', text: 'Numbers & dates (e.g. "1.234,56" → 1234.56, serial 45678 → "21.01.2025")' },
+      { category: 'Cleanse',    icon: 'broom',   text: 'Field cleanup (e.g. leading/trailing spaces and newlines stripped)' },
+      { category: 'Validate',   icon: 'shield',  text: 'HS code & country code checks (e.g. invalid codes flagged)' },
+    ],
+    /**
+     * Column order differs between K+N report variants, so columns are
+     * found by header name (validator pipeline and analytics).  Field →
+     * accepted header names, first match wins; compared case-insensitively.
+     * Compiled to `headerMap`.
+     */
+    fields: {
+      date:            ['Anmeldedatum', 'Datum der Anmeldung', 'Überlassungsdatum', 'Declaration Date'],
+      declarationNo:   ['Registriernummer', 'MRN', 'Registriernummer/MRN', 'Declaration Number'],
+      positionNo:      ['Position', 'Positionsnummer', 'Item Number'],
+      shipperName:     ['Versender', 'Versender Name', 'Consignor'],
+      shipperCountry:  ['Versendungsland', 'Country of Dispatch'],
+      consigneeName:   ['Empfänger', 'Empfänger Name', 'Consignee'],
+      incoterm:        ['Lieferbedingung', 'Incoterm', 'Incoterms'],
+      invoiceValue:    ['Rechnungsbetrag', 'Rechnungspreis', 'Invoice Amount'],
+      currency:        ['Rechnungswährung', 'Währung', 'Invoice Currency'],
+      exchangeRate:    ['Kurs', 'Umrechnungskurs', 'Exchange Rate'],
+      hsCode:          ['Warentarifnummer', 'Zolltarifnummer', 'Tarifnummer', 'Commodity Code'],
+      description:     ['Warenbezeichnung', 'Warenbeschreibung', 'Goods Description'],
+      countryOfOrigin: ['Ursprungsland', 'Country of Origin'],
+      procedureCode:   ['Verfahrenscode', 'Verfahren', 'Procedure Code'],
+      customsValue:    ['Zollwert', 'Customs Value'],
+      dutyRate:        ['Zollsatz', 'Duty Rate'],
+      dutyAmount:      ['Zoll', 'Zollbetrag', 'Duty Amount'],
+      eustValue:       ['EUSt-Wert', 'Import VAT Base'],
+      vatAmount:       ['EUSt', 'EUSt-Betrag', 'Import VAT'],
+      grossWeight:     ['Rohmasse', 'Gross Weight'],
+      netWeight:       ['Eigenmasse', 'Net Weight'],
+      freightCost:     ['Frachtkosten', 'Freight Costs'],
+      packageCount:    ['Anzahl Packstücke', 'Packages'],
+    },
+    // Report variants share no stable header set — only the file name is a reliable hint.
+    fingerprint: {
+      fileNamePattern: 'kuehne|k\\+n|\\bkn\\b|_kn_',
+    },
+    footer: { minFilled: 2 },
+  }, {
     logoIcon: `<svg viewBox="0 0 120 40" fill="none" xmlns="http://www.w3.org/2000/svg">
       <rect width="120" height="40" rx="6" fill="#003A70"/>
       <text x="10" y="27" font-family="Arial,sans-serif" font-size="14" font-weight="700" fill="#FFFFFF">Kuehne+Nagel</text>
     </svg>`,
-    capabilities: [
-      { category: 'Normalise',  icon: 'decimal', text: 'Number conversion (e.g. ",40" → 0.40)' },
-      { category: 'Merge',      icon: 'merge',   text: 'Multi-file consolidation into single Excel' },
-    ],
-    isFooterRow: (row) => {
-      if (!row || row.length < 2) return true;
-      const nonEmpty = row.filter(c => c != null && c !== '');
-      return nonEmpty.length < 2;
-    },
-  },
+  }),
   {
     id: 'DSV',
     label: 'DSV',
@@ -98,6 +163,19 @@ export const BROKERS = [
       { category: 'Normalise',  icon: 'decimal', text: 'Numbers & dates (e.g. Excel serial 45678 → "05.01.2025")' },
       { category: 'Air',        icon: 'plane',   text: 'Air-only fields on Sheet 2 (e.g. CBAM, AWB, Invoice No.)' },
     ],
+    fingerprint: {
+      // Sea 92/138/158, German Luftfracht 112/118, English Luftfracht 44
+      columnCounts: [92, 138, 158, 112, 118, 44],
+      headerKeywords: [
+        'Registriernummer/MRN', 'Registrienummer/MRN', 'Anlagedatum',
+        'Versender EORI', 'CZ Name', 'CN Name', 'Warentarifnummer',
+        'Warenbezeichnung', 'Ursprung', 'Rechnungsbetrag', 'Rechnungswährung',
+        'AbgabeZoll', 'AbgabeEust', 'Zollwert', 'Formal Entry Number',
+        'HTS Code (Tariff Number)',
+      ],
+      sheetNamePattern: /^(importzoll|hella|import report)/i,
+      fileNamePattern: /dsv/i,
+    },
     /**
      * DSV Luftfracht XLSX files can contain multiple sheets.
      * The real data is on the largest "Importzollanmeldungen…" or
@@ -239,7 +317,7 @@ export const BROKERS = [
       return meaningful.length < 2;
     },
   },
-  {
+  compileBrokerDefinition({
     id: 'SCHENKER',
     label: 'DB Schenker',
     headerRows: 1,
@@ -248,20 +326,49 @@ export const BROKERS = [
     color: '#EC0016',
     textColor: '#FFFFFF',
     accent: '#F01414',
+    capabilities: [
+      { category: 'Parsing',    icon: 'layers',  text: 'Header-name column mapping (German & English reports)' },
+      { category: 'Repair',     icon: 'wrench',  text: 'Schema-based overflow realignment (e.g. description spilling into Customs Value → merged)' },
+      { category: 'Normalise',  icon: 'decimal', text: 'Numbers & dates (e.g. "1.234,56" → 1234.56, serial 45678 → "21.01.2025")' },
+      { category: 'Cleanse',    icon: 'broom',   text: 'Field cleanup (e.g. leading/trailing spaces and newlines stripped)' },
+      { category: 'Validate',   icon: 'shield',  text: 'HS code & country code checks (e.g. invalid codes flagged)' },
+    ],
+    // Header-named layout, as for K+N (see the KN fields).
+    fields: {
+      date:            ['Annahmedatum', 'Anmeldedatum', 'Entry Date', 'Declaration Date'],
+      declarationNo:   ['MRN', 'Registriernummer', 'Entry Number'],
+      positionNo:      ['Position', 'Positionsnummer', 'Item No'],
+      shipperName:     ['Versender', 'Shipper', 'Shipper Name'],
+      shipperCountry:  ['Versendungsland', 'Dispatch Country', 'Country of Dispatch'],
+      consigneeName:   ['Empfänger', 'Consignee', 'Consignee Name'],
+      incoterm:        ['Lieferbedingung', 'Incoterms', 'Delivery Terms'],
+      invoiceValue:    ['Rechnungsbetrag', 'Invoice Value'],
+      currency:        ['Rechnungswährung', 'Währung', 'Currency'],
+      exchangeRate:    ['Kurs', 'Exchange Rate'],
+      hsCode:          ['Warennummer', 'Warentarifnummer', 'Tariff Number', 'Commodity Code'],
+      description:     ['Warenbezeichnung', 'Description of Goods', 'Goods Description'],
+      countryOfOrigin: ['Ursprungsland', 'Origin Country', 'Country of Origin'],
+      procedureCode:   ['Verfahrenscode', 'Procedure Code', 'CPC'],
+      customsValue:    ['Zollwert', 'Customs Value'],
+      dutyRate:        ['Zollsatz', 'Duty Rate'],
+      dutyAmount:      ['Zollbetrag', 'Zoll', 'Duty'],
+      eustValue:       ['EUSt-Wert', 'VAT Value'],
+      vatAmount:       ['EUSt-Betrag', 'EUSt', 'Import VAT'],
+      grossWeight:     ['Rohmasse', 'Gross Mass', 'Gross Weight'],
+      netWeight:       ['Eigenmasse', 'Net Mass', 'Net Weight'],
+      freightCost:     ['Frachtkosten', 'Freight'],
+      packageCount:    ['Anzahl Packstücke', 'Packages'],
+    },
+    fingerprint: {
+      fileNamePattern: 'schenker',
+    },
+    footer: { minFilled: 2 },
+  }, {
     logoIcon: `<svg viewBox="0 0 120 40" fill="none" xmlns="http://www.w3.org/2000/svg">
       <rect width="120" height="40" rx="6" fill="#EC0016"/>
       <text x="8" y="27" font-family="Arial,sans-serif" font-size="13" font-weight="700" fill="#FFFFFF">DB Schenker</text>
     </svg>`,
-    capabilities: [
-      { category: 'Normalise',  icon: 'decimal', text: 'Number conversion (e.g. ",40" → 0.40)' },
-      { category: 'Merge',      icon: 'merge',   text: 'Multi-file consolidation into single Excel' },
-    ],
-    isFooterRow: (row) => {
-      if (!row || row.length < 2) return true;
-      const nonEmpty = row.filter(c => c != null && c !== '');
-      return nonEmpty.length < 2;
-    },
-  },
+  }),
   {
     id: 'UPS',
     label: 'UPS',
@@ -278,10 +385,21 @@ export const BROKERS = [
     </svg>`,
     capabilities: [
       { category: 'Parsing',    icon: 'layers',  text: '23 numeric columns, 4 country fields' },
+      { category: 'Repair',     icon: 'wrench',  text: 'Schema-based overflow realignment (e.g. sender name spanning 2 cells → merged)' },
       { category: 'Normalise',  icon: 'decimal', text: 'Number conversion (e.g. "5.678,90" → 5678.90)' },
       { category: 'Cleanse',    icon: 'broom',   text: 'Field & column cleanup (e.g. trailing empty columns trimmed)' },
       { category: 'Validate',   icon: 'shield',  text: 'HS code & country code checks (e.g. 4 country columns validated)' },
     ],
+    fingerprint: {
+      columnCounts: [65, 62],
+      headerKeywords: [
+        'Datum der Zollanmeldung', 'ATE/ATC-Nummer', 'Positionsnummer',
+        'Rechnungspreis', 'Waehrung', 'Kolli-Anzahl', 'Gesamt-Rohmasse',
+        'Versendungsland', 'Ursprungsland', 'Zolltarifnummer',
+        'Warenbeschreibung', 'Zollsatz', 'EUSt-Betrag', 'Versendername',
+      ],
+      fileNamePattern: /\bups\b|_ups|ups_/i,
+    },
     isFooterRow: (row) => {
       if (!row || row.length < 2) return true;
       const nonEmpty = row.filter(c => c != null && c !== '');
@@ -0,0 +1,220 @@
+/**
+ * Session bundle — a single portable file with everything a session
+ * holds, so colleagues can open exactly what was consolidated without
+ * the original broker files.
+ *
+ * File layout: gzip-compressed JSON
+ *   {
+ *     format:     'import-raport-session',
+ *     version:    1,
+ *     exportedAt: ISO timestamp,
+ *     session: {
+ *       name, createdAt, activeBrokerId,
+ *       merges:  [{ brokerId, files, mergedAt,
+ *                   result: { headers, data, airOnly, stats, provenance } }],
+ *       reports: [{ brokerId, brokerLabel, analytics }]
+ *     }
+ *   }
+ *
+ * `stats` carries the validation report and the per-file stats.
+ * Plain (uncompressed) JSON is accepted on import as well.
+ *
+ * Values JSON cannot represent (Infinity in analytics buckets, Dates,
+ * Sets) are written as tagged objects and revived on import.
+ */
+
+import { createSession } from './storage.js';
+
+export const BUNDLE_FORMAT = 'import-raport-session';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_EXTENSION = '.session.json.gz';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+/* ───────────────────────────────────────────────
+   JSON encoding of non-JSON values
+   ─────────────────────────────────────────────── */
+
+function replacer(key, value) {
+  // `this[key]` is the raw value — Dates are already strings in `value`
+  const raw = this[key];
+  if (raw instanceof Date) return { $date: raw.toISOString() };
+  if (raw instanceof Set) return { $set: [...raw] };
+  if (typeof raw === 'number' && !Number.isFinite(raw)) return { $num: String(raw) };
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1) {
+      if (keys[0] === '$date') return new Date(value.$date);
+      if (keys[0] === '$set') return new Set(value.$set);
+      if (keys[0] === '$num') return Number(value.$num);
+    }
+  }
+  return value;
+}
+
+/* ───────────────────────────────────────────────
+   Build / validate
+   ─────────────────────────────────────────────── */
+
+/**
+ * Build the bundle object for a session (storage.js createSession shape).
+ * @param {Object} session
+ * @returns {Object}
+ */
+export function buildBundle(session) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      name: session.name || '',
+      createdAt: session.createdAt,
+      activeBrokerId: session.activeBrokerId || null,
+      merges: session.merges.map(m => ({
+        brokerId: m.brokerId,
+        files: m.files,
+        mergedAt: m.mergedAt,
+        result: {
+          headers: m.result.headers,
+          data: m.result.data,
+          airOnly: m.result.airOnly || null,
+          stats: m.result.stats,
+          provenance: m.result.provenance || null,
+        },
+      })),
+      reports: session.reports,
+    },
+  };
+}
+
+/**
+ * Check a parsed bundle against the schema of its version.
+ * @param {*} bundle
+ * @returns {string[]} problems — empty when the bundle is usable
+ */
+export function validateBundle(bundle) {
+  const errors = [];
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return ['Not an Import Report session file'];
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    return [`Invalid bundle version: ${JSON.stringify(bundle.version)}`];
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    return [`Bundle version ${bundle.version} was created by a newer version of the app (this one reads up to ${BUNDLE_VERSION})`];
+  }
+
+  const s = bundle.session;
+  if (!s || typeof s !== 'object') return ['Missing session'];
+  if (typeof s.name !== 'string') errors.push('session.name must be a string');
+  if (!Array.isArray(s.merges)) errors.push('session.merges must be an array');
+  if (!Array.isArray(s.reports)) errors.push('session.reports must be an array');
+
+  (s.merges || []).forEach((m, i) => {
+    const at = `session.merges[${i}]`;
+    if (!m || typeof m.brokerId !== 'string') { errors.push(`${at}.brokerId missing`); return; }
+    if (!Array.isArray(m.files)) errors.push(`${at}.files must be an array`);
+    const r = m.result;
+    if (!r || typeof r !== 'object') { errors.push(`${at}.result missing`); return; }
+    if (!Array.isArray(r.headers) || !r.headers.every(Array.isArray)) errors.push(`${at}.result.headers must be an array of rows`);
+    if (!Array.isArray(r.data) || !r.data.every(Array.isArray)) errors.push(`${at}.result.data must be an array of rows`);
+    if (!r.stats || typeof r.stats !== 'object') errors.push(`${at}.result.stats missing`);
+    else {
+      if (!Array.isArray(r.stats.rowsPerFile)) errors.push(`${at}.result.stats.rowsPerFile must be an array`);
+      if (r.stats.validation && !Array.isArray(r.stats.validation.issues)) errors.push(`${at}.result.stats.validation.issues must be an array`);
+    }
+    if (r.provenance && (!Array.isArray(r.provenance) || r.provenance.length !== (r.data || []).length)) {
+      errors.push(`${at}.result.provenance must have one entry per data row`);
+    }
+    if (r.airOnly && (!Array.isArray(r.airOnly.headers) || !Array.isArray(r.airOnly.data))) {
+      errors.push(`${at}.result.airOnly must have headers and data arrays`);
+    }
+  });
+
+  (s.reports || []).forEach((r, i) => {
+    const at = `session.reports[${i}]`;
+    if (!r || typeof r.brokerId !== 'string') { errors.push(`${at}.brokerId missing`); return; }
+    if (!r.analytics || typeof r.analytics !== 'object' || !r.analytics.kpis) errors.push(`${at}.analytics missing`);
+  });
+
+  return errors;
+}
+
+/* ───────────────────────────────────────────────
+   Encode / decode
+   ─────────────────────────────────────────────── */
+
+async function pipeBlob(blob, transform) {
+  return new Response(blob.stream().pipeThrough(transform)).blob();
+}
+
+/**
+ * Serialize a session to a bundle Blob (gzip when the browser supports
+ * CompressionStream, plain JSON otherwise).
+ * @param {Object} session
+ * @returns {Promise<Blob>}
+ */
+export async function encodeBundle(session) {
+  const json = new Blob([JSON.stringify(buildBundle(session), replacer)], { type: 'application/json' });
+  if (typeof CompressionStream === 'undefined') return json;
+  const gz = await pipeBlob(json, new CompressionStream('gzip'));
+  return new Blob([gz], { type: 'application/gzip' });
+}
+
+/**
+ * Read a bundle file and turn it into a new session (fresh id, so it
+ * never overwrites a session saved locally).
+ *
+ * @param {Blob|File} file
+ * @returns {Promise<Object>} session in storage.js createSession() shape
+ * @throws {Error} when the file is not a valid bundle
+ */
+export async function decodeBundle(file) {
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  const gzipped = head[0] === GZIP_MAGIC[0] && head[1] === GZIP_MAGIC[1];
+
+  let text;
+  if (gzipped) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot read compressed session files');
+    }
+    try {
+      text = await (await pipeBlob(file, new DecompressionStream('gzip'))).text();
+    } catch {
+      throw new Error('Session file is corrupted (decompression failed)');
+    }
+  } else {
+    text = await file.text();
+  }
+
+  let bundle;
+  try {
+    bundle = JSON.parse(text, reviver);
+  } catch {
+    throw new Error('Not an Import Report session file (invalid JSON)');
+  }
+
+  const errors = validateBundle(bundle);
+  if (errors.length > 0) {
+    throw new Error(errors.length === 1
+      ? errors[0]
+      : `Invalid session file: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+  }
+
+  const s = bundle.session;
+  const session = createSession(s.name);
+  if (s.createdAt) session.createdAt = s.createdAt;
+  session.activeBrokerId = s.activeBrokerId || null;
+  session.merges = s.merges.map(m => ({
+    brokerId: m.brokerId,
+    files: m.files,
+    mergedAt: m.mergedAt || null,
+    result: m.result,
+  }));
+  session.reports = s.reports;
+  return session;
+}
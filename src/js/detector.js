@@ -0,0 +1,327 @@
+/**
+ * Broker detector — fingerprints uploaded files and guesses which
+ * broker produced them, so a wrong card pick can no longer run the
+ * wrong validation branch (e.g. DHL shift repair on UPS data).
+ *
+ * Every broker in BROKERS may carry a `fingerprint` block:
+ *   columnCounts     — known header widths (DHL 137, UPS 65, DSV 92/138/158/44…)
+ *   headerKeywords   — header names that only this broker uses together
+ *   sheetNamePattern — regex matched against workbook sheet names
+ *   fileNamePattern  — regex matched against the file name (weak hint)
+ *
+ * The header row position is taken from the broker's own
+ * `headerStartRow` (FedEx row 14), and `sheetSelector` decides which
+ * sheet is inspected — exactly as parseFile() would during a merge.
+ * locateHeaderRow() uses the same keywords, plus the broker's other
+ * known header names, to find a header that has moved.
+ */
+
+import * as XLSX from 'xlsx';
+import Papa from 'papaparse';
+import { decodeText } from './encoding.js';
+import { detectFileFormat, parseFixedWidth } from './formats.js';
+import { BROKERS } from './brokers.js';
+
+/* ───────────────────────────────────────────────
+   Tuning
+   ─────────────────────────────────────────────── */
+
+// Number of leading rows read from each sheet when fingerprinting.
+// FedEx has its header at row 14, so this must comfortably exceed that.
+const SCAN_ROWS = 30;
+
+// Bytes read from the start of a CSV/TSV file for the same purpose.
+const SAMPLE_BYTES = 256 * 1024;
+
+// Weight of each signal in the final confidence (sums to 1).
+const WEIGHTS = {
+  header:   0.55,   // share of header keywords found in the best row
+  position: 0.10,   // best row sits where the broker config expects it
+  columns:  0.20,   // header width is one of the known column counts
+  sheet:    0.05,   // a sheet name matches the broker's pattern
+  fileName: 0.10,   // file name mentions the broker
+};
+
+// Confidence needed to select a broker without asking the user.
+export const AUTO_SELECT_CONFIDENCE = 0.6;
+
+// Below this confidence no broker is proposed at all.
+export const PROPOSE_CONFIDENCE = 0.1;
+
+// The runner-up must trail the winner by at least this margin for an
+// automatic selection; otherwise the result is only a proposal.
+const AMBIGUITY_MARGIN = 0.1;
+
+/* ───────────────────────────────────────────────
+   Sampling
+   ─────────────────────────────────────────────── */
+
+/**
+ * Read the first rows of every sheet of a file — just enough to score
+ * it, without parsing the full workbook.
+ *
+ * @param {File} file — browser File object
+ * @returns {Promise<{ fileName: string, sheetNames: string[], sheets: Object<string, Array<Array>> }>}
+ */
+export async function readFingerprintSample(file) {
+  const { format, label, supported } = await detectFileFormat(file);
+  if (!supported) throw new Error(`Unsupported file format: ${label}`);
+
+  if (format === 'csv' || format === 'fixed-width') {
+    // Only the head of the file is needed — parse a text slice of it.
+    const { text } = decodeText(await file.slice(0, SAMPLE_BYTES).arrayBuffer());
+    const rows = format === 'fixed-width'
+      ? parseFixedWidth(text).slice(0, SCAN_ROWS)
+      : Papa.parse(text, {
+        preview: SCAN_ROWS,
+        skipEmptyLines: false,
+        delimitersToGuess: [';', ',', '\t', '|'],
+      }).data;
+    if (rows.length > 0 && rows[0].length > 0 && typeof rows[0][0] === 'string') {
+      rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+    }
+    return { fileName: file.name, sheetNames: ['CSV'], sheets: { CSV: rows } };
+  }
+
+  const buf = await file.arrayBuffer();
+  const wb = XLSX.read(buf, { type: 'array', sheetRows: SCAN_ROWS, cellDates: false, raw: true });
+  const sheets = {};
+  for (const name of wb.SheetNames) {
+    sheets[name] = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: null, blankrows: true, raw: true });
+  }
+  return { fileName: file.name, sheetNames: wb.SheetNames, sheets };
+}
+
+/* ───────────────────────────────────────────────
+   Scoring
+   ─────────────────────────────────────────────── */
+
+function normCell(v) {
+  return v == null ? '' : String(v).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Does a header cell match a keyword?  Short keywords (≤ 5 chars, e.g.
+ * "AWB", "WKZ") must match exactly; longer ones may be contained in a
+ * longer header ("HS Code" in "HS Code (8-11 digits)").
+ */
+function cellMatches(cell, keyword) {
+  if (!cell) return false;
+  if (keyword.length <= 5) return cell === keyword;
+  return cell === keyword || cell.includes(keyword);
+}
+
+/** Index of the last non-empty cell + 1. */
+function rowWidth(row) {
+  if (!row) return 0;
+  for (let i = row.length - 1; i >= 0; i--) {
+    if (row[i] != null && row[i] !== '') return i + 1;
+  }
+  return 0;
+}
+
+/**
+ * Find the row that contains the most of the broker's header keywords.
+ * Returns { rowIdx, ratio } — ratio is the share of keywords found.
+ */
+function findHeaderRow(rows, keywords) {
+  const kws = keywords.map(normCell);
+  let best = { rowIdx: -1, ratio: 0 };
+  const limit = Math.min(rows.length, SCAN_ROWS);
+  for (let r = 0; r < limit; r++) {
+    const cells = (rows[r] || []).map(normCell).filter(Boolean);
+    if (cells.length === 0) continue;
+    let hits = 0;
+    for (const kw of kws) {
+      if (cells.some(c => cellMatches(c, kw))) hits++;
+    }
+    const ratio = hits / kws.length;
+    if (ratio > best.ratio) best = { rowIdx: r, ratio };
+  }
+  return best;
+}
+
+/**
+ * Score one broker against a fingerprint sample.
+ *
+ * @param {Object} sample — from readFingerprintSample()
+ * @param {Object} broker — entry from BROKERS
+ * @returns {{ broker: Object, confidence: number, signals: Object }}
+ */
+export function scoreBroker(sample, broker) {
+  const fp = broker.fingerprint || {};
+  const signals = { header: 0, headerRow: -1, position: 0, columns: 0, width: 0, sheet: 0, fileName: 0 };
+
+  // Inspect the sheet this broker would actually read during a merge.
+  let sheetName = sample.sheetNames[0];
+  if (broker.sheetSelector && sample.sheetNames.length > 1) {
+    sheetName = broker.sheetSelector(sample.sheetNames, sample.fileName) || sheetName;
+  }
+  const rows = sample.sheets[sheetName] || [];
+
+  if (fp.headerKeywords && fp.headerKeywords.length > 0) {
+    const { rowIdx, ratio } = findHeaderRow(rows, fp.headerKeywords);
+    signals.header = ratio;
+    signals.headerRow = rowIdx;
+    const start = broker.headerStartRow ?? 0;
+    if (rowIdx >= start && rowIdx < start + broker.headerRows) signals.position = 1;
+  }
+
+  // Width of the header row (the expected one when no keyword matched).
+  const widthRow = signals.headerRow >= 0 ? signals.headerRow : (broker.headerStartRow ?? 0);
+  signals.width = rowWidth(rows[widthRow]);
+  if (fp.columnCounts && fp.columnCounts.includes(signals.width)) signals.columns = 1;
+
+  if (fp.sheetNamePattern && sample.sheetNames.some(n => fp.sheetNamePattern.test(n))) {
+    signals.sheet = 1;
+  }
+  if (fp.fileNamePattern && fp.fileNamePattern.test(sample.fileName || '')) {
+    signals.fileName = 1;
+  }
+
+  const confidence =
+    signals.header   * WEIGHTS.header +
+    signals.position * WEIGHTS.position +
+    signals.columns  * WEIGHTS.columns +
+    signals.sheet    * WEIGHTS.sheet +
+    signals.fileName * WEIGHTS.fileName;
+
+  return { broker, confidence: Math.round(confidence * 100) / 100, signals };
+}
+
+/**
+ * Score every broker and pick the most likely one.
+ *
+ * @param {Object} sample
+ * @param {Array}  [brokers=BROKERS]
+ * @returns {{ broker: Object|null, confidence: number, autoSelect: boolean, candidates: Array }}
+ *   `broker` is null when nothing reaches PROPOSE_CONFIDENCE.
+ *   `autoSelect` is true only for a confident, unambiguous winner.
+ */
+export function detectBroker(sample, brokers = BROKERS) {
+  const candidates = brokers
+    .map(b => scoreBroker(sample, b))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const best = candidates[0];
+  if (!best || best.confidence < PROPOSE_CONFIDENCE) {
+    return { broker: null, confidence: 0, autoSelect: false, candidates };
+  }
+  const runnerUp = candidates[1] ? candidates[1].confidence : 0;
+  const autoSelect = best.confidence >= AUTO_SELECT_CONFIDENCE &&
+    best.confidence - runnerUp >= AMBIGUITY_MARGIN;
+
+  return { broker: best.broker, confidence: best.confidence, autoSelect, candidates };
+}
+
+/**
+ * Fingerprint a single file.  Never throws — unreadable files come back
+ * as an empty detection with an `error` message.  The result also lists
+ * the file's `sheetNames` (the upload view offers a sheet picker for
+ * workbooks with more than one).
+ */
+export async function detectFileBroker(file, brokers = BROKERS) {
+  try {
+    const sample = await readFingerprintSample(file);
+    return { ...detectBroker(sample, brokers), sheetNames: sample.sheetNames };
+  } catch (err) {
+    return { broker: null, confidence: 0, autoSelect: false, candidates: [], error: err.message };
+  }
+}
+
+/* ───────────────────────────────────────────────
+   Header row
+   ─────────────────────────────────────────────── */
+
+// A row must contain at least this many known header names to be taken
+// as the header instead of the configured row.
+const MIN_HEADER_HITS = 2;
+
+const vocabularies = new WeakMap();
+
+/**
+ * Every header name the broker knows: fingerprint keywords, field and
+ * typed-column names, and both sides of the header synonyms.
+ * @returns {string[]} normalised, without duplicates
+ */
+function headerVocabulary(broker) {
+  if (vocabularies.has(broker)) return vocabularies.get(broker);
+  const names = [...((broker.fingerprint && broker.fingerprint.headerKeywords) || [])];
+  for (const list of Object.values(broker.headerMap || {})) names.push(...list);
+  for (const list of Object.values(broker.columnTypes || {})) names.push(...list);
+  for (const [from, to] of Object.entries(broker.headerSynonyms || {})) names.push(from, to);
+  const vocab = [...new Set(names.map(normCell).filter(Boolean))];
+  vocabularies.set(broker, vocab);
+  return vocab;
+}
+
+/**
+ * Find where the header really starts.  Every position in the first
+ * SCAN_ROWS rows is scored by how many cells of its header rows are
+ * known header names; the best one wins when it beats the configured
+ * `headerStartRow` and reaches MIN_HEADER_HITS.  An extra metadata line
+ * above the header (FedEx) therefore no longer shifts the whole merge.
+ *
+ * @param {Array<Array>} rows — full sheet data
+ * @param {Object} broker
+ * @returns {{ row: number, configured: number, hits: number }}
+ *   zero-based header start actually used, the configured one, and the
+ *   number of known header names found there
+ */
+export function locateHeaderRow(rows, broker) {
+  const configured = broker.headerStartRow ?? 0;
+  const vocab = headerVocabulary(broker);
+  const hitsAt = (start) => {
+    let hits = 0;
+    for (let r = start; r < start + broker.headerRows && r < rows.length; r++) {
+      for (const cell of (rows[r] || []).map(normCell)) {
+        if (cell && vocab.some(kw => cellMatches(cell, kw))) hits++;
+      }
+    }
+    return hits;
+  };
+  if (vocab.length === 0) return { row: configured, configured, hits: 0 };
+
+  const result = { row: configured, configured, hits: hitsAt(configured) };
+  const limit = Math.min(rows.length, SCAN_ROWS);
+  for (let start = 0; start < limit; start++) {
+    if (start === configured) continue;
+    const hits = hitsAt(start);
+    if (hits > result.hits && hits >= MIN_HEADER_HITS) Object.assign(result, { row: start, hits });
+  }
+  return result;
+}
+
+/* ───────────────────────────────────────────────
+   Grouping
+   ─────────────────────────────────────────────── */
+
+/**
+ * Split a (possibly mixed) batch into per-broker groups.
+ *
+ * A file joins the group of its detected broker when the detection is
+ * confident; otherwise it falls back to `fallbackBroker` (the card the
+ * user picked).  Files with neither end up in `unassigned`.
+ *
+ * @param {File[]}  files
+ * @param {Map<File, Object>} detections — File → detectBroker() result
+ * @param {Object|null} fallbackBroker
+ * @returns {{ groups: Array<{ broker: Object, files: File[] }>, unassigned: File[] }}
+ */
+export function groupFilesByBroker(files, detections, fallbackBroker) {
+  const byId = new Map();
+  const unassigned = [];
+
+  for (const file of files) {
+    const det = detections.get(file);
+    const broker = det && det.autoSelect ? det.broker : fallbackBroker;
+    if (!broker) {
+      unassigned.push(file);
+      continue;
+    }
+    if (!byId.has(broker.id)) byId.set(broker.id, { broker, files: [] });
+    byId.get(broker.id).files.push(file);
+  }
+
+  return { groups: [...byId.values()], unassigned };
+}
@@ -0,0 +1,108 @@
+/**
+ * Before/after diff of a row realigned by the shift repairs (the DHL
+ * zone repairs or a broker shift schema, shift-engine.js).
+ *
+ * The validator snapshots a row before its first shift repair and
+ * records every repair that ran ({ col, shift, zone }, in order) in
+ * report.snapshots[row]; repairs a reviewer rejected are skipped.
+ * An overflow repair (shift > 0) merges the cells col..col+shift into
+ * col and moves everything to the right left by `shift`, padding the end
+ * with nulls.  A missing-cell repair (shift < 0) inserts -shift blank
+ * cells at col and moves everything from col on to the right.
+ * Replaying those moves on column indices tells, for every column of the
+ * repaired row, which original cells its value came from.
+ */
+
+import { DHL_SCHEMA } from './validator.js';
+import { columnPasses, traceColumns } from './shift-engine.js';
+
+export { traceColumns };
+
+// Zones shown in the diff view of a DHL row (inclusive column ranges).
+export const DIFF_ZONES = [
+  { name: 'Shipper',   from: 20,  to: 24 },
+  { name: 'Consignee', from: 26,  to: 30 },
+  { name: 'Mid-row',   from: 31,  to: 35 },
+  { name: 'Goods',     from: 109, to: 119 },
+];
+
+/** Column name: the schema first, then the header row. */
+function columnName(col, columns, headers) {
+  if (columns[col]) return columns[col].name;
+  const h = headers && headers[0] && headers[0][col];
+  return h != null && String(h).trim() !== '' ? String(h).trim() : `Col ${col}`;
+}
+
+/** Diff zones of a shift schema: each zone's text column through its last anchor. */
+function schemaZones(schema) {
+  return schema.zones.map(z => ({ name: z.name, from: z.text, to: Math.max(z.text, ...z.anchors) }));
+}
+
+/**
+ * Build the diff of one repaired row.
+ *
+ * Cell status:
+ *   merged   — built from several original cells
+ *   moved    — taken from a single cell in another column
+ *   inserted — blank cell re-inserted for a missing one
+ *   padded   — nothing left to move in (end of row)
+ *   changed  — same position, value normalised afterwards (number fix)
+ *   same     — untouched
+ *
+ * @param {Object} snapshot — report.snapshots[row]: { before, repairs }
+ * @param {Array}  after    — the row as it is now
+ * @param {Array}  [headers]
+ * @param {Object} [schema]  — shift schema the row was aligned against
+ *   (shiftSchemaFor); DHL_SCHEMA and DIFF_ZONES when omitted
+ * @returns {{ repairs, zones: Array, merged: number, moved: number,
+ *            schema: { total: number, before: number, after: number } }}
+ */
+export function buildRowDiff(snapshot, after, headers, schema) {
+  const { before, repairs } = snapshot;
+  const columns = schema ? schema.columns : DHL_SCHEMA;
+  const diffZones = schema ? schemaZones(schema) : DIFF_ZONES;
+  const width = Math.max(before.length, after.length);
+  const sources = traceColumns(width, repairs.filter(rp => rp.review !== 'rejected'));
+  let lastSourced = -1;
+  sources.forEach((s, c) => { if (s.length > 0) lastSourced = c; });
+
+  const cellAt = (col) => {
+    const src = sources[col] || [];
+    let status;
+    if (src.length > 1) status = 'merged';
+    else if (src.length === 0) status = col < lastSourced ? 'inserted' : 'padded';
+    else if (src[0] !== col) status = 'moved';
+    else status = before[col] === after[col] ? 'same' : 'changed';
+    return {
+      col,
+      name: columnName(col, columns, headers),
+      before: before[col] ?? null,
+      after: after[col] ?? null,
+      sources: src,
+      status,
+      validBefore: columnPasses(columns, col, before[col]),
+      validAfter: columnPasses(columns, col, after[col]),
+    };
+  };
+
+  const zones = diffZones.map(z => {
+    const cells = [];
+    for (let c = z.from; c <= z.to && c < width; c++) cells.push(cellAt(c));
+    return { name: z.name, from: z.from, to: z.to, cells };
+  });
+
+  const checks = { total: 0, before: 0, after: 0 };
+  for (const col of Object.keys(columns).map(Number)) {
+    checks.total++;
+    if (columnPasses(columns, col, before[col])) checks.before++;
+    if (columnPasses(columns, col, after[col])) checks.after++;
+  }
+
+  return {
+    repairs,
+    zones,
+    merged: sources.filter(s => s.length > 1).length,
+    moved: sources.filter((s, c) => s.length === 1 && s[0] !== c).length,
+    schema: checks,
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * Duplicate declaration lines — the same monthly file uploaded twice
+ * under another name, or a corrected re-send overlapping the original,
+ * would count invoice values and duties twice.
+ *
+ * After a merge, findDuplicateRows() groups the data rows that describe
+ * the same declaration line: same declaration number / MRN, position
+ * number and HS code, read from the broker's own column mapping
+ * (analytics.resolveColumns).  Brokers without a position column (DHL)
+ * only count fully identical rows, since one declaration legitimately
+ * lists the same HS code on several lines.  The user then decides per
+ * group — keep the first copy, the last copy or all of them — and
+ * resolveDuplicates() applies the decisions and records each one in the
+ * validation report.
+ *
+ * Identical files are caught earlier, on upload, by their content hash
+ * (upload.hashFile).
+ */
+
+import { resolveColumns } from './analytics.js';
+import { duplicateIssue, recountReport, reportSummary } from './validator.js';
+
+/** Decisions offered per duplicate group, with their UI labels. */
+export const DUPLICATE_DECISIONS = {
+  first: 'Keep first',
+  last:  'Keep last',
+  all:   'Keep all',
+};
+
+const keyValue = (v) => (v == null ? '' : String(v).trim().toUpperCase());
+
+/**
+ * Columns of the duplicate key in a broker's merged output.
+ * @returns {{ declarationNo: number|null, positionNo: number|null, hsCode: number|null }}
+ */
+export function duplicateKeyColumns(headers, brokerId) {
+  const cols = resolveColumns(headers, brokerId) || {};
+  return {
+    declarationNo: cols.declarationNo ?? null,
+    positionNo:    cols.positionNo ?? null,
+    hsCode:        cols.hsCode ?? null,
+  };
+}
+
+/**
+ * Find groups of rows describing the same declaration line.  Rows
+ * without a declaration number are never duplicates; nothing is found
+ * when the broker has no declaration number column.
+ *
+ * @param {Array<Array>} headers — header rows of the merged data
+ * @param {Array<Array>} data    — merged (validated) data rows
+ * @param {string} brokerId
+ * @returns {Array<{ key: { declarationNo: string, positionNo: string|null, hsCode: string|null }, rows: number[] }>}
+ *   `rows` are 1-based data rows in merge order, at least two per group
+ */
+export function findDuplicateRows(headers, data, brokerId) {
+  const cols = duplicateKeyColumns(headers, brokerId);
+  if (cols.declarationNo == null) return [];
+
+  const groups = new Map();
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+    if (!row) continue;
+    const declarationNo = keyValue(row[cols.declarationNo]);
+    if (!declarationNo) continue;
+    const positionNo = cols.positionNo != null ? keyValue(row[cols.positionNo]) : null;
+    const hsCode = cols.hsCode != null ? keyValue(row[cols.hsCode]) : null;
+
+    let id;
+    if (cols.positionNo != null) {
+      id = [declarationNo, positionNo, hsCode].join('\u0000');
+    } else {
+      // Without a position number only identical rows are duplicates
+      const cells = row.map(keyValue);
+      while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+      id = cells.join('\u0000');
+    }
+    if (!groups.has(id)) groups.set(id, { key: { declarationNo, positionNo, hsCode }, rows: [] });
+    groups.get(id).rows.push(i + 1);
+  }
+  return [...groups.values()].filter(g => g.rows.length > 1);
+}
+
+/**
+ * Apply a decision to every group in `result.stats.duplicates`:
+ *
+ *   first — keep the first copy, remove the others
+ *   last  — keep the last copy (the corrected re-send), remove the others
+ *   all   — keep every copy
+ *
+ * Removed rows leave `data`, `provenance` and the air-only sheet; their
+ * issues and snapshots are dropped (and the fix counters reduced) and
+ * the remaining issues renumbered.  Each group gets a 'duplicate' issue
+ * on its kept row naming the decision and the copies' sources, and
+ * `group.decision` is set.  `stats.totalRows` is reduced by the removed
+ * rows; `group.rows` keep the numbers from before the removal.
+ *
+ * @param {Object} result — mergeFiles() result (mutated)
+ * @param {Array<'first'|'last'|'all'>} decisions — one per group;
+ *   missing decisions keep all copies
+ * @returns {number} rows removed
+ */
+export function resolveDuplicates(result, decisions) {
+  const { stats } = result;
+  const groups = stats.duplicates || [];
+  const provenance = result.provenance || [];
+  const describe = (r) => {
+    const p = provenance[r - 1];
+    return p ? `${p.file}${p.sheet ? ` › ${p.sheet}` : ''} row ${p.row}` : `row ${r}`;
+  };
+
+  const drop = new Set();
+  const kept = [];
+  groups.forEach((g, gi) => {
+    const decision = DUPLICATE_DECISIONS[decisions[gi]] ? decisions[gi] : 'all';
+    g.decision = decision;
+    const keep = decision === 'last' ? g.rows[g.rows.length - 1] : g.rows[0];
+    if (decision !== 'all') {
+      for (const r of g.rows) if (r !== keep) drop.add(r);
+    }
+    const { declarationNo, positionNo, hsCode } = g.key;
+    const line = [
+      `declaration ${declarationNo}`,
+      positionNo != null ? `position ${positionNo || '—'}` : null,
+      hsCode != null ? `HS ${hsCode || '—'}` : null,
+    ].filter(Boolean).join(', ');
+    const copies = g.rows.map(describe).join('; ');
+    const detail = decision === 'all'
+      ? `${g.rows.length} copies of ${line} (${copies}) — all kept`
+      : `${g.rows.length} copies of ${line} (${copies}) — kept ${describe(keep)}, removed ${g.rows.length - 1}`;
+    kept.push({ row: keep, decision, detail, source: provenance[keep - 1] || null });
+  });
+
+  // Old 1-based row → new 1-based row (null when removed)
+  const renumber = [null];
+  let next = 0;
+  for (let r = 1; r <= result.data.length; r++) renumber.push(drop.has(r) ? null : ++next);
+  const keepIndex = (_, i) => !drop.has(i + 1);
+
+  result.data = result.data.filter(keepIndex);
+  if (result.provenance) result.provenance = result.provenance.filter(keepIndex);
+  if (result.airOnly) result.airOnly.data = result.airOnly.data.filter(keepIndex);
+
+  const report = stats.validation;
+  if (report) {
+    const issues = [];
+    for (const iss of report.issues) {
+      if (!drop.has(iss.row)) {
+        iss.row = renumber[iss.row] ?? iss.row;
+        issues.push(iss);
+        continue;
+      }
+      if (iss.type === 'shift') report.shiftFixes--;
+      else if (iss.type === 'gap') report.gapFixes--;
+      else if (iss.type === 'number' || iss.type === 'date' || iss.type === 'cleanup') report.numberFixes--;
+    }
+    for (const k of kept) {
+      const issue = duplicateIssue(renumber[k.row], k.decision, k.detail);
+      issue.source = k.source;
+      issues.push(issue);
+    }
+    report.issues = issues;
+
+    const snapshots = {};
+    for (const [row, snap] of Object.entries(report.snapshots || {})) {
+      const to = renumber[Number(row)];
+      if (to != null) snapshots[to] = snap;
+    }
+    report.snapshots = snapshots;
+    recountReport(report);
+    stats.validationSummary = reportSummary(report);
+  }
+
+  stats.totalRows -= drop.size;
+  stats.duplicatesRemoved = drop.size;
+  return drop.size;
+}
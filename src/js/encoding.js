@@ -0,0 +1,131 @@
+/**
+ * Text encodings — decoding CSV bytes and repairing mojibake.
+ *
+ * Broker CSV exports arrive as UTF-8 (with or without a BOM), Windows-1252
+ * or ISO-8859-1 (TXT exports also as UTF-16), and sometimes double-encoded: UTF-8 that was read as
+ * Windows-1252 once and saved again, so "ü" shows up as "Ã¼".
+ * decodeText() picks the encoding of a file's bytes; repairMojibake()
+ * undoes the double encoding in a single string (header names in
+ * header-mapping.js, cell values in the validator's cleanup pass).
+ *
+ * Pure module — no DOM access.
+ */
+
+/* ───────────────────────────────────────────────
+   Encoding detection
+   ─────────────────────────────────────────────── */
+
+/**
+ * Encodings decodeText() reports, with a label for the UI.
+ */
+export const ENCODING_LABELS = {
+  'utf-8-bom':    'UTF-8 (BOM)',
+  'utf-8':        'UTF-8',
+  'windows-1252': 'Windows-1252',
+  'iso-8859-1':   'ISO-8859-1',
+  'utf-16le':     'UTF-16 LE',
+  'utf-16be':     'UTF-16 BE',
+};
+
+// Windows-1252 characters for the bytes 0x80–0x9F (undefined bytes keep
+// their Latin-1 control character).
+const CP1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+// For decoding once the bytes are known to be UTF-8: a sequence cut off
+// at the end (a sampled slice) becomes U+FFFD instead of throwing.
+const utf8Lenient = new TextDecoder('utf-8');
+
+/**
+ * Decode single-byte text as Windows-1252.  ISO-8859-1 text decodes the
+ * same — the two only differ in 0x80–0x9F, which it does not use.  Done
+ * by hand because not every runtime's TextDecoder maps 0x80–0x9F.
+ */
+function decodeCp1252(bytes) {
+  const codes = new Uint16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    const b = bytes[i];
+    codes[i] = b >= 0x80 && b <= 0x9F ? CP1252_HIGH.charCodeAt(b - 0x80) : b;
+  }
+  let text = '';
+  for (let i = 0; i < codes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, codes.subarray(i, i + 8192));
+  }
+  return text;
+}
+
+/**
+ * Detect the encoding of raw text bytes: a UTF-8 or UTF-16 BOM, else valid UTF-8,
+ * else a single-byte encoding — Windows-1252 when bytes 0x80–0x9F occur
+ * (curly quotes, €, …), ISO-8859-1 otherwise.  A UTF-8 sequence cut off
+ * at the very end still counts as UTF-8, so the head of a file can be
+ * checked on its own.
+ * @param {Uint8Array} bytes
+ * @returns {string} key of ENCODING_LABELS
+ */
+export function detectEncoding(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return 'utf-8-bom';
+  }
+  // Excel's "Unicode text" export: UTF-16 with a BOM
+  if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+  try {
+    // A fresh decoder: streaming keeps the cut-off bytes pending in it
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return 'utf-8';
+  } catch {
+    return bytes.some(b => b >= 0x80 && b <= 0x9F) ? 'windows-1252' : 'iso-8859-1';
+  }
+}
+
+/**
+ * Decode raw text bytes in their detected encoding (BOM removed).
+ * @param {Uint8Array|ArrayBuffer} input
+ * @returns {{ text: string, encoding: string }}
+ */
+export function decodeText(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const encoding = detectEncoding(bytes);
+  let text;
+  if (encoding === 'utf-8-bom') text = utf8Lenient.decode(bytes.subarray(3));
+  else if (encoding === 'utf-8') text = utf8Lenient.decode(bytes);
+  else if (encoding.startsWith('utf-16')) text = new TextDecoder(encoding).decode(bytes.subarray(2));
+  else text = decodeCp1252(bytes);
+  return { text, encoding };
+}
+
+/* ───────────────────────────────────────────────
+   Mojibake repair
+   ─────────────────────────────────────────────── */
+
+function decodeAsUtf8(text) {
+  const bytes = [];
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    const high = CP1252_HIGH.indexOf(ch);
+    if (high >= 0) bytes.push(0x80 + high);
+    else if (code <= 0xFF) bytes.push(code);
+    else return null;
+  }
+  try {
+    return utf8.decode(new Uint8Array(bytes));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Undo UTF-8 text that was read as Windows-1252 / Latin-1, e.g.
+ * "GeschÃ¤ftsart" → "Geschäftsart".  Also handles the lower-cased form
+ * some exports carry ("Geschã¤ftsart").  Text that does not decode
+ * cleanly is returned unchanged.
+ * @param {string} text
+ * @returns {string}
+ */
+export function repairMojibake(text) {
+  const s = String(text ?? '');
+  if (!/[ÂÃâã]/.test(s)) return s;
+  const repaired = decodeAsUtf8(s) ?? decodeAsUtf8(s.replace(/ã/g, 'Ã').replace(/Ãÿ/g, 'ÃŸ'));
+  return repaired ?? s;
+}
@@ -12,6 +12,11 @@
 import * as XLSX from 'xlsx';
 import Papa from 'papaparse';
 import { validateAndFix, reportSummary } from './validator.js';
+import { findUnmatchedHeaders, matchHeaderFuzzy } from './header-mapping.js';
+import { decodeText } from './encoding.js';
+import { detectFileFormat, parseFixedWidth } from './formats.js';
+import { locateHeaderRow } from './detector.js';
+import { findDuplicateRows } from './duplicates.js';
 
 /* ───────────────────────────────────────────────
    Header alignment helpers
@@ -34,12 +39,19 @@ import { validateAndFix, reportSummary } from './validator.js';
  * unified header is treated as an ordered list where the same name
  * can appear more than once.  Matching is done in order — the first
  * unmatched occurrence is used — so that duplicates stay aligned.
+ * Names that only differ by encoding or spelling (matchHeaderFuzzy) from
+ * a column the file has not already matched are not appended —
+ * buildColumnMapping() maps them.
+ *
+ * `appended` lists the unified positions added from other files — the
+ * columns no header or synonym matched (see header-mapping.js).
  *
  * @param {Array<{headers: string[][], fileIdx: number}>} fileParts
  * @param {Object} broker
- * @returns {{ unified: string[], airOnlyHeader: string[] }}
+ * @param {Object} [synonyms] — defaults to broker.headerSynonyms
+ * @returns {{ unified: string[], airOnlyHeader: string[], appended: number[] }}
  */
-function buildUnifiedHeader(fileParts, broker) {
+function buildUnifiedHeader(fileParts, broker, synonyms = broker.headerSynonyms || {}) {
   // Set of header names that must NOT appear on the main sheet.
   const airOnlySet = new Set((broker.airOnlyColumns || []).map(s => s.trim()));
 
@@ -56,8 +68,7 @@ function buildUnifiedHeader(fileParts, broker) {
     h != null ? String(h).trim() : ''
   );
   const unified = raw.filter(h => !airOnlySet.has(h));
-
-  const synonyms = broker.headerSynonyms || {};
+  const appended = [];
 
   // Collect air-only columns from all files (preserving order).
   const airOnlyHeader = [];
@@ -75,14 +86,25 @@ function buildUnifiedHeader(fileParts, broker) {
   }
 
   // For every other file, check if it has columns NOT in the unified set.
+  // Like buildColumnMapping(), each unified position is claimed by one
+  // column per file — exact names first, then synonyms, then fuzzy
+  // matches against the positions still free — so two near-identical
+  // headers in one file cannot both land on the same column.
   for (const fp of fileParts) {
     if (fp === widest) continue;
     const hRow = (fp.headers[0] || []).map(h =>
       h != null ? String(h).trim() : ''
     );
+    const claimed = new Set();
+    const claim = (target) => {
+      const ui = unified.findIndex((h, index) => h === target && !claimed.has(index));
+      if (ui === -1) return false;
+      claimed.add(ui);
+      return true;
+    };
 
-    for (let i = 0; i < hRow.length; i++) {
-      const name = hRow[i];
+    const open = [];
+    for (const name of hRow) {
       if (!name) continue;
 
       // If this is an air-only column, track it but don't add to unified.
@@ -93,19 +115,29 @@ function buildUnifiedHeader(fileParts, broker) {
         }
         continue;
       }
+      if (!claim(name)) open.push(name);
+    }
 
-      // Resolve through synonyms
-      const canonical = synonyms[name] || name;
-      // Check if canonical name is already in unified
-      if (unified.includes(canonical)) continue;
-      // Also check the original name
-      if (unified.includes(name)) continue;
+    // Resolve through synonyms
+    const unresolved = open.filter(name => !(synonyms[name] && claim(synonyms[name])));
+
+    for (const name of unresolved) {
+      // Same column under a mis-encoded / re-spelled name
+      const candidates = [];
+      unified.forEach((h, index) => { if (!claimed.has(index)) candidates.push({ name: h, index }); });
+      const match = matchHeaderFuzzy(name, candidates, synonyms);
+      if (match) {
+        claimed.add(match.index);
+        continue;
+      }
       // New column — append
+      claimed.add(unified.length);
+      appended.push(unified.length);
       unified.push(name);
     }
   }
 
-  return { unified, airOnlyHeader };
+  return { unified, airOnlyHeader, appended };
 }
 
 /**
@@ -114,15 +146,20 @@ function buildUnifiedHeader(fileParts, broker) {
  * Returns an object with:
  *   `mapping`    — array where `mapping[fileColIdx] = unifiedColIdx` (-1 if unmapped)
  *   `airMapping` — array where `airMapping[fileColIdx] = airOnlyColIdx` (-1 if not air-only)
+ *   `synonymMatches` — columns mapped through `synonyms`:
+ *                  { col, header, matched, index }
+ *   `fuzzy`      — columns mapped by matchHeaderFuzzy():
+ *                  { col, header, matched, index, method, distance }
  *
  * Handles duplicates by consuming unified positions in order (first
- * available match).
+ * available match).  Exact and synonym matches claim their positions
+ * before the fuzzy pass runs.
  *
  * @param {string[]} fileHeader    — this file's header row (strings)
  * @param {string[]} unified       — the unified header row
  * @param {Object}   synonyms      — old-name → new-name map
  * @param {string[]} airOnlyHeader — air-only column names (for Sheet 2)
- * @returns {{ mapping: number[], airMapping: number[] }}
+ * @returns {{ mapping: number[], airMapping: number[], synonymMatches: Object[], fuzzy: Object[] }}
  */
 function buildColumnMapping(fileHeader, unified, synonyms, airOnlyHeader) {
   const mapping = new Array(fileHeader.length).fill(-1);
@@ -168,6 +205,7 @@ function buildColumnMapping(fileHeader, unified, synonyms, airOnlyHeader) {
   }
 
   // Pass 2: synonym match for any still-unmapped columns
+  const synonymMatches = [];
   for (let fi = 0; fi < fileHeader.length; fi++) {
     if (mapping[fi] !== -1 || airMapping[fi] !== -1) continue;
     const name = fileHeader[fi];
@@ -178,12 +216,28 @@ function buildColumnMapping(fileHeader, unified, synonyms, airOnlyHeader) {
       if (!used.has(ui) && unified[ui] === canonical) {
         mapping[fi] = ui;
         used.add(ui);
+        synonymMatches.push({ col: fi, header: name, matched: canonical, index: ui });
         break;
       }
     }
   }
 
-  return { mapping, airMapping };
+  // Pass 3: normalised / edit-distance match (encoding, whitespace, spelling)
+  const fuzzy = [];
+  for (let fi = 0; fi < fileHeader.length; fi++) {
+    if (mapping[fi] !== -1 || airMapping[fi] !== -1) continue;
+    const name = fileHeader[fi];
+    if (!name) continue;
+    const candidates = [];
+    unified.forEach((h, index) => { if (!used.has(index)) candidates.push({ name: h, index }); });
+    const match = matchHeaderFuzzy(name, candidates, synonyms);
+    if (!match) continue;
+    mapping[fi] = match.index;
+    used.add(match.index);
+    fuzzy.push({ col: fi, header: name, matched: match.name, index: match.index, method: match.method, distance: match.distance });
+  }
+
+  return { mapping, airMapping, synonymMatches, fuzzy };
 }
 
 /**
@@ -230,72 +284,275 @@ function extractAirOnlyRow(row, airMapping, width) {
 // Export alignment helpers for testing
 export { buildUnifiedHeader, buildColumnMapping, remapRow, extractAirOnlyRow };
 
+/* ───────────────────────────────────────────────
+   Layout report (header drift per file)
+   ─────────────────────────────────────────────── */
+
+/**
+ * Describe how every file's header compares to the merged header, so a
+ * broker format change shows up in the first month it happens.
+ *
+ * Files with the same header row share a layout variant, labelled by
+ * column count ("158 columns", or "158 columns #2" for a second layout
+ * of the same width).  Per file:
+ *   `added`   — its columns the merged header did not have (appended,
+ *               or dropped when the files were not aligned)
+ *   `removed` — merged-header columns it does not fill
+ *   `renamed` — { header, matched, via } for columns found under another
+ *               name; `via` is 'synonym', 'user-synonym', or the
+ *               matchHeaderFuzzy() method
+ *   `airOnly` — its columns moved to the air-only sheet
+ *
+ * @param {Array<{hRow: string[], name?: string}>} fileParts
+ * @param {string[]} unified        — merged header row
+ * @param {Object}   [opts]
+ * @param {Object}   [opts.synonyms]      — synonyms in effect
+ * @param {Object}   [opts.userSynonyms]  — the user's part of `synonyms`
+ * @param {string[]} [opts.airOnlyHeader]
+ * @param {number[]} [opts.appended]      — buildUnifiedHeader().appended
+ * @returns {{ unifiedColumns: number, variants: Object[], files: Object[] }}
+ */
+export function buildLayoutReport(fileParts, unified, opts = {}) {
+  const { synonyms = {}, userSynonyms = {}, airOnlyHeader = [], appended = [] } = opts;
+  const appendedSet = new Set(appended);
+  const variants = [];
+  const bySignature = new Map();
+
+  const files = fileParts.map(fp => {
+    const signature = fp.hRow.join('\u0001');
+    let variant = bySignature.get(signature);
+    if (!variant) {
+      const sameWidth = variants.filter(v => v.columns === fp.hRow.length).length;
+      variant = {
+        id: variants.length + 1,
+        label: `${fp.hRow.length} columns${sameWidth > 0 ? ` #${sameWidth + 1}` : ''}`,
+        columns: fp.hRow.length,
+        files: [],
+      };
+      variants.push(variant);
+      bySignature.set(signature, variant);
+    }
+    variant.files.push(fp.name);
+
+    const { mapping, airMapping, synonymMatches, fuzzy } = buildColumnMapping(fp.hRow, unified, synonyms, airOnlyHeader);
+    const claimed = new Set(mapping);
+    const added = fp.hRow.filter((h, fi) => h && airMapping[fi] === -1 && (mapping[fi] === -1 || appendedSet.has(mapping[fi])));
+    const removed = unified.filter((h, ui) => h && !appendedSet.has(ui) && !claimed.has(ui));
+    const renamed = [
+      ...synonymMatches.map(m => ({ ...m, via: userSynonyms[m.header] === m.matched ? 'user-synonym' : 'synonym' })),
+      ...fuzzy.map(m => ({ ...m, via: m.method })),
+    ].sort((a, b) => a.col - b.col).map(({ header, matched, via }) => ({ header, matched, via }));
+    const airOnly = fp.hRow.filter((h, fi) => airMapping[fi] !== -1);
+
+    return { file: fp.name, variant: variant.id, columns: fp.hRow.length, added, removed, renamed, airOnly };
+  });
+
+  return { unifiedColumns: unified.length, variants, files };
+}
+
 /**
  * Parse a single file into an array-of-arrays.
  * @param {File} file    — browser File object
  * @param {Object} [broker] — optional broker config (used for CSV parsing hints)
  */
 export async function parseFile(file, broker) {
-  const ext = file.name.split('.').pop().toLowerCase();
-  if (ext === 'csv' || ext === 'tsv') {
-    // Build PapaParse options. DSV CSVs use semicolons and UTF-8 BOM.
-    const opts = {
-      skipEmptyLines: false,
-      complete: null,
-      error: null,
-    };
+  const { rows } = await parseFileDetailed(file, broker);
+  return rows;
+}
 
-    // DSV CSV files are semicolon-delimited. PapaParse auto-detect may
-    // fail when numeric data contains commas (European decimal format).
-    if (broker && broker.csvDelimiter) {
-      opts.delimiter = broker.csvDelimiter;
-    }
+// Header cells shown per sheet in the sheet picker.
+const SHEET_PREVIEW_COLUMNS = 6;
 
-    return new Promise((resolve, reject) => {
-      opts.complete = (r) => {
-        let rows = r.data;
-        // Strip UTF-8 BOM from first cell if present
-        if (rows.length > 0 && rows[0].length > 0 && typeof rows[0][0] === 'string') {
-          rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
-        }
-        resolve(rows);
-      };
-      opts.error = reject;
-      Papa.parse(file, opts);
-    });
+const isBlankRow = (row) => !row || row.every(c => c == null || c === '');
+
+/**
+ * Summary of one worksheet for the sheet picker: its data row count and
+ * the first header names, read the way a merge would (extractParts)
+ * when the broker is known.
+ */
+function describeSheet(name, rows, broker, isDefault) {
+  let rowCount;
+  let header;
+  if (broker) {
+    const parts = extractParts(rows, broker);
+    rowCount = parts.data.length;
+    header = parts.headers[0] || [];
+  } else {
+    rowCount = Math.max(0, rows.filter(r => !isBlankRow(r)).length - 1);
+    header = rows.find(r => !isBlankRow(r)) || [];
+  }
+  const headerPreview = header
+    .filter(c => c != null && c !== '')
+    .slice(0, SHEET_PREVIEW_COLUMNS)
+    .map(c => String(c).trim());
+  return { name, rowCount, headerPreview, default: isDefault };
+}
+
+/**
+ * Like parseFile(), but also reports which sheet was read so rows can
+ * be traced back to their source.  `sheetName` is null for text files.
+ *
+ * The format is detected from the file's content (detectFileFormat,
+ * formats.js), not its extension: workbooks (XLSX, XLSB, XLS, ODS,
+ * Excel 2003 XML, HTML tables) are read by SheetJS, delimited text by
+ * PapaParse and fixed-width text by parseFixedWidth() with the broker's
+ * `fixedWidth.widths` or inferred widths.  Anything else is rejected
+ * with an "Unsupported file format" error, which mergeFiles() lists in
+ * `stats.skippedFiles`.
+ *
+ * Text bytes are decoded here rather than by PapaParse, in the
+ * encoding detected by decodeText() (UTF-8 with or without BOM,
+ * UTF-16, Windows-1252, ISO-8859-1); `encoding` reports which one was
+ * used and is null for workbooks.
+ *
+ * Workbooks may hold several data sheets (one per week or branch).
+ * `parts` holds the rows of each sheet in `sheetNames`, or of the
+ * default sheet (`broker.sheetSelector`, else the first); only those
+ * sheets are converted.  `rows` / `sheetName` are the first part.
+ * Text files have a single part.  The other sheets are listed by
+ * listSheets().
+ *
+ * @param {File} file
+ * @param {Object} [broker]
+ * @param {string[]} [sheetNames] — sheets to read instead of the default
+ * @returns {Promise<{ rows: Array<Array>, sheetName: string|null, encoding: string|null, format: string,
+ *   parts: Array<{ sheetName: string|null, rows: Array<Array> }> }>}
+ * @throws {Error} for unsupported or unreadable files, or a sheet name
+ *   the workbook does not have
+ */
+export async function parseFileDetailed(file, broker, sheetNames) {
+  const { format, label, supported } = await detectFileFormat(file, broker);
+  if (!supported) throw new Error(`Unsupported file format: ${label}`);
+
+  if (format === 'csv' || format === 'fixed-width') {
+    const { text, encoding } = decodeText(await file.arrayBuffer());
+    let rows;
+    if (format === 'fixed-width') {
+      rows = parseFixedWidth(text, broker && broker.fixedWidth && broker.fixedWidth.widths);
+    } else {
+      // Build PapaParse options. DSV CSVs use semicolons and UTF-8 BOM.
+      const opts = { skipEmptyLines: false };
+
+      // DSV CSV files are semicolon-delimited. PapaParse auto-detect may
+      // fail when numeric data contains commas (European decimal format).
+      if (broker && broker.csvDelimiter) {
+        opts.delimiter = broker.csvDelimiter;
+      }
+      rows = Papa.parse(text, opts).data;
+    }
+    // Strip a BOM left in the first cell (e.g. a BOM saved twice)
+    if (rows.length > 0 && rows[0].length > 0 && typeof rows[0][0] === 'string') {
+      rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+    }
+    return { rows, sheetName: null, encoding, format, parts: [{ sheetName: null, rows }] };
   }
+
+  const { wb, defaultSheet } = await readWorkbook(file, broker, label);
+  const wanted = sheetNames && sheetNames.length > 0 ? sheetNames : [defaultSheet];
+  const missing = wanted.find(name => !wb.Sheets[name]);
+  if (missing != null) throw new Error(`Sheet "${missing}" not found in ${file.name}`);
+
+  const parts = wanted.map(name => ({ sheetName: name, rows: sheetRows(wb, name) }));
+  return { rows: parts[0].rows, sheetName: parts[0].sheetName, encoding: null, format, parts };
+}
+
+/**
+ * Read a workbook and the sheet a merge reads by default.
+ *
+ * DSV Luftfracht XLSX files may have the real data on a sheet other
+ * than the first one.  When the broker supplies a sheetSelector
+ * function we ask it which sheet to use; otherwise take sheet 0.
+ */
+async function readWorkbook(file, broker, label) {
   const buf = await file.arrayBuffer();
-  const wb = XLSX.read(buf, { type: 'array', cellDates: false, raw: true });
+  let wb;
+  try {
+    wb = XLSX.read(buf, { type: 'array', cellDates: false, raw: true });
+  } catch (err) {
+    throw new Error(`Could not read ${label} file: ${err.message}`);
+  }
+  if (wb.SheetNames.length === 0) throw new Error(`${label} file has no worksheet`);
 
-  // DSV Luftfracht XLSX files may have the real data on a sheet other
-  // than the first one.  When the broker supplies a sheetSelector
-  // function we ask it which sheet to use; otherwise take sheet 0.
-  let sheetName = wb.SheetNames[0];
+  let defaultSheet = wb.SheetNames[0];
   if (broker && broker.sheetSelector) {
-    sheetName = broker.sheetSelector(wb.SheetNames, file.name) || sheetName;
+    defaultSheet = broker.sheetSelector(wb.SheetNames, file.name) || defaultSheet;
   }
-  const ws = wb.Sheets[sheetName];
-  return XLSX.utils.sheet_to_json(ws, { header: 1, defval: null, blankrows: true, raw: true });
+  return { wb, defaultSheet };
+}
+
+/** Rows of one worksheet as an array-of-arrays. */
+function sheetRows(wb, name) {
+  return XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: null, blankrows: true, raw: true });
+}
+
+/**
+ * Candidate sheets of a file for the sheet picker: sheets with data
+ * rows, plus the one a merge reads by default, each with its row count
+ * and header preview (describeSheet).  Converts every sheet, so only
+ * the picker calls it.  Empty for text files.
+ *
+ * @param {File} file
+ * @param {Object} [broker]
+ * @returns {Promise<Array<{ name: string, rowCount: number, headerPreview: string[], default: boolean }>>}
+ * @throws {Error} for unsupported or unreadable files
+ */
+export async function listSheets(file, broker) {
+  const { format, label, supported } = await detectFileFormat(file, broker);
+  if (!supported) throw new Error(`Unsupported file format: ${label}`);
+  if (format === 'csv' || format === 'fixed-width') return [];
+
+  const { wb, defaultSheet } = await readWorkbook(file, broker, label);
+  return wb.SheetNames
+    .map(name => describeSheet(name, sheetRows(wb, name), broker, name === defaultSheet))
+    .filter(sh => sh.default || sh.rowCount > 0);
 }
 
 /**
  * Extract header rows and data rows from a single parsed sheet.
+ *
+ * The header is located by its content (locateHeaderRow) and only
+ * falls back to `broker.headerStartRow` when no row matches the
+ * broker's header names better; the data start moves with it.
+ * `headerRow` is the 0-based header start used, `headerRowConfigured`
+ * the one from the broker config.
+ *
+ * `rowNumbers[i]` is the original 1-based sheet row of `data[i]`
+ * (footer / blank rows are filtered out, so the numbers can have gaps).
+ *
  * @param {Array<Array>} rows  — full sheet data
  * @param {Object} broker      — broker config
- * @returns {{ headers: Array<Array>, data: Array<Array> }}
+ * @returns {{ headers: Array<Array>, data: Array<Array>, rowNumbers: number[], headerRow: number, headerRowConfigured: number }}
  */
 export function extractParts(rows, broker) {
-  const headerStart = broker.headerStartRow ?? 0;
+  const { row: headerStart, configured } = locateHeaderRow(rows, broker);
   const headerEnd = headerStart + broker.headerRows;
-  const dataStart = broker.dataStartRow;
+  const dataStart = broker.dataStartRow + (headerStart - configured);
 
   const headers = rows.slice(headerStart, headerEnd);
-  const rawData = rows.slice(dataStart);
 
-  // Filter out footer / blank rows
-  const data = rawData.filter(row => !broker.isFooterRow(row));
+  // Filter out footer / blank rows, remembering where each kept row was
+  const data = [];
+  const rowNumbers = [];
+  for (let r = dataStart; r < rows.length; r++) {
+    if (broker.isFooterRow(rows[r])) continue;
+    data.push(rows[r]);
+    rowNumbers.push(r + 1);
+  }
 
-  return { headers, data };
+  return { headers, data, rowNumbers, headerRow: headerStart, headerRowConfigured: configured };
+}
+
+/** Leading column names used when provenance is included in an export. */
+export const PROVENANCE_HEADERS = ['Source File', 'Source Sheet', 'Source Row'];
+
+/**
+ * Throw an AbortError when the merge has been cancelled.
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('Merge cancelled', 'AbortError');
+  }
 }
 
 /**
@@ -305,36 +562,93 @@ export function extractParts(rows, broker) {
  * When files have different column structures (detected by varying
  * header counts), all data is aligned to a unified header so that
  * every value lands in the correct column.
+ *
+ * `onProgress(message, info)` receives a human-readable message plus a
+ * structured `info` object:
+ *   { phase: 'parse'|'align'|'validate'|'done', fileIndex, fileCount,
+ *     fileName, rowsProcessed, totalRows }
+ * (`fileIndex` is 1-based; fields that don't apply to a phase are omitted.)
+ *
+ * The result carries `provenance[i] = { file, sheet, row }` for every
+ * data row (sheet is null for CSV, row is the 1-based source row), and
+ * every validation issue gets the same object as `issue.source`.
+ *
+ * `stats.rowsPerFile[]` has one entry per merged sheet: file name,
+ * `sheet` (null for text files), row count, encoding, format and the
+ * 1-based `headerRow` the header was read from (located by
+ * extractParts; `headerRowConfigured` is where the broker expects it).
+ * A file merged from several sheets (`options.sheets`) gets one part,
+ * and one rowsPerFile entry, per sheet.
+ *
+ * `stats.duplicates` lists groups of rows describing the same
+ * declaration line (findDuplicateRows, duplicates.js); nothing is
+ * removed here — the caller applies the user's decisions with
+ * resolveDuplicates().
+ *
+ * Columns aligned by a fuzzy header match are listed in
+ * `stats.fuzzyHeaderMatches` ({ file, header, matched, method, distance })
+ * so they can be audited, and `stats.layoutReport` (buildLayoutReport)
+ * compares every file's header with the merged one.
+ *
+ * @param {File[]}   files
+ * @param {Object}   broker
+ * @param {Function} [onProgress]
+ * @param {Object}   [options]
+ * @param {AbortSignal} [options.signal] — abort between files / phases;
+ *   the returned promise then rejects with a DOMException "AbortError".
+ * @param {Object}  [options.userSynonyms] — header synonyms confirmed by
+ *   the user, applied on top of broker.headerSynonyms
+ * @param {boolean} [options.stopOnUnmatched] — when alignment leaves
+ *   headers unmatched, return `{ unmatchedHeaders }` (findUnmatchedHeaders)
+ *   with empty data instead of appending them as new columns
+ * @param {Array<string[]|null>} [options.sheets] — per file (same index),
+ *   the sheets to merge; null / missing reads the default sheet
  */
-export async function mergeFiles(files, broker, onProgress) {
-  const stats = { totalFiles: files.length, rowsPerFile: [], totalRows: 0, skippedFiles: [] };
+export async function mergeFiles(files, broker, onProgress, options = {}) {
+  const { signal, userSynonyms, stopOnUnmatched, sheets: sheetChoice } = options;
+  const stats = { totalFiles: files.length, rowsPerFile: [], totalRows: 0, skippedFiles: [], fuzzyHeaderMatches: [] };
+  const report = (msg, info) => { if (onProgress) onProgress(msg, info); };
 
   // ── Phase 1: Parse all files, collect headers + data ──
-  const fileParts = []; // { headers, data, hRow }
+  const fileParts = []; // { headers, data, hRow, source, name }
   for (let i = 0; i < files.length; i++) {
+    throwIfAborted(signal);
     const file = files[i];
-    if (onProgress) onProgress(`Parsing ${file.name}... (${i + 1}/${files.length})`);
+    report(`Parsing ${file.name}... (${i + 1}/${files.length})`, {
+      phase: 'parse', fileIndex: i + 1, fileCount: files.length,
+      fileName: file.name, rowsProcessed: stats.totalRows,
+    });
 
     try {
-      const rows = await parseFile(file, broker);
-      const parts = extractParts(rows, broker);
-
-      // Normalise header row strings for comparison
-      const hRow = (parts.headers[0] || []).map(h =>
-        h != null ? String(h).trim() : ''
-      );
-
-      fileParts.push({ headers: parts.headers, data: parts.data, hRow });
-      stats.rowsPerFile.push({ name: file.name, rows: parts.data.length });
-      stats.totalRows += parts.data.length;
+      const { parts: sheetParts, encoding, format } = await parseFileDetailed(file, broker, sheetChoice && sheetChoice[i]);
+      // Several chosen sheets are merged as separate parts, labelled
+      // with their sheet in the layout report
+      for (const { sheetName, rows } of sheetParts) {
+        const parts = extractParts(rows, broker);
+        const source = parts.rowNumbers.map(row => ({ file: file.name, sheet: sheetName, row }));
+        const name = sheetParts.length > 1 ? `${file.name} › ${sheetName}` : file.name;
+
+        // Normalise header row strings for comparison
+        const hRow = (parts.headers[0] || []).map(h =>
+          h != null ? String(h).trim() : ''
+        );
+
+        fileParts.push({ headers: parts.headers, data: parts.data, hRow, source, name });
+        stats.rowsPerFile.push({
+          name: file.name, sheet: sheetName, rows: parts.data.length, encoding, format,
+          headerRow: parts.headerRow + 1, headerRowConfigured: parts.headerRowConfigured + 1,
+        });
+        stats.totalRows += parts.data.length;
+      }
     } catch (err) {
       console.error(`Failed to parse ${file.name}:`, err);
       stats.skippedFiles.push({ name: file.name, error: err.message });
     }
   }
+  throwIfAborted(signal);
 
   if (fileParts.length === 0) {
-    return { headers: [], data: [], stats };
+    return { headers: [], data: [], stats, provenance: [] };
   }
 
   // ── Phase 2: Detect if header alignment is needed ──
@@ -348,24 +662,43 @@ export async function mergeFiles(files, broker, onProgress) {
 
   let headers;
   const allData = [];
+  // Rows are concatenated in file order in both branches below, so the
+  // per-file provenance lists line up with allData.
+  const provenance = fileParts.flatMap(fp => fp.source);
   let airOnlyHeader = [];
   const airOnlyData = [];
+  let layoutOpts = {};
 
   if (needsAlignment && broker.headerSynonyms) {
     // ── Build unified header and remap all data ──
-    if (onProgress) onProgress('Aligning columns across files…');
+    report('Aligning columns across files…', {
+      phase: 'align', fileCount: fileParts.length, rowsProcessed: 0, totalRows: stats.totalRows,
+    });
 
-    const result = buildUnifiedHeader(fileParts, broker);
+    const synonyms = { ...broker.headerSynonyms, ...userSynonyms };
+    const result = buildUnifiedHeader(fileParts, broker, synonyms);
     const unified = result.unified;
+
+    if (stopOnUnmatched) {
+      const unmatchedHeaders = findUnmatchedHeaders(fileParts, unified, result.appended, synonyms);
+      if (unmatchedHeaders.length > 0) {
+        return { headers: [], data: [], stats, provenance: [], unmatchedHeaders };
+      }
+    }
+
     airOnlyHeader = result.airOnlyHeader;
     headers = [unified];
+    layoutOpts = { synonyms, userSynonyms, airOnlyHeader, appended: result.appended };
 
-    const synonyms = broker.headerSynonyms || {};
-
-    for (const fp of fileParts) {
-      const { mapping, airMapping } = buildColumnMapping(
+    for (let fi = 0; fi < fileParts.length; fi++) {
+      throwIfAborted(signal);
+      const fp = fileParts[fi];
+      const { mapping, airMapping, fuzzy } = buildColumnMapping(
         fp.hRow, unified, synonyms, airOnlyHeader
       );
+      for (const m of fuzzy) {
+        stats.fuzzyHeaderMatches.push({ file: fp.name, header: m.header, matched: m.matched, method: m.method, distance: m.distance });
+      }
       for (const row of fp.data) {
         allData.push(remapRow(row, mapping, unified.length));
         // Collect air-only data (if this file has air-only columns)
@@ -374,6 +707,10 @@ export async function mergeFiles(files, broker, onProgress) {
           airOnlyData.push(airRow); // null for Sea-only rows
         }
       }
+      report(`Aligning columns across files… (${fi + 1}/${fileParts.length})`, {
+        phase: 'align', fileIndex: fi + 1, fileCount: fileParts.length,
+        rowsProcessed: allData.length, totalRows: stats.totalRows,
+      });
     }
   } else {
     // ── All files have the same structure — no remapping needed ──
@@ -382,86 +719,49 @@ export async function mergeFiles(files, broker, onProgress) {
       allData.push(...fp.data);
     }
   }
+  const mergedHeader = (headers[0] || []).map(h => (h != null ? String(h).trim() : ''));
+  stats.layoutReport = buildLayoutReport(fileParts, mergedHeader, layoutOpts);
+  throwIfAborted(signal);
 
   // ── Phase 3: Data Validation & Correction ──
-  if (onProgress) onProgress('Validating & correcting data…');
+  report('Validating & correcting data…', {
+    phase: 'validate', rowsProcessed: 0, totalRows: allData.length,
+  });
   const validationReport = validateAndFix(allData, broker, headers);
+  for (const iss of validationReport.issues) {
+    iss.source = provenance[iss.row - 1] || null;
+  }
   stats.validation = validationReport;
   stats.validationSummary = reportSummary(validationReport);
+  stats.duplicates = findDuplicateRows(headers, allData, broker.id);
+  throwIfAborted(signal);
 
   // Attach air-only column info so downloadExcel can produce Sheet 2.
   const airOnly = airOnlyHeader.length > 0
     ? { headers: airOnlyHeader, data: airOnlyData }
     : null;
 
-  return { headers: headers || [], data: allData, stats, airOnly };
+  report('Done', { phase: 'done', rowsProcessed: allData.length, totalRows: allData.length });
+
+  return { headers: headers || [], data: allData, stats, airOnly, provenance };
 }
 
 /**
- * Generate an Excel workbook from merged data and trigger download.
- *
- * When `airOnly` is provided (from mergeFiles), a second sheet
- * "Air-Only Fields" is created with the columns that could not be
- * mapped to the Sea layout.  A "Row #" column cross-references the
- * main Consolidated sheet so users can match rows easily.
+ * Prefix every row with its source file / sheet / row.  The labels go
+ * on the first header row; further header rows get blank cells.
  *
- * @param {Array}  headers   — header rows (array of arrays)
- * @param {Array}  data      — data rows
- * @param {string} fileName  — output file name
- * @param {Object} [airOnly] — { headers: string[], data: (Array|null)[] }
+ * @param {Array} headers    — header rows
+ * @param {Array} data       — data rows
+ * @param {Array} provenance — per-row { file, sheet, row }
+ * @returns {Array<Array>} header + data rows with 3 leading columns
  */
-export function downloadExcel(headers, data, fileName, airOnly) {
-  const allRows = [...headers, ...data];
-  const ws = XLSX.utils.aoa_to_sheet(allRows);
-
-  // Auto-size columns (approximate)
-  const colWidths = [];
-  for (const row of allRows.slice(0, 50)) {
-    if (!row) continue;
-    for (let c = 0; c < row.length; c++) {
-      const len = row[c] ? String(row[c]).length : 0;
-      colWidths[c] = Math.min(Math.max(colWidths[c] || 8, len), 40);
-    }
-  }
-  ws['!cols'] = colWidths.map(w => ({ wch: w }));
-
-  const wb = XLSX.utils.book_new();
-  XLSX.utils.book_append_sheet(wb, ws, 'Consolidated');
-
-  // ── Sheet 2: Air-Only Fields ──
-  if (airOnly && airOnly.headers && airOnly.headers.length > 0) {
-    // Check if there is any air-only data at all
-    const hasAnyAirData = airOnly.data.some(r => r != null);
-    if (hasAnyAirData) {
-      // Build air-only sheet with a "Row #" cross-reference column.
-      const airHeader = ['Row #', ...airOnly.headers];
-      const airRows = [airHeader];
-
-      for (let i = 0; i < airOnly.data.length; i++) {
-        const airRow = airOnly.data[i];
-        if (airRow) {
-          // Row # is 1-based, matching the Consolidated sheet data rows
-          // (header is row 1, first data row is row 2).
-          airRows.push([i + 2, ...airRow]);
-        }
-      }
-
-      const ws2 = XLSX.utils.aoa_to_sheet(airRows);
-
-      // Auto-size
-      const airColWidths = [];
-      for (const row of airRows.slice(0, 50)) {
-        if (!row) continue;
-        for (let c = 0; c < row.length; c++) {
-          const len = row[c] ? String(row[c]).length : 0;
-          airColWidths[c] = Math.min(Math.max(airColWidths[c] || 8, len), 40);
-        }
-      }
-      ws2['!cols'] = airColWidths.map(w => ({ wch: w }));
-
-      XLSX.utils.book_append_sheet(wb, ws2, 'Air-Only Fields');
-    }
+export function withProvenanceColumns(headers, data, provenance) {
+  const out = headers.map((h, i) =>
+    [...(i === 0 ? PROVENANCE_HEADERS : PROVENANCE_HEADERS.map(() => null)), ...(h || [])]
+  );
+  for (let i = 0; i < data.length; i++) {
+    const p = provenance[i] || {};
+    out.push([p.file ?? null, p.sheet ?? null, p.row ?? null, ...(data[i] || [])]);
   }
-
-  XLSX.writeFile(wb, fileName);
+  return out;
 }
@@ -0,0 +1,258 @@
+/**
+ * Excel export.
+ *
+ * Builds the consolidated workbook that users download:
+ *   Sheet 1 "Consolidated"    — merged data, cells touched by the
+ *                               validator filled by issue type and
+ *                               annotated with a comment
+ *   Sheet 2 "Air-Only Fields" — columns that don't fit the Sea layout
+ *   Sheet 3 "Issues"          — one line per validation issue with a
+ *                               link to the affected cell
+ *   Sheet 4 "Layout Report"   — header drift per source file
+ *                               (engine.buildLayoutReport)
+ *
+ * Uses xlsx-js-style (a SheetJS fork) because the community build of
+ * SheetJS cannot write cell fills.  Reading still goes through `xlsx`.
+ */
+
+import XLSX from 'xlsx-js-style';
+import { withProvenanceColumns, PROVENANCE_HEADERS } from './engine.js';
+
+/* ───────────────────────────────────────────────
+   Highlight styles
+   ─────────────────────────────────────────────── */
+
+// Fill colour per issue type (RGB hex, no alpha).
+export const ISSUE_FILLS = {
+  shift:   'FCE4D6',   // orange — realigned by a shift repair
+  gap:     'FFF2CC',   // yellow — blank cell re-inserted for a missing one
+  number:  'DDEBF7',   // blue   — number format normalised
+  date:    'E2EFDA',   // green  — date / time converted
+  cleanup: 'EDEDED',   // grey   — whitespace / newline stripped
+  manual:  'E4DFEC',   // purple — edited by hand in the result grid
+  warning: 'FFC7CE',   // red    — needs manual review
+};
+
+// When several issues hit the same cell, the highest ranked type wins.
+const FILL_PRIORITY = ['warning', 'manual', 'shift', 'gap', 'date', 'number', 'cleanup'];
+
+const ISSUES_SHEET_HEADER = [
+  'Row', 'Cell', 'Column', 'Column Name', 'Zone', 'Type', 'Rule', 'Severity',
+  'Before', 'After', 'Detail', ...PROVENANCE_HEADERS,
+];
+
+const LAYOUT_SHEET_HEADER = ['File', 'Layout', 'Columns', 'Added', 'Removed', 'Renamed', 'Air-Only'];
+
+/* ───────────────────────────────────────────────
+   Workbook
+   ─────────────────────────────────────────────── */
+
+/** Zero-based column index → Excel letters (0 → A, 27 → AB). */
+function colLetter(c) {
+  return XLSX.utils.encode_col(c);
+}
+
+function autoSizeColumns(ws, rows) {
+  const colWidths = [];
+  for (const row of rows.slice(0, 50)) {
+    if (!row) continue;
+    for (let c = 0; c < row.length; c++) {
+      const len = row[c] ? String(row[c]).length : 0;
+      colWidths[c] = Math.min(Math.max(colWidths[c] || 8, len), 40);
+    }
+  }
+  ws['!cols'] = colWidths.map(w => ({ wch: w }));
+}
+
+/**
+ * Fill, comment and collect every issue that can be tied to a cell.
+ * Returns the rows of the Issues sheet.
+ */
+function annotateIssues(ws, issues, headers, colOffset) {
+  const headerRow = headers[0] || [];
+  const firstDataRow = headers.length;          // 0-based sheet row of data row 1
+  const cellTypes = new Map();                  // address → winning type
+  const cellNotes = new Map();                  // address → comment lines
+  const rows = [ISSUES_SHEET_HEADER];
+  const links = [];                             // [issuesRowIdx, address]
+
+  for (const iss of issues) {
+    const { col, before, after } = iss;
+    let address = null;
+    if (col != null && iss.row > 0) {
+      address = colLetter(col + colOffset) + (firstDataRow + iss.row);
+      const prev = cellTypes.get(address);
+      if (!prev || FILL_PRIORITY.indexOf(iss.type) < FILL_PRIORITY.indexOf(prev)) {
+        cellTypes.set(address, iss.type);
+      }
+      const note = before != null && iss.type !== 'warning'
+        ? `${iss.type}: original "${before}"`
+        : `${iss.type}: ${iss.detail}`;
+      if (!cellNotes.has(address)) cellNotes.set(address, []);
+      cellNotes.get(address).push(note);
+    }
+
+    const src = iss.source || {};
+    rows.push([
+      iss.row,
+      address,
+      col,
+      iss.header ?? (col != null ? (headerRow[col] ?? null) : null),
+      iss.zone || null,
+      iss.type,
+      iss.rule || null,
+      iss.severity || null,
+      before,
+      after,
+      iss.detail || '',
+      src.file ?? null,
+      src.sheet ?? null,
+      src.row ?? null,
+    ]);
+    if (address) links.push([rows.length - 1, address]);
+  }
+
+  for (const [address, type] of cellTypes) {
+    if (!ws[address]) ws[address] = { t: 'z' };
+    ws[address].s = { fill: { patternType: 'solid', fgColor: { rgb: ISSUE_FILLS[type] } } };
+  }
+  for (const [address, notes] of cellNotes) {
+    if (!ws[address]) ws[address] = { t: 'z' };
+    ws[address].c = [{ a: 'ImportRaport', t: notes.join('\n') }];
+    ws[address].c.hidden = true;
+  }
+
+  return { rows, links };
+}
+
+/**
+ * Rows of the Layout Report sheet: one line per file, the column lists
+ * joined with line breaks.
+ * @param {Object} report — stats.layoutReport
+ */
+export function layoutReportRows(report) {
+  const label = new Map(report.variants.map(v => [v.id, v.label]));
+  const rows = [LAYOUT_SHEET_HEADER];
+  for (const f of report.files) {
+    rows.push([
+      f.file,
+      label.get(f.variant),
+      f.columns,
+      f.added.join('\n'),
+      f.removed.join('\n'),
+      f.renamed.map(r => `${r.header} → ${r.matched} (${r.via})`).join('\n'),
+      f.airOnly.join('\n'),
+    ]);
+  }
+  rows.push([]);
+  rows.push(['Merged header', null, report.unifiedColumns]);
+  return rows;
+}
+
+/**
+ * Build the export workbook (no download — usable in tests).
+ *
+ * @param {Array}  headers   — header rows (array of arrays)
+ * @param {Array}  data      — data rows
+ * @param {Object} [airOnly] — { headers: string[], data: (Array|null)[] }
+ * @param {Object} [opts]
+ * @param {Array}  [opts.provenance] — per-row { file, sheet, row }; adds
+ *   PROVENANCE_HEADERS as leading columns
+ * @param {Array}  [opts.issues]     — stats.validation.issues; highlights
+ *   affected cells and adds the "Issues" sheet
+ * @param {Object} [opts.layoutReport] — stats.layoutReport; adds the
+ *   "Layout Report" sheet
+ * @returns {Object} SheetJS workbook
+ */
+export function buildExportWorkbook(headers, data, airOnly, opts = {}) {
+  const { provenance, issues, layoutReport } = opts;
+  const allRows = provenance
+    ? withProvenanceColumns(headers, data, provenance)
+    : [...headers, ...data];
+  const ws = XLSX.utils.aoa_to_sheet(allRows);
+  autoSizeColumns(ws, allRows);
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Consolidated');
+
+  let issuesSheet = null;
+  if (issues && issues.length > 0) {
+    const colOffset = provenance ? PROVENANCE_HEADERS.length : 0;
+    const { rows, links } = annotateIssues(ws, issues, headers, colOffset);
+    issuesSheet = XLSX.utils.aoa_to_sheet(rows);
+    for (const [r, address] of links) {
+      const ref = XLSX.utils.encode_cell({ r, c: 1 });
+      issuesSheet[ref].l = { Target: `#Consolidated!${address}`, Tooltip: 'Go to cell' };
+      issuesSheet[ref].s = { font: { color: { rgb: '0563C1' }, underline: true } };
+    }
+    for (let c = 0; c < ISSUES_SHEET_HEADER.length; c++) {
+      issuesSheet[XLSX.utils.encode_cell({ r: 0, c })].s = { font: { bold: true } };
+    }
+    issuesSheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length - 1, c: ISSUES_SHEET_HEADER.length - 1 } }) };
+    autoSizeColumns(issuesSheet, rows);
+  }
+
+  // ── Sheet 2: Air-Only Fields ──
+  if (airOnly && airOnly.headers && airOnly.headers.length > 0) {
+    // Check if there is any air-only data at all
+    const hasAnyAirData = airOnly.data.some(r => r != null);
+    if (hasAnyAirData) {
+      // Build air-only sheet with a "Row #" cross-reference column.
+      const airHeader = ['Row #', ...airOnly.headers];
+      const airRows = [airHeader];
+
+      for (let i = 0; i < airOnly.data.length; i++) {
+        const airRow = airOnly.data[i];
+        if (airRow) {
+          // Row # is 1-based, matching the Consolidated sheet data rows
+          // (header is row 1, first data row is row 2).
+          airRows.push([i + 2, ...airRow]);
+        }
+      }
+
+      const ws2 = XLSX.utils.aoa_to_sheet(airRows);
+      autoSizeColumns(ws2, airRows);
+      XLSX.utils.book_append_sheet(wb, ws2, 'Air-Only Fields');
+    }
+  }
+
+  if (issuesSheet) XLSX.utils.book_append_sheet(wb, issuesSheet, 'Issues');
+
+  // ── Sheet 4: Layout Report ──
+  if (layoutReport && layoutReport.files.length > 0) {
+    const rows = layoutReportRows(layoutReport);
+    const ws4 = XLSX.utils.aoa_to_sheet(rows);
+    for (let c = 0; c < LAYOUT_SHEET_HEADER.length; c++) {
+      ws4[XLSX.utils.encode_cell({ r: 0, c })].s = { font: { bold: true } };
+    }
+    for (let r = 1; r <= layoutReport.files.length; r++) {
+      for (let c = 3; c < LAYOUT_SHEET_HEADER.length; c++) {
+        const cell = ws4[XLSX.utils.encode_cell({ r, c })];
+        if (cell) cell.s = { alignment: { wrapText: true, vertical: 'top' } };
+      }
+    }
+    autoSizeColumns(ws4, rows);
+    XLSX.utils.book_append_sheet(wb, ws4, 'Layout Report');
+  }
+
+  return wb;
+}
+
+/**
+ * Generate an Excel workbook from merged data and trigger download.
+ *
+ * When `airOnly` is provided (from mergeFiles), a second sheet
+ * "Air-Only Fields" is created with the columns that could not be
+ * mapped to the Sea layout.  A "Row #" column cross-references the
+ * main Consolidated sheet so users can match rows easily.
+ *
+ * @param {Array}  headers   — header rows (array of arrays)
+ * @param {Array}  data      — data rows
+ * @param {string} fileName  — output file name
+ * @param {Object} [airOnly] — { headers: string[], data: (Array|null)[] }
+ * @param {Object} [opts]    — see buildExportWorkbook()
+ */
+export function downloadExcel(headers, data, fileName, airOnly, opts = {}) {
+  const wb = buildExportWorkbook(headers, data, airOnly, opts);
+  XLSX.writeFile(wb, fileName);
+}
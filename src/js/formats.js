@@ -0,0 +1,209 @@
+/**
+ * File formats — what a report file really is, read from its first
+ * bytes instead of its extension, and the fixed-width text parser.
+ *
+ * Customs software exports more than XLSX and CSV: XLSB, ODS, Excel 2003
+ * XML (SpreadsheetML), HTML tables saved as ".xls" and fixed-width TXT.
+ * detectFileFormat() tells them apart by their magic bytes (and for
+ * ZIP-based formats by the entries inside), so a mislabelled file is
+ * still read with the right parser and a PDF renamed to ".xlsx" is
+ * rejected with a clear message instead of turning into garbage rows.
+ *
+ * Workbook formats are read by SheetJS; delimited text by PapaParse;
+ * fixed-width text by parseFixedWidth() with the broker's declared
+ * column widths (`broker.fixedWidth.widths`) or widths inferred from
+ * the blank gutters between columns.  Pure module — no DOM access.
+ */
+
+import { decodeText } from './encoding.js';
+import { listZipEntries, readZipEntry } from './upload.js';
+
+/* ───────────────────────────────────────────────
+   Formats
+   ─────────────────────────────────────────────── */
+
+/**
+ * Formats the engine reads, with a label for the UI.  Workbook formats
+ * go through SheetJS, 'csv' and 'fixed-width' are text.
+ */
+export const FORMAT_LABELS = {
+  'xlsx':          'XLSX',
+  'xlsb':          'XLSB',
+  'xls':           'XLS',
+  'ods':           'ODS',
+  'fods':          'ODS (flat XML)',
+  'spreadsheetml': 'Excel 2003 XML',
+  'html':          'HTML table',
+  'csv':           'CSV',
+  'fixed-width':   'Fixed-width text',
+};
+
+export const WORKBOOK_FORMATS = ['xlsx', 'xlsb', 'xls', 'ods', 'fods', 'spreadsheetml', 'html'];
+
+// Bytes read from the start of a file to detect its format.
+const HEAD_BYTES = 64 * 1024;
+
+// Signatures of files that are recognisably not reports.
+const FOREIGN_SIGNATURES = [
+  [[0x25, 0x50, 0x44, 0x46], 'PDF document'],
+  [[0x89, 0x50, 0x4E, 0x47], 'PNG image'],
+  [[0xFF, 0xD8, 0xFF], 'JPEG image'],
+  [[0x47, 0x49, 0x46, 0x38], 'GIF image'],
+  [[0x1F, 0x8B], 'gzip archive'],
+  [[0x52, 0x61, 0x72, 0x21], 'RAR archive'],
+  [[0x37, 0x7A, 0xBC, 0xAF], '7-Zip archive'],
+];
+
+const OLE2_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+const ZIP_SIGNATURES = [[0x50, 0x4B, 0x03, 0x04], [0x50, 0x4B, 0x05, 0x06]];
+
+const startsWith = (bytes, sig) => sig.every((b, i) => bytes[i] === b);
+
+const supported = (format) => ({ format, label: FORMAT_LABELS[format], supported: true });
+const unsupported = (label) => ({ format: null, label, supported: false });
+
+// ZIP container: tell the Office / OpenDocument formats apart by the
+// entries they must contain
+async function zipFormat(file) {
+  let entries;
+  try {
+    entries = await listZipEntries(file);
+  } catch {
+    return unsupported('damaged ZIP container');
+  }
+  const names = new Set(entries.map(e => e.path));
+  if (names.has('xl/workbook.bin')) return supported('xlsb');
+  if (names.has('xl/workbook.xml')) return supported('xlsx');
+  if (names.has('content.xml') && names.has('mimetype')) {
+    const mimetype = await (await readZipEntry(file, entries.find(e => e.path === 'mimetype'))).text();
+    return mimetype.includes('spreadsheet') ? supported('ods') : unsupported('OpenDocument file (not a spreadsheet)');
+  }
+  if (names.has('word/document.xml')) return unsupported('Word document');
+  if ([...names].some(n => n.startsWith('ppt/'))) return unsupported('PowerPoint presentation');
+  return unsupported('ZIP archive');
+}
+
+// XML / HTML text: SpreadsheetML, flat ODS or an HTML table
+function markupFormat(head) {
+  const text = head.toLowerCase();
+  if (text.includes('urn:schemas-microsoft-com:office:spreadsheet')) return supported('spreadsheetml');
+  if (text.includes('urn:oasis:names:tc:opendocument:xmlns:office')) {
+    return text.includes('opendocument.spreadsheet') ? supported('fods') : unsupported('OpenDocument file (not a spreadsheet)');
+  }
+  if (/<(html|table)[\s>]/.test(text)) return supported('html');
+  return unsupported('XML file (not a spreadsheet)');
+}
+
+/**
+ * Detect the format of a report file from its content.
+ *
+ * @param {Blob|File} file
+ * @param {Object} [broker] — its `fixedWidth` layout marks text without
+ *   delimiters as fixed-width
+ * @returns {Promise<{ format: string|null, label: string, supported: boolean }>}
+ *   `format` is a FORMAT_LABELS key, null when unsupported; `label`
+ *   names what was found either way
+ */
+export async function detectFileFormat(file, broker) {
+  const bytes = new Uint8Array(await file.slice(0, HEAD_BYTES).arrayBuffer());
+  if (bytes.length === 0) return unsupported('empty file');
+
+  if (ZIP_SIGNATURES.some(sig => startsWith(bytes, sig))) return zipFormat(file);
+  if (startsWith(bytes, OLE2_SIGNATURE)) return supported('xls');
+  const foreign = FOREIGN_SIGNATURES.find(([sig]) => startsWith(bytes, sig));
+  if (foreign) return unsupported(foreign[1]);
+
+  const { text, encoding } = decodeText(bytes);
+  // NUL bytes do not occur in single-byte or UTF-8 text
+  if (!encoding.startsWith('utf-16') && bytes.includes(0)) return unsupported('unknown binary file');
+
+  const head = text.replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('<')) return markupFormat(head.slice(0, 4096));
+  const layout = textLayout(text, broker);
+  return layout ? supported(layout) : unsupported('text file without columns');
+}
+
+/* ───────────────────────────────────────────────
+   Delimited or fixed-width text
+   ─────────────────────────────────────────────── */
+
+// Lines sampled to tell delimited from fixed-width text.
+const SAMPLE_LINES = 50;
+
+// Share of lines that must contain a delimiter for the text to count as
+// delimited.
+const DELIMITED_SHARE = 0.8;
+
+const DELIMITERS = [';', '\t', '|', ','];
+
+function sampleLines(text) {
+  return text.split(/\r?\n/).filter(l => l.trim() !== '').slice(0, SAMPLE_LINES);
+}
+
+/**
+ * 'csv' when most lines carry the same kind of delimiter (quoted values
+ * ignored), else 'fixed-width' when the broker declares a layout or
+ * blank gutters split the lines into at least two columns.  null for
+ * text with neither (a read-me, a cover letter).
+ * @param {string} text
+ * @param {Object} [broker]
+ * @returns {'csv'|'fixed-width'|null}
+ */
+export function textLayout(text, broker) {
+  const lines = sampleLines(text).map(l => l.replace(/"[^"]*"/g, ''));
+  if (lines.length === 0) return null;
+  for (const d of DELIMITERS) {
+    const withDelimiter = lines.filter(l => l.includes(d)).length;
+    if (withDelimiter / lines.length < DELIMITED_SHARE) continue;
+    // A comma may just be a decimal mark inside fixed-width columns
+    if (d !== ',' || !(broker && broker.fixedWidth)) return 'csv';
+  }
+  if (broker && broker.fixedWidth) return 'fixed-width';
+  return lines.length >= 2 && inferFixedWidths(lines).length >= 2 ? 'fixed-width' : null;
+}
+
+/**
+ * Column widths of fixed-width lines: a column starts wherever a
+ * character follows a position that is blank on every line.  The last
+ * width covers the rest of the longest line.
+ * @param {string[]} lines
+ * @returns {number[]}
+ */
+export function inferFixedWidths(lines) {
+  const sample = lines.filter(l => l.trim() !== '').slice(0, SAMPLE_LINES);
+  const length = Math.max(0, ...sample.map(l => l.length));
+  const blank = (i) => sample.every(l => i >= l.length || l[i] === ' ');
+
+  const starts = [];
+  for (let i = 0; i < length; i++) {
+    if (!blank(i) && (i === 0 || blank(i - 1))) starts.push(i);
+  }
+  if (starts.length > 0) starts[0] = 0;
+  return starts.map((s, k) => (k + 1 < starts.length ? starts[k + 1] : length) - s);
+}
+
+/**
+ * Split fixed-width text into rows of trimmed cells.  The last column
+ * takes the rest of the line, so a longer value is never cut off.
+ *
+ * @param {string}   text
+ * @param {number[]} [widths] — column widths; inferred when omitted
+ * @returns {Array<string[]>}
+ */
+export function parseFixedWidth(text, widths) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  if (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  const cols = widths && widths.length ? widths : inferFixedWidths(lines);
+
+  return lines.map(line => {
+    if (line.trim() === '') return [];
+    const row = [];
+    let pos = 0;
+    cols.forEach((w, k) => {
+      const end = k === cols.length - 1 ? line.length : pos + w;
+      row.push(line.slice(pos, end).trim());
+      pos += w;
+    });
+    return row;
+  });
+}
@@ -0,0 +1,507 @@
+/**
+ * Data grid — virtual-scrolling view over the full merged result.
+ *
+ * Only the rows inside the viewport (plus a small overscan) are in the
+ * DOM, so scrolling stays smooth at 100k rows.  Sorting, per-column
+ * filters and the global search produce an index array over the
+ * original rows (applyGridView); the data itself is never copied.
+ *
+ * Columns are described as
+ *   { label, title?, className?, get(rowIndex) → value,
+ *     set?(rowIndex, text), cellClass?(rowIndex) → string }
+ * so callers can mix data columns with derived ones (e.g. provenance).
+ * Columns with `set` are editable: double-click (or Enter/F2 on a
+ * focused cell) opens an input; Enter/blur commits, Escape cancels.
+ *
+ * Per-column filters:
+ *   text columns   — case-insensitive "contains"
+ *   number columns — "100", ">100", "<=5", "!=0", "10..20"
+ *                    (anything else falls back to "contains")
+ */
+
+import { escapeHtml } from './util.js';
+
+const ROW_HEIGHT = 28;       // px — must match .grid-row in styles.css
+const OVERSCAN = 8;          // rows rendered above/below the viewport
+const DEFAULT_WIDTH = 140;
+const MIN_WIDTH = 48;
+const INDEX_WIDTH = 64;
+const FILTER_DEBOUNCE = 200; // ms
+const TYPE_SAMPLE = 200;     // non-empty cells sampled per column for detectColumnType
+
+/* ───────────────────────────────────────────────
+   View computation (pure — no DOM)
+   ─────────────────────────────────────────────── */
+
+/** Cell value → finite number, or null. Numeric strings count. */
+export function toNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v !== 'string') return null;
+  const s = v.trim();
+  if (s === '') return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// DD.MM.YYYY — the date format written by the validator
+const DATE_RE = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/;
+
+/**
+ * Sort key for a cell: numbers (and DD.MM.YYYY dates as YYYYMMDD)
+ * compare numerically, everything else as lower-case text.
+ * Empty cells → null (always sorted last).
+ */
+function sortKey(v) {
+  if (v == null || v === '') return null;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const s = String(v).trim();
+  if (s === '') return null;
+  const n = toNumber(s);
+  if (n != null) return n;
+  const d = DATE_RE.exec(s);
+  if (d) return Number(d[3]) * 10000 + Number(d[2]) * 100 + Number(d[1]);
+  return s.toLowerCase();
+}
+
+function compareKeys(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  const an = typeof a === 'number';
+  const bn = typeof b === 'number';
+  if (an && bn) return a - b;
+  if (an) return -1;          // numbers before text
+  if (bn) return 1;
+  return a < b ? -1 : 1;
+}
+
+const NUM = '-?\\d+(?:[.,]\\d+)?';
+const CMP_RE = new RegExp(`^(<=|>=|!=|<|>|=)?\\s*(${NUM})$`);
+const RANGE_RE = new RegExp(`^(${NUM})\\s*\\.\\.\\s*(${NUM})$`);
+const num = (s) => Number(s.replace(',', '.'));
+
+/**
+ * Parse a number filter expression.
+ * @param {string} text — "100", ">100", "<=5", "!=0", "10..20"
+ * @returns {Function|null} predicate over numbers, null when `text` is
+ *   not a number expression
+ */
+export function parseNumberFilter(text) {
+  const s = String(text).trim();
+  const range = RANGE_RE.exec(s);
+  if (range) {
+    const lo = Math.min(num(range[1]), num(range[2]));
+    const hi = Math.max(num(range[1]), num(range[2]));
+    return (n) => n >= lo && n <= hi;
+  }
+  const m = CMP_RE.exec(s);
+  if (!m) return null;
+  const x = num(m[2]);
+  switch (m[1]) {
+    case '<':  return (n) => n < x;
+    case '<=': return (n) => n <= x;
+    case '>':  return (n) => n > x;
+    case '>=': return (n) => n >= x;
+    case '!=': return (n) => n !== x;
+    default:   return (n) => n === x;
+  }
+}
+
+/**
+ * Guess whether a column holds numbers (≥ 80 % of sampled cells).
+ * @returns {'number'|'text'}
+ */
+export function detectColumnType(column, rowCount) {
+  let seen = 0;
+  let numeric = 0;
+  for (let i = 0; i < rowCount && seen < TYPE_SAMPLE; i++) {
+    const v = column.get(i);
+    if (v == null || v === '') continue;
+    seen++;
+    if (toNumber(v) != null) numeric++;
+  }
+  return seen > 0 && numeric / seen >= 0.8 ? 'number' : 'text';
+}
+
+function textPredicate(text) {
+  const needle = text.toLowerCase();
+  return (v) => v != null && String(v).toLowerCase().includes(needle);
+}
+
+/**
+ * Compute the visible row order.
+ *
+ * @param {number} rowCount
+ * @param {Array}  columns — { get(rowIndex) } column descriptors
+ * @param {Object} state
+ * @param {string} [state.search]   — matched against all non-hidden columns
+ * @param {Object} [state.filters]  — colIndex → { type: 'text'|'number', text }
+ * @param {Object} [state.sort]     — { col, dir: 1 | -1 }
+ * @param {Set}    [state.hidden]   — hidden column indexes
+ * @returns {number[]} row indexes into the original data
+ */
+export function applyGridView(rowCount, columns, state = {}) {
+  const { search = '', filters = {}, sort = null, hidden = new Set() } = state;
+
+  const tests = [];
+  for (const [key, f] of Object.entries(filters)) {
+    if (!f || !String(f.text).trim()) continue;
+    const col = columns[Number(key)];
+    if (!col) continue;
+    const numeric = f.type === 'number' ? parseNumberFilter(f.text) : null;
+    if (numeric) {
+      tests.push((i) => {
+        const n = toNumber(col.get(i));
+        return n != null && numeric(n);
+      });
+    } else {
+      const contains = textPredicate(String(f.text).trim());
+      tests.push((i) => contains(col.get(i)));
+    }
+  }
+
+  const needle = search.trim().toLowerCase();
+  const searchCols = needle ? columns.filter((_, c) => !hidden.has(c)) : [];
+
+  let rows = [];
+  for (let i = 0; i < rowCount; i++) {
+    let ok = true;
+    for (let t = 0; t < tests.length && ok; t++) ok = tests[t](i);
+    if (!ok) continue;
+    if (needle) {
+      let hit = false;
+      for (let c = 0; c < searchCols.length && !hit; c++) {
+        const v = searchCols[c].get(i);
+        hit = v != null && String(v).toLowerCase().includes(needle);
+      }
+      if (!hit) continue;
+    }
+    rows.push(i);
+  }
+
+  if (sort && columns[sort.col]) {
+    const col = columns[sort.col];
+    const keys = new Array(rowCount);
+    for (const i of rows) keys[i] = sortKey(col.get(i));
+    const dir = sort.dir === -1 ? -1 : 1;
+    rows.sort((a, b) => {
+      const ka = keys[a];
+      const kb = keys[b];
+      // Empty cells stay last regardless of direction
+      if (ka === null || kb === null) return compareKeys(ka, kb) || a - b;
+      return dir * compareKeys(ka, kb) || a - b;
+    });
+  }
+
+  return rows;
+}
+
+/* ───────────────────────────────────────────────
+   DOM grid
+   ─────────────────────────────────────────────── */
+
+/**
+ * Render a data grid into `container`.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} opts
+ * @param {Array}  opts.columns  — column descriptors (see module doc)
+ * @param {number} opts.rowCount
+ * @param {Function} [opts.rowLabel] — rowIndex → label of the # column
+ *   (default: 1-based index)
+ * @param {Function} [opts.rowClass] — rowIndex → extra class of the row
+ * @returns {{ refresh: Function, destroy: Function, getVisibleRows: Function }}
+ */
+export function createDataGrid(container, { columns, rowCount, rowLabel, rowClass }) {
+  const types = columns.map(c => detectColumnType(c, rowCount));
+  const state = {
+    search: '',
+    filters: {},
+    sort: null,
+    hidden: new Set(),
+    widths: columns.map(c => c.width || DEFAULT_WIDTH),
+  };
+  let order = applyGridView(rowCount, columns, state);
+  let frame = 0;
+  let filterTimer = 0;
+  let editing = null;   // { cell, input } while an inline editor is open
+  const label = rowLabel || ((i) => i + 1);
+
+  container.innerHTML = `
+    <div class="grid">
+      <div class="grid-toolbar">
+        <input type="search" class="grid-search" placeholder="Search all columns…" />
+        <span class="grid-count"></span>
+        <div class="grid-columns">
+          <button class="btn btn-secondary btn-sm grid-columns-btn" type="button">Columns</button>
+          <div class="grid-columns-menu"></div>
+        </div>
+        <button class="btn btn-secondary btn-sm grid-reset" type="button">Reset view</button>
+      </div>
+      <div class="grid-viewport">
+        <div class="grid-head"></div>
+        <div class="grid-body"><div class="grid-rows"></div></div>
+      </div>
+    </div>
+  `;
+
+  const el = {
+    search: container.querySelector('.grid-search'),
+    count: container.querySelector('.grid-count'),
+    columnsBtn: container.querySelector('.grid-columns-btn'),
+    columnsMenu: container.querySelector('.grid-columns-menu'),
+    reset: container.querySelector('.grid-reset'),
+    viewport: container.querySelector('.grid-viewport'),
+    head: container.querySelector('.grid-head'),
+    body: container.querySelector('.grid-body'),
+    rows: container.querySelector('.grid-rows'),
+  };
+
+  const visibleCols = () => columns.map((_, c) => c).filter(c => !state.hidden.has(c));
+  const totalWidth = () => INDEX_WIDTH + visibleCols().reduce((s, c) => s + state.widths[c], 0);
+
+  function renderHead() {
+    const cols = visibleCols();
+    const cells = cols.map(c => {
+      const col = columns[c];
+      const sorted = state.sort && state.sort.col === c ? (state.sort.dir === 1 ? ' ▲' : ' ▼') : '';
+      return `
+        <div class="grid-th ${col.className || ''}" data-col="${c}" style="width:${state.widths[c]}px" title="${escapeHtml(col.title || col.label)}">
+          <span class="grid-th-label">${escapeHtml(col.label)}</span><span class="grid-sort">${sorted}</span>
+          <span class="grid-resize" data-col="${c}"></span>
+        </div>`;
+    }).join('');
+    const filters = cols.map(c => {
+      const f = state.filters[c];
+      const ph = types[c] === 'number' ? '>0, 1..9' : 'filter…';
+      return `
+        <div class="grid-th grid-filter" style="width:${state.widths[c]}px">
+          <input type="text" data-col="${c}" placeholder="${ph}" value="${f ? escapeHtml(f.text) : ''}" />
+        </div>`;
+    }).join('');
+    el.head.style.width = `${totalWidth()}px`;
+    el.head.innerHTML = `
+      <div class="grid-head-row"><div class="grid-th grid-idx" style="width:${INDEX_WIDTH}px">#</div>${cells}</div>
+      <div class="grid-head-row"><div class="grid-th grid-idx grid-filter" style="width:${INDEX_WIDTH}px"></div>${filters}</div>
+    `;
+  }
+
+  function renderRows() {
+    frame = 0;
+    const cols = visibleCols();
+    const top = el.viewport.scrollTop;
+    const height = el.viewport.clientHeight || 400;
+    const start = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN);
+    const end = Math.min(order.length, Math.ceil((top + height) / ROW_HEIGHT) + OVERSCAN);
+
+    let html = '';
+    for (let r = start; r < end; r++) {
+      const i = order[r];
+      const extra = rowClass ? rowClass(i) : '';
+      html += `<div class="grid-row${extra ? ` ${extra}` : ''}"><div class="grid-td grid-idx" style="width:${INDEX_WIDTH}px">${label(i)}</div>`;
+      for (const c of cols) {
+        const col = columns[c];
+        const v = col.get(i);
+        const text = v == null ? '' : escapeHtml(v);
+        const cls = [
+          'grid-td',
+          col.className,
+          types[c] === 'number' ? 'num' : '',
+          col.set ? 'editable' : '',
+          col.cellClass ? col.cellClass(i) : '',
+        ].filter(Boolean).join(' ');
+        html += `<div class="${cls}" data-row="${i}" data-col="${c}" style="width:${state.widths[c]}px" title="${text}"${col.set ? ' tabindex="-1"' : ''}>${text}</div>`;
+      }
+      html += '</div>';
+    }
+    el.body.style.height = `${order.length * ROW_HEIGHT}px`;
+    el.body.style.width = `${totalWidth()}px`;
+    el.rows.style.transform = `translateY(${start * ROW_HEIGHT}px)`;
+    el.rows.innerHTML = html;
+    el.count.textContent = order.length === rowCount
+      ? `${rowCount.toLocaleString()} rows`
+      : `${order.length.toLocaleString()} of ${rowCount.toLocaleString()} rows`;
+  }
+
+  function scheduleRows() {
+    // Don't tear down an open editor on scroll
+    if (!frame && !editing) frame = requestAnimationFrame(renderRows);
+  }
+
+  function recompute() {
+    clearTimeout(filterTimer);
+    order = applyGridView(rowCount, columns, state);
+    el.viewport.scrollTop = 0;
+    renderRows();
+  }
+
+  function scheduleRecompute() {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(recompute, FILTER_DEBOUNCE);
+  }
+
+  function renderColumnsMenu() {
+    el.columnsMenu.innerHTML = `
+      <div class="grid-columns-actions">
+        <button type="button" data-cols="all">Show all</button>
+        <button type="button" data-cols="none">Hide all</button>
+      </div>
+      ${columns.map((col, c) => `
+        <label><input type="checkbox" data-col="${c}" ${state.hidden.has(c) ? '' : 'checked'} /> ${escapeHtml(col.label)}</label>
+      `).join('')}
+    `;
+  }
+
+  // ── Events ──
+
+  el.viewport.addEventListener('scroll', scheduleRows, { passive: true });
+
+  el.search.addEventListener('input', () => {
+    state.search = el.search.value;
+    scheduleRecompute();
+  });
+
+  el.head.addEventListener('input', (e) => {
+    const input = e.target.closest('.grid-filter input');
+    if (!input) return;
+    const c = Number(input.dataset.col);
+    state.filters[c] = { type: types[c], text: input.value };
+    scheduleRecompute();
+  });
+
+  el.head.addEventListener('click', (e) => {
+    if (e.target.closest('.grid-resize') || e.target.closest('.grid-filter')) return;
+    const th = e.target.closest('.grid-th[data-col]');
+    if (!th) return;
+    const c = Number(th.dataset.col);
+    // Cycle: ascending → descending → unsorted
+    if (!state.sort || state.sort.col !== c) state.sort = { col: c, dir: 1 };
+    else if (state.sort.dir === 1) state.sort = { col: c, dir: -1 };
+    else state.sort = null;
+    renderHead();
+    recompute();
+  });
+
+  el.head.addEventListener('mousedown', (e) => {
+    const handle = e.target.closest('.grid-resize');
+    if (!handle) return;
+    e.preventDefault();
+    const c = Number(handle.dataset.col);
+    const startX = e.clientX;
+    const startW = state.widths[c];
+    const onMove = (ev) => {
+      state.widths[c] = Math.max(MIN_WIDTH, startW + ev.clientX - startX);
+      renderHead();
+      scheduleRows();
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  });
+
+  // ── Inline editing ──
+
+  function startEdit(cell) {
+    if (editing) return;
+    const i = Number(cell.dataset.row);
+    const c = Number(cell.dataset.col);
+    const col = columns[c];
+    if (!col || !col.set) return;
+    const v = col.get(i);
+
+    cell.classList.add('editing');
+    cell.innerHTML = `<input type="text" class="grid-editor" value="${v == null ? '' : escapeHtml(v)}" />`;
+    const input = cell.firstElementChild;
+    editing = { cell, input };
+    input.focus();
+    input.select();
+
+    const finish = (commit) => {
+      if (!editing || editing.input !== input) return;
+      editing = null;
+      if (commit && input.value !== (v == null ? '' : String(v))) col.set(i, input.value);
+      // set() usually triggers refresh(); re-render anyway for cancel
+      renderRows();
+    };
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') finish(true);
+      else if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  el.rows.addEventListener('dblclick', (e) => {
+    const cell = e.target.closest('.grid-td.editable');
+    if (cell) startEdit(cell);
+  });
+
+  el.rows.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' && e.key !== 'F2') return;
+    const cell = e.target.closest('.grid-td.editable');
+    if (cell) {
+      e.preventDefault();
+      startEdit(cell);
+    }
+  });
+
+  el.columnsBtn.addEventListener('click', () => {
+    const open = el.columnsMenu.classList.toggle('open');
+    if (open) renderColumnsMenu();
+  });
+
+  el.columnsMenu.addEventListener('change', (e) => {
+    const c = Number(e.target.dataset.col);
+    if (e.target.checked) state.hidden.delete(c);
+    else state.hidden.add(c);
+    renderHead();
+    renderRows();
+  });
+
+  el.columnsMenu.addEventListener('click', (e) => {
+    const action = e.target.dataset.cols;
+    if (!action) return;
+    state.hidden = action === 'all' ? new Set() : new Set(columns.map((_, c) => c));
+    renderColumnsMenu();
+    renderHead();
+    renderRows();
+  });
+
+  const onDocClick = (e) => {
+    if (!e.target.closest('.grid-columns')) el.columnsMenu.classList.remove('open');
+  };
+  document.addEventListener('click', onDocClick);
+
+  el.reset.addEventListener('click', () => {
+    state.search = '';
+    state.filters = {};
+    state.sort = null;
+    state.hidden = new Set();
+    state.widths = columns.map(c => c.width || DEFAULT_WIDTH);
+    el.search.value = '';
+    renderHead();
+    recompute();
+  });
+
+  renderHead();
+  renderRows();
+
+  return {
+    /** Re-run filters/sort (e.g. after cells were edited). */
+    refresh() {
+      order = applyGridView(rowCount, columns, state);
+      renderRows();
+    },
+    /** Row indexes in current display order. */
+    getVisibleRows: () => order,
+    destroy() {
+      clearTimeout(filterTimer);
+      if (frame) cancelAnimationFrame(frame);
+      document.removeEventListener('click', onDocClick);
+      container.innerHTML = '';
+    },
+  };
+}
@@ -0,0 +1,323 @@
+/**
+ * Header mapping — finds columns that header alignment could not match
+ * and ranks the unified-header columns they probably belong to.
+ *
+ * When a DSV export renames a column, buildUnifiedHeader() (engine.js)
+ * cannot resolve the new name through `headerSynonyms` and appends it as
+ * an extra column, splitting the values across two columns.  mergeFiles()
+ * can stop at that point and return the unmatched headers with their
+ * candidates; the mapping dialog (app.js) lets the user confirm one, and
+ * the choice is stored as a user synonym (storage.js) for later merges.
+ *
+ * Candidates are ranked by name similarity and by how alike the values
+ * of the two columns look (numbers, dates, codes, text).
+ *
+ * Before a header counts as unmatched, matchHeaderFuzzy() tries the names
+ * that only differ by encoding or spelling — Unicode composition, UTF-8
+ * read as Windows-1252 ("GeschÃ¤ftsart"), whitespace and line breaks,
+ * case, umlauts, or a letter or two.  Pure module — no DOM access.
+ */
+
+import { repairMojibake } from './encoding.js';
+
+/* ───────────────────────────────────────────────
+   Name normalisation
+   ─────────────────────────────────────────────── */
+
+const UMLAUTS = { ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss' };
+
+/**
+ * Lower-case a header name after Unicode composition and mojibake
+ * repair, spell out umlauts and turn everything that is not a letter or
+ * digit (whitespace, line breaks, punctuation) into single spaces.
+ * @param {*} name
+ * @returns {string}
+ */
+export function normalizeHeaderName(name) {
+  return repairMojibake(String(name ?? '').normalize('NFC'))
+    .toLowerCase()
+    .replace(/[äöüß]/g, ch => UMLAUTS[ch])
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/** Comparison key of a header name: normalised, without spaces. */
+export function headerKey(name) {
+  return normalizeHeaderName(name).replace(/ /g, '');
+}
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(
+        prev[j] + 1,
+        cur[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/* ───────────────────────────────────────────────
+   Fuzzy header matching
+   ─────────────────────────────────────────────── */
+
+// Edit-distance matches: at most this many edits, at most this share of
+// the longer key, and only for keys of this length — short codes like
+// "CN Name" / "DT Name" differ by two letters on purpose.
+const MAX_EDITS = 2;
+const MAX_EDIT_RATIO = 0.12;
+const MIN_EDIT_LENGTH = 8;
+
+/**
+ * Find the header a name matches once encoding and spelling differences
+ * are ignored.  Tried in order:
+ *   'normalized' — same headerKey() as a candidate
+ *   'synonym'    — same headerKey() as a synonym source; its target is
+ *                  looked up by name, then by key
+ *   'edit-distance' — the one candidate within MAX_EDITS edits (ties
+ *                  are ambiguous and not matched)
+ *
+ * @param {string} name
+ * @param {Array<{name: string, index: number}>} candidates — unclaimed headers
+ * @param {Object} [synonyms] — old-name → new-name map
+ * @returns {{ index: number, name: string, method: string, distance: number }|null}
+ */
+export function matchHeaderFuzzy(name, candidates, synonyms = {}) {
+  const key = headerKey(name);
+  if (!key) return null;
+  const keyed = candidates.map(c => ({ ...c, key: headerKey(c.name) }));
+  const result = (c, method, distance = 0) => ({ index: c.index, name: c.name, method, distance });
+
+  const same = keyed.find(c => c.key === key);
+  if (same) return result(same, 'normalized');
+
+  for (const [from, to] of Object.entries(synonyms)) {
+    if (headerKey(from) !== key) continue;
+    const target = keyed.find(c => c.name === to) || keyed.find(c => c.key === headerKey(to));
+    if (target) return result(target, 'synonym');
+  }
+
+  if (key.length < MIN_EDIT_LENGTH) return null;
+  let best = null;
+  let tie = false;
+  for (const c of keyed) {
+    if (Math.abs(c.key.length - key.length) > MAX_EDITS) continue;
+    const d = editDistance(key, c.key);
+    if (d > MAX_EDITS || d / Math.max(key.length, c.key.length) > MAX_EDIT_RATIO) continue;
+    if (!best || d < best.d) {
+      best = { c, d };
+      tie = false;
+    } else if (d === best.d && c.key !== best.c.key) {
+      tie = true;
+    }
+  }
+  return best && !tie ? result(best.c, 'edit-distance', best.d) : null;
+}
+
+/* ───────────────────────────────────────────────
+   Name similarity
+   ─────────────────────────────────────────────── */
+
+function bigrams(s) {
+  const out = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+/**
+ * Similarity of two header names, 0..1: the better of the bigram Dice
+ * coefficient (catches spelling changes) and the word overlap (catches
+ * added or dropped words).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function headerSimilarity(a, b) {
+  const na = normalizeHeaderName(a);
+  const nb = normalizeHeaderName(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+
+  const ga = bigrams(na.replace(/ /g, ''));
+  const gb = bigrams(nb.replace(/ /g, ''));
+  let shared = 0;
+  let total = 0;
+  for (const [g, n] of ga) {
+    shared += Math.min(n, gb.get(g) || 0);
+    total += n;
+  }
+  for (const n of gb.values()) total += n;
+  const dice = total > 0 ? (2 * shared) / total : 0;
+
+  const wa = new Set(na.split(' '));
+  const wb = new Set(nb.split(' '));
+  const common = [...wa].filter(w => wb.has(w)).length;
+  const words = common / (wa.size + wb.size - common);
+
+  return Math.max(dice, words);
+}
+
+/* ───────────────────────────────────────────────
+   Value-pattern similarity
+   ─────────────────────────────────────────────── */
+
+// Value shapes, tested in order.
+const SHAPES = [
+  ['date',    /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}(\s.*)?$/],
+  ['integer', /^-?\d+$/],
+  ['decimal', /^-?\d+([.,]\d{3})*[.,]\d+$/],
+  ['code',    /^[A-Z0-9]{2,4}$/],
+];
+
+// Rows sampled per column.
+const SAMPLE_ROWS = 200;
+
+/**
+ * Shape of one value: 'date' | 'integer' | 'decimal' | 'code' | 'text',
+ * or null for an empty cell.
+ */
+export function valueShape(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'decimal';
+  const s = String(value).trim();
+  if (!s) return null;
+  for (const [shape, re] of SHAPES) {
+    if (re.test(s)) return shape;
+  }
+  return 'text';
+}
+
+/**
+ * Profile of a column's values: the share of every shape among the
+ * non-empty values and their mean length.  null when all are empty.
+ * @param {Array} values
+ * @returns {{ shapes: Object<string, number>, length: number }|null}
+ */
+export function valueProfile(values) {
+  const shapes = {};
+  let count = 0;
+  let length = 0;
+  for (const v of values) {
+    const shape = valueShape(v);
+    if (!shape) continue;
+    shapes[shape] = (shapes[shape] || 0) + 1;
+    length += String(v).trim().length;
+    count++;
+  }
+  if (count === 0) return null;
+  for (const k of Object.keys(shapes)) shapes[k] /= count;
+  return { shapes, length: length / count };
+}
+
+/**
+ * Similarity of two value profiles, 0..1: the overlap of the shape
+ * shares, scaled down when the typical lengths differ.
+ */
+export function profileSimilarity(p, q) {
+  if (!p || !q) return 0;
+  let overlap = 0;
+  for (const [shape, share] of Object.entries(p.shapes)) {
+    overlap += Math.min(share, q.shapes[shape] || 0);
+  }
+  const lengths = Math.min(p.length, q.length) / Math.max(p.length, q.length);
+  return overlap * (0.8 + 0.2 * lengths);
+}
+
+/* ───────────────────────────────────────────────
+   Unmatched headers
+   ─────────────────────────────────────────────── */
+
+// Weight of the name score; values make up the rest.
+const NAME_WEIGHT = 0.6;
+// Candidates listed per unmatched header.
+const MAX_CANDIDATES = 5;
+// Preselect a candidate only from this score up.
+export const SUGGEST_THRESHOLD = 0.45;
+
+/**
+ * Values of the `occurrence`-th column named `name` (after synonyms) in
+ * one file part.  [] when the file has no such column.
+ */
+function columnValues(fp, name, occurrence, synonyms) {
+  let seen = 0;
+  for (let i = 0; i < fp.hRow.length; i++) {
+    const h = fp.hRow[i];
+    if (h !== name && synonyms[h] !== name) continue;
+    if (seen++ < occurrence) continue;
+    return fp.data.slice(0, SAMPLE_ROWS).map(row => (row ? row[i] : null));
+  }
+  return [];
+}
+
+/**
+ * List the unified-header columns that were appended because no file
+ * header or synonym matched them, each with ranked candidates.
+ *
+ * Candidates are unified columns that are not themselves appended and
+ * that the files carrying the unmatched header do not already fill.
+ * A user synonym mapping a name to itself marks a column the user
+ * accepted as new — it is not reported again.
+ *
+ * @param {Array<{hRow: string[], data: Array[], name?: string}>} fileParts
+ * @param {string[]} unified   — buildUnifiedHeader().unified
+ * @param {number[]} appended  — buildUnifiedHeader().appended
+ * @param {Object}   synonyms  — old-name → new-name map in effect
+ * @returns {Array<{ header: string, index: number, files: string[], samples: Array,
+ *   candidates: Array<{ header: string, index: number, score: number,
+ *   nameScore: number, valueScore: number|null }> }>}
+ */
+export function findUnmatchedHeaders(fileParts, unified, appended, synonyms = {}) {
+  const appendedSet = new Set(appended);
+  const out = [];
+
+  for (const index of appended) {
+    const header = unified[index];
+    if (synonyms[header] === header) continue;
+
+    const holders = fileParts.filter(fp => fp.hRow.includes(header));
+    const values = holders.flatMap(fp => columnValues(fp, header, 0, synonyms));
+    const profile = valueProfile(values);
+    const filled = new Set(holders.flatMap(fp => fp.hRow.map(h => synonyms[h] || h)));
+
+    const candidates = [];
+    for (let ui = 0; ui < unified.length; ui++) {
+      const name = unified[ui];
+      if (appendedSet.has(ui) || !name || filled.has(name)) continue;
+
+      const occurrence = unified.slice(0, ui).filter(h => h === name).length;
+      const other = valueProfile(fileParts.flatMap(fp => columnValues(fp, name, occurrence, synonyms)));
+      const nameScore = headerSimilarity(header, name);
+      const valueScore = profile && other ? profileSimilarity(profile, other) : null;
+      const score = valueScore === null
+        ? nameScore
+        : NAME_WEIGHT * nameScore + (1 - NAME_WEIGHT) * valueScore;
+      candidates.push({ header: name, index: ui, score, nameScore, valueScore });
+    }
+    candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const samples = [...new Set(values.filter(v => v != null && v !== '').map(String))].slice(0, 3);
+    out.push({
+      header,
+      index,
+      files: holders.map(fp => fp.name).filter(Boolean),
+      samples,
+      candidates: candidates.slice(0, MAX_CANDIDATES),
+    });
+  }
+  return out;
+}
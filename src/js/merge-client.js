@@ -0,0 +1,120 @@
+/**
+ * Merge client — starts mergeFiles() in merge.worker.js and exposes a
+ * cancel handle to the UI.
+ *
+ * Falls back to running on the main thread when Web Workers are not
+ * available (or the worker script fails to load), so callers never
+ * need to care where the merge actually runs.
+ */
+
+import { mergeFiles } from './engine.js';
+
+/**
+ * Create the error a cancelled merge rejects with.
+ */
+function abortError() {
+  return new DOMException('Merge cancelled', 'AbortError');
+}
+
+/**
+ * Is this error the result of a user cancel?
+ * @param {*} err
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+  return !!err && err.name === 'AbortError';
+}
+
+/**
+ * Run mergeFiles() on the main thread with the same handle shape as
+ * the worker path.
+ */
+function startMainThreadMerge(files, broker, onProgress, options) {
+  const controller = new AbortController();
+  const promise = mergeFiles(files, broker, onProgress, { ...options, signal: controller.signal });
+  return { promise, cancel: () => controller.abort() };
+}
+
+/**
+ * Start a merge in a Web Worker.
+ *
+ * @param {File[]}   files
+ * @param {Object}   broker     — entry from BROKERS (only its id, or its
+ *   declarative definition, is posted)
+ * @param {Function} [onProgress] — (message, info) as documented on mergeFiles()
+ * @param {Object}   [options]  — mergeFiles() options except `signal`
+ *   (plain data, posted to the worker as is)
+ * @returns {{ promise: Promise<Object>, cancel: Function }}
+ *   `promise` resolves with the mergeFiles() result or rejects with an
+ *   AbortError after `cancel()`.
+ */
+export function startMerge(files, broker, onProgress, options = {}) {
+  if (typeof Worker === 'undefined') {
+    return startMainThreadMerge(files, broker, onProgress, options);
+  }
+
+  let worker;
+  try {
+    worker = new Worker(new URL('./merge.worker.js', import.meta.url), { type: 'module' });
+  } catch (err) {
+    console.warn('Merge worker unavailable, merging on the main thread:', err);
+    return startMainThreadMerge(files, broker, onProgress, options);
+  }
+
+  let settle = null;      // { resolve, reject } while the merge is running
+  let fallback = null;    // main-thread handle if the worker failed to start
+  let started = false;    // worker has posted at least one message
+
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+
+  const finish = (fn, value) => {
+    if (!settle) return;
+    const s = settle;
+    settle = null;
+    worker.terminate();
+    s[fn](value);
+  };
+
+  worker.onmessage = (e) => {
+    started = true;
+    const msg = e.data;
+    if (msg.type === 'progress') {
+      if (onProgress) onProgress(msg.message, msg.info);
+    } else if (msg.type === 'result') {
+      finish('resolve', msg.result);
+    } else if (msg.type === 'error') {
+      finish('reject', new Error(msg.message));
+    }
+  };
+
+  worker.onerror = (e) => {
+    e.preventDefault();
+    if (started || !settle) {
+      finish('reject', new Error(e.message || 'Merge worker crashed'));
+      return;
+    }
+    // The worker script itself could not be loaded — merge here instead.
+    console.warn('Merge worker failed to start, merging on the main thread:', e.message);
+    const s = settle;
+    settle = null;
+    worker.terminate();
+    fallback = startMainThreadMerge(files, broker, onProgress, options);
+    fallback.promise.then(s.resolve, s.reject);
+  };
+
+  worker.postMessage({ type: 'merge', files, brokerId: broker.id, definition: broker.definition || null, options });
+
+  return {
+    promise,
+    cancel: () => {
+      if (fallback) {
+        fallback.cancel();
+        return;
+      }
+      // Terminating is immediate, even in the middle of XLSX.read().
+      finish('reject', abortError());
+    },
+  };
+}
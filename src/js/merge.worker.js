@@ -0,0 +1,46 @@
+/**
+ * Merge worker — runs the whole mergeFiles() pipeline (parsing,
+ * header alignment, validation) off the main thread so the page and
+ * the loading overlay stay responsive on large batches.
+ *
+ * Protocol (see merge-client.js):
+ *   in  { type: 'merge', files: File[], brokerId: string, definition?, options? }
+ *   out { type: 'progress', message, info }
+ *   out { type: 'result', result }
+ *   out { type: 'error', message }
+ *
+ * Cancelling is done by the client terminating the worker — XLSX.read()
+ * is synchronous, so a cancel message could not be seen mid-file anyway.
+ *
+ * Broker configs contain functions and cannot be posted, so only the
+ * broker id crosses the boundary and is looked up here.  Brokers built
+ * from a declarative definition send the definition instead — custom
+ * brokers loaded on the page are not registered in the worker.
+ */
+
+import { BROKERS } from './brokers.js';
+import { compileBrokerDefinition } from './broker-defs.js';
+import { mergeFiles } from './engine.js';
+
+self.onmessage = async (e) => {
+  const msg = e.data || {};
+
+  if (msg.type !== 'merge') return;
+
+  const broker = msg.definition
+    ? compileBrokerDefinition(msg.definition)
+    : BROKERS.find(b => b.id === msg.brokerId);
+  if (!broker) {
+    self.postMessage({ type: 'error', message: `Unknown broker: ${msg.brokerId}` });
+    return;
+  }
+
+  try {
+    const result = await mergeFiles(msg.files, broker, (message, info) => {
+      self.postMessage({ type: 'progress', message, info });
+    }, msg.options || {});
+    self.postMessage({ type: 'result', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err && err.message ? err.message : String(err) });
+  }
+};
@@ -0,0 +1,191 @@
+/**
+ * Schema-driven shift repair.
+ *
+ * The DHL pipeline has hand-written detectors per zone (validator.js).
+ * Every other fixed layout is described by a shift schema instead, and
+ * this engine finds and repairs the misalignment:
+ *
+ *   columns — { [col]: { name, test, allowNull? } }, the same shape as
+ *             DHL_SCHEMA; `test` is one of the validator's P matchers
+ *   zones   — [{ name, text, anchors, maxShift?, minEvidence? }] left
+ *             to right: `text` is the free-text column that overflows
+ *             into the cells after it (or goes missing), `anchors` the
+ *             columns after it whose patterns pin the alignment down
+ *
+ * A zone fits under a shift when its text column and every anchor pass
+ * their tests with the row read that many cells to the right (shift > 0:
+ * the text spilled over `shift` extra cells) or to the left (shift < 0:
+ * the text cell was dropped).  Zones that fit as they are stay untouched;
+ * otherwise the smallest shift that fits is repaired.  Each repair moves
+ * the rest of the row, so zones are handled in column order.
+ */
+
+const isEmpty = (v) => v == null || v === '';
+
+// Largest overflow tried for a zone without its own maxShift.
+const DEFAULT_MAX_SHIFT = 4;
+
+/**
+ * Does `value` pass the schema test of `col`?
+ * @returns {boolean|null} null when the column has no schema entry
+ */
+export function columnPasses(columns, col, value) {
+  const spec = columns[col];
+  if (!spec) return null;
+  if (spec.allowNull && isEmpty(value)) return true;
+  return Boolean(spec.test(value));
+}
+
+/**
+ * Confidence (0..1) of a repair, from the schema checks it turned from
+ * failing to passing (gained) and from passing to failing (lost):
+ * gained / (gained + lost) × min(1, gained / 3).  0 when the repair
+ * changed no check at all.
+ */
+export function alignmentConfidence(columns, before, after) {
+  let gained = 0;
+  let lost = 0;
+  for (const col of Object.keys(columns).map(Number)) {
+    const was = columnPasses(columns, col, before[col]);
+    const is = columnPasses(columns, col, after[col]);
+    if (is && !was) gained++;
+    else if (was && !is) lost++;
+  }
+  if (gained === 0) return 0;
+  return Math.round((gained / (gained + lost)) * Math.min(1, gained / 3) * 100) / 100;
+}
+
+/** Non-empty cells text..text+shift, trimmed — the overflow fragments. */
+function fragmentsOf(row, text, shift) {
+  const fragments = [];
+  for (let c = text; c <= text + shift; c++) {
+    if (!isEmpty(row[c])) fragments.push(String(row[c]).trim());
+  }
+  return fragments;
+}
+
+/**
+ * Does the zone fit with the row read `shift` cells off?  Off its
+ * current position, at least `minEvidence` (default 1) anchors must hold
+ * a value — blank anchors that may be empty fit any shift and prove
+ * nothing.
+ */
+function zoneFits(row, columns, zone, shift) {
+  const { text, anchors } = zone;
+  const textValue = shift > 0 ? fragmentsOf(row, text, shift).join(' ') : shift < 0 ? null : row[text];
+  // A re-inserted text cell is blank by definition
+  if (shift >= 0 && !columnPasses(columns, text, textValue)) return false;
+  if (!anchors.every(col => columnPasses(columns, col, row[col + shift]) !== false)) return false;
+  if (shift === 0) return true;
+  return anchors.filter(col => !isEmpty(row[col + shift])).length >= (zone.minEvidence ?? 1);
+}
+
+/**
+ * Find the misalignment of one zone.
+ *
+ * @param {Array}  row
+ * @param {Object} schema — { columns, zones }
+ * @param {Object} zone   — one of schema.zones
+ * @returns {number} 0 when the zone fits (or nothing fits), else the
+ *   shift to repair: > 0 overflow, -1 missing text cell
+ */
+export function findAlignment(row, schema, zone) {
+  const { columns } = schema;
+  if (zone.text >= row.length) return 0;
+  if (zoneFits(row, columns, zone, 0)) return 0;
+
+  // Smallest shift first; a missing cell ranks after a one-cell overflow
+  const maxShift = zone.maxShift ?? DEFAULT_MAX_SHIFT;
+  const candidates = [1, -1];
+  for (let s = 2; s <= maxShift; s++) candidates.push(s);
+  return candidates.find(s => zoneFits(row, columns, zone, s)) ?? 0;
+}
+
+/**
+ * Apply a shift found by findAlignment().
+ *
+ * shift > 0 merges cells text..text+shift into the text column and moves
+ * the rest of the row left, padding the end with nulls.  shift < 0
+ * inserts -shift blank cells at the text column and moves the rest right;
+ * the row grows only when the cells pushed off the end hold data.
+ *
+ * @returns {{ col: number, before: *, after: *, detail: string }}
+ */
+export function applyAlignment(row, zone, shift) {
+  const { text, name } = zone;
+  const origLen = row.length;
+  let corrected;
+  let result;
+
+  if (shift > 0) {
+    const fragments = fragmentsOf(row, text, shift);
+    const merged = fragments.join(' ');
+    corrected = [...row.slice(0, text), merged, ...row.slice(text + shift + 1)];
+    while (corrected.length < origLen) corrected.push(null);
+    result = {
+      col: text, before: fragments.join(' | '), after: merged,
+      detail: `${name}: +${shift} text overflow → merged into col ${text} & realigned`,
+    };
+  } else {
+    const n = -shift;
+    corrected = [...row.slice(0, text), ...new Array(n).fill(null), ...row.slice(text)];
+    while (corrected.length > origLen && isEmpty(corrected[corrected.length - 1])) corrected.pop();
+    result = {
+      col: text, before: row[text] ?? null, after: null,
+      detail: `${name}: -${n} missing text cell → blank re-inserted at col ${text} & realigned`,
+    };
+  }
+
+  for (let c = 0; c < corrected.length; c++) row[c] = corrected[c] ?? null;
+  return result;
+}
+
+/**
+ * Align every zone of `row` (mutated in place), left to right.
+ *
+ * @param {Array}  row
+ * @param {Object} schema    — { columns, zones }
+ * @param {Object} [decided] — zone name → { review, shift } a reviewer
+ *   decided on: 'rejected' leaves the zone as it is, any other decision
+ *   applies its shift instead of searching for one
+ * @returns {Array<{ zone: string, shift: number, col, before, after,
+ *   detail, confidence: number }>} one entry per repaired zone
+ */
+export function alignRow(row, schema, decided = {}) {
+  const repairs = [];
+  for (const zone of schema.zones) {
+    const d = decided[zone.name];
+    if (d && d.review === 'rejected') continue;
+    const shift = d ? (zone.text < row.length ? d.shift : 0) : findAlignment(row, schema, zone);
+    if (!shift) continue;
+    const before = row.slice();
+    const result = applyAlignment(row, zone, shift);
+    repairs.push({
+      zone: zone.name, shift, ...result,
+      confidence: alignmentConfidence(schema.columns, before, row),
+    });
+  }
+  return repairs;
+}
+
+/**
+ * Replay repairs on column indices (the moves of applyAlignment(), which
+ * the DHL zone repairs make too).
+ *
+ * @param {number} width   — row length after the repairs
+ * @param {Array}  repairs — [{ col, shift }] in application order
+ * @returns {number[][]} per column of the repaired row, the original
+ *   columns its value was built from ([] for padding)
+ */
+export function traceColumns(width, repairs) {
+  let cols = Array.from({ length: width }, (_, i) => [i]);
+  for (const { col, shift } of repairs) {
+    const next = shift > 0
+      ? [...cols.slice(0, col), cols.slice(col, col + shift + 1).flat(), ...cols.slice(col + shift + 1)]
+      : [...cols.slice(0, col), ...Array.from({ length: -shift }, () => []), ...cols.slice(col)];
+    while (next.length < width) next.push([]);
+    next.length = width;
+    cols = next;
+  }
+  return cols;
+}
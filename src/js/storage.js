@@ -0,0 +1,345 @@
+/**
+ * Session storage — keeps merged results and stored analytics reports
+ * in IndexedDB so a page refresh does not lose the work done so far.
+ *
+ * A session is the unit the user sees in the session list on the broker
+ * view.  It holds the latest merge per broker (uploaded file metadata,
+ * merged headers/data, stats incl. the validation report) plus the
+ * analytics reports stored for the Overall dashboard.
+ *
+ * Two object stores:
+ *   sessions     — small summary records, listed without loading data
+ *   sessionData  — the heavy part ({ id, merges, reports })
+ *
+ * The File objects themselves are not stored, only their metadata.
+ */
+
+const DB_NAME = 'import-raport';
+const DB_VERSION = 1;
+const LAST_SESSION_KEY = 'import-raport:last-session';
+const BROKER_DEFINITIONS_KEY = 'import-raport:broker-definitions';
+const HEADER_SYNONYMS_KEY = 'import-raport:header-synonyms';
+
+let dbPromise = null;
+
+/* ───────────────────────────────────────────────
+   Session records (pure — no IndexedDB)
+   ─────────────────────────────────────────────── */
+
+/**
+ * Metadata of an uploaded file, as kept in a session.
+ * @param {File} file
+ * @param {string} [brokerId] — broker the file was merged under
+ */
+export function describeFile(file, brokerId) {
+  return {
+    name: file.name,
+    size: file.size,
+    lastModified: file.lastModified || null,
+    brokerId: brokerId || null,
+  };
+}
+
+/**
+ * Create an empty session.
+ * @param {string} [name]
+ */
+export function createSession(name) {
+  const now = Date.now();
+  return {
+    id: `s-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name || '',
+    createdAt: now,
+    updatedAt: now,
+    activeBrokerId: null,
+    merges: [],     // { brokerId, files, result, mergedAt } — one per broker
+    reports: [],    // { brokerId, brokerLabel, analytics } — app.js storedReports
+  };
+}
+
+/**
+ * Record a merge result in the session, replacing an earlier merge of
+ * the same broker.  Mutates and returns `session`.
+ *
+ * @param {Object} session
+ * @param {string} brokerId
+ * @param {Array}  files   — describeFile() entries
+ * @param {Object} result  — mergeFiles() result
+ */
+export function putMerge(session, brokerId, files, result) {
+  const merge = { brokerId, files, result, mergedAt: Date.now() };
+  const idx = session.merges.findIndex(m => m.brokerId === brokerId);
+  if (idx >= 0) session.merges[idx] = merge;
+  else session.merges.push(merge);
+  return session;
+}
+
+/**
+ * Record the broker groups of a merge in `session`, or in a new session
+ * when there is none (nothing opened yet, or "New session" let the last
+ * one go).  Each group replaces an earlier merge of its broker.
+ *
+ * @param {Object|null} session
+ * @param {Array<{ brokerId: string, files: Array, result: Object }>} groups
+ * @returns {Object} the session the merges went into
+ */
+export function recordMerges(session, groups) {
+  const target = session || createSession();
+  for (const g of groups) putMerge(target, g.brokerId, g.files, g.result);
+  return target;
+}
+
+/**
+ * Default session name: broker ids and the creation date,
+ * e.g. "DHL, UPS — 19.10.2026".
+ */
+export function defaultSessionName(session) {
+  const ids = [...new Set([
+    ...session.merges.map(m => m.brokerId),
+    ...session.reports.map(r => r.brokerId),
+  ])];
+  const d = new Date(session.createdAt);
+  const date = `${String(d.getDate()).padStart(2, '0')}.${String(d.getMonth() + 1).padStart(2, '0')}.${d.getFullYear()}`;
+  return ids.length > 0 ? `${ids.join(', ')} — ${date}` : `Session — ${date}`;
+}
+
+/**
+ * Summary record shown in the session list.
+ */
+export function summarizeSession(session) {
+  const brokerIds = [...new Set([
+    ...session.merges.map(m => m.brokerId),
+    ...session.reports.map(r => r.brokerId),
+  ])];
+  return {
+    id: session.id,
+    name: session.name || defaultSessionName(session),
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    activeBrokerId: session.activeBrokerId,
+    brokerIds,
+    fileCount: session.merges.reduce((s, m) => s + m.files.length, 0),
+    totalRows: session.merges.reduce((s, m) => s + m.result.stats.totalRows, 0),
+    reportCount: session.reports.length,
+  };
+}
+
+/* ───────────────────────────────────────────────
+   IndexedDB
+   ─────────────────────────────────────────────── */
+
+/** Is IndexedDB usable in this environment? */
+export function isStorageAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+function openDB() {
+  if (!isStorageAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('sessions')) {
+        db.createObjectStore('sessions', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('sessionData')) {
+        db.createObjectStore('sessionData', { keyPath: 'id' });
+      }
+    };
+    dbPromise = promisify(req).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * All saved sessions (summaries only), most recently updated first.
+ * @returns {Promise<Object[]>}
+ */
+export async function listSessions() {
+  const db = await openDB();
+  const tx = db.transaction('sessions', 'readonly');
+  const all = await promisify(tx.objectStore('sessions').getAll());
+  return all.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Load a full session (summary fields + merges + reports).
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function loadSession(id) {
+  const db = await openDB();
+  const tx = db.transaction(['sessions', 'sessionData'], 'readonly');
+  const [summary, data] = await Promise.all([
+    promisify(tx.objectStore('sessions').get(id)),
+    promisify(tx.objectStore('sessionData').get(id)),
+  ]);
+  if (!summary || !data) return null;
+  return {
+    id,
+    name: summary.name,
+    createdAt: summary.createdAt,
+    updatedAt: summary.updatedAt,
+    activeBrokerId: summary.activeBrokerId,
+    merges: data.merges || [],
+    reports: data.reports || [],
+  };
+}
+
+/**
+ * Save a session and remember it as the one to restore on next load.
+ * Bumps `updatedAt`.
+ * @param {Object} session — createSession() shape
+ * @returns {Promise<Object>} the stored summary
+ */
+export async function saveSession(session) {
+  session.updatedAt = Date.now();
+  const summary = summarizeSession(session);
+  const db = await openDB();
+  const tx = db.transaction(['sessions', 'sessionData'], 'readwrite');
+  tx.objectStore('sessions').put(summary);
+  tx.objectStore('sessionData').put({ id: session.id, merges: session.merges, reports: session.reports });
+  await transactionDone(tx);
+  setLastSessionId(session.id);
+  return summary;
+}
+
+/**
+ * Rename a saved session.  An empty name falls back to the default.
+ * @returns {Promise<Object|null>} the updated summary
+ */
+export async function renameSession(id, name) {
+  const db = await openDB();
+  const tx = db.transaction('sessions', 'readwrite');
+  const store = tx.objectStore('sessions');
+  const summary = await promisify(store.get(id));
+  if (!summary) return null;
+  summary.name = name.trim() || summary.name;
+  store.put(summary);
+  await transactionDone(tx);
+  return summary;
+}
+
+/**
+ * Delete a saved session.
+ */
+export async function deleteSession(id) {
+  const db = await openDB();
+  const tx = db.transaction(['sessions', 'sessionData'], 'readwrite');
+  tx.objectStore('sessions').delete(id);
+  tx.objectStore('sessionData').delete(id);
+  await transactionDone(tx);
+  if (getLastSessionId() === id) setLastSessionId(null);
+}
+
+/* ───────────────────────────────────────────────
+   Last session pointer (localStorage — read synchronously on load)
+   ─────────────────────────────────────────────── */
+
+export function getLastSessionId() {
+  try {
+    return localStorage.getItem(LAST_SESSION_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function setLastSessionId(id) {
+  try {
+    if (id) localStorage.setItem(LAST_SESSION_KEY, id);
+    else localStorage.removeItem(LAST_SESSION_KEY);
+  } catch {
+    // Private mode / storage disabled — restore just won't happen.
+  }
+}
+
+/* ───────────────────────────────────────────────
+   User broker definitions (localStorage — needed before the grid renders)
+   ─────────────────────────────────────────────── */
+
+/**
+ * Broker definitions the user loaded from a file (broker-defs.js), in
+ * load order.  [] when none are stored or the entry is unreadable.
+ */
+export function getUserBrokerDefinitions() {
+  try {
+    const defs = JSON.parse(localStorage.getItem(BROKER_DEFINITIONS_KEY) || '[]');
+    return Array.isArray(defs) ? defs : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Store a user broker definition, replacing one with the same id.
+ * @param {Object} def — a valid definition
+ */
+export function putUserBrokerDefinition(def) {
+  const defs = getUserBrokerDefinitions().filter(d => d.id !== def.id);
+  defs.push(def);
+  try {
+    localStorage.setItem(BROKER_DEFINITIONS_KEY, JSON.stringify(defs));
+  } catch {
+    // Storage disabled — the broker is still available until reload.
+  }
+}
+
+/* ───────────────────────────────────────────────
+   User header synonyms (localStorage — applied on top of headerSynonyms)
+   ─────────────────────────────────────────────── */
+
+function readHeaderSynonyms() {
+  try {
+    const all = JSON.parse(localStorage.getItem(HEADER_SYNONYMS_KEY) || '{}');
+    return all && typeof all === 'object' && !Array.isArray(all) ? all : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Header synonyms the user confirmed in the mapping dialog for a broker
+ * (old-name → unified name; a name mapped to itself was kept as a new
+ * column).  {} when none are stored.
+ * @param {string} brokerId
+ * @returns {Object<string, string>}
+ */
+export function getUserHeaderSynonyms(brokerId) {
+  return { ...readHeaderSynonyms()[brokerId] };
+}
+
+/**
+ * Add confirmed header synonyms for a broker, replacing earlier choices
+ * for the same names.
+ * @param {string} brokerId
+ * @param {Object<string, string>} synonyms
+ */
+export function putUserHeaderSynonyms(brokerId, synonyms) {
+  const all = readHeaderSynonyms();
+  all[brokerId] = { ...all[brokerId], ...synonyms };
+  try {
+    localStorage.setItem(HEADER_SYNONYMS_KEY, JSON.stringify(all));
+  } catch {
+    // Storage disabled — the mapping applies to this merge only.
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * Upload intake — turns what the user dropped or picked (report files,
+ * ZIP archives, whole folders) into a flat list of report files.
+ *
+ * Brokers email monthly ZIPs that also carry PDF invoices and logos.
+ * Archives are unpacked in the browser (DecompressionStream, no extra
+ * dependency), folders and archives inside archives are walked
+ * recursively, and everything that is not a report file is skipped.
+ * Every file keeps its origin path ("dsv_2025.zip/Januar/export.csv")
+ * for the file list, and reportPeriod() reads the month a file covers
+ * from that path so the list can be grouped by broker and period.
+ *
+ * No DOM access — folders arrive as FileSystemEntry objects
+ * (drag & drop) or as Files with a `webkitRelativePath` (folder picker).
+ */
+
+import { decodeText } from './encoding.js';
+
+/* ───────────────────────────────────────────────
+   File types
+   ─────────────────────────────────────────────── */
+
+// Extensions of the formats mergeFiles() can read (formats.js checks
+// the content itself).
+export const REPORT_EXTENSIONS = ['xlsx', 'xlsm', 'xlsb', 'xls', 'ods', 'fods', 'xml', 'csv', 'tsv', 'txt', 'prn'];
+
+// Extensions unpacked before their contents are looked at.
+export const ARCHIVE_EXTENSIONS = ['zip'];
+
+function extension(name) {
+  const dot = name.lastIndexOf('.');
+  return dot < 0 ? '' : name.slice(dot + 1).toLowerCase();
+}
+
+function baseName(path) {
+  return path.split('/').pop();
+}
+
+/** True for archives that are unpacked on upload. */
+export function isArchive(name) {
+  return ARCHIVE_EXTENSIONS.includes(extension(name));
+}
+
+/**
+ * True for a report file worth merging.  Hidden files, Office lock files
+ * ("~$report.xlsx") and macOS resource forks ("__MACOSX/…") share the
+ * extension but are not reports.
+ * @param {string} path — name or origin path
+ */
+export function isReportFile(path) {
+  const name = baseName(path);
+  if (name.startsWith('.') || name.startsWith('~$')) return false;
+  if (path.split('/').includes('__MACOSX')) return false;
+  return REPORT_EXTENSIONS.includes(extension(name));
+}
+
+/* ───────────────────────────────────────────────
+   ZIP archives
+   ─────────────────────────────────────────────── */
+
+const EOCD_SIGNATURE = 0x06054b50;         // end of central directory
+const CENTRAL_SIGNATURE = 0x02014b50;      // central directory entry
+const LOCAL_SIGNATURE = 0x04034b50;        // local file header
+const EOCD_SIZE = 22;
+const MAX_COMMENT = 0xFFFF;
+
+/**
+ * List the files in a ZIP archive from its central directory.  Folders
+ * are left out; nothing is decompressed yet.
+ *
+ * @param {Blob} blob
+ * @returns {Promise<Array<{ path: string, method: number, encrypted: boolean,
+ *   compressedSize: number, offset: number }>>}
+ * @throws {Error} when the file is not a readable ZIP archive
+ */
+export async function listZipEntries(blob) {
+  const tailLength = Math.min(blob.size, EOCD_SIZE + MAX_COMMENT);
+  const tail = new DataView(await blob.slice(blob.size - tailLength).arrayBuffer());
+  let eocd = -1;
+  for (let i = tail.byteLength - EOCD_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+
+  const count = tail.getUint16(eocd + 10, true);
+  const size = tail.getUint32(eocd + 12, true);
+  const start = tail.getUint32(eocd + 16, true);
+  if (count === 0xFFFF || start === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported');
+
+  const dir = new DataView(await blob.slice(start, start + size).arrayBuffer());
+  const entries = [];
+  let p = 0;
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > dir.byteLength || dir.getUint32(p, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('ZIP archive is corrupted (bad central directory)');
+    }
+    const nameLength = dir.getUint16(p + 28, true);
+    const name = new Uint8Array(dir.buffer, dir.byteOffset + p + 46, nameLength);
+    // Names are UTF-8 when flag bit 11 is set, else the creating
+    // system's code page — decodeText() handles both well enough
+    const path = decodeText(name).text.replace(/\\/g, '/');
+    if (!path.endsWith('/')) {
+      entries.push({
+        path,
+        method: dir.getUint16(p + 10, true),
+        encrypted: (dir.getUint16(p + 8, true) & 1) === 1,
+        compressedSize: dir.getUint32(p + 20, true),
+        offset: dir.getUint32(p + 42, true),
+      });
+    }
+    p += 46 + nameLength + dir.getUint16(p + 30, true) + dir.getUint16(p + 32, true);
+  }
+  return entries;
+}
+
+/**
+ * Decompress one entry of listZipEntries().
+ * @param {Blob}   blob  — the archive
+ * @param {Object} entry
+ * @returns {Promise<Blob>}
+ * @throws {Error} for encrypted entries and unknown compression methods
+ */
+export async function readZipEntry(blob, entry) {
+  if (entry.encrypted) throw new Error('Encrypted archive entry');
+  const head = new DataView(await blob.slice(entry.offset, entry.offset + 30).arrayBuffer());
+  if (head.byteLength < 30 || head.getUint32(0, true) !== LOCAL_SIGNATURE) {
+    throw new Error('ZIP archive is corrupted (bad local header)');
+  }
+  const start = entry.offset + 30 + head.getUint16(26, true) + head.getUint16(28, true);
+  const data = blob.slice(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot unpack ZIP archives');
+  }
+  return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+}
+
+/* ───────────────────────────────────────────────
+   Recursive discovery
+   ─────────────────────────────────────────────── */
+
+function entryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+async function directoryChildren(entry) {
+  const reader = entry.createReader();
+  const children = [];
+  // readEntries() returns at most ~100 entries per call
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) return children;
+    children.push(...batch);
+  }
+}
+
+/**
+ * Collect the report files in a drop or file-input selection.
+ *
+ * Items may be Files (a `webkitRelativePath` from the folder picker
+ * becomes the origin path) or FileSystemEntry objects from a drop.
+ * Folders are walked and ZIP archives unpacked recursively; an archive
+ * that cannot be read is listed in `skipped` with the reason.
+ *
+ * @param {Iterable<File|FileSystemEntry>} items
+ * @returns {Promise<{ files: Array<{ file: File, origin: string }>,
+ *   skipped: Array<{ origin: string, reason: string }> }>}
+ */
+export async function collectReportFiles(items) {
+  const files = [];
+  const skipped = [];
+
+  const visitFile = async (file, origin) => {
+    if (isArchive(file.name)) {
+      let entries;
+      try {
+        entries = await listZipEntries(file);
+      } catch (err) {
+        skipped.push({ origin, reason: err.message });
+        return;
+      }
+      for (const entry of entries) {
+        const path = `${origin}/${entry.path}`;
+        if (!isArchive(entry.path) && !isReportFile(path)) {
+          skipped.push({ origin: path, reason: 'Not a report file' });
+          continue;
+        }
+        try {
+          const blob = await readZipEntry(file, entry);
+          await visitFile(new File([blob], baseName(entry.path), { lastModified: file.lastModified }), path);
+        } catch (err) {
+          skipped.push({ origin: path, reason: err.message });
+        }
+      }
+    } else if (isReportFile(origin)) {
+      files.push({ file, origin });
+    } else {
+      skipped.push({ origin, reason: 'Not a report file' });
+    }
+  };
+
+  const visit = async (item) => {
+    if (item.isDirectory) {
+      for (const child of await directoryChildren(item)) await visit(child);
+    } else if (item.isFile) {
+      await visitFile(await entryFile(item), item.fullPath.replace(/^\//, ''));
+    } else {
+      await visitFile(item, item.webkitRelativePath || item.name);
+    }
+  };
+
+  for (const item of items) await visit(item);
+  return { files, skipped };
+}
+
+/**
+ * SHA-256 of a file's bytes as lowercase hex.  The same report uploaded
+ * twice — under another name, or once loose and once inside a ZIP —
+ * hashes the same, so addFiles() can refuse the second copy.
+ *
+ * @param {Blob} file
+ * @returns {Promise<string>}
+ */
+export async function hashFile(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/* ───────────────────────────────────────────────
+   Report period
+   ─────────────────────────────────────────────── */
+
+// Month names in file and folder names, German and English.
+const MONTH_NAMES = [
+  ['jan', 'januar', 'january'],
+  ['feb', 'februar', 'february'],
+  ['mar', 'mär', 'maerz', 'märz', 'march'],
+  ['apr', 'april'],
+  ['mai', 'may'],
+  ['jun', 'juni', 'june'],
+  ['jul', 'juli', 'july'],
+  ['aug', 'august'],
+  ['sep', 'sept', 'september'],
+  ['okt', 'oct', 'oktober', 'october'],
+  ['nov', 'november'],
+  ['dez', 'dec', 'dezember', 'december'],
+];
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Numeric year + month patterns, tried in order: 20250131, 2025-01 /
+// 2025_01 / 202501, 01.2025 / 31.01.2025
+const NUMERIC_PERIODS = [
+  [/(?<!\d)(20\d{2})(0[1-9]|1[0-2])[0-3]\d(?!\d)/, 1, 2],
+  [/(?<!\d)(20\d{2})[-_. ]?(0[1-9]|1[0-2])(?!\d)/, 1, 2],
+  [/(?<!\d)(0[1-9]|1[0-2])[-_. ](20\d{2})(?!\d)/, 2, 1],
+];
+
+const pad = (m) => String(m).padStart(2, '0');
+
+function monthOf(token) {
+  const i = MONTH_NAMES.findIndex(names => names.includes(token));
+  return i < 0 ? null : i + 1;
+}
+
+// Month and year of one path segment: { month, year } with either null
+function segmentPeriod(segment) {
+  for (const [re, y, m] of NUMERIC_PERIODS) {
+    const hit = segment.match(re);
+    if (hit) return { year: hit[y], month: Number(hit[m]) };
+  }
+  let month = null;
+  let year = null;
+  for (const token of segment.toLowerCase().split(/[^a-zäöü0-9]+/)) {
+    // "jan25" / "januar2025"
+    const [, word, digits] = token.match(/^([a-zäöü]+)(\d{2}|\d{4})?$/) || [];
+    const named = word ? monthOf(word) : null;
+    if (named && !month) {
+      month = named;
+      if (digits) year = digits.length === 2 ? `20${digits}` : digits;
+    }
+    if (!year && /^20\d{2}$/.test(token)) year = token;
+  }
+  return { year, month };
+}
+
+/**
+ * The month a report covers, read from its name and folders:
+ * "dsv_2025_01.csv", "Import 01.2025.xlsx", "2025/Januar/export.csv".
+ * The file name wins over its folders, the nearest folder over the
+ * ones above it.
+ *
+ * @param {string} path — name or origin path
+ * @returns {string|null} 'YYYY-MM'
+ */
+export function reportPeriod(path) {
+  const segments = path.split('/').reverse();
+  let month = null;
+  let year = null;
+  for (const segment of segments) {
+    const p = segmentPeriod(segment.replace(/\.[^.]*$/, ''));
+    if (p.year && p.month && !month && !year) return `${p.year}-${pad(p.month)}`;
+    month = month || p.month;
+    year = year || p.year;
+  }
+  return month && year ? `${year}-${pad(month)}` : null;
+}
+
+/** "Jan 2025" for '2025-01'; "No period" for null. */
+export function formatPeriod(period) {
+  if (!period) return 'No period';
+  const [year, month] = period.split('-');
+  return `${MONTH_LABELS[Number(month) - 1]} ${year}`;
+}
+
+/**
+ * Split files into periods, oldest first, files without a recognisable
+ * period last.  Upload order is kept within a period.
+ *
+ * @param {File[]} files
+ * @param {(file: File) => string} [pathOf] — origin path of a file
+ * @returns {Array<{ period: string|null, files: File[] }>}
+ */
+export function groupByPeriod(files, pathOf = (f) => f.name) {
+  const byPeriod = new Map();
+  for (const file of files) {
+    const period = reportPeriod(pathOf(file));
+    if (!byPeriod.has(period)) byPeriod.set(period, { period, files: [] });
+    byPeriod.get(period).files.push(file);
+  }
+  return [...byPeriod.values()].sort((a, b) => {
+    if (a.period === b.period) return 0;
+    if (a.period === null) return 1;
+    if (b.period === null) return -1;
+    return a.period < b.period ? -1 : 1;
+  });
+}
@@ -0,0 +1,16 @@
+/**
+ * Small helpers shared by the UI modules (app.js, grid.js, analytics.js).
+ */
+
+/**
+ * Escape a value for use in HTML text and double-quoted attributes.
+ * @param {*} value — converted with String()
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
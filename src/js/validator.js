@@ -16,8 +16,14 @@
  *      cells (col 15+), destroying correct data alignment.
  *
  * Number format normalisation — German comma → dot, leading dot/comma fix
+ *
+ * Shift repair for the other fixed layouts (FedEx, UPS) is schema-driven:
+ * see FEDEX_SCHEMA / UPS_SCHEMA and shift-engine.js.
  */
 
+import { alignRow, columnPasses, alignmentConfidence, traceColumns } from './shift-engine.js';
+import { repairMojibake } from './encoding.js';
+
 /* ───────────────────────────────────────────────
    Column Pattern Matchers
    ─────────────────────────────────────────────── */
@@ -51,16 +57,113 @@ const P = {
   },
   measure:     (v) => typeof v === 'string' && /^[A-Z]{2,3}$/.test(v.trim()),
   longText:    (v) => typeof v === 'string' && v.trim().length > 10,
+  freeText:    (v) => typeof v === 'string' && /\p{L}/u.test(v),
   shortAlpha:  (v) => typeof v === 'string' && v.trim().length <= 10 && v.trim().length > 0,
   eori:        (v) => typeof v === 'string' && /^[A-Z]{2}\d+/.test(v.trim()),
   isEmpty:     (v) => v == null || v === '',
 };
 
+/* ───────────────────────────────────────────────
+   Issue Model
+   ─────────────────────────────────────────────── */
+
+// Severity per issue type:
+//   info    — format fix, value unchanged in meaning
+//   notice  — structural repair (cells moved), worth a glance
+//   warning — could not be fixed automatically, manual review
+const SEVERITY_BY_TYPE = {
+  cleanup: 'info',
+  number:  'info',
+  date:    'info',
+  shift:   'notice',
+  gap:     'notice',
+  manual:  'notice',
+  duplicate: 'notice',
+  warning: 'warning',
+};
+
+// Human-readable names for every `rule` id the pipelines emit.
+export const ISSUE_RULES = {
+  'mojibake':             'Mis-encoded text repaired ("Ã¼" → "ü")',
+  'trailing-newline':     'Leading/trailing newline stripped',
+  'whitespace-trim':      'Leading/trailing whitespace trimmed',
+  'leading-separator':    'Leading decimal separator (",5" → "0.5")',
+  'thousands-dot':        'Thousands dot + decimal comma ("1.234,56")',
+  'thousands-comma':      'Thousands comma ("1,500")',
+  'decimal-comma':        'Decimal comma ("123,45")',
+  'string-to-number':     'Numeric text converted to number',
+  'number-format':        'Declared number format → number',
+  'serial-to-date':       'Excel serial → date',
+  'date-format':          'Declared date format → DD.MM.YYYY',
+  'compressed-to-date':   'Compressed number → date',
+  'serial-to-datetime':   'Excel serial → date + time',
+  'serial-to-time':       'Excel fraction → time',
+  'address-overflow':     'Address overflow merged',
+  'location-overflow':    'Delivery location overflow merged',
+  'description-overflow': 'Goods description overflow merged',
+  'inferred-goods-shift': 'Goods zone shift inferred from HS Code position',
+  'address-gap':          'Missing address cell re-inserted',
+  'location-gap':         'Missing delivery location re-inserted',
+  'goods-gap':            'Missing goods description re-inserted',
+  'text-overflow':        'Text overflow merged (schema alignment)',
+  'text-gap':             'Missing text cell re-inserted (schema alignment)',
+  'invalid-hs-code':      'Invalid HS code',
+  'invalid-country':      'Invalid country code',
+  'manual-edit':          'Edited manually in the result grid',
+  'manual-edit-dropped':  'Manual edit dropped — its cell was merged or removed by a review decision',
+  'duplicate-keep-first': 'Duplicate declaration line — first copy kept',
+  'duplicate-keep-last':  'Duplicate declaration line — last copy kept',
+  'duplicate-keep-all':   'Duplicate declaration line — all copies kept',
+};
+
+/**
+ * Build a validation issue.  Every issue carries the same fields so the
+ * UI and exports can group and filter without parsing `detail`:
+ *
+ *   row      — 1-based data row
+ *   type     — 'shift' | 'gap' | 'number' | 'date' | 'cleanup' | 'manual' | 'duplicate' | 'warning'
+ *   col      — zero-based column (for shifts: the cell fragments were merged
+ *              into; for gaps: where the blank cell was re-inserted)
+ *   header   — column name (filled in from the header row by validateAndFix)
+ *   before   — value before the fix / offending value for warnings
+ *   after    — value after the fix (null for warnings)
+ *   rule     — key of ISSUE_RULES
+ *   severity — see SEVERITY_BY_TYPE
+ *   zone     — DHL zone or semantic area ('HS Code', 'Country'), else null
+ *   detail   — rendered message for display
+ *
+ * Shift and gap issues also carry:
+ *
+ *   confidence — repairConfidence() score, 0..1
+ *   review     — null, or 'pending' below REVIEW_THRESHOLD until a user
+ *                decides: 'accepted' | 'adjusted' (see reviewRepair);
+ *                always null for schema-driven repairs (FedEx, UPS)
+ */
+function makeIssue(row, type, { col = null, before = null, after = null, rule, zone = null, detail }) {
+  return {
+    row, type, col, header: null, before, after, rule,
+    severity: SEVERITY_BY_TYPE[type], zone, detail,
+  };
+}
+
+/**
+ * Fill `issue.header` from the first header row.
+ */
+function labelIssues(report, headers) {
+  const headerRow = (headers && headers[0]) || [];
+  for (const iss of report.issues) {
+    if (iss.col != null && headerRow[iss.col] != null) {
+      iss.header = String(headerRow[iss.col]).trim();
+    }
+  }
+  return report;
+}
+
 /* ───────────────────────────────────────────────
    DHL Column Schema — what should be in each column
    ─────────────────────────────────────────────── */
 
-const DHL_SCHEMA = {
+export const DHL_SCHEMA = {
   0:   { name: 'Date of Declaration',    test: P.date,      type: 'date' },
   1:   { name: 'EORI Number',            test: P.eori,      type: 'eori' },
   15:  { name: 'Seller Name',            test: P.longText,  type: 'text',     allowNull: true },
@@ -185,6 +288,7 @@ function repairAddressZoneShift(row, base, shift, zoneName) {
   return {
     fixed: true,
     details: `${zoneName}: +${shift} address overflow → merged & realigned`,
+    col: addrCol, before: fragments.join(' | '), after: merged,
   };
 }
 
@@ -269,6 +373,7 @@ function repairMidRowOverflow(row, shift) {
   return {
     fixed: true,
     details: `Mid-row: +${shift} delivery location overflow at col 32 → merged & realigned`,
+    col: locationCol, before: fragments.join(' | '), after: merged,
   };
 }
 
@@ -379,9 +484,234 @@ function repairGoodsZoneShift(row, shift) {
   return {
     fixed: true,
     details: `Goods: +${shift} description overflow → merged & realigned (HS=${String(row[110] ?? '').substring(0,11)})`,
+    col: descCol, before: fragments.join(' | '), after: merged,
   };
 }
 
+/* ───────────────────────────────────────────────
+   Left Shift Detection (missing cells)
+   ─────────────────────────────────────────────── */
+
+// A source cell can also be missing entirely — an empty postcode that
+// collapsed instead of staying blank — so everything after it slides
+// left.  These detectors run only when the overflow (+N) detector of the
+// same zone found nothing, and return a negative shift.
+
+/**
+ * Number of DHL_SCHEMA checks that pass on cols from..to.
+ */
+function zoneSchemaScore(row, from, to) {
+  let score = 0;
+  for (let c = from; c <= to; c++) {
+    const spec = DHL_SCHEMA[c];
+    if (!spec) continue;
+    if ((spec.allowNull && P.isEmpty(row[c])) || spec.test(row[c])) score++;
+  }
+  return score;
+}
+
+/**
+ * Insert `n` blank cells at `col`; everything from `col` on moves right.
+ * The row keeps its length unless the cells pushed off the end hold data
+ * (rows of a file without trailing blanks can be shorter than the header).
+ */
+function insertBlankCells(row, col, n) {
+  const corrected = [...row.slice(0, col), ...new Array(n).fill(null), ...row.slice(col)];
+  while (corrected.length > row.length && P.isEmpty(corrected[corrected.length - 1])) corrected.pop();
+  for (let c = 0; c < corrected.length; c++) row[c] = corrected[c] ?? null;
+}
+
+/**
+ * Detects a -N shift in an address zone: the Country sits N cols early
+ * (base+4-N holds a 2-letter code, base+4 does not).
+ */
+function detectAddressZoneGap(row, base) {
+  const countryCol = base + 4;
+  if (P.isEmpty(row[base]) && P.isEmpty(row[base + 1])) return 0;
+  if (P.country2(row[countryCol])) return 0;
+
+  for (let n = 1; n <= 2; n++) {
+    if (P.country2(row[countryCol - n]) && !P.country2(row[countryCol - n + 1])) return -n;
+  }
+  return 0;
+}
+
+/**
+ * Repairs a -N shift in an address zone by re-inserting N blank cells at
+ * the position (Address, Town or Postcode) where the zone then passes the
+ * most DHL_SCHEMA checks.  Ties go to the later column — a missing
+ * postcode is by far the most common case.
+ */
+function repairAddressZoneGap(row, base, n, zoneName) {
+  let bestCol = -1;
+  let bestScore = -1;
+  for (let col = base + 1; col <= base + 4 - n; col++) {
+    const trial = [...row.slice(0, col), ...new Array(n).fill(null), ...row.slice(col, base + 5)];
+    let score = zoneSchemaScore(trial, base, base + 4);
+    // P.shortAlpha accepts a postcode too — a digits-only town is a miss
+    if (/^\d[\d \-]*$/.test(String(trial[base + 2] ?? '').trim())) score--;
+    if (score >= bestScore) { bestScore = score; bestCol = col; }
+  }
+
+  const before = row[bestCol] ?? null;
+  insertBlankCells(row, bestCol, n);
+  return {
+    fixed: true,
+    details: `${zoneName}: -${n} missing ${DHL_SCHEMA[bestCol].name} → blank cell${n > 1 ? 's' : ''} re-inserted at col ${bestCol} & realigned`,
+    col: bestCol, before, after: null,
+  };
+}
+
+// Plain numbers only — a location such as "1010 WIEN" starts with digits
+// and would pass P.numeric.
+const isPlainNumber = (v) => typeof v === 'number' || /^-?\d*[.,]?\d+$/.test(String(v ?? '').trim());
+
+/**
+ * Detects a missing delivery location: Incoterm in col 31, then Freight
+ * and Weight already in cols 32/33.
+ */
+function detectMidRowGap(row) {
+  if (!P.incoterm(row[31])) return 0;
+  if (P.isEmpty(row[32]) || P.isEmpty(row[33])) return 0;
+  return isPlainNumber(row[32]) && isPlainNumber(row[33]) ? -1 : 0;
+}
+
+function repairMidRowGap(row, n) {
+  const before = row[32] ?? null;
+  insertBlankCells(row, 32, n);
+  return {
+    fixed: true,
+    details: `Mid-row: -${n} missing delivery location → blank re-inserted at col 32 & realigned`,
+    col: 32, before, after: null,
+  };
+}
+
+/**
+ * Detects a missing goods description: the HS Code sits in col 109,
+ * followed by Country of Origin (or the empty-country pattern) and the
+ * procedure code one column early.
+ */
+function detectGoodsZoneGap(row) {
+  if (P.hsCode(row[110]) || !P.hsCode(row[109])) return 0;
+  const country = row[110];
+  if ((P.country2(country) || P.isEmpty(country)) && P.procCode(row[112])) return -1;
+  if (P.isEmpty(country) && P.procCode(row[111])) return -1;
+  return 0;
+}
+
+function repairGoodsZoneGap(row, n) {
+  const before = row[109] ?? null;
+  insertBlankCells(row, 109, n);
+  return {
+    fixed: true,
+    details: `Goods: -${n} missing description → blank re-inserted at col 109 & realigned (HS=${String(row[110] ?? '').substring(0,11)})`,
+    col: 109, before, after: null,
+  };
+}
+
+/* ───────────────────────────────────────────────
+   Repair Confidence & Review
+   ─────────────────────────────────────────────── */
+
+// Shift repairs scoring below this are applied but queued for review
+// (issue.review = 'pending') instead of passing silently.
+export const REVIEW_THRESHOLD = 0.6;
+
+/**
+ * Does `value` pass the DHL_SCHEMA test of `col`?
+ * @returns {boolean|null} null when the column has no schema entry
+ */
+export function schemaPasses(col, value) {
+  return columnPasses(DHL_SCHEMA, col, value);
+}
+
+/**
+ * Confidence (0..1) of a shift repair, from the DHL_SCHEMA checks it
+ * turned from failing to passing (gained) and from passing to failing
+ * (lost):  gained / (gained + lost) × min(1, gained / 3).
+ *
+ * The second factor keeps a repair backed by only one or two columns
+ * from scoring high.  0 when the repair changed no check at all.
+ */
+export function repairConfidence(before, after) {
+  return alignmentConfidence(DHL_SCHEMA, before, after);
+}
+
+// Repair function per zone name (as recorded on issues and snapshots).
+// A negative shift re-inserts missing cells.
+const SHIFT_REPAIRS = {
+  Shipper:   (row, shift) => (shift > 0 ? repairAddressZoneShift(row, 20, shift, 'Shipper') : repairAddressZoneGap(row, 20, -shift, 'Shipper')),
+  Consignee: (row, shift) => (shift > 0 ? repairAddressZoneShift(row, 26, shift, 'Consignee') : repairAddressZoneGap(row, 26, -shift, 'Consignee')),
+  'Mid-row': (row, shift) => (shift > 0 ? repairMidRowOverflow(row, shift) : repairMidRowGap(row, -shift)),
+  Goods:     (row, shift) => (shift > 0 ? repairGoodsZoneShift(row, shift) : repairGoodsZoneGap(row, -shift)),
+};
+
+/**
+ * Run one shift repair on `row` and score it.
+ * @returns {Object|null} the issue — type 'shift' for overflow repairs,
+ *   'gap' for re-inserted cells — with confidence and review; null when
+ *   nothing was repaired
+ */
+function applyShiftRepair(row, rowNumber, { zone, shift, rule }) {
+  const before = row.slice();
+  const { fixed, details, col, before: fragments, after } = SHIFT_REPAIRS[zone](row, shift);
+  if (!fixed) return null;
+
+  const issue = makeIssue(rowNumber, shift > 0 ? 'shift' : 'gap', {
+    col, before: fragments, after, rule, zone,
+    detail: rule === 'inferred-goods-shift' ? `Inferred shift +${shift}: ${details}` : details,
+  });
+  issue.confidence = repairConfidence(before, row);
+  issue.review = issue.confidence < REVIEW_THRESHOLD ? 'pending' : null;
+  return issue;
+}
+
+/* ───────────────────────────────────────────────
+   Schema-driven Shift Repair (FedEx, UPS)
+   ─────────────────────────────────────────────── */
+
+/**
+ * Align one row against a broker shift schema (shift-engine.js) and
+ * record each repair as a 'shift' (overflow merged) or 'gap' (blank
+ * cell re-inserted) issue, zoned by the schema's zone names.
+ *
+ * Like the DHL repairs, a repair below REVIEW_THRESHOLD stays 'pending'
+ * until reviewed, and the row before its first repair is kept in
+ * report.snapshots[rowNumber].
+ *
+ * @param {Object} [decided] — zone → repair a reviewer decided on
+ *   (reviewRepair): 'rejected' skips the zone, 'accepted' / 'adjusted'
+ *   force that shift instead of searching for one
+ */
+function repairRowSchema(row, rowNumber, report, schema, decided = {}) {
+  const before = row.slice();
+  const applied = alignRow(row, schema, decided);
+  const repairs = [];
+
+  for (const zone of schema.zones) {
+    const d = decided[zone.name];
+    if (d && d.review === 'rejected') {
+      repairs.push(d);
+      continue;
+    }
+    const rp = applied.find(a => a.zone === zone.name);
+    if (!rp) continue;
+    const gap = rp.shift < 0;
+    const rule = gap ? 'text-gap' : 'text-overflow';
+    const issue = makeIssue(rowNumber, gap ? 'gap' : 'shift', {
+      col: rp.col, before: rp.before, after: rp.after, rule, zone: rp.zone, detail: rp.detail,
+    });
+    issue.confidence = rp.confidence;
+    issue.review = d ? d.review : (rp.confidence < REVIEW_THRESHOLD ? 'pending' : null);
+    if (gap) report.gapFixes++;
+    else report.shiftFixes++;
+    report.issues.push(issue);
+    repairs.push({ col: rp.col, shift: rp.shift, zone: rp.zone, rule, confidence: rp.confidence, review: issue.review });
+  }
+
+  if (repairs.length > 0) report.snapshots[rowNumber] = { before, repairs };
+}
+
 /* ───────────────────────────────────────────────
    Number Format Correction
    ─────────────────────────────────────────────── */
@@ -432,6 +762,77 @@ const FEDEX_COL_HS_CODE = 56;  // TARIFNUMMER
 const FEDEX_COL_VERSENDUNGSLAND = 21;  // Sending country
 const FEDEX_COL_URSPRUNGSLAND = 57;    // Country of origin
 
+// FedEx shift schema (see shift-engine.js).  The free-text columns —
+// names and the goods description — are the ones that can spill into
+// the next cell; the columns after them pin the alignment down.
+export const FEDEX_SCHEMA = {
+  columns: {
+    12: { name: 'NAME VERSENDER',    test: P.freeText },
+    13: { name: 'ZOLLNUMMER',        test: P.eori,      allowNull: true },
+    15: { name: 'NAME EMPFAENGER',   test: P.freeText },
+    16: { name: 'ZOLLNUMMER',        test: P.eori,      allowNull: true },
+    56: { name: 'TARIFNUMMER',       test: P.hsCode },
+    57: { name: 'URSPRUNGSLAND',     test: P.country2 },
+    64: { name: 'WARENBESCHREIBUNG', test: P.freeText },
+    65: { name: 'EIGENMASSE',        test: P.numeric },
+    66: { name: 'RECHNUNGSPREIS',    test: P.numeric },
+    67: { name: 'ZOLLWERT',          test: P.numeric },
+    68: { name: 'EUSTWERT',          test: P.numeric },
+    69: { name: 'WKZ',               test: P.currency3, allowNull: true },
+  },
+  zones: [
+    { name: 'Shipper',   text: 12, anchors: [13] },
+    { name: 'Consignee', text: 15, anchors: [16] },
+    { name: 'Goods',     text: 64, anchors: [65, 66, 67, 68, 69] },
+  ],
+};
+
+/**
+ * FedEx post-repair checks for one row (HS code, country codes).
+ * Shared by the pipeline and revalidateRow().
+ */
+function checkRowFedEx(row, rowNumber) {
+  const issues = [];
+
+  // HS Code (col 56, TARIFNUMMER): should be 8-11 digit string
+  const hs = row[FEDEX_COL_HS_CODE];
+  if (hs != null && hs !== '') {
+    const hsStr = String(hs).trim();
+    if (hsStr.length > 0 && !/^\d{8,11}$/.test(hsStr)) {
+      issues.push(makeIssue(rowNumber, 'warning', {
+        col: FEDEX_COL_HS_CODE, before: hsStr, rule: 'invalid-hs-code', zone: 'HS Code',
+        detail: `TARIFNUMMER (col ${FEDEX_COL_HS_CODE}) invalid: "${hsStr.substring(0,30)}"`,
+      }));
+    }
+  }
+
+  // Sending country (col 21): should be 2-letter code
+  const vs = row[FEDEX_COL_VERSENDUNGSLAND];
+  if (vs != null && vs !== '') {
+    const vsStr = String(vs).trim();
+    if (vsStr.length > 0 && !/^[A-Z]{2}$/i.test(vsStr)) {
+      issues.push(makeIssue(rowNumber, 'warning', {
+        col: FEDEX_COL_VERSENDUNGSLAND, before: vsStr, rule: 'invalid-country', zone: 'Country',
+        detail: `VERSENDUNGSLAND (col ${FEDEX_COL_VERSENDUNGSLAND}) invalid: "${vsStr}"`,
+      }));
+    }
+  }
+
+  // Origin country (col 57): should be 2-letter code (may include "EU")
+  const oc = row[FEDEX_COL_URSPRUNGSLAND];
+  if (oc != null && oc !== '') {
+    const ocStr = String(oc).trim();
+    if (ocStr.length > 0 && !/^[A-Z]{2}$/i.test(ocStr)) {
+      issues.push(makeIssue(rowNumber, 'warning', {
+        col: FEDEX_COL_URSPRUNGSLAND, before: ocStr, rule: 'invalid-country', zone: 'Country',
+        detail: `URSPRUNGSLAND (col ${FEDEX_COL_URSPRUNGSLAND}) invalid: "${ocStr}"`,
+      }));
+    }
+  }
+
+  return issues;
+}
+
 /**
  * FedEx-specific validation and correction pipeline.
  *
@@ -445,104 +846,81 @@ const FEDEX_COL_URSPRUNGSLAND = 57;    // Country of origin
  *
  * No column-shift issues were found in FedEx data (unlike DHL). The FedEx export
  * format is more structured — fixed 91-column layout with no address overflow.
+ * Rows are still aligned against FEDEX_SCHEMA first (step 0), so a name or
+ * description spilling into the next cell is repaired if it ever shows up.
  */
 function validateAndFixFedEx(data, report) {
   for (let r = 0; r < data.length; r++) {
-    const row = data[r];
-    if (!row) continue;
-
-    // ── 1. Trailing newline cleanup (description and all string cells) ──
-    // FedEx descriptions (col 64) frequently end with \n from the Excel source.
-    // Clean all cells to be safe — this won't affect non-string values.
-    for (let c = 0; c < row.length; c++) {
-      const v = row[c];
-      if (typeof v !== 'string') continue;
-
-      // Strip trailing/leading whitespace and newlines
-      const cleaned = v.replace(/[\r\n]+$/g, '').replace(/^[\r\n]+/g, '');
-      if (cleaned !== v) {
-        row[c] = cleaned;
-        report.numberFixes++;
-        report.issues.push({
-          row: r + 1, type: 'cleanup',
-          detail: `Col ${c}: stripped trailing newline/whitespace`,
-        });
-      }
-    }
-
-    // ── 2. Number format correction — all columns ──
-    // Apply fixNumericValue to catch European-format numbers (comma→dot).
-    // Most FedEx values are already JS Number, but this handles edge cases.
-    for (let c = 0; c < row.length; c++) {
-      const { value, changed, detail } = fixNumericValue(row[c]);
-      if (changed) {
-        row[c] = value;
-        report.numberFixes++;
-        report.issues.push({ row: r + 1, type: 'number', detail: `Col ${c}: ${detail}` });
-      }
-    }
+    if (data[r]) fixRowFedEx(data[r], r + 1, report);
+  }
 
-    // ── 3. String-to-Number conversion for numeric columns ──
-    // Col 73 (STATISTISCHEMENGE) frequently comes as string ("12000") from xlsx.
-    // Convert all numeric-column strings to JS Number for proper Excel output.
-    for (const col of NUMERIC_COLUMNS_FEDEX) {
-      if (col >= row.length) continue;
-      const v = row[col];
-      if (v == null || v === '' || typeof v === 'number') continue;
-      const s = String(v).trim();
-      const n = Number(s);
-      if (s.length > 0 && !isNaN(n)) {
-        row[col] = n;
-        report.numberFixes++;
-        report.issues.push({
-          row: r + 1, type: 'number',
-          detail: `Col ${col}: string→number "${s}" → ${n}`,
-        });
-      }
-    }
+  report.totalIssues = report.shiftFixes + report.gapFixes + report.numberFixes +
+    report.issues.filter(i => i.type === 'warning').length;
+  return report;
+}
 
-    // ── 4. Post-repair validation — warn if critical columns look wrong ──
-
-    // HS Code (col 56, TARIFNUMMER): should be 8-11 digit string
-    const hs = row[FEDEX_COL_HS_CODE];
-    if (hs != null && hs !== '') {
-      const hsStr = String(hs).trim();
-      if (hsStr.length > 0 && !/^\d{8,11}$/.test(hsStr)) {
-        report.issues.push({
-          row: r + 1, type: 'warning', zone: 'HS Code',
-          detail: `TARIFNUMMER (col ${FEDEX_COL_HS_CODE}) invalid: "${hsStr.substring(0,30)}"`,
-        });
-      }
+/**
+ * One row of the FedEx pipeline (steps 0–4 of validateAndFixFedEx).
+ * @param {Object} [decided] — reviewed shift repairs, see repairRowSchema()
+ */
+function fixRowFedEx(row, rowNumber, report, decided = {}) {
+  // ── 0. Schema-driven shift repair ──
+  repairRowSchema(row, rowNumber, report, FEDEX_SCHEMA, decided);
+
+  // ── 1. Trailing newline cleanup (description and all string cells) ──
+  // FedEx descriptions (col 64) frequently end with \n from the Excel source.
+  // Clean all cells to be safe — this won't affect non-string values.
+  for (let c = 0; c < row.length; c++) {
+    const v = row[c];
+    if (typeof v !== 'string') continue;
+
+    // Strip trailing/leading whitespace and newlines
+    const cleaned = v.replace(/[\r\n]+$/g, '').replace(/^[\r\n]+/g, '');
+    if (cleaned !== v) {
+      row[c] = cleaned;
+      report.numberFixes++;
+      report.issues.push(makeIssue(rowNumber, 'cleanup', {
+        col: c, before: v, after: cleaned, rule: 'trailing-newline',
+        detail: `Col ${c}: stripped trailing newline/whitespace`,
+      }));
     }
+  }
 
-    // Sending country (col 21): should be 2-letter code
-    const vs = row[FEDEX_COL_VERSENDUNGSLAND];
-    if (vs != null && vs !== '') {
-      const vsStr = String(vs).trim();
-      if (vsStr.length > 0 && !/^[A-Z]{2}$/i.test(vsStr)) {
-        report.issues.push({
-          row: r + 1, type: 'warning', zone: 'Country',
-          detail: `VERSENDUNGSLAND (col ${FEDEX_COL_VERSENDUNGSLAND}) invalid: "${vsStr}"`,
-        });
-      }
+  // ── 2. Number format correction — all columns ──
+  // Apply fixNumericValue to catch European-format numbers (comma→dot).
+  // Most FedEx values are already JS Number, but this handles edge cases.
+  for (let c = 0; c < row.length; c++) {
+    const { value, changed, detail, rule } = fixNumericValue(row[c]);
+    if (changed) {
+      report.issues.push(makeIssue(rowNumber, 'number', {
+        col: c, before: row[c], after: value, rule, detail: `Col ${c}: ${detail}`,
+      }));
+      row[c] = value;
+      report.numberFixes++;
     }
+  }
 
-    // Origin country (col 57): should be 2-letter code (may include "EU")
-    const oc = row[FEDEX_COL_URSPRUNGSLAND];
-    if (oc != null && oc !== '') {
-      const ocStr = String(oc).trim();
-      if (ocStr.length > 0 && !/^[A-Z]{2}$/i.test(ocStr)) {
-        report.issues.push({
-          row: r + 1, type: 'warning', zone: 'Country',
-          detail: `URSPRUNGSLAND (col ${FEDEX_COL_URSPRUNGSLAND}) invalid: "${ocStr}"`,
-        });
-      }
+  // ── 3. String-to-Number conversion for numeric columns ──
+  // Col 73 (STATISTISCHEMENGE) frequently comes as string ("12000") from xlsx.
+  // Convert all numeric-column strings to JS Number for proper Excel output.
+  for (const col of NUMERIC_COLUMNS_FEDEX) {
+    if (col >= row.length) continue;
+    const v = row[col];
+    if (v == null || v === '' || typeof v === 'number') continue;
+    const s = String(v).trim();
+    const n = Number(s);
+    if (s.length > 0 && !isNaN(n)) {
+      row[col] = n;
+      report.numberFixes++;
+      report.issues.push(makeIssue(rowNumber, 'number', {
+        col, before: s, after: n, rule: 'string-to-number',
+        detail: `Col ${col}: string→number "${s}" → ${n}`,
+      }));
     }
   }
 
-  report.totalIssues = report.shiftFixes + report.numberFixes +
-    report.issues.filter(i => i.type === 'warning').length;
-  return report;
+  // ── 4. Post-repair validation — warn if critical columns look wrong ──
+  report.issues.push(...checkRowFedEx(row, rowNumber));
 }
 
 /* ───────────────────────────────────────────────
@@ -694,6 +1072,69 @@ function compressedNumericToDate(v) {
   return `${String(d).padStart(2, '0')}.${String(m).padStart(2, '0')}.${y}`;
 }
 
+/**
+ * Date layouts a declarative broker can declare (`dateFormat`,
+ * broker-defs.js).  A trailing time part is ignored.
+ */
+export const DATE_FORMATS = {
+  'DD.MM.YYYY': /^(?<d>\d{1,2})\.(?<m>\d{1,2})\.(?<y>\d{4})(?:[ T].*)?$/,
+  'DD/MM/YYYY': /^(?<d>\d{1,2})\/(?<m>\d{1,2})\/(?<y>\d{4})(?:[ T].*)?$/,
+  'MM/DD/YYYY': /^(?<m>\d{1,2})\/(?<d>\d{1,2})\/(?<y>\d{4})(?:[ T].*)?$/,
+  'YYYY-MM-DD': /^(?<y>\d{4})-(?<m>\d{1,2})-(?<d>\d{1,2})(?:[ T].*)?$/,
+};
+
+/**
+ * Read a date string in a declared layout → DD.MM.YYYY, or null when the
+ * value does not follow the layout or is not a real calendar date.
+ */
+export function parseFormattedDate(value, format) {
+  const match = DATE_FORMATS[format] && DATE_FORMATS[format].exec(String(value).trim());
+  if (!match) return null;
+  const d = +match.groups.d, m = +match.groups.m, y = +match.groups.y;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${String(d).padStart(2, '0')}.${String(m).padStart(2, '0')}.${y}`;
+}
+
+/**
+ * Excel serial (e.g. 45950) or compressed (e.g. 7052025) date in a date
+ * column → DD.MM.YYYY string, recorded as a 'date' issue.  With a
+ * declared `format`, date strings in that layout are converted as well.
+ */
+function fixDateCell(row, col, rowNumber, report, format) {
+  if (col >= row.length) return;
+  const v = row[col];
+  if (format && typeof v === 'string') {
+    const formatted = parseFormattedDate(v, format);
+    if (!formatted || formatted === v) return;
+    row[col] = formatted;
+    report.numberFixes++;
+    report.issues.push(makeIssue(rowNumber, 'date', {
+      col, before: v, after: formatted, rule: 'date-format',
+      detail: `Col ${col}: "${v}" → "${formatted}" (${format})`,
+    }));
+    return;
+  }
+  if (typeof v !== 'number') return;
+  let formatted = null;
+  let rule;
+  if (v > 40000 && v < 60000) {
+    formatted = excelSerialToDate(v);
+    rule = 'serial-to-date';
+  } else if (v > 1000000 && v < 99999999) {
+    // Compressed DMMYYYY or DDMMYYYY (e.g. 7052025 = 07.05.2025)
+    formatted = compressedNumericToDate(v);
+    rule = 'compressed-to-date';
+  }
+  if (!formatted) return;
+  row[col] = formatted;
+  report.numberFixes++;
+  report.issues.push(makeIssue(rowNumber, 'date', {
+    col, before: v, after: formatted, rule,
+    detail: `Col ${col}: ${v} → "${formatted}" (${rule === 'serial-to-date' ? 'serial' : 'compressed'}→date)`,
+  }));
+}
+
 /**
  * Build a header→column-index map. Normalises header names by
  * lowercasing so that UTF-8 / latin1 encoding mismatches don't
@@ -758,11 +1199,13 @@ function validateAndFixDSV(data, report, headers) {
 
     // ── 1. European comma→dot for ALL cells ──
     for (let c = 0; c < row.length; c++) {
-      const { value, changed, detail } = fixNumericValue(row[c]);
+      const { value, changed, detail, rule } = fixNumericValue(row[c]);
       if (changed) {
+        report.issues.push(makeIssue(r + 1, 'number', {
+          col: c, before: row[c], after: value, rule, detail: `Col ${c}: ${detail}`,
+        }));
         row[c] = value;
         report.numberFixes++;
-        report.issues.push({ row: r + 1, type: 'number', detail: `Col ${c}: ${detail}` });
       }
     }
 
@@ -776,32 +1219,15 @@ function validateAndFixDSV(data, report, headers) {
       if (s.length > 0 && !isNaN(n)) {
         row[col] = n;
         report.numberFixes++;
-        report.issues.push({ row: r + 1, type: 'number', detail: `Col ${col}: "${s}" → ${n} (string→number)` });
+        report.issues.push(makeIssue(r + 1, 'number', {
+          col, before: s, after: n, rule: 'string-to-number',
+          detail: `Col ${col}: "${s}" → ${n} (string→number)`,
+        }));
       }
     }
 
     // ── 3. Excel serial date → DD.MM.YYYY ──
-    for (const col of dateCols) {
-      if (col >= row.length) continue;
-      const v = row[col];
-      if (typeof v !== 'number') continue;
-      if (v > 40000 && v < 60000) {
-        const formatted = excelSerialToDate(v);
-        if (formatted) {
-          row[col] = formatted;
-          report.numberFixes++;
-          report.issues.push({ row: r + 1, type: 'date', detail: `Col ${col}: ${v} → "${formatted}" (serial→date)` });
-        }
-      } else if (v > 1000000 && v < 99999999) {
-        // Compressed DMMYYYY or DDMMYYYY (e.g. 7052025 = 07.05.2025)
-        const formatted = compressedNumericToDate(v);
-        if (formatted) {
-          row[col] = formatted;
-          report.numberFixes++;
-          report.issues.push({ row: r + 1, type: 'date', detail: `Col ${col}: ${v} → "${formatted}" (compressed→date)` });
-        }
-      }
-    }
+    for (const col of dateCols) fixDateCell(row, col, r + 1, report);
 
     // ── 3b. Excel serial datetime → DD.MM.YYYY HH:MM ──
     for (const col of dateTimeCols) {
@@ -813,7 +1239,10 @@ function validateAndFixDSV(data, report, headers) {
         if (formatted) {
           row[col] = formatted;
           report.numberFixes++;
-          report.issues.push({ row: r + 1, type: 'date', detail: `Col ${col}: ${v} → "${formatted}" (serial→datetime)` });
+          report.issues.push(makeIssue(r + 1, 'date', {
+            col, before: v, after: formatted, rule: 'serial-to-datetime',
+            detail: `Col ${col}: ${v} → "${formatted}" (serial→datetime)`,
+          }));
         }
       }
     }
@@ -828,13 +1257,16 @@ function validateAndFixDSV(data, report, headers) {
         if (formatted) {
           row[col] = formatted;
           report.numberFixes++;
-          report.issues.push({ row: r + 1, type: 'date', detail: `Col ${col}: ${v} → "${formatted}" (serial→time)` });
+          report.issues.push(makeIssue(r + 1, 'date', {
+            col, before: v, after: formatted, rule: 'serial-to-time',
+            detail: `Col ${col}: ${v} → "${formatted}" (serial→time)`,
+          }));
         }
       }
     }
   }
 
-  report.totalIssues = report.shiftFixes + report.numberFixes +
+  report.totalIssues = report.shiftFixes + report.gapFixes + report.numberFixes +
     report.issues.filter(i => i.type === 'warning').length;
   return report;
 }
@@ -881,6 +1313,64 @@ const UPS_COL_LAND4           = 44;   // Land4 (seller country)
 const UPS_COUNTRY_COLS        = [23, 24, 42, 44];
 const UPS_TRAILING_EMPTY_COLS = [62, 63, 64]; // always empty
 
+// UPS shift schema (see shift-engine.js): goods description, sender
+// and seller names can spill into the next cell.
+export const UPS_SCHEMA = {
+  columns: {
+    28: { name: 'Zolltarifnummer',    test: P.hsCode },
+    29: { name: 'Warenbeschreibung',  test: P.freeText },
+    30: { name: 'Zollsatz',           test: P.numeric },
+    31: { name: 'Zollwert',           test: P.numeric },
+    32: { name: 'Zoll',               test: P.numeric },
+    41: { name: 'Versendername',      test: P.freeText },
+    42: { name: 'Land',               test: P.country2 },
+    43: { name: 'Verkaeufername',     test: P.freeText },
+    44: { name: 'Land4',              test: P.country2 },
+    45: { name: 'Lieferbedingung',    test: P.incoterm, allowNull: true },
+  },
+  zones: [
+    { name: 'Goods',  text: 29, anchors: [30, 31, 32] },
+    { name: 'Sender', text: 41, anchors: [42] },
+    { name: 'Seller', text: 43, anchors: [44, 45] },
+  ],
+};
+
+/**
+ * UPS post-repair checks for one row (HS code, country codes).
+ * Shared by the pipeline and revalidateRow().
+ */
+function checkRowUPS(row, rowNumber) {
+  const issues = [];
+
+  // HS Code (col 28): should be 8-11 digit string
+  const hs = row[UPS_COL_TARIF_NR];
+  if (hs != null && hs !== '') {
+    const hsStr = String(hs).trim();
+    if (hsStr.length > 0 && !/^\d{8,11}$/.test(hsStr)) {
+      issues.push(makeIssue(rowNumber, 'warning', {
+        col: UPS_COL_TARIF_NR, before: hsStr, rule: 'invalid-hs-code', zone: 'HS Code',
+        detail: `Zolltarifnummer (col ${UPS_COL_TARIF_NR}) invalid: "${hsStr.substring(0, 30)}"`,
+      }));
+    }
+  }
+
+  // Country code validation
+  for (const col of UPS_COUNTRY_COLS) {
+    if (col >= row.length) continue;
+    const v = row[col];
+    if (v == null || v === '') continue;
+    const s = String(v).trim();
+    if (s.length > 0 && !/^[A-Z]{2}$/i.test(s)) {
+      issues.push(makeIssue(rowNumber, 'warning', {
+        col, before: s, rule: 'invalid-country', zone: 'Country',
+        detail: `Col ${col} country invalid: "${s}"`,
+      }));
+    }
+  }
+
+  return issues;
+}
+
 /**
  * UPS-specific validation and correction pipeline.
  *
@@ -894,6 +1384,7 @@ const UPS_TRAILING_EMPTY_COLS = [62, 63, 64]; // always empty
  *   7. 3 trailing empty columns (62-64) — trimmed.
  *
  * Pipeline:
+ *   0. Schema-driven shift repair (UPS_SCHEMA)
  *   1. Trailing whitespace / newline cleanup (all string cells)
  *   2. fixNumericValue for safety (handles any edge-case European format)
  *   3. String-to-Number conversion for known numeric columns
@@ -902,90 +1393,367 @@ const UPS_TRAILING_EMPTY_COLS = [62, 63, 64]; // always empty
  */
 function validateAndFixUPS(data, report) {
   for (let r = 0; r < data.length; r++) {
-    const row = data[r];
-    if (!row) continue;
+    if (data[r]) fixRowUPS(data[r], r + 1, report);
+  }
 
-    // ── 1. Trailing whitespace / newline cleanup ──
-    for (let c = 0; c < row.length; c++) {
-      const v = row[c];
-      if (typeof v !== 'string') continue;
-      const cleaned = v.replace(/[\r\n]+$/g, '').replace(/^[\r\n]+/g, '');
-      if (cleaned !== v) {
-        row[c] = cleaned;
-        report.numberFixes++;
-        report.issues.push({
-          row: r + 1, type: 'cleanup',
-          detail: `Col ${c}: stripped trailing newline/whitespace`,
-        });
-      }
+  report.totalIssues = report.shiftFixes + report.gapFixes + report.numberFixes +
+    report.issues.filter(i => i.type === 'warning').length;
+  return report;
+}
+
+/**
+ * One row of the UPS pipeline (steps 0–5 of validateAndFixUPS).
+ * @param {Object} [decided] — reviewed shift repairs, see repairRowSchema()
+ */
+function fixRowUPS(row, rowNumber, report, decided = {}) {
+  // ── 0. Schema-driven shift repair ──
+  repairRowSchema(row, rowNumber, report, UPS_SCHEMA, decided);
+
+  // ── 1. Trailing whitespace / newline cleanup ──
+  for (let c = 0; c < row.length; c++) {
+    const v = row[c];
+    if (typeof v !== 'string') continue;
+    const cleaned = v.replace(/[\r\n]+$/g, '').replace(/^[\r\n]+/g, '');
+    if (cleaned !== v) {
+      row[c] = cleaned;
+      report.numberFixes++;
+      report.issues.push(makeIssue(rowNumber, 'cleanup', {
+        col: c, before: v, after: cleaned, rule: 'trailing-newline',
+        detail: `Col ${c}: stripped trailing newline/whitespace`,
+      }));
     }
+  }
 
-    // ── 2. Number format correction — all columns ──
-    for (let c = 0; c < row.length; c++) {
-      const { value, changed, detail } = fixNumericValue(row[c]);
-      if (changed) {
-        row[c] = value;
-        report.numberFixes++;
-        report.issues.push({ row: r + 1, type: 'number', detail: `Col ${c}: ${detail}` });
-      }
+  // ── 2. Number format correction — all columns ──
+  for (let c = 0; c < row.length; c++) {
+    const { value, changed, detail, rule } = fixNumericValue(row[c]);
+    if (changed) {
+      report.issues.push(makeIssue(rowNumber, 'number', {
+        col: c, before: row[c], after: value, rule, detail: `Col ${c}: ${detail}`,
+      }));
+      row[c] = value;
+      report.numberFixes++;
     }
+  }
 
-    // ── 3. String-to-Number conversion for numeric columns ──
-    for (const col of NUMERIC_COLUMNS_UPS) {
-      if (col >= row.length) continue;
-      const v = row[col];
-      if (v == null || v === '' || typeof v === 'number') continue;
-      const s = String(v).trim();
-      const n = Number(s);
-      if (s.length > 0 && !isNaN(n)) {
-        row[col] = n;
-        report.numberFixes++;
-        report.issues.push({
-          row: r + 1, type: 'number',
-          detail: `Col ${col}: string→number "${s}" → ${n}`,
-        });
-      }
+  // ── 3. String-to-Number conversion for numeric columns ──
+  for (const col of NUMERIC_COLUMNS_UPS) {
+    if (col >= row.length) continue;
+    const v = row[col];
+    if (v == null || v === '' || typeof v === 'number') continue;
+    const s = String(v).trim();
+    const n = Number(s);
+    if (s.length > 0 && !isNaN(n)) {
+      row[col] = n;
+      report.numberFixes++;
+      report.issues.push(makeIssue(rowNumber, 'number', {
+        col, before: s, after: n, rule: 'string-to-number',
+        detail: `Col ${col}: string→number "${s}" → ${n}`,
+      }));
     }
+  }
+
+  // ── 4. Trim trailing empty columns (62-64) ──
+  while (row.length > 62 && (row[row.length - 1] == null || row[row.length - 1] === '')) {
+    row.pop();
+  }
+
+  // ── 5. Post-repair validation ──
+  report.issues.push(...checkRowUPS(row, rowNumber));
+}
+
+/* ───────────────────────────────────────────────
+   Kuehne + Nagel & DB Schenker (header-named layouts)
+   ─────────────────────────────────────────────── */
+
+// Value type of every field a broker headerMap can name (brokers.js).
+// Fields not listed here (declarationNo) are located but not checked.
+const HEADER_FIELD_TYPES = {
+  date:            'date',
+  shipperName:     'text',
+  consigneeName:   'text',
+  description:     'text',
+  shipperCountry:  'country',
+  countryOfOrigin: 'country',
+  incoterm:        'incoterm',
+  currency:        'currency',
+  hsCode:          'hscode',
+  procedureCode:   'code',
+  invoiceValue:    'numeric',
+  exchangeRate:    'numeric',
+  customsValue:    'numeric',
+  dutyRate:        'numeric',
+  dutyAmount:      'numeric',
+  eustValue:       'numeric',
+  vatAmount:       'numeric',
+  grossWeight:     'numeric',
+  netWeight:       'numeric',
+  freightCost:     'numeric',
+  packageCount:    'numeric',
+};
+
+// Shift schema test per field type.  Any column may be empty in these
+// reports, so every schema column allows null.
+const HEADER_TYPE_TESTS = {
+  text:     P.freeText,
+  date:     (v) => typeof v === 'number' || P.date(v),   // serials not yet converted
+  country:  P.country2,
+  incoterm: P.incoterm,
+  currency: P.currency3,
+  hscode:   P.hsCode,
+  code:     P.procCode,
+  numeric:  P.numeric,
+};
+
+// Type of each typed-column list in a declarative definition (`columns`,
+// broker-defs.js) — header names given directly instead of through a field.
+const COLUMN_LIST_TYPES = {
+  numeric: 'numeric',
+  date:    'date',
+  country: 'country',
+  hsCode:  'hscode',
+};
+
+// Zone names for the text fields that get a shift zone.
+const HEADER_TEXT_ZONES = {
+  shipperName:   'Shipper',
+  consigneeName: 'Consignee',
+  description:   'Goods',
+};
+
+/**
+ * Locate the fields of a broker headerMap in the header row and derive
+ * what the pipeline needs: typed column lists and a shift schema.
+ *
+ * Each text field directly followed by typed columns becomes a shift
+ * zone with up to three of them as anchors, so the schema matches
+ * whatever column order a report variant uses.
+ *
+ * @param {Object} headerMap     — field → accepted header names, first match wins
+ * @param {Array}  headers       — header rows
+ * @param {Object} [columnTypes] — { numeric, date, country, hsCode }: header
+ *   names typed directly (declarative brokers); every match counts
+ * @returns {{ fields: Object, byType: Object, schema: { columns, zones } }}
+ *   fields: field → col; byType: type → cols
+ */
+export function resolveHeaderLayout(headerMap, headers, columnTypes) {
+  const index = buildHeaderMap(headers);
+  const fields = {};
+  const byType = {};
+  const typeOf = {};
+  const columns = {};
+
+  const addColumn = (col, type) => {
+    if (!type || typeOf[col]) return;
+    typeOf[col] = type;
+    (byType[type] = byType[type] || []).push(col);
+    columns[col] = { name: String(headers[0][col]).trim(), test: HEADER_TYPE_TESTS[type], allowNull: true };
+  };
 
-    // ── 4. Trim trailing empty columns (62-64) ──
-    while (row.length > 62 && (row[row.length - 1] == null || row[row.length - 1] === '')) {
-      row.pop();
+  for (const [field, names] of Object.entries(headerMap || {})) {
+    const name = names.find(n => index[n.toLowerCase()] !== undefined);
+    if (name === undefined) continue;
+    const col = index[name.toLowerCase()];
+    fields[field] = col;
+    addColumn(col, HEADER_FIELD_TYPES[field]);
+  }
+  for (const [key, names] of Object.entries(columnTypes || {})) {
+    for (const name of names) {
+      const col = index[name.trim().toLowerCase()];
+      if (col !== undefined) addColumn(col, COLUMN_LIST_TYPES[key]);
     }
+  }
+  for (const cols of Object.values(byType)) cols.sort((a, b) => a - b);
+
+  const zones = [];
+  for (const [field, zoneName] of Object.entries(HEADER_TEXT_ZONES)) {
+    const text = fields[field];
+    if (text === undefined || typeOf[text] !== 'text') continue;
+    const anchors = [];
+    for (let c = text + 1; c <= text + 3 && typeOf[c] && typeOf[c] !== 'text'; c++) anchors.push(c);
+    // Every anchor may be empty — ask for two filled ones where possible
+    if (anchors.length > 0) zones.push({ name: zoneName, text, anchors, minEvidence: Math.min(2, anchors.length) });
+  }
+  zones.sort((a, b) => a.text - b.text);
 
-    // ── 5. Post-repair validation ──
-
-    // HS Code (col 28): should be 8-11 digit string
-    const hs = row[UPS_COL_TARIF_NR];
-    if (hs != null && hs !== '') {
-      const hsStr = String(hs).trim();
-      if (hsStr.length > 0 && !/^\d{8,11}$/.test(hsStr)) {
-        report.issues.push({
-          row: r + 1, type: 'warning', zone: 'HS Code',
-          detail: `Zolltarifnummer (col ${UPS_COL_TARIF_NR}) invalid: "${hsStr.substring(0, 30)}"`,
-        });
-      }
+  return { fields, byType, schema: { columns, zones } };
+}
+
+/**
+ * K+N / Schenker post-repair checks for one row (HS code, country codes).
+ * Shared by the pipeline and revalidateRow().
+ */
+function checkRowHeaderLayout(row, rowNumber, layout) {
+  const issues = [];
+  const name = (col) => layout.schema.columns[col].name;
+
+  for (const col of layout.byType.hscode || []) {
+    const v = row[col];
+    if (v == null || v === '') continue;
+    const s = String(v).trim();
+    if (s.length > 0 && !/^\d{8,11}$/.test(s)) {
+      issues.push(makeIssue(rowNumber, 'warning', {
+        col, before: s, rule: 'invalid-hs-code', zone: 'HS Code',
+        detail: `${name(col)} (col ${col}) invalid: "${s.substring(0, 30)}"`,
+      }));
     }
+  }
 
-    // Country code validation
-    for (const col of UPS_COUNTRY_COLS) {
-      if (col >= row.length) continue;
-      const v = row[col];
-      if (v == null || v === '') continue;
-      const s = String(v).trim();
-      if (s.length > 0 && !/^[A-Z]{2}$/i.test(s)) {
-        report.issues.push({
-          row: r + 1, type: 'warning', zone: 'Country',
-          detail: `Col ${col} country invalid: "${s}"`,
-        });
-      }
+  for (const col of layout.byType.country || []) {
+    const v = row[col];
+    if (v == null || v === '') continue;
+    const s = String(v).trim();
+    if (s.length > 0 && !/^[A-Z]{2}$/i.test(s)) {
+      issues.push(makeIssue(rowNumber, 'warning', {
+        col, before: s, rule: 'invalid-country', zone: 'Country',
+        detail: `${name(col)} (col ${col}) invalid: "${s}"`,
+      }));
     }
   }
 
-  report.totalIssues = report.shiftFixes + report.numberFixes +
+  return issues;
+}
+
+/**
+ * Numeric text in a column of a broker with a declared number layout →
+ * Number, recorded as a 'number' issue.  Text that does not follow the
+ * layout is left for the string-to-number step / the reviewer.
+ */
+function fixFormattedNumberCell(row, col, rowNumber, report, format) {
+  const v = row[col];
+  if (typeof v !== 'string' || v.trim() === '') return;
+  const n = parseFormattedNumber(v, format);
+  if (n === null) return;
+  row[col] = n;
+  report.numberFixes++;
+  report.issues.push(makeIssue(rowNumber, 'number', {
+    col, before: v, after: n, rule: 'number-format',
+    detail: `Col ${col}: "${v}" → ${n} (${format})`,
+  }));
+}
+
+/**
+ * Kuehne + Nagel / DB Schenker validation and correction pipeline.
+ *
+ * Both send header-named reports whose column order varies between
+ * report variants, so every step works on columns found through the
+ * broker's headerMap (resolveHeaderLayout).  Declarative brokers with
+ * `fields` / `columns` (broker-defs.js) run through the same steps:
+ *   0. Schema-driven shift repair (schema derived from the header row)
+ *   1. Leading/trailing whitespace and newline cleanup (all string cells)
+ *   2. European number format correction — all cells (fixNumericValue;
+ *      numeric fields use the declared `numberFormat` when there is one)
+ *   3. String-to-Number conversion for numeric fields
+ *   4. Excel serial / compressed dates (and dates in the declared
+ *      `dateFormat`) → DD.MM.YYYY for date fields
+ *   5. Post-repair validation (HS codes, country codes)
+ */
+function validateAndFixHeaderLayout(data, report, headers, broker) {
+  const layout = resolveHeaderLayout(broker.headerMap, headers, broker.columnTypes);
+
+  for (let r = 0; r < data.length; r++) {
+    if (data[r]) fixRowHeaderLayout(data[r], r + 1, report, layout, broker);
+  }
+
+  report.totalIssues = report.shiftFixes + report.gapFixes + report.numberFixes +
     report.issues.filter(i => i.type === 'warning').length;
   return report;
 }
 
+/**
+ * One row of the header-layout pipeline (steps 0–5 of
+ * validateAndFixHeaderLayout), with the layout resolved from the headers.
+ * @param {Object} [decided] — reviewed shift repairs, see repairRowSchema()
+ */
+function fixRowHeaderLayout(row, rowNumber, report, layout, broker, decided = {}) {
+  // Numeric columns read with the broker's declared layout instead of guessing
+  const declaredNumeric = new Set(broker.numberFormat ? layout.byType.numeric || [] : []);
+
+  // ── 0. Schema-driven shift repair ──
+  if (layout.schema.zones.length > 0) repairRowSchema(row, rowNumber, report, layout.schema, decided);
+
+  // ── 1. Whitespace / newline cleanup ──
+  for (let c = 0; c < row.length; c++) {
+    const v = row[c];
+    if (typeof v !== 'string') continue;
+    const cleaned = v.trim();
+    if (cleaned !== v) {
+      const newline = /^\s*[\r\n]|[\r\n]\s*$/.test(v);
+      row[c] = cleaned;
+      report.numberFixes++;
+      report.issues.push(makeIssue(rowNumber, 'cleanup', {
+        col: c, before: v, after: cleaned, rule: newline ? 'trailing-newline' : 'whitespace-trim',
+        detail: `Col ${c}: stripped leading/trailing ${newline ? 'newline' : 'whitespace'}`,
+      }));
+    }
+  }
+
+  // ── 2. Number format correction — all columns ──
+  for (let c = 0; c < row.length; c++) {
+    if (declaredNumeric.has(c)) {
+      fixFormattedNumberCell(row, c, rowNumber, report, broker.numberFormat);
+      continue;
+    }
+    const { value, changed, detail, rule } = fixNumericValue(row[c]);
+    if (changed) {
+      report.issues.push(makeIssue(rowNumber, 'number', {
+        col: c, before: row[c], after: value, rule, detail: `Col ${c}: ${detail}`,
+      }));
+      row[c] = value;
+      report.numberFixes++;
+    }
+  }
+
+  // ── 3. String-to-Number conversion for numeric fields ──
+  for (const col of layout.byType.numeric || []) {
+    if (col >= row.length) continue;
+    const v = row[col];
+    if (v == null || v === '' || typeof v === 'number') continue;
+    const s = String(v).trim();
+    const n = Number(s);
+    if (s.length > 0 && !isNaN(n)) {
+      row[col] = n;
+      report.numberFixes++;
+      report.issues.push(makeIssue(rowNumber, 'number', {
+        col, before: s, after: n, rule: 'string-to-number',
+        detail: `Col ${col}: string→number "${s}" → ${n}`,
+      }));
+    }
+  }
+
+  // ── 4. Dates ──
+  for (const col of layout.byType.date || []) fixDateCell(row, col, rowNumber, report, broker.dateFormat);
+
+  // ── 5. Post-repair validation ──
+  report.issues.push(...checkRowHeaderLayout(row, rowNumber, layout));
+}
+
+/**
+ * Number layouts a declarative broker can declare (`numberFormat`,
+ * broker-defs.js): thousands separator and decimal mark.
+ */
+export const NUMBER_FORMATS = {
+  'comma-decimal': { group: '.', decimal: ',' },   // 1.234,56
+  'dot-decimal':   { group: ',', decimal: '.' },   // 1,234.56
+};
+
+/**
+ * Read numeric text in a declared layout → Number, or null when the text
+ * does not follow it.  Unlike fixNumericValue() nothing is guessed:
+ * "1,500" is 1.5 with a decimal comma and 1500 with a decimal dot.
+ */
+export function parseFormattedNumber(value, format) {
+  const spec = NUMBER_FORMATS[format];
+  if (!spec) return null;
+  const g = '\\' + spec.group;
+  const d = '\\' + spec.decimal;
+  // Leading decimal mark: ",5" → "0,5"
+  let s = String(value).trim().replace(new RegExp(`^(-?)${d}`), (_, sign) => `${sign}0${spec.decimal}`);
+  if (!new RegExp(`^-?(\\d{1,3}(${g}\\d{3})+|\\d+)(${d}\\d+)?$`).test(s)) return null;
+  s = s.split(spec.group).join('').replace(spec.decimal, '.');
+  return Number(s);
+}
+
 /**
  * Fixes European-style numeric values:
  *  - Leading comma/dot  →  prepend 0: ",5" → "0.5"
@@ -999,16 +1767,19 @@ function fixNumericValue(val) {
 
   const orig = String(val).trim();
   let s = orig;
+  let rule = null;
 
   // Leading comma or dot → prepend 0
   if (/^-?[.,]\d/.test(s)) {
     s = s.replace(/^(-?)([.,])/, '$10$2');
+    rule = 'leading-separator';
   }
 
   // European thousands-dot + comma-decimal: "1.234,56" or "12.345.678,90"
   // Pattern: digits, then one or more groups of .NNN, then ,NN
   if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(s)) {
     s = s.replace(/\./g, '').replace(',', '.');
+    rule = 'thousands-dot';
   }
   // Thousands-comma without decimal: "200,000" or "1,500" or "12,345,678"
   // Pattern: 1-3 digits then one or more groups of ,NNN with no further decimals.
@@ -1016,39 +1787,230 @@ function fixNumericValue(val) {
   // treated as 200000, not 200.000.
   else if (/^-?\d{1,3}(,\d{3})+$/.test(s)) {
     s = s.replace(/,/g, '');
+    rule = 'thousands-comma';
   }
   // Single comma as decimal separator (no dots present): "123,45" or "-0,5"
   // Must look like a number: optional minus, digits, single comma, digits
   else if (/^-?\d+,\d+$/.test(s)) {
     s = s.replace(',', '.');
+    rule = rule || 'decimal-comma';
   }
 
-  if (s !== orig) return { value: s, changed: true, detail: `"${orig}" → "${s}"` };
+  if (s !== orig) return { value: s, changed: true, detail: `"${orig}" → "${s}"`, rule };
   return { value: val, changed: false, detail: '' };
 }
 
+/**
+ * DHL number normalisation for one row (pipeline steps 5 and 5b).
+ * Pushes number issues onto `report` and counts them.
+ */
+function normalizeNumbersDHL(row, rowNumber, report) {
+  // Apply fixNumericValue to every cell in the row. This ensures uniform
+  // decimal separators (comma → dot) across all columns, not just the
+  // known numeric ones. fixNumericValue only changes values that look
+  // like European-format numbers, so text strings are left untouched.
+  for (let c = 0; c < row.length; c++) {
+    const { value, changed, detail, rule } = fixNumericValue(row[c]);
+    if (changed) {
+      report.issues.push(makeIssue(rowNumber, 'number', {
+        col: c, before: row[c], after: value, rule, detail: `Col ${c}: ${detail}`,
+      }));
+      row[c] = value;
+      report.numberFixes++;
+    }
+  }
+
+  // ── 5b. Convert numeric-column strings to actual numbers ──
+  // After comma→dot normalisation, values like "5.07" are still strings.
+  // XLSX.utils.aoa_to_sheet writes strings as text cells (t:"s"), which
+  // causes locale-dependent display in Excel (Romanian locale shows comma).
+  // Converting to JS Number here makes them proper number cells (t:"n")
+  // in the output Excel, so they display uniformly regardless of locale.
+  for (const col of NUMERIC_COLUMNS_DHL) {
+    if (col >= row.length) continue;
+    const v = row[col];
+    if (v == null || v === '' || typeof v === 'number') continue;
+    const s = String(v).trim();
+    const n = Number(s);
+    if (s.length > 0 && !isNaN(n)) {
+      row[col] = n;
+    }
+  }
+}
+
+/* ───────────────────────────────────────────────
+   Text Encoding Repair
+   ─────────────────────────────────────────────── */
+
+/**
+ * Repair UTF-8 text that was read as Windows-1252 somewhere upstream
+ * ("MÃ¼ller" → "Müller") in every text cell.  Runs for every broker
+ * before its own pipeline; each repair is a cleanup issue and counts
+ * towards report.numberFixes like the other cleanups.
+ */
+function repairMojibakeCells(data, report) {
+  for (let r = 0; r < data.length; r++) {
+    const row = data[r];
+    if (!row) continue;
+    for (let c = 0; c < row.length; c++) {
+      const v = row[c];
+      if (typeof v !== 'string') continue;
+      const fixed = repairMojibake(v);
+      if (fixed === v) continue;
+      row[c] = fixed;
+      report.numberFixes++;
+      report.issues.push(makeIssue(r + 1, 'cleanup', {
+        col: c, before: v, after: fixed, rule: 'mojibake',
+        detail: `Col ${c}: "${v.substring(0, 30)}" → "${fixed.substring(0, 30)}"`,
+      }));
+    }
+  }
+}
+
 /* ───────────────────────────────────────────────
    Main Pipeline
    ─────────────────────────────────────────────── */
 
+/**
+ * DHL zone shift repairs for one row (pipeline steps 1–4), in the order
+ * Shipper → Consignee → Mid-row → Goods.  At most one repair runs per zone.
+ *
+ * The original row is copied before the first repair touches it and
+ * stored with the repairs in the order they ran as
+ * report.snapshots[rowNumber] — lets the report show a before/after diff
+ * (see diff.js) and lets a reviewer undo or adjust a repair.
+ *
+ * @param {Array}  row       — mutated in place
+ * @param {number} rowNumber — 1-based data row
+ * @param {Object} report    — gets issues, shiftFixes/gapFixes, snapshots
+ * @param {Object} [decided] — zone → repair a reviewer decided on
+ *   (reviewRepair): 'rejected' skips the zone, 'accepted' / 'adjusted'
+ *   force that shift instead of detecting one
+ */
+function repairRowDHL(row, rowNumber, report, decided = {}) {
+  let snapshot = null;
+  const repairs = [];
+
+  // `detect` returns [shift, rule]; shift 0 = zone aligned
+  const run = (zone, detect) => {
+    const d = decided[zone];
+    if (d && d.review === 'rejected') {
+      repairs.push(d);
+      return;
+    }
+    const [shift, rule] = d ? [d.shift, d.rule] : detect();
+    if (!shift) return;
+
+    if (!snapshot) snapshot = row.slice();
+    const issue = applyShiftRepair(row, rowNumber, { zone, shift, rule });
+    if (!issue) return;
+    if (d) issue.review = d.review;
+    if (issue.type === 'gap') report.gapFixes++;
+    else report.shiftFixes++;
+    report.issues.push(issue);
+    repairs.push({ col: issue.col, shift, zone, rule, confidence: issue.confidence, review: issue.review });
+  };
+
+  // ── 1. Shipper Address Zone (cols 20-24) — FIRST ──
+  // A missing cell (negative shift) is only looked for when there is no
+  // overflow; the same applies to every zone below.
+  run('Shipper', () => {
+    const shift = detectAddressZoneShift(row, 20, 25) || detectAddressZoneGap(row, 20);
+    return [shift, shift > 0 ? 'address-overflow' : 'address-gap'];
+  });
+
+  // ── 2. Consignee Address Zone (cols 26-30) ──
+  run('Consignee', () => {
+    const shift = detectAddressZoneShift(row, 26, 31) || detectAddressZoneGap(row, 26);
+    return [shift, shift > 0 ? 'address-overflow' : 'address-gap'];
+  });
+
+  // NOTE: Seller zone (cols 15-19) is intentionally NOT checked.
+  // 12 months of data shows Seller is ALWAYS empty in DHL source files.
+  // The old code wrongly detected a "shift" and pulled Shipper data into Seller cells.
+
+  // ── 3. Mid-row overflow (col 32: delivery location) ──
+  // After address zone repairs, check if col 33 (Freight) has non-numeric data.
+  // This happens when the delivery location (col 32) overflows, pushing
+  // freight and everything after it right. Common in cascade shifts where
+  // the shipper address overflow also pushes excess data into col 33.
+  run('Mid-row', () => {
+    const shift = detectMidRowOverflow(row) || detectMidRowGap(row);
+    return [shift, shift > 0 ? 'location-overflow' : 'location-gap'];
+  });
+
+  // ── 4. Goods Zone Shift Detection (after address + mid-row repairs) ──
+  run('Goods', () => {
+    const shift = detectGoodsZoneShift(row) || detectGoodsZoneGap(row);
+    if (shift !== 0) return [shift, shift > 0 ? 'description-overflow' : 'goods-gap'];
+
+    // Fallback: if HS Code not in col 110 but present in a downstream col
+    // (110..118), infer a rightward shift and repair. This is a tolerant
+    // heuristic for rare exports where the HS code moved right without
+    // the detector matching usual overflow patterns.
+    if (!P.hsCode(row[110]) && !P.isEmpty(row[110])) {
+      for (let j = 111; j <= 118; j++) {
+        if (P.hsCode(row[j])) return [j - 110, 'inferred-goods-shift'];
+      }
+    }
+    return [0, null];
+  });
+
+  if (repairs.length > 0) report.snapshots[rowNumber] = { before: snapshot || row.slice(), repairs };
+}
+
+/**
+ * DHL post-repair checks for one row (HS code, shipper country).
+ * Shared by the pipeline and revalidateRow().
+ */
+function checkRowDHL(row, rowNumber) {
+  const issues = [];
+
+  if (!P.hsCode(row[110]) && !P.isEmpty(row[110])) {
+    issues.push(makeIssue(rowNumber, 'warning', {
+      col: 110, before: row[110], rule: 'invalid-hs-code', zone: 'Goods',
+      detail: `HS Code (col 110) still invalid after repair: "${String(row[110]).substring(0,30)}" — manual review`,
+    }));
+  }
+  if (!P.country2(row[24]) && !P.isEmpty(row[24])) {
+    const v24 = String(row[24]).trim();
+    if (v24.length > 0 && !/^[A-Z]{2}$/i.test(v24)) {
+      issues.push(makeIssue(rowNumber, 'warning', {
+        col: 24, before: v24, rule: 'invalid-country', zone: 'Shipper',
+        detail: `Shipper Country (col 24) invalid: "${v24}" — possible undetected shift`,
+      }));
+    }
+  }
+
+  return issues;
+}
+
 export function validateAndFix(data, broker, headers) {
   const report = {
     shiftFixes: 0,
+    gapFixes: 0,     // left shifts — missing cells re-inserted
     numberFixes: 0,
     totalIssues: 0,
     issues: [],
+    snapshots: {},   // row → { before, repairs } for rows a shift repair touched
   };
 
+  repairMojibakeCells(data, report);
+
   if (broker.id === 'FEDEX') {
-    return validateAndFixFedEx(data, report);
+    return labelIssues(validateAndFixFedEx(data, report), headers);
   }
 
   if (broker.id === 'DSV') {
-    return validateAndFixDSV(data, report, headers);
+    return labelIssues(validateAndFixDSV(data, report, headers), headers);
   }
 
   if (broker.id === 'UPS') {
-    return validateAndFixUPS(data, report);
+    return labelIssues(validateAndFixUPS(data, report), headers);
+  }
+
+  if (broker.headerMap || broker.columnTypes) {
+    return labelIssues(validateAndFixHeaderLayout(data, report, headers, broker), headers);
   }
 
   if (broker.id !== 'DHL') {
@@ -1064,12 +2026,15 @@ export function validateAndFix(data, broker, headers) {
           const fixed = '0' + trimmed.replace(',', '.');
           row[c] = fixed;
           report.numberFixes++;
-          report.issues.push({ row: r + 1, type: 'number', detail: `Col ${c}: "${trimmed}" → "${fixed}"` });
+          report.issues.push(makeIssue(r + 1, 'number', {
+            col: c, before: v, after: fixed, rule: 'leading-separator',
+            detail: `Col ${c}: "${trimmed}" → "${fixed}"`,
+          }));
         }
       }
     }
     report.totalIssues = report.numberFixes;
-    return report;
+    return labelIssues(report, headers);
   }
 
   // ── DHL-specific validation pipeline ──
@@ -1081,135 +2046,276 @@ export function validateAndFix(data, broker, headers) {
   // already-corrected goods columns out of alignment.
 
   for (let r = 0; r < data.length; r++) {
-    const row = data[r];
-    if (!row) continue;
-
-    // ── 1. Shipper Address Zone (cols 20-24) — FIRST ──
-    const shipperShift = detectAddressZoneShift(row, 20, 25);
-    if (shipperShift > 0) {
-      const { fixed, details } = repairAddressZoneShift(row, 20, shipperShift, 'Shipper');
-      if (fixed) {
-        report.shiftFixes++;
-        report.issues.push({ row: r + 1, type: 'shift', zone: 'Shipper', detail: details });
-      }
-    }
-
-    // ── 2. Consignee Address Zone (cols 26-30) ──
-    const consigneeShift = detectAddressZoneShift(row, 26, 31);
-    if (consigneeShift > 0) {
-      const { fixed, details } = repairAddressZoneShift(row, 26, consigneeShift, 'Consignee');
-      if (fixed) {
-        report.shiftFixes++;
-        report.issues.push({ row: r + 1, type: 'shift', zone: 'Consignee', detail: details });
-      }
-    }
+    if (data[r]) fixRowDHL(data[r], r + 1, report);
+  }
 
-    // NOTE: Seller zone (cols 15-19) is intentionally NOT checked.
-    // 12 months of data shows Seller is ALWAYS empty in DHL source files.
-    // The old code wrongly detected a "shift" and pulled Shipper data into Seller cells.
-
-    // ── 3. Mid-row overflow (col 32: delivery location) ──
-    // After address zone repairs, check if col 33 (Freight) has non-numeric data.
-    // This happens when the delivery location (col 32) overflows, pushing
-    // freight and everything after it right. Common in cascade shifts where
-    // the shipper address overflow also pushes excess data into col 33.
-    const midRowShift = detectMidRowOverflow(row);
-    if (midRowShift > 0) {
-      const { fixed, details } = repairMidRowOverflow(row, midRowShift);
-      if (fixed) {
-        report.shiftFixes++;
-        report.issues.push({ row: r + 1, type: 'shift', zone: 'Mid-row', detail: details });
-      }
-    }
+  report.totalIssues = report.shiftFixes + report.gapFixes + report.numberFixes +
+    report.issues.filter(i => i.type === 'warning').length;
+  return labelIssues(report, headers);
+}
 
-    // ── 4. Goods Zone Shift Detection (after address + mid-row repairs) ──
-      let goodsShift = detectGoodsZoneShift(row);
-      if (goodsShift > 0) {
-        const { fixed, details } = repairGoodsZoneShift(row, goodsShift);
-        if (fixed) {
-          report.shiftFixes++;
-          report.issues.push({ row: r + 1, type: 'shift', zone: 'Goods', detail: details });
-        }
-      } else {
-        // Fallback: if HS Code not in col 110 but present in a downstream col
-        // (110..118), infer a rightward shift and repair. This is a tolerant
-        // heuristic for rare exports where the HS code moved right without
-        // the detector matching usual overflow patterns.
-        if (!P.hsCode(row[110]) && !P.isEmpty(row[110])) {
-          for (let j = 111; j <= 118; j++) {
-            if (P.hsCode(row[j])) {
-              const inferredShift = j - 110;
-              const { fixed, details } = repairGoodsZoneShift(row, inferredShift);
-              if (fixed) {
-                report.shiftFixes++;
-                report.issues.push({ row: r + 1, type: 'shift', zone: 'Goods', detail: `Inferred shift +${inferredShift}: ${details}` });
-              }
-              break;
-            }
-          }
-        }
-      }
+/**
+ * One row of the DHL pipeline.
+ * @param {Object} [decided] — reviewed shift repairs, see repairRowDHL()
+ */
+function fixRowDHL(row, rowNumber, report, decided = {}) {
+  // ── 1–4. Zone shift repairs ──
+  repairRowDHL(row, rowNumber, report, decided);
 
-    // ── 5. Number Format Correction — ALL columns ──
-    // Apply fixNumericValue to every cell in the row. This ensures uniform
-    // decimal separators (comma → dot) across all columns, not just the
-    // known numeric ones. fixNumericValue only changes values that look
-    // like European-format numbers, so text strings are left untouched.
-    for (let c = 0; c < row.length; c++) {
-      const { value, changed, detail } = fixNumericValue(row[c]);
-      if (changed) {
-        row[c] = value;
-        report.numberFixes++;
-        report.issues.push({ row: r + 1, type: 'number', detail: `Col ${c}: ${detail}` });
-      }
-    }
+  // ── 5. Number Format Correction — ALL columns ──
+  normalizeNumbersDHL(row, rowNumber, report);
 
-    // ── 5b. Convert numeric-column strings to actual numbers ──
-    // After comma→dot normalisation, values like "5.07" are still strings.
-    // XLSX.utils.aoa_to_sheet writes strings as text cells (t:"s"), which
-    // causes locale-dependent display in Excel (Romanian locale shows comma).
-    // Converting to JS Number here makes them proper number cells (t:"n")
-    // in the output Excel, so they display uniformly regardless of locale.
-    for (const col of NUMERIC_COLUMNS_DHL) {
-      if (col >= row.length) continue;
-      const v = row[col];
-      if (v == null || v === '' || typeof v === 'number') continue;
-      const s = String(v).trim();
-      const n = Number(s);
-      if (s.length > 0 && !isNaN(n)) {
-        row[col] = n;
-      }
-    }
+  // ── 6. Post-repair validation — warn if critical columns still bad ──
+  report.issues.push(...checkRowDHL(row, rowNumber));
+}
 
-    // ── 6. Post-repair validation — warn if critical columns still bad ──
-    if (!P.hsCode(row[110]) && !P.isEmpty(row[110])) {
-      report.issues.push({
-        row: r + 1, type: 'warning', zone: 'Goods',
-        detail: `HS Code (col 110) still invalid after repair: "${String(row[110]).substring(0,30)}" — manual review`,
-      });
-    }
-    if (!P.country2(row[24]) && !P.isEmpty(row[24])) {
-      const v24 = String(row[24]).trim();
-      if (v24.length > 0 && !/^[A-Z]{2}$/i.test(v24)) {
-        report.issues.push({
-          row: r + 1, type: 'warning', zone: 'Shipper',
-          detail: `Shipper Country (col 24) invalid: "${v24}" — possible undetected shift`,
-        });
-      }
-    }
+/**
+ * The per-row pipeline validateAndFix() runs for `broker`, as
+ * (row, rowNumber, report, decided) => void; null for brokers without
+ * shift repairs.
+ */
+function rowPipeline(broker, headers) {
+  if (broker.id === 'FEDEX') return fixRowFedEx;
+  if (broker.id === 'UPS') return fixRowUPS;
+  if (broker.id === 'DSV') return null;
+  if (broker.headerMap || broker.columnTypes) {
+    const layout = resolveHeaderLayout(broker.headerMap, headers, broker.columnTypes);
+    return (row, rowNumber, report, decided) => fixRowHeaderLayout(row, rowNumber, report, layout, broker, decided);
   }
+  return broker.id === 'DHL' ? fixRowDHL : null;
+}
 
-  report.totalIssues = report.shiftFixes + report.numberFixes +
-    report.issues.filter(i => i.type === 'warning').length;
-  return report;
+/**
+ * Shift schema ({ columns, zones }, shift-engine.js) the rows of `broker`
+ * are aligned against; null for DHL (hand-written zone repairs) and for
+ * brokers without shift repairs.
+ */
+export function shiftSchemaFor(broker, headers) {
+  if (broker.id === 'FEDEX') return FEDEX_SCHEMA;
+  if (broker.id === 'UPS') return UPS_SCHEMA;
+  if (broker.id === 'DSV' || !(broker.headerMap || broker.columnTypes)) return null;
+  return resolveHeaderLayout(broker.headerMap, headers, broker.columnTypes).schema;
 }
 
 export function reportSummary(report) {
   const parts = [];
   if (report.shiftFixes > 0) parts.push(`${report.shiftFixes} shifted row(s) corrected`);
+  if (report.gapFixes > 0) parts.push(`${report.gapFixes} missing cell(s) re-inserted`);
   if (report.numberFixes > 0) parts.push(`${report.numberFixes} number format(s) fixed`);
+  const manual = report.issues.filter(i => i.type === 'manual').length;
+  if (manual > 0) parts.push(`${manual} manual edit(s)`);
+  const duplicates = report.issues.filter(i => i.type === 'duplicate').length;
+  if (duplicates > 0) parts.push(`${duplicates} duplicate line decision(s)`);
+  const pending = pendingReviews(report).length;
+  if (pending > 0) parts.push(`${pending} repair(s) awaiting review`);
   const warns = report.issues.filter(i => i.type === 'warning').length;
   if (warns > 0) parts.push(`${warns} warning(s)`);
   if (parts.length === 0) parts.push('No issues found — data looks clean');
   return parts.join(' · ');
 }
+
+/* ───────────────────────────────────────────────
+   Manual edits (result grid)
+   ─────────────────────────────────────────────── */
+
+// Per-broker post-repair checks, re-run on a row after a manual edit.
+// Brokers without checks (DSV) never produce warnings; header-named
+// layouts (broker.headerMap) are checked by checkRowHeaderLayout.
+const ROW_CHECKS = {
+  DHL:   checkRowDHL,
+  FEDEX: checkRowFedEx,
+  UPS:   checkRowUPS,
+};
+
+/**
+ * Re-run the broker's post-repair checks on one (edited) row.
+ * Repairs are not re-applied — the user's value is taken as is.
+ *
+ * @param {Array}  row        — the data row (after the edit)
+ * @param {number} rowNumber  — 1-based data row, as in issue.row
+ * @param {Object} broker
+ * @param {Array}  [headers]  — header rows, used to fill issue.header
+ * @returns {Array} warning issues for the row
+ */
+export function revalidateRow(row, rowNumber, broker, headers) {
+  if (!row) return [];
+  if (!ROW_CHECKS[broker.id] && (broker.headerMap || broker.columnTypes)) {
+    const layout = resolveHeaderLayout(broker.headerMap, headers, broker.columnTypes);
+    return labelIssues({ issues: checkRowHeaderLayout(row, rowNumber, layout) }, headers).issues;
+  }
+  const check = ROW_CHECKS[broker.id];
+  if (!check) return [];
+  return labelIssues({ issues: check(row, rowNumber) }, headers).issues;
+}
+
+/**
+ * Issue recording a manual cell edit.
+ */
+export function manualEditIssue(rowNumber, col, before, after, headers) {
+  const show = (v) => (v == null || v === '' ? '(empty)' : `"${v}"`);
+  const issue = makeIssue(rowNumber, 'manual', {
+    col, before, after, rule: 'manual-edit',
+    detail: `Col ${col}: ${show(before)} → ${show(after)} (manual edit)`,
+  });
+  return labelIssues({ issues: [issue] }, headers).issues[0];
+}
+
+/**
+ * Issue recording the decision taken on a group of duplicate
+ * declaration lines (duplicates.js), on the row that was kept.
+ * @param {number} rowNumber — 1-based data row after the decision
+ * @param {'first'|'last'|'all'} decision
+ * @param {string} detail
+ */
+export function duplicateIssue(rowNumber, decision, detail) {
+  return makeIssue(rowNumber, 'duplicate', { rule: `duplicate-keep-${decision}`, detail });
+}
+
+/**
+ * Recompute report.totalIssues after issues were added or removed.
+ */
+export function recountReport(report) {
+  report.totalIssues = report.shiftFixes + (report.gapFixes || 0) + report.numberFixes +
+    report.issues.filter(i => i.type === 'warning' || i.type === 'manual' || i.type === 'duplicate').length;
+  return report;
+}
+
+/**
+ * Shift repairs still waiting for a review decision.
+ * @returns {Array<{ row: number, index: number, repair: Object }>}
+ */
+export function pendingReviews(report) {
+  const pending = [];
+  for (const [row, snap] of Object.entries(report.snapshots || {})) {
+    snap.repairs.forEach((repair, index) => {
+      if (repair.review === 'pending') pending.push({ row: Number(row), index, repair });
+    });
+  }
+  return pending;
+}
+
+// Issue types counted in report.numberFixes.
+const NUMBER_FIX_TYPES = new Set(['number', 'date', 'cleanup']);
+
+/**
+ * Is `issue` one the row pipelines produce (and reviewRepair rebuilds)?
+ * Mojibake cleanups run on the whole file before them.
+ */
+function isRebuilt(issue) {
+  if (issue.type === 'cleanup') return issue.rule !== 'mojibake';
+  return ['shift', 'gap', 'number', 'date', 'warning'].includes(issue.type);
+}
+
+/**
+ * Apply a review decision to a shift repair.
+ *
+ *   accepted — keep the repair as applied
+ *   rejected — rebuild the row from its snapshot without this repair
+ *   adjusted — rebuild the row with `shift` as the repair's shift amount
+ *
+ * Rebuilding re-runs the broker's row pipeline on the snapshot — zones
+ * with a decision follow it, the others are detected again — so the
+ * number normalisation and the row checks are redone too.  Only the
+ * issues that pipeline produces are replaced (and the fix counters
+ * adjusted by them).  The row's other issues stay: mojibake cleanups
+ * ran before the snapshot was taken, duplicate decisions do not depend
+ * on its cells, and manual edits follow their cell into the rebuilt row
+ * (traceColumns).  An edit whose cell the rebuild merges, re-inserts or
+ * pushes off the row is dropped and reported as a 'manual-edit-dropped'
+ * warning instead of landing in another field.
+ *
+ * @param {Object} report    — validation report (mutated)
+ * @param {Array}  data      — data rows; the row is updated in place
+ * @param {number} rowNumber — 1-based data row
+ * @param {number} index     — index into report.snapshots[rowNumber].repairs
+ * @param {{ decision: 'accepted'|'rejected'|'adjusted', shift?: number }} review
+ * @param {Array}  [headers]
+ * @param {Object} [broker]  — whose pipeline made the repair (default DHL)
+ * @returns {Object[]} the row's issues after the decision
+ */
+export function reviewRepair(report, data, rowNumber, index, { decision, shift }, headers, broker = { id: 'DHL' }) {
+  const snap = report.snapshots && report.snapshots[rowNumber];
+  const target = snap && snap.repairs[index];
+  if (!target) throw new Error(`No shift repair #${index} on row ${rowNumber}`);
+  if (decision === 'adjusted' && !(Number.isInteger(shift) && Math.sign(shift) === Math.sign(target.shift))) {
+    // An overflow repair cannot become a missing-cell repair or vice versa
+    throw new Error(`Invalid shift amount: ${shift}`);
+  }
+
+  const isRow = (i) => i.row === rowNumber;
+  const isRepair = (i) => i.type === 'shift' || i.type === 'gap';
+
+  if (decision === 'accepted') {
+    // Repair issues are created in repair order, rejected repairs have none
+    const applied = snap.repairs.filter(rp => rp.review !== 'rejected');
+    const issue = report.issues.filter(i => isRow(i) && isRepair(i))[applied.indexOf(target)];
+    target.review = 'accepted';
+    if (issue) issue.review = 'accepted';
+    return report.issues.filter(isRow);
+  }
+
+  // Layout of the row as it is now, for moving manual edits along
+  const layoutBefore = snap.repairs.filter(rp => rp.review !== 'rejected').map(({ col, shift: s }) => ({ col, shift: s }));
+  target.review = decision;
+  if (decision === 'adjusted') target.shift = shift;
+
+  // Rebuild: decided zones follow their decision, the others are
+  // detected again on the original cells
+  const decided = {};
+  for (const rp of snap.repairs) {
+    if (rp.review && rp.review !== 'pending') decided[rp.zone] = rp;
+  }
+  const row = snap.before.slice();
+  const fresh = { shiftFixes: 0, gapFixes: 0, numberFixes: 0, issues: [], snapshots: {} };
+  rowPipeline(broker, headers)(row, rowNumber, fresh, decided);
+  report.snapshots[rowNumber] = { before: snap.before, repairs: fresh.snapshots[rowNumber] ? fresh.snapshots[rowNumber].repairs : [] };
+
+  const rowIssues = report.issues.filter(isRow);
+  const old = rowIssues.filter(isRebuilt);
+  const edits = rowIssues.filter(i => i.type === 'manual');
+  const dropped = new Set();
+  const notes = [];
+  if (edits.length > 0) {
+    // An edited cell is found in the rebuilt row by the original cells
+    // it was built from
+    const cellKey = (sources) => sources.join(',');
+    const cellsBefore = traceColumns(data[rowNumber - 1].length, layoutBefore);
+    const cellsAfter = traceColumns(row.length, report.snapshots[rowNumber].repairs.filter(rp => rp.review !== 'rejected'));
+    for (const edit of edits) {
+      const sources = cellsBefore[edit.col] || [];
+      const col = sources.length > 0 ? cellsAfter.findIndex(c => cellKey(c) === cellKey(sources)) : -1;
+      if (col < 0) {
+        dropped.add(edit);
+        notes.push(makeIssue(rowNumber, 'warning', {
+          col: null, before: edit.after, rule: 'manual-edit-dropped',
+          detail: `Manual edit of col ${edit.col} ("${edit.after ?? ''}") dropped: the review decision merged or removed that cell`,
+        }));
+        continue;
+      }
+      if (col !== edit.col) Object.assign(edit, manualEditIssue(rowNumber, col, edit.before, edit.after, headers));
+      row[col] = edit.after;
+    }
+    // Edits were checked against the row as edited: redo the row checks
+    fresh.issues = fresh.issues.filter(i => i.type !== 'warning');
+    fresh.issues.push(...revalidateRow(row, rowNumber, broker, headers), ...notes);
+  }
+  labelIssues(fresh, headers);
+
+  const source = (rowIssues.find(i => i.source) || {}).source;
+  if (source) fresh.issues.forEach(iss => { iss.source = source; });
+  report.shiftFixes += fresh.shiftFixes - old.filter(i => i.type === 'shift').length;
+  report.gapFixes = (report.gapFixes || 0) + fresh.gapFixes - old.filter(i => i.type === 'gap').length;
+  report.numberFixes += fresh.numberFixes - old.filter(i => NUMBER_FIX_TYPES.has(i.type)).length;
+
+  const kept = report.issues.filter(i => !(isRow(i) && isRebuilt(i)) && !dropped.has(i));
+  let at = kept.findIndex(i => i.row > rowNumber);
+  if (at < 0) at = kept.length;
+  kept.splice(at, 0, ...fresh.issues);
+  report.issues = kept;
+  recountReport(report);
+
+  const current = data[rowNumber - 1];
+  for (let c = 0; c < row.length; c++) current[c] = row[c];
+  current.length = row.length;
+  return report.issues.filter(isRow);
+}
@@ -0,0 +1,255 @@
+/**
+ * Tests for declarative broker definitions (src/js/broker-defs.js).
+ *
+ * Covers:
+ *   - Schema validation (required fields, types, unknown properties,
+ *     regex patterns, header/data row order)
+ *   - Compilation: footer and sheet rules, fingerprints, typed columns
+ *   - Loading JSON (single / array / { brokers }) and registering
+ *   - A custom broker running through extractParts, validateAndFix,
+ *     detectBroker and aggregateData
+ *
+ * Run: node tests/test-broker-defs.mjs
+ */
+
+import {
+  validateBrokerDefinition, compileBrokerDefinition, parseBrokerDefinitions, registerBrokers,
+} from '../src/js/broker-defs.js';
+import { BROKERS } from '../src/js/brokers.js';
+import { extractParts } from '../src/js/engine.js';
+import { validateAndFix, revalidateRow } from '../src/js/validator.js';
+import { detectBroker } from '../src/js/detector.js';
+import { aggregateData } from '../src/js/analytics.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const ACME = {
+  id: 'ACME',
+  label: 'Acme Customs',
+  headerRows: 1,
+  headerStartRow: 2,
+  dataStartRow: 3,
+  csvDelimiter: ';',
+  footer: { minFilled: 2, ignoreValues: ['0', '0,00'] },
+  sheet: { pattern: '^import', fileNamePattern: 'luft' },
+  headerSynonyms: { 'Zoll Wert': 'Zollwert' },
+  airOnlyColumns: ['AWB'],
+  columns: {
+    numeric: ['Zollwert', 'Abgabe'],
+    date: ['Datum'],
+    country: ['Ursprung'],
+    hsCode: ['Tarifnummer'],
+  },
+  fields: {
+    date: ['Datum'],
+    hsCode: ['Tarifnummer'],
+    countryOfOrigin: ['Ursprung'],
+    customsValue: ['Zollwert'],
+    dutyAmount: ['Abgabe'],
+  },
+  fingerprint: {
+    headerKeywords: ['Datum', 'Tarifnummer', 'Ursprung', 'Zollwert', 'Abgabe', 'Acme Ref'],
+    fileNamePattern: 'acme',
+  },
+};
+
+const clone = (o) => JSON.parse(JSON.stringify(o));
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Schema validation
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Schema validation ═══');
+
+{
+  assertEqual(validateBrokerDefinition(ACME).length, 0, 'Full definition is valid');
+  assertEqual(validateBrokerDefinition({ id: 'X', label: 'X', headerRows: 1, dataStartRow: 1 }).length, 0,
+    'Minimal definition is valid');
+
+  const missing = validateBrokerDefinition({ id: 'X', headerRows: 1, dataStartRow: 1 });
+  assert(missing.some(e => e.includes('missing "label"')), 'Missing label reported');
+
+  const def = clone(ACME);
+  def.headerRows = 0;
+  def.footer.minFilled = 'two';
+  def.columns.currency = ['Währung'];
+  const errors = validateBrokerDefinition(def);
+  assert(errors.includes('headerRows: must be ≥ 1'), 'Minimum checked');
+  assert(errors.includes('footer.minFilled: expected integer, got string'), 'Type checked with path');
+  assert(errors.includes('columns.currency: unknown property'), 'Unknown property rejected');
+
+  const bad = clone(ACME);
+  bad.fingerprint.fileNamePattern = 'acme(';
+  bad.color = 'red';
+  const e2 = validateBrokerDefinition(bad);
+  assert(e2.some(e => e.startsWith('fingerprint.fileNamePattern: not a valid regular expression')), 'Broken regex rejected');
+  assert(e2.some(e => e.startsWith('color: does not match')), 'Colour format checked');
+
+  const order = clone(ACME);
+  order.dataStartRow = 2;
+  assertEqual(validateBrokerDefinition(order)[0], 'dataStartRow: must be ≥ 3 (after the header rows)', 'Data must start after the header');
+
+  assertEqual(validateBrokerDefinition([ACME])[0], 'definition: expected object, got array', 'Non-object rejected');
+  assert(validateBrokerDefinition({ ...ACME, fields: { hsCode: 'Tarifnummer' } }).length > 0, 'Field names must be a list');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Compilation
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Compilation ═══');
+
+{
+  const b = compileBrokerDefinition(ACME);
+  assertEqual(b.headerStartRow, 2, 'Layout copied');
+  assertEqual(b.csvDelimiter, ';', 'Delimiter copied');
+  assertEqual(b.headerMap, ACME.fields, 'fields → headerMap');
+  assertEqual(b.columnTypes, ACME.columns, 'columns → columnTypes');
+  assertEqual(b.definition, ACME, 'Definition kept for the worker');
+  assert(b.logoIcon.includes('Acme Customs'), 'Default logo shows the label');
+  assert(b.capabilities.some(c => c.category === 'Validate'), 'Default capabilities from declared columns');
+
+  assertEqual(b.isFooterRow(['x', null, '']), true, 'Footer: one value is a footer');
+  assertEqual(b.isFooterRow(['x', '0,00', 0]), true, 'Footer: ignored values do not count');
+  assertEqual(b.isFooterRow(['x', 'y']), false, 'Footer: two values is data');
+
+  assertEqual(b.sheetSelector(['Meta', 'Importzoll 01'], 'acme_luft_01.xlsx'), 'Importzoll 01', 'Sheet: pattern picks the data sheet');
+  assertEqual(b.sheetSelector(['Meta', 'Importzoll 01'], 'acme_sea_01.xlsx'), 'Meta', 'Sheet: rule limited to matching file names');
+  assertEqual(b.sheetSelector(['Meta'], 'acme_luft.xlsx'), 'Meta', 'Sheet: no match → first sheet');
+
+  assert(b.fingerprint.fileNamePattern.test('ACME_2025_01.xlsx'), 'Fingerprint pattern compiled case-insensitively');
+  assertEqual(compileBrokerDefinition({ id: 'M', label: 'M', headerRows: 1, dataStartRow: 1 }).sheetSelector, undefined,
+    'No sheet rule → no sheetSelector');
+  assert(compileBrokerDefinition({ id: 'M', label: '<b>&', headerRows: 1, dataStartRow: 1 }).logoIcon.includes('&#60;b&#62;&#38;'),
+    'Default logo escapes the label');
+
+  // Definitions are shared files; their logo markup would be injected
+  const withLogo = parseBrokerDefinitions({ id: 'M', label: 'M', headerRows: 1, dataStartRow: 1, logoIcon: '<img src=x onerror=alert(1)>' });
+  assert(withLogo.errors.includes('M: logoIcon: unknown property'), 'Custom logo markup rejected');
+  assert(!compileBrokerDefinition({ id: 'M', label: 'M', headerRows: 1, dataStartRow: 1, logoIcon: '<img>' }).logoIcon.includes('<img'),
+    'Logo markup in a definition ignored');
+  assert(BROKERS.find(b => b.id === 'KN').logoIcon.includes('Kuehne+Nagel</text>'), 'Built-in broker keeps its own logo');
+}
+
+{
+  const kn = BROKERS.find(b => b.id === 'KN');
+  assert(kn.definition && kn.headerMap.hsCode.includes('Warentarifnummer'), 'Built-in K+N is a compiled definition');
+  assertEqual(validateBrokerDefinition(kn.definition).length, 0, 'Built-in K+N definition passes the schema');
+  assertEqual(validateBrokerDefinition(BROKERS.find(b => b.id === 'SCHENKER').definition).length, 0,
+    'Built-in Schenker definition passes the schema');
+  assert(kn.fingerprint.fileNamePattern.test('Kuehne_Nagel_01.xlsx') && kn.fingerprint.fileNamePattern.test('report_KN_01.xlsx'),
+    'K+N file name pattern unchanged');
+  assert(JSON.stringify(kn.definition).length > 0, 'K+N definition is plain JSON');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Loading & registering
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Loading & registering ═══');
+
+{
+  const single = parseBrokerDefinitions(JSON.stringify(ACME));
+  assertEqual(single.brokers.length, 1, 'Single definition loaded');
+  assertEqual(single.errors.length, 0, 'No errors');
+
+  const wrapped = parseBrokerDefinitions({ brokers: [ACME, { ...ACME, id: 'ACME2' }] });
+  assertEqual(wrapped.brokers.map(b => b.id).join(','), 'ACME,ACME2', '{ brokers: [...] } loaded');
+
+  const mixed = parseBrokerDefinitions([ACME, { id: 'BAD', label: 'Bad' }, ACME]);
+  assertEqual(mixed.brokers.length, 1, 'Invalid and duplicate definitions skipped');
+  assert(mixed.errors.some(e => e.startsWith('BAD: ')), 'Errors name the definition');
+  assert(mixed.errors.some(e => e === 'ACME: id: defined twice in this file'), 'Duplicate id reported');
+
+  const broken = parseBrokerDefinitions('{ "id": ');
+  assert(broken.errors[0].startsWith('Not valid JSON'), 'Malformed JSON reported');
+}
+
+{
+  const list = [{ id: 'DHL' }, { id: 'ACME', old: true }];
+  const replaced = registerBrokers(list, parseBrokerDefinitions([ACME, { ...ACME, id: 'NEW' }]).brokers);
+  assertEqual(replaced.join(','), 'ACME', 'Existing id replaced');
+  assertEqual(list.length, 3, 'New id appended');
+  assertEqual(list[1].old, undefined, 'Replacement is the compiled broker');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 4: Custom broker end to end
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 4: Custom broker end to end ═══');
+
+const broker = compileBrokerDefinition(ACME);
+const HEADER = ['Acme Ref', 'Datum', 'Tarifnummer', 'Ursprung', 'Zollwert', 'Abgabe'];
+const sheet = [
+  ['Acme Customs monthly report'],
+  [],
+  HEADER,
+  ['R1', 45678, '85122000900', 'CN', '1.500,50', '40,5'],
+  ['R2', '03.02.2025', '8512', 'China', ' 820 ', 24],
+  ['Total', null, null, null, '0,00', 0],
+];
+
+{
+  const { headers, data } = extractParts(sheet, broker);
+  assertEqual(headers[0][1], 'Datum', 'extractParts: header row from headerStartRow');
+  assertEqual(data.length, 2, 'extractParts: footer rule drops the total row');
+
+  const report = validateAndFix(data, broker, headers);
+  assertEqual(data[0][1], '21.01.2025', 'Validator: declared date column converted');
+  assertEqual(data[0][4], 1500.5, 'Validator: declared numeric column typed');
+  assertEqual(data[1][4], 820, 'Validator: trimmed and typed');
+  assert(report.issues.some(i => i.rule === 'invalid-hs-code' && i.row === 2), 'Validator: declared HS column checked');
+  assert(report.issues.some(i => i.rule === 'invalid-country' && i.header === 'Ursprung'), 'Validator: declared country column checked');
+
+  data[1][3] = 'CN';
+  data[1][2] = '85122000900';
+  assertEqual(revalidateRow(data[1], 2, broker, headers).length, 0, 'revalidateRow: custom broker rechecked');
+
+  const typedOnly = compileBrokerDefinition({ ...ACME, fields: undefined });
+  const r2 = validateAndFix([['R3', 45678, '85', 'CN', '7,5', 1]], typedOnly, headers);
+  assert(r2.issues.some(i => i.rule === 'invalid-hs-code'), 'Validator: columns alone enable the pipeline');
+}
+
+{
+  const list = [...BROKERS.filter(b => b.id !== 'ACME'), broker];
+  const sample = { fileName: 'monthly.xlsx', sheetNames: ['Report'], sheets: { Report: sheet } };
+  const result = detectBroker(sample, list);
+  assertEqual(result.broker && result.broker.id, 'ACME', 'Detector: custom fingerprint recognised');
+}
+
+{
+  registerBrokers(BROKERS, [broker]);
+  const { headers, data } = extractParts(sheet, broker);
+  validateAndFix(data, broker, headers);
+  const a = aggregateData(headers, data, 'ACME');
+  assert(a != null, 'Analytics: custom broker mapped through its fields');
+  assert(Math.abs(a.kpis.totalDuty - 64.5) < 0.01, 'Analytics: duty summed from the mapped column');
+  BROKERS.splice(BROKERS.findIndex(b => b.id === 'ACME'), 1);
+  assertEqual(aggregateData(headers, data, 'ACME'), null, 'Analytics: unknown broker → null');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
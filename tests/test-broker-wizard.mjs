@@ -0,0 +1,184 @@
+/**
+ * Tests for the custom broker wizard (src/js/broker-wizard.js) and the
+ * declared number / date formats it saves.
+ *
+ * Covers:
+ *   - Header row guess, field suggestions, format suggestions, broker ids
+ *   - parseFormattedNumber / parseFormattedDate
+ *   - A wizard-built broker through mergeFiles, validateAndFix and
+ *     aggregateData
+ *
+ * Run: node tests/test-broker-wizard.mjs
+ */
+
+import * as XLSX from 'xlsx';
+import {
+  WIZARD_FIELDS, fieldKind, guessHeaderRow, suggestFields, suggestFormats, makeBrokerId, buildWizardDefinition,
+} from '../src/js/broker-wizard.js';
+import { parseBrokerDefinitions, registerBrokers } from '../src/js/broker-defs.js';
+import { BROKERS } from '../src/js/brokers.js';
+import { mergeFiles } from '../src/js/engine.js';
+import { validateAndFix, parseFormattedNumber, parseFormattedDate } from '../src/js/validator.js';
+import { aggregateData } from '../src/js/analytics.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+// A small forwarder's report: title block, header on row 4, English numbers
+const SAMPLE = [
+  ['Nordic Freight AB — import declarations'],
+  ['Period: 01/2025'],
+  [],
+  ['Entry Date', 'MRN', 'Commodity Code', 'Goods Description', 'Country of Origin', 'Invoice Amount', 'Duty Amount', 'Remarks'],
+  ['2025-01-21', '25SE0001', '85122000900', 'LAMPS', 'CN', '1,234.50', '49.38', null],
+  ['2025-01-28', '25SE0002', '87089997900', 'BRACKETS', 'MX', '820.00', '0', 'urgent'],
+  ['2025-01-31', '25SE0003', '8512', 'LAMPS', 'China', '1,500', '60', null],
+];
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Suggestions
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Suggestions ═══');
+
+{
+  assertEqual(guessHeaderRow(SAMPLE), 3, 'Header row: widest text row');
+  assertEqual(guessHeaderRow([]), 0, 'Header row: empty sample → 0');
+  assertEqual(guessHeaderRow([['1', '2', '3'], ['Date', 'Value']]), 1, 'Header row: numeric text does not count');
+
+  const tags = suggestFields(SAMPLE[3], BROKERS);
+  assertEqual(tags[0], 'date', 'Fields: "Entry Date" known from Schenker');
+  assertEqual(tags[2], 'hsCode', 'Fields: "Commodity Code" → hsCode');
+  assertEqual(tags[4], 'countryOfOrigin', 'Fields: country of origin');
+  assertEqual(tags[5], 'invoiceValue', 'Fields: "Invoice Amount" known from K+N');
+  assertEqual(tags[7], null, 'Fields: unknown header left untagged');
+  assertEqual(suggestFields(['Zollwert', 'ZOLLWERT'], BROKERS).join(','), 'customsValue,', 'Fields: each field suggested once');
+}
+
+{
+  const tags = ['date', null, null, null, null, 'invoiceValue', 'dutyAmount', null];
+  const formats = suggestFormats(SAMPLE.slice(4), tags);
+  assertEqual(formats.numberFormat, 'dot-decimal', 'Formats: "1,234.50" → decimal dot');
+  assertEqual(formats.dateFormat, 'YYYY-MM-DD', 'Formats: ISO dates recognised');
+  assertEqual(suggestFormats([['1.234,56']], ['customsValue']).numberFormat, 'comma-decimal', 'Formats: decimal comma');
+  assertEqual(suggestFormats([[45678, 12]], ['date', 'customsValue']).dateFormat, 'auto', 'Formats: Excel values → auto');
+  assertEqual(fieldKind('dutyAmount'), 'number', 'fieldKind: numeric field');
+  assertEqual(fieldKind('hsCode'), undefined, 'fieldKind: code field');
+  assert(WIZARD_FIELDS.every(f => f.label), 'Every field has a label');
+}
+
+{
+  assertEqual(makeBrokerId('Nordic Freight AB'), 'NORDIC_FREIGHT_AB', 'Id from label');
+  assertEqual(makeBrokerId('DHL', ['DHL']), 'DHL_2', 'Id made unique');
+  assertEqual(makeBrokerId('ÄÖ'), 'CUSTOM', 'Id fallback');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Declared formats
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Declared formats ═══');
+
+{
+  assertEqual(parseFormattedNumber('1.234,56', 'comma-decimal'), 1234.56, 'Comma decimal with thousands dot');
+  assertEqual(parseFormattedNumber('1,500', 'comma-decimal'), 1.5, 'Comma decimal: "1,500" is 1.5');
+  assertEqual(parseFormattedNumber('1,500', 'dot-decimal'), 1500, 'Dot decimal: "1,500" is 1500');
+  assertEqual(parseFormattedNumber('-,5', 'comma-decimal'), -0.5, 'Leading decimal mark');
+  assertEqual(parseFormattedNumber('12.34', 'comma-decimal'), null, 'Wrong layout → null');
+  assertEqual(parseFormattedDate('2025-01-21', 'YYYY-MM-DD'), '21.01.2025', 'ISO date');
+  assertEqual(parseFormattedDate('01/21/2025', 'MM/DD/YYYY'), '21.01.2025', 'US date');
+  assertEqual(parseFormattedDate('21/01/2025 08:30', 'DD/MM/YYYY'), '21.01.2025', 'Time part ignored');
+  assertEqual(parseFormattedDate('31/02/2025', 'DD/MM/YYYY'), null, 'Impossible date → null');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Wizard broker end to end
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Wizard broker end to end ═══');
+
+const state = {
+  id: makeBrokerId('Nordic Freight AB', BROKERS.map(b => b.id)),
+  label: ' Nordic Freight AB ',
+  rows: SAMPLE,
+  headerRow: 3,
+  dataStartRow: 4,
+  tags: suggestFields(SAMPLE[3], BROKERS),
+  numberFormat: 'dot-decimal',
+  dateFormat: 'YYYY-MM-DD',
+};
+const def = buildWizardDefinition(state);
+
+{
+  assertEqual(def.label, 'Nordic Freight AB', 'Definition: label trimmed');
+  assertEqual(def.headerStartRow, 3, 'Definition: header row');
+  assertEqual(def.fields.hsCode[0], 'Commodity Code', 'Definition: tagged header names');
+  assertEqual(def.fingerprint.columnCounts[0], 8, 'Definition: column count for detection');
+  assertEqual(buildWizardDefinition({ ...state, numberFormat: 'auto' }).numberFormat, undefined, 'Definition: auto format omitted');
+
+  const { brokers, errors } = parseBrokerDefinitions(def);
+  assertEqual(errors.length, 0, 'Definition passes the schema');
+  assertEqual(brokers[0].numberFormat, 'dot-decimal', 'Compiled broker keeps the number format');
+}
+
+{
+  const broker = parseBrokerDefinitions(def).brokers[0];
+  const ws = XLSX.utils.aoa_to_sheet(SAMPLE);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, 'Report');
+  const file = new File([XLSX.write(wb, { type: 'array', bookType: 'xlsx' })], 'nordic_2025_01.xlsx');
+
+  const result = await mergeFiles([file], broker);
+  assertEqual(result.data.length, 3, 'mergeFiles: data rows from the chosen data row');
+  assertEqual(result.headers[0][2], 'Commodity Code', 'mergeFiles: header row from the wizard');
+  assertEqual(result.data[0][0], '21.01.2025', 'validateAndFix: ISO date → DD.MM.YYYY');
+  assertEqual(result.data[0][5], 1234.5, 'validateAndFix: "1,234.50" read with the declared layout');
+  assertEqual(result.data[2][5], 1500, 'validateAndFix: "1,500" is 1500, not 1.5');
+  const v = result.stats.validation;
+  assert(v.issues.some(i => i.rule === 'number-format'), 'Report: number-format issues');
+  assert(v.issues.some(i => i.rule === 'date-format'), 'Report: date-format issues');
+  assert(v.issues.some(i => i.rule === 'invalid-hs-code' && i.row === 3), 'Report: HS code checked');
+  assert(v.issues.some(i => i.rule === 'invalid-country' && i.row === 3), 'Report: country checked');
+
+  registerBrokers(BROKERS, [broker]);
+  const a = aggregateData(result.headers, result.data, broker.id);
+  assert(a != null, 'aggregateData: wizard broker mapped');
+  assert(Math.abs(a.kpis.totalDuty - 109.38) < 0.01, 'aggregateData: duty from the tagged column');
+  assertEqual(a.kpis.totalDeclarations, 3, 'aggregateData: declarations counted');
+  BROKERS.splice(BROKERS.findIndex(b => b.id === broker.id), 1);
+}
+
+{
+  // Without a declared layout the built-in guess applies: "1,500" → 1500 too,
+  // but "1,234.50" is left as text for the string-to-number step to skip
+  const { numberFormat, ...auto } = def;
+  const broker = parseBrokerDefinitions(auto).brokers[0];
+  const data = SAMPLE.slice(4).map(r => [...r]);
+  validateAndFix(data, broker, [SAMPLE[3]]);
+  assertEqual(data[0][5], '1,234.50', 'Auto: mixed separators not guessed');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
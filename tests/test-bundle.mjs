@@ -0,0 +1,160 @@
+/**
+ * Tests for the portable session bundle (src/js/bundle.js).
+ *
+ * Covers:
+ *   - gzip round trip of a real merge result + analytics report
+ *   - Values JSON cannot hold (Infinity buckets, Sets)
+ *   - Plain JSON import
+ *   - Schema / version checks
+ *
+ * Run: node tests/test-bundle.mjs
+ */
+
+import {
+  encodeBundle, decodeBundle, buildBundle, validateBundle, BUNDLE_FORMAT, BUNDLE_VERSION,
+} from '../src/js/bundle.js';
+import { createSession, putMerge } from '../src/js/storage.js';
+import { mergeFiles } from '../src/js/engine.js';
+import { BROKERS } from '../src/js/brokers.js';
+import { aggregateData, mergeAnalytics } from '../src/js/analytics.js';
+import XLSX from 'xlsx';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+async function rejects(promise, pattern, msg) {
+  try {
+    await promise;
+    failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg} (did not throw)`);
+  } catch (err) {
+    assert(pattern.test(err.message), `${msg} — "${err.message}"`);
+  }
+}
+
+const jsonFile = (obj, name = 'x.json') => new File([JSON.stringify(obj)], name);
+
+// Small UPS-style workbook: header row + data rows with 3+ filled cells
+const ups = BROKERS.find(b => b.id === 'UPS');
+function makeFile(name) {
+  const rows = [
+    ['Datum', 'Empfänger', 'Warenwert', 'Zollbetrag', 'Land'],
+    ['01.02.2025', 'ACME', '1.234,50', '12,40', 'CN'],
+    ['02.02.2025', 'Beta GmbH', '99,00', '0', 'US'],
+  ];
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+  return new File([XLSX.write(wb, { type: 'array', bookType: 'xlsx' })], name);
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Round trip
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Round trip ═══');
+
+{
+  const result = await mergeFiles([makeFile('ups_feb.xlsx')], ups);
+  const analytics = aggregateData(result.headers, result.data, 'UPS');
+  const session = createSession('February close');
+  putMerge(session, 'UPS', [{ name: 'ups_feb.xlsx', size: 1000, lastModified: null, brokerId: 'UPS' }], result);
+  session.reports = [{ brokerId: 'UPS', brokerLabel: 'UPS', analytics }];
+  session.activeBrokerId = 'UPS';
+
+  const blob = await encodeBundle(session);
+  const head = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+  assert(head[0] === 0x1f && head[1] === 0x8b, 'Bundle is gzip-compressed');
+
+  const back = await decodeBundle(new File([blob], 'feb.session.json.gz'));
+  assert(back.id !== session.id, 'Imported session gets a fresh id');
+  assertEqual(back.name, 'February close', 'Name preserved');
+  assertEqual(back.activeBrokerId, 'UPS', 'Active broker preserved');
+  assertEqual(back.merges.length, 1, 'One merge');
+  const r = back.merges[0].result;
+  assertEqual(JSON.stringify(r.headers), JSON.stringify(result.headers), 'Headers identical');
+  assertEqual(JSON.stringify(r.data), JSON.stringify(result.data), 'Data identical');
+  assertEqual(JSON.stringify(r.stats.validation), JSON.stringify(result.stats.validation), 'Validation report identical');
+  assertEqual(r.stats.rowsPerFile[0].name, 'ups_feb.xlsx', 'Per-file stats kept');
+  assertEqual(r.provenance.length, r.data.length, 'Provenance kept');
+  assertEqual(back.merges[0].files[0].name, 'ups_feb.xlsx', 'File metadata kept');
+
+  const bucket = back.reports[0].analytics.dutyDistribution.at(-1);
+  assertEqual(bucket.max, Infinity, 'Infinity bucket bound survives');
+  const overall = mergeAnalytics(back.reports);
+  assertEqual(overall.totalRows, analytics.totalRows, 'Overall analytics work on imported reports');
+}
+
+{
+  const s = createSession();
+  s.reports = [{ brokerId: 'X', brokerLabel: 'X', analytics: { kpis: {}, tags: new Set(['a', 'b']) } }];
+  const back = await decodeBundle(new File([await encodeBundle(s)], 'x.gz'));
+  assert(back.reports[0].analytics.tags instanceof Set, 'Sets survive');
+  assertEqual(back.reports[0].analytics.tags.size, 2, 'Set contents survive');
+}
+
+{
+  // Uncompressed JSON is accepted too
+  const s = createSession('plain');
+  const back = await decodeBundle(jsonFile(buildBundle(s)));
+  assertEqual(back.name, 'plain', 'Plain JSON bundle imports');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Schema and version checks
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Schema and version checks ═══');
+
+{
+  const ok = buildBundle(createSession());
+  assertEqual(validateBundle(ok).length, 0, 'Empty session bundle is valid');
+
+  await rejects(decodeBundle(new File(['not json'], 'x.json')), /invalid JSON/, 'Garbage rejected');
+  await rejects(decodeBundle(jsonFile({ hello: 1 })), /Not an Import Report session/, 'Foreign JSON rejected');
+  await rejects(decodeBundle(jsonFile({ ...ok, version: BUNDLE_VERSION + 1 })), /newer version/, 'Future version rejected');
+  await rejects(decodeBundle(jsonFile({ ...ok, version: '1' })), /Invalid bundle version/, 'Non-integer version rejected');
+  await rejects(decodeBundle(new File([new Uint8Array([0x1f, 0x8b, 1, 2, 3])], 'x.gz')), /corrupted/, 'Corrupt gzip rejected');
+
+  const bad = {
+    format: BUNDLE_FORMAT, version: BUNDLE_VERSION,
+    session: {
+      merges: [{ brokerId: 'DHL', files: [], result: { headers: [['A']], data: [[1]], stats: { rowsPerFile: [] }, provenance: [] } }],
+      reports: [{ brokerId: 'DHL' }],
+    },
+  };
+  const errors = validateBundle(bad);
+  assert(errors.some(e => e.includes('provenance')), 'Provenance length mismatch reported');
+  assert(errors.some(e => e.includes('reports[0].analytics')), 'Missing analytics reported');
+  await rejects(decodeBundle(jsonFile(bad)), /Invalid session file/, 'Invalid structure rejected');
+
+  const unnamed = buildBundle(createSession());
+  delete unnamed.session.name;
+  assert(validateBundle(unnamed).includes('session.name must be a string'), 'Missing name reported');
+  const markup = buildBundle(createSession());
+  markup.session.name = { toString: () => '<img src=x>' };
+  assert(validateBundle(markup).includes('session.name must be a string'), 'Non-string name reported');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
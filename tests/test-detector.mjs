@@ -0,0 +1,311 @@
+/**
+ * Tests for broker auto-detection (fingerprinting).
+ *
+ * Covers:
+ *   - scoreBroker / detectBroker on synthetic header layouts
+ *   - FedEx header at row 14, DSV Luftfracht sheet selection
+ *   - Mixed batches split by groupFilesByBroker
+ *   - readFingerprintSample on real XLSX / CSV File objects
+ *   - locateHeaderRow: a moved header found by its column names
+ *
+ * Run: node tests/test-detector.mjs
+ */
+
+import * as XLSX from 'xlsx';
+import { BROKERS } from '../src/js/brokers.js';
+import {
+  scoreBroker, detectBroker, detectFileBroker, groupFilesByBroker,
+  readFingerprintSample, locateHeaderRow, AUTO_SELECT_CONFIDENCE,
+} from '../src/js/detector.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const byId = (id) => BROKERS.find(b => b.id === id);
+
+/** Build a header row of `width` columns with named cells at given positions. */
+function headerRow(width, named) {
+  const row = new Array(width).fill(null).map((_, i) => `Column ${i}`);
+  for (const [idx, name] of Object.entries(named)) row[+idx] = name;
+  return row;
+}
+
+function dhlRows() {
+  const h0 = headerRow(137, {
+    0: 'Date of Declaration', 1: 'EORI Number IOR', 4: 'Declaration Number',
+    20: 'Shipper Name', 24: 'Shipper Country', 26: 'Consignee Name', 31: 'Incoterm',
+    33: 'Freight EUR', 109: 'Description of Goods', 110: 'HS Code', 111: 'Country of Origin',
+  });
+  const h1 = new Array(137).fill('sub');
+  const data = new Array(137).fill('x');
+  return [h0, h1, data];
+}
+
+function fedexRows() {
+  const rows = [];
+  for (let i = 0; i < 13; i++) rows.push(i === 0 ? ['FedEx Zollreport'] : [null]);
+  rows.push(headerRow(92, {
+    5: 'AWB', 6: 'REGISTRIERNUMMER', 7: 'DATUM', 8: 'ZOLLNUMMER ANMELDER EORI',
+    12: 'NAME VERSENDER', 21: 'VERSENDUNGSLAND', 23: 'WKZ', 27: 'GESAMTROHMASSE',
+    56: 'TARIFNUMMER', 57: 'URSPRUNGSLAND', 58: 'VERFAHRENSCODE', 64: 'WARENBESCHREIBUNG',
+    65: 'EIGENMASSE', 67: 'ZOLLWERT', 68: 'EUSTWERT', 85: 'ZOLLSATZ',
+  }));
+  rows.push(new Array(92).fill(1));
+  return rows;
+}
+
+function upsRows() {
+  return [
+    headerRow(65, {
+      0: 'Datum der Zollanmeldung', 2: 'ATE/ATC-Nummer', 5: 'Positionsnummer',
+      8: 'Rechnungspreis', 9: 'Waehrung', 15: 'Kolli-Anzahl', 16: 'Gesamt-Rohmasse',
+      23: 'Versendungsland', 24: 'Ursprungsland', 28: 'Zolltarifnummer',
+      29: 'Warenbeschreibung', 30: 'Zollsatz', 40: 'EUSt-Betrag', 41: 'Versendername',
+    }),
+    new Array(65).fill(1),
+  ];
+}
+
+function dsvRows(width = 158) {
+  return [
+    headerRow(width, {
+      0: 'Registriernummer/MRN', 1: 'Anlagedatum', 3: 'CZ Name', 5: 'CN Name',
+      20: 'Warentarifnummer', 21: 'Warenbezeichnung', 22: 'Ursprung',
+      30: 'Rechnungsbetrag', 31: 'Rechnungswährung', 40: 'AbgabeZoll', 41: 'AbgabeEust', 42: 'Zollwert',
+    }),
+    new Array(width).fill('1,5'),
+  ];
+}
+
+const sample = (rows, fileName = 'report.xlsx', sheetNames = ['Sheet1']) =>
+  ({ fileName, sheetNames, sheets: { [sheetNames[0]]: rows } });
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Fingerprint config present
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Fingerprint config present ═══');
+
+{
+  for (const b of BROKERS) {
+    assert(b.fingerprint && typeof b.fingerprint === 'object', `${b.id}: has fingerprint`);
+  }
+  assert(byId('DHL').fingerprint.columnCounts.includes(137), 'DHL: 137 columns');
+  assert(byId('UPS').fingerprint.columnCounts.includes(65), 'UPS: 65 columns');
+  for (const w of [92, 138, 158, 44]) {
+    assert(byId('DSV').fingerprint.columnCounts.includes(w), `DSV: ${w} columns`);
+  }
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: detectBroker — each layout
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: detectBroker — each layout ═══');
+
+{
+  const det = detectBroker(sample(dhlRows()));
+  assertEqual(det.broker && det.broker.id, 'DHL', 'DHL layout detected');
+  assert(det.autoSelect, 'DHL: auto-selected');
+  assert(det.confidence >= AUTO_SELECT_CONFIDENCE, `DHL: confidence ${det.confidence} ≥ threshold`);
+}
+
+{
+  const det = detectBroker(sample(fedexRows()));
+  assertEqual(det.broker && det.broker.id, 'FEDEX', 'FedEx layout detected');
+  const fedex = det.candidates.find(c => c.broker.id === 'FEDEX');
+  assertEqual(fedex.signals.headerRow, 13, 'FedEx: header found at row 14 (index 13)');
+  assertEqual(fedex.signals.position, 1, 'FedEx: header position matches config');
+  assertEqual(fedex.signals.width, 92, 'FedEx: 92 header columns');
+}
+
+{
+  const det = detectBroker(sample(upsRows()));
+  assertEqual(det.broker && det.broker.id, 'UPS', 'UPS layout detected');
+  assert(det.autoSelect, 'UPS: auto-selected');
+}
+
+{
+  for (const w of [92, 138, 158]) {
+    const det = detectBroker(sample(dsvRows(w), 'DSV_Sea_2025.csv', ['CSV']));
+    assertEqual(det.broker && det.broker.id, 'DSV', `DSV ${w}-col detected`);
+  }
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Signals and ambiguity
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Signals and ambiguity ═══');
+
+{
+  // Unknown layout → no broker
+  const det = detectBroker(sample([['a', 'b', 'c'], [1, 2, 3]], 'random.xlsx'));
+  assertEqual(det.broker, null, 'Unknown layout: no broker proposed');
+  assertEqual(det.autoSelect, false, 'Unknown layout: not auto-selected');
+}
+
+{
+  // File name alone is only a weak hint — proposed but never auto-selected
+  const det = detectBroker(sample([['a', 'b', 'c']], 'Schenker_2025_03.xlsx'));
+  assertEqual(det.broker && det.broker.id, 'SCHENKER', 'Schenker proposed from file name');
+  assertEqual(det.autoSelect, false, 'File-name-only match is not auto-selected');
+}
+
+{
+  // DHL headers shifted down by one row still match, but lose the position bonus
+  const rows = [[null], ...dhlRows()];
+  const s = scoreBroker(sample(rows), byId('DHL'));
+  assertEqual(s.signals.headerRow, 1, 'DHL shifted: header found at row 1');
+  assertEqual(s.signals.position, 1, 'DHL shifted: still inside 2-row header band');
+  const rows2 = [[null], [null], ...dhlRows()];
+  const s2 = scoreBroker(sample(rows2), byId('DHL'));
+  assertEqual(s2.signals.position, 0, 'DHL shifted by 2: position bonus lost');
+  assert(s2.confidence < s.confidence, 'Position mismatch lowers confidence');
+}
+
+{
+  // DSV Luftfracht: data sheet is chosen through sheetSelector
+  const s = {
+    fileName: 'DSV_Luft_2025.xlsx',
+    sheetNames: ['Template', 'Importzollanmeldungen'],
+    sheets: { Template: [['meta']], Importzollanmeldungen: dsvRows(112) },
+  };
+  const det = detectBroker(s);
+  assertEqual(det.broker && det.broker.id, 'DSV', 'DSV Luft: detected through data sheet');
+  const dsv = det.candidates.find(c => c.broker.id === 'DSV');
+  assertEqual(dsv.signals.sheet, 1, 'DSV Luft: sheet name signal');
+  assertEqual(dsv.signals.width, 112, 'DSV Luft: width read from selected sheet');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 4: groupFilesByBroker
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 4: groupFilesByBroker ═══');
+
+{
+  const f1 = { name: 'dhl-jan.xlsx' };
+  const f2 = { name: 'fedex-jan.xlsx' };
+  const f3 = { name: 'dhl-feb.xlsx' };
+  const f4 = { name: 'mystery.xlsx' };
+  const dets = new Map([
+    [f1, { broker: byId('DHL'), autoSelect: true }],
+    [f2, { broker: byId('FEDEX'), autoSelect: true }],
+    [f3, { broker: byId('DHL'), autoSelect: true }],
+    [f4, { broker: null, autoSelect: false }],
+  ]);
+
+  const { groups, unassigned } = groupFilesByBroker([f1, f2, f3, f4], dets, null);
+  assertEqual(groups.length, 2, 'Mixed drop: 2 groups');
+  assertEqual(groups.find(g => g.broker.id === 'DHL').files.length, 2, 'DHL group has 2 files');
+  assertEqual(groups.find(g => g.broker.id === 'FEDEX').files.length, 1, 'FedEx group has 1 file');
+  assertEqual(unassigned.length, 1, 'Unknown file is unassigned without fallback');
+
+  const withFallback = groupFilesByBroker([f1, f4], dets, byId('DHL'));
+  assertEqual(withFallback.groups.length, 1, 'Fallback: unknown file joins selected broker');
+  assertEqual(withFallback.groups[0].files.length, 2, 'Fallback: DHL group has both files');
+  assertEqual(withFallback.unassigned.length, 0, 'Fallback: nothing unassigned');
+}
+
+{
+  // Weak detections do not override the selected card
+  const f = { name: 'x.xlsx' };
+  const dets = new Map([[f, { broker: byId('KN'), autoSelect: false }]]);
+  const { groups } = groupFilesByBroker([f], dets, byId('UPS'));
+  assertEqual(groups[0].broker.id, 'UPS', 'Weak detection falls back to selected broker');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 5: Reading real files
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 5: Reading real files ═══');
+
+{
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(upsRows()), 'Tabelle1');
+  const buf = XLSX.write(wb, { type: 'array', bookType: 'xlsx' });
+  const file = new File([buf], 'Zollreport_2025_01.xlsx');
+
+  const s = await readFingerprintSample(file);
+  assertEqual(s.sheetNames[0], 'Tabelle1', 'XLSX sample: sheet names read');
+  assertEqual(s.sheets.Tabelle1[0][0], 'Datum der Zollanmeldung', 'XLSX sample: header read');
+
+  const det = await detectFileBroker(file);
+  assertEqual(det.broker && det.broker.id, 'UPS', 'XLSX file detected as UPS');
+  assertEqual(det.sheetNames.join(','), 'Tabelle1', 'Detection lists the sheet names');
+}
+
+{
+  const csv = '﻿' + dsvRows(92).map(r => r.join(';')).join('\n');
+  const file = new File([csv], 'export_2025_02.csv');
+  const det = await detectFileBroker(file);
+  assertEqual(det.broker && det.broker.id, 'DSV', 'Semicolon CSV detected as DSV');
+}
+
+{
+  const file = new File([new Uint8Array([1, 2, 3])], 'broken.xlsx');
+  const det = await detectFileBroker(file);
+  assertEqual(det.broker, null, 'Unreadable file: no broker, no throw');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 6: locateHeaderRow
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 6: locateHeaderRow ═══');
+
+{
+  const fedex = byId('FEDEX');
+  const at = locateHeaderRow(fedexRows(), fedex);
+  assertEqual(at.row, 13, 'FedEx: header at the configured row');
+  assertEqual(at.configured, 13, 'FedEx: configured row reported');
+  assertEqual(at.hits, 16, 'FedEx: every keyword counted');
+
+  // An extra metadata line above the header
+  const shifted = fedexRows();
+  shifted.splice(1, 0, ['Erstellt am', '01.02.2025']);
+  assertEqual(locateHeaderRow(shifted, fedex).row, 14, 'FedEx: header one row down found');
+  const early = fedexRows().slice(1);
+  assertEqual(locateHeaderRow(early, fedex).row, 12, 'FedEx: header one row up found');
+}
+
+{
+  assertEqual(locateHeaderRow(dhlRows(), byId('DHL')).row, 0, 'DHL: two-row header kept at row 0');
+
+  // Fewer than two known names anywhere: keep the configured row
+  const rows = [['Report'], ['AWB', 'x', 'y'], ['a', 'b', 'c']];
+  assertEqual(locateHeaderRow(rows, byId('FEDEX')).row, 13, 'Single hit: configured row kept');
+  const none = locateHeaderRow([['a'], ['Zollwert', 'MRN']], { headerRows: 1, headerStartRow: 0 });
+  assertEqual(none.row, 0, 'Broker without header names: configured row');
+}
+
+{
+  // Header names of a declarative broker (fields) count too
+  const kn = byId('KN');
+  const rows = [['Kuehne + Nagel Zollreport'], [], ['Anmeldedatum', 'MRN', 'Versender', 'Zollwert'], ['01.01.2025', '25DE1', 'ACME', 10]];
+  assertEqual(locateHeaderRow(rows, kn).row, 2, 'K+N: header found through its fields');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
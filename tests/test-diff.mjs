@@ -0,0 +1,248 @@
+/**
+ * Tests for the shift repair diff (src/js/diff.js).
+ *
+ * Covers:
+ *   - Column tracing through one and several repairs
+ *   - Row snapshots recorded by the DHL pipeline
+ *   - Cell status, zone layout and schema checks of a repaired row
+ *   - Rows aligned against a broker shift schema (FedEx)
+ *
+ * Run: node tests/test-diff.mjs
+ */
+
+import { traceColumns, buildRowDiff, DIFF_ZONES } from '../src/js/diff.js';
+import { validateAndFix, schemaPasses, shiftSchemaFor, FEDEX_SCHEMA } from '../src/js/validator.js';
+import { BROKERS } from '../src/js/brokers.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const DHL = BROKERS.find(b => b.id === 'DHL');
+
+function makeRow() {
+  const row = new Array(137).fill(null);
+  row[0] = '2025-01-01';
+  row[1] = 'DE123456789012345';
+  return row;
+}
+
+/** Shipper +1 overflow and a +1 goods overflow in the same row. */
+function shiftedRow() {
+  const row = makeRow();
+  row[20] = 'HELLA AUTOMOTIVE MEXICO';
+  row[21] = '506 DE LA CALLE SANTA FE';
+  row[22] = 'CARR. 110 IRAPUATO, ABASOLO';
+  row[23] = 'IRAPUATO';
+  row[24] = '36844';
+  row[25] = 'MX';
+  row[27] = 'ACME GMBH';
+  row[28] = 'HAUPTSTR. 1';
+  row[29] = 'BERLIN';
+  row[30] = '10115';
+  row[31] = 'DE';
+  row[32] = 'DAP';
+  row[34] = '12,50';
+  row[35] = '3,2';
+  row[110] = 'GLEICHSTROM';
+  row[111] = 'MOTOREN';
+  row[112] = '85011099900';
+  row[113] = 'MX';
+  row[114] = '100';
+  row[115] = '4000';
+  return row;
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Column tracing
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Column tracing ═══');
+
+{
+  const t = traceColumns(8, [{ col: 2, shift: 1 }]);
+  assertEqual(t[1].join(','), '1', 'Cells before the repair keep their source');
+  assertEqual(t[2].join(','), '2,3', 'Repair column merges col..col+shift');
+  assertEqual(t[3].join(','), '4', 'Cells after the repair move left by shift');
+  assertEqual(t[7].length, 0, 'End of row is padding');
+
+  const t2 = traceColumns(10, [{ col: 1, shift: 1 }, { col: 5, shift: 2 }]);
+  assertEqual(t2[5].join(','), '6,7,8', 'Second repair merges already moved cells');
+  assertEqual(t2[6].join(','), '9', 'Moves add up across repairs');
+  assertEqual(t2.filter(s => s.length === 0).length, 3, 'One padding cell per shifted column');
+
+  assertEqual(traceColumns(4, []).map(s => s.join()).join('|'), '0|1|2|3', 'No repairs: identity');
+}
+
+{
+  const t = traceColumns(8, [{ col: 3, shift: -1 }]);
+  assertEqual(t[2].join(','), '2', 'Gap: cells before the insert keep their source');
+  assertEqual(t[3].length, 0, 'Gap: inserted cell has no source');
+  assertEqual(t[4].join(','), '3', 'Gap: cells after the insert move right');
+  assertEqual(t[7].join(','), '6', 'Gap: trace truncated to the row width');
+}
+
+{
+  const before = new Array(30).fill(null);
+  before[21] = 'A'; before[22] = 'B'; before[25] = 'CN';
+  const diff = buildRowDiff({ before, repairs: [{ col: 21, shift: 1, zone: 'Shipper', review: 'rejected' }] }, before.slice(), [[]]);
+  assertEqual(diff.merged + diff.moved, 0, 'Rejected repairs are not traced');
+}
+
+{
+  assertEqual(schemaPasses(24, 'MX'), true, 'Schema: country passes');
+  assertEqual(schemaPasses(24, '36844'), false, 'Schema: postcode in country column fails');
+  assertEqual(schemaPasses(18, null), true, 'Schema: allowNull column accepts empty');
+  assertEqual(schemaPasses(2, 'x'), null, 'Schema: column without an entry → null');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Snapshots from the DHL pipeline
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Snapshots from the DHL pipeline ═══');
+
+{
+  const clean = makeRow();
+  clean[20] = 'TEXAS INSTRUMENTS';
+  clean[21] = '12500 T I BLVD';
+  clean[22] = 'DALLAS';
+  clean[23] = '75243';
+  clean[24] = 'US';
+  const shifted = shiftedRow();
+  const original = shifted.slice();
+
+  const report = validateAndFix([clean, shifted], DHL, [[]]);
+  assert(!report.snapshots[1], 'No snapshot for an untouched row');
+  const snap = report.snapshots[2];
+  assert(snap, 'Snapshot recorded for the repaired row');
+  assertEqual(JSON.stringify(snap.before), JSON.stringify(original), 'Snapshot holds the original cells');
+  assertEqual(snap.repairs.map(r => `${r.zone}+${r.shift}@${r.col}`).join(' '),
+    'Shipper+1@21 Goods+1@109', 'Repairs recorded in application order');
+  assert(report.issues.filter(i => i.type === 'shift').every(i => report.snapshots[i.row]),
+    'Every shift issue has a snapshot');
+
+  const fedex = BROKERS.find(b => b.id === 'FEDEX');
+  assertEqual(Object.keys(validateAndFix([['x']], fedex, [[]]).snapshots).length, 0, 'FedEx row without repairs: no snapshot');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Row diff
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Row diff ═══');
+
+{
+  const row = shiftedRow();
+  const headers = [new Array(137).fill(null).map((_, i) => `H${i}`)];
+  const report = validateAndFix([row], DHL, headers);
+  const diff = buildRowDiff(report.snapshots[1], row, headers);
+
+  assertEqual(diff.zones.map(z => z.name).join(','), DIFF_ZONES.map(z => z.name).join(','), 'All zones listed');
+  const shipper = diff.zones.find(z => z.name === 'Shipper');
+  assertEqual(shipper.cells.length, 5, 'Shipper zone: cols 20–24');
+  assertEqual(shipper.cells[0].status, 'same', 'Shipper Name untouched');
+  assertEqual(shipper.cells[1].status, 'merged', 'Shipper Address merged');
+  assertEqual(shipper.cells[1].sources.join(','), '21,22', 'Merged sources listed');
+  assertEqual(shipper.cells[1].name, 'Shipper Address', 'Names come from DHL_SCHEMA');
+  assertEqual(shipper.cells[4].status, 'moved', 'Shipper Country moved left');
+  assertEqual(shipper.cells[4].sources[0], 25, 'Moved from col 25');
+  assertEqual(shipper.cells[4].validBefore, false, 'Country column failed before');
+  assertEqual(shipper.cells[4].validAfter, true, 'Country column passes after');
+
+  const midRow = diff.zones.find(z => z.name === 'Mid-row');
+  assertEqual(midRow.cells.find(c => c.col === 32).name, 'H32', 'Columns without schema use the header row');
+  assertEqual(midRow.cells.find(c => c.col === 33).after, 12.5, 'After side shows the final (number-fixed) value');
+
+  const goods = diff.zones.find(z => z.name === 'Goods');
+  const desc = goods.cells.find(c => c.col === 109);
+  assertEqual(desc.sources.join(','), '110,111', 'Goods description traced through both repairs');
+  assertEqual(desc.after, 'GLEICHSTROM MOTOREN', 'Merged description');
+  assertEqual(goods.cells.find(c => c.col === 110).sources[0], 112, 'HS Code moved from col 112');
+  assertEqual(goods.cells.find(c => c.col === 110).after, '85011099900', 'HS Code realigned');
+
+  assertEqual(diff.merged, 2, 'Two merged cells');
+  assert(diff.moved > 100, 'Everything right of the shipper zone moved');
+  assert(diff.schema.after > diff.schema.before, 'More schema checks pass after repair');
+}
+
+{
+  // A later number fix on an unmoved column is reported as 'changed'
+  const before = new Array(40).fill(null);
+  before[33] = '1,5';
+  const after = before.slice();
+  after[33] = 1.5;
+  const diff = buildRowDiff({ before, repairs: [] }, after, [[]]);
+  assertEqual(diff.merged + diff.moved, 0, 'No repairs: nothing merged or moved');
+  const midRow = diff.zones.find(z => z.name === 'Mid-row');
+  assertEqual(midRow.cells.find(c => c.col === 33).status, 'changed', 'Normalised value → changed');
+  assertEqual(midRow.cells.find(c => c.col === 34).status, 'same', 'Untouched value → same');
+  assertEqual(diff.zones.find(z => z.name === 'Goods').cells.length, 0, 'Short row: Goods zone empty');
+}
+
+{
+  // Missing shipper postcode → blank re-inserted at col 23
+  const row = makeRow();
+  row[20] = 'HELLA AUTOMOTIVE MEXICO';
+  row[21] = '506 DE LA CALLE SANTA FE';
+  row[22] = 'IRAPUATO';
+  row[23] = 'MX';
+  row[108] = 'GLEICHSTROMMOTOREN';         // rest of the row one column early
+  row[109] = '85011099900';
+  row[110] = 'MX';
+  row[111] = '100';
+  row[112] = '4000';
+  const report = validateAndFix([row], DHL, [[]]);
+  const diff = buildRowDiff(report.snapshots[1], row, [[]]);
+  const shipper = diff.zones.find(z => z.name === 'Shipper');
+  assertEqual(shipper.cells[3].status, 'inserted', 'Gap: re-inserted postcode → inserted');
+  assertEqual(shipper.cells[4].status, 'moved', 'Gap: country moved right');
+  assertEqual(shipper.cells[4].sources[0], 23, 'Gap: country moved from col 23');
+  assertEqual(diff.merged, 0, 'Gap: nothing merged');
+  assertEqual(diff.zones.find(z => z.name === 'Goods').cells[1].after, '85011099900', 'Gap: HS Code back in col 110');
+}
+
+{
+  // FedEx: description spilled into EIGENMASSE, diffed against FEDEX_SCHEMA
+  const fedex = BROKERS.find(b => b.id === 'FEDEX');
+  const row = new Array(92).fill(null);
+  Object.assign(row, { 12: 'FLEX TECHNOLOGY', 13: 'DE2393166', 15: 'HELLA GMBH', 16: 'DE570509158641621',
+    56: '85122000900', 57: 'EU', 64: 'LEUCHTEN', 65: 'FUR KFZ', 66: 0.2, 67: 6.81, 68: 33, 69: 44.22, 70: 'USD' });
+  const report = validateAndFix([row], fedex, [[]]);
+  const schema = shiftSchemaFor(fedex, [[]]);
+  assertEqual(schema, FEDEX_SCHEMA, 'FedEx: diffed against its shift schema');
+  assertEqual(shiftSchemaFor(DHL, [[]]), null, 'DHL: no shift schema (DIFF_ZONES)');
+  const diff = buildRowDiff(report.snapshots[1], row, [[]], schema);
+  assertEqual(diff.zones.map(z => z.name).join(','), 'Shipper,Consignee,Goods', 'FedEx: zones from the schema');
+  const goods = diff.zones.find(z => z.name === 'Goods');
+  assertEqual(`${goods.from}-${goods.to}`, '64-69', 'FedEx: zone spans text column to last anchor');
+  assertEqual(goods.cells[0].status, 'merged', 'FedEx: description merged');
+  assertEqual(goods.cells[0].name, 'WARENBESCHREIBUNG', 'FedEx: names from the schema');
+  assertEqual(goods.cells[5].validBefore, false, 'FedEx: currency failed before');
+  assertEqual(goods.cells[5].validAfter, true, 'FedEx: currency passes after');
+  assertEqual(diff.schema.total, Object.keys(FEDEX_SCHEMA.columns).length, 'FedEx: checks counted on the schema');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
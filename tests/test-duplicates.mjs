@@ -0,0 +1,220 @@
+/**
+ * Tests for duplicate declaration lines (src/js/duplicates.js) and
+ * their detection in mergeFiles.
+ *
+ * Covers:
+ *   - Duplicate keys per broker: declaration number / MRN + position
+ *     number + HS code, from index and header column mappings
+ *   - Brokers without a position column: identical rows only
+ *   - resolveDuplicates keep-first / keep-last / keep-all: rows,
+ *     provenance, renumbered issues, fix counters and the report
+ *   - stats.duplicates from mergeFiles
+ *
+ * Run: node tests/test-duplicates.mjs
+ */
+
+import {
+  DUPLICATE_DECISIONS, duplicateKeyColumns, findDuplicateRows, resolveDuplicates,
+} from '../src/js/duplicates.js';
+import { mergeFiles } from '../src/js/engine.js';
+import { ISSUE_RULES } from '../src/js/validator.js';
+import { BROKERS } from '../src/js/brokers.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const DSV = BROKERS.find(b => b.id === 'DSV');
+
+/** A row of `width` empty cells with `cells` (column → value) filled in. */
+function row(width, cells) {
+  const r = new Array(width).fill(null);
+  for (const [col, v] of Object.entries(cells)) r[col] = v;
+  return r;
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Duplicate keys per broker
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Duplicate keys per broker ═══');
+
+{
+  const cols = duplicateKeyColumns([], 'FEDEX');
+  assertEqual(`${cols.declarationNo},${cols.positionNo},${cols.hsCode}`, '6,53,56', 'FedEx: index columns');
+  const ups = duplicateKeyColumns([], 'UPS');
+  assertEqual(`${ups.declarationNo},${ups.positionNo},${ups.hsCode}`, '2,5,28', 'UPS: index columns');
+  assertEqual(duplicateKeyColumns([], 'DHL').positionNo, null, 'DHL: no position column');
+  assertEqual(Object.keys(DUPLICATE_DECISIONS).join(','), 'first,last,all', 'Three decisions offered');
+  assert(['first', 'last', 'all'].every(d => ISSUE_RULES[`duplicate-keep-${d}`]), 'Every decision has a rule label');
+}
+
+{
+  const data = [
+    row(60, { 6: '25DE0001', 53: '1', 56: '8471300000', 10: 'first file' }),
+    row(60, { 6: '25DE0001', 53: '2', 56: '8471300000' }),
+    row(60, { 6: '25de0001 ', 53: '1', 56: '8471300000', 10: 're-sent' }),
+    row(60, { 6: '25DE0002', 53: '1', 56: '8471300000' }),
+    row(60, { 6: null, 53: '1', 56: '8471300000' }),
+    row(60, { 6: null, 53: '1', 56: '8471300000' }),
+  ];
+  const groups = findDuplicateRows([], data, 'FEDEX');
+  assertEqual(groups.length, 1, 'FedEx: one group');
+  assertEqual(groups[0].rows.join(','), '1,3', 'FedEx: 1-based rows, case and spaces ignored');
+  assertEqual(groups[0].key.declarationNo, '25DE0001', 'Key: declaration number');
+  assertEqual(groups[0].key.positionNo, '1', 'Key: position number');
+  assertEqual(groups[0].key.hsCode, '8471300000', 'Key: HS code');
+}
+
+{
+  const data = [
+    row(30, { 2: 'ATC001', 5: '1', 28: '61091000' }),
+    row(30, { 2: 'ATC001', 5: '1', 28: '61099000' }),
+    row(30, { 2: 'ATC001', 5: '1', 28: '61091000' }),
+    row(30, { 2: 'ATC001', 5: '1', 28: '61091000' }),
+  ];
+  const groups = findDuplicateRows([], data, 'UPS');
+  assertEqual(groups.length, 1, 'UPS: other HS code is another line');
+  assertEqual(groups[0].rows.join(','), '1,3,4', 'UPS: three copies in one group');
+}
+
+{
+  const headers = [['Registriernummer/MRN', 'PositionNo', 'Warentarifnummer', 'Zollwert']];
+  const data = [
+    ['25DE0001', 1, '8471300000', 100],
+    ['25DE0001', 1, '8471300000', 120],
+    ['25DE0001', 2, '8471300000', 100],
+  ];
+  const groups = findDuplicateRows(headers, data, 'DSV');
+  assertEqual(groups.length, 1, 'DSV: key from the header mapping');
+  assertEqual(groups[0].rows.join(','), '1,2', 'DSV: other values, same line');
+}
+
+{
+  // DHL: no position number — one declaration may list an HS code twice
+  const data = [
+    row(112, { 4: 'MRN1', 110: '8471300000', 20: 10 }),
+    row(112, { 4: 'MRN1', 110: '8471300000', 20: 25 }),
+    row(112, { 4: 'MRN1', 110: '8471300000', 20: 10 }),
+  ];
+  const groups = findDuplicateRows([], data, 'DHL');
+  assertEqual(groups.length, 1, 'DHL: identical rows only');
+  assertEqual(groups[0].rows.join(','), '1,3', 'DHL: differing row not a duplicate');
+  assertEqual(groups[0].key.positionNo, null, 'DHL: no position in the key');
+  assertEqual(findDuplicateRows([], data, 'UNKNOWN').length, 0, 'Unknown broker: nothing found');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Through mergeFiles
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Through mergeFiles ═══');
+
+const HEADER = 'Registriernummer/MRN;PositionNo;Warentarifnummer;Versender Name;Zollwert';
+const JAN = [HEADER, '25DE0001;1;8471300000;ACME;100', '25DE0001;2;8471300000;ACME;1.200,50', '25DE0002;1;61091000;Müller;50', ''].join('\n');
+// Corrected re-send: position 2 again, now with the right value
+const JAN_FIX = [HEADER, '25DE0001;2;8471300000;ACME;1.250,00', '25DE0003;1;61091000;Müller;75', ''].join('\n');
+const csv = (text, name) => new File([text], name, { type: 'text/csv' });
+
+async function merged() {
+  return mergeFiles([csv(JAN, 'dsv_jan.csv'), csv(JAN_FIX, 'dsv_jan_fix.csv')], DSV);
+}
+
+{
+  const result = await merged();
+  const groups = result.stats.duplicates;
+  assertEqual(result.data.length, 5, 'All rows merged');
+  assertEqual(groups.length, 1, 'One duplicate line found');
+  assertEqual(groups[0].rows.join(','), '2,4', 'Rows of the original and the re-send');
+  assertEqual(groups[0].key.positionNo, '2', 'Key from the merged output');
+  const single = await mergeFiles([csv(JAN, 'dsv_jan.csv')], DSV);
+  assertEqual(single.stats.duplicates.length, 0, 'No duplicates in a single clean file');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Resolving duplicates
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Resolving duplicates ═══');
+
+const valueCol = (result) => result.headers[0].indexOf('Zollwert');
+
+{
+  const result = await merged();
+  const v = result.stats.validation;
+  const numberFixes = v.numberFixes;
+  const removedRowFixes = v.issues.filter(i => i.row === 4 && i.type === 'number').length;
+  const lastRowIssues = v.issues.filter(i => i.row === 5).length;
+
+  const removed = resolveDuplicates(result, ['first']);
+  assertEqual(removed, 1, 'Keep first: one row removed');
+  assertEqual(result.data.length, 4, 'Keep first: rows');
+  assertEqual(result.data[1][valueCol(result)], 1200.5, 'Keep first: original value kept');
+  assertEqual(result.provenance.map(p => p.file).join(','), 'dsv_jan.csv,dsv_jan.csv,dsv_jan.csv,dsv_jan_fix.csv', 'Keep first: provenance follows the rows');
+  assertEqual(result.stats.totalRows, 4, 'Keep first: total rows');
+  assertEqual(result.stats.duplicatesRemoved, 1, 'Keep first: removed count');
+  assertEqual(result.stats.duplicates[0].decision, 'first', 'Decision stored on the group');
+  assertEqual(v.numberFixes, numberFixes - removedRowFixes, 'Removed row\'s number fixes no longer counted');
+  assertEqual(v.issues.filter(i => i.row === 4 && i.type !== 'duplicate').length, lastRowIssues, 'Last row\'s issues renumbered');
+
+  const issue = v.issues.find(i => i.type === 'duplicate');
+  assert(issue != null, 'Decision recorded in the report');
+  assertEqual(issue && issue.row, 2, 'Recorded on the kept row');
+  assertEqual(issue && issue.rule, 'duplicate-keep-first', 'Rule names the decision');
+  assertEqual(issue && issue.severity, 'notice', 'Severity: notice');
+  assert(issue && issue.detail.includes('dsv_jan_fix.csv row 2'), 'Detail names the copies\' sources');
+  assertEqual(issue && issue.source.file, 'dsv_jan.csv', 'Source of the kept row');
+  assert(result.stats.validationSummary.includes('1 duplicate line decision(s)'), 'Summary counts the decision');
+}
+
+{
+  const result = await merged();
+  resolveDuplicates(result, ['last']);
+  assertEqual(result.data.length, 4, 'Keep last: rows');
+  assertEqual(result.data.map(r => r[valueCol(result)]).join(','), '100,50,1250,75', 'Keep last: corrected value kept');
+  const issue = result.stats.validation.issues.find(i => i.type === 'duplicate');
+  assertEqual(issue && issue.row, 3, 'Keep last: recorded on the renumbered kept row');
+  assertEqual(issue && issue.rule, 'duplicate-keep-last', 'Keep last: rule');
+}
+
+{
+  const result = await merged();
+  const removed = resolveDuplicates(result, ['all']);
+  assertEqual(removed, 0, 'Keep all: nothing removed');
+  assertEqual(result.data.length, 5, 'Keep all: rows');
+  const issue = result.stats.validation.issues.find(i => i.type === 'duplicate');
+  assertEqual(issue && issue.rule, 'duplicate-keep-all', 'Keep all: still recorded');
+  assertEqual(issue && issue.row, 2, 'Keep all: on the first copy');
+}
+
+{
+  const result = await merged();
+  const total = result.stats.validation.totalIssues;
+  resolveDuplicates(result, []);
+  assertEqual(result.stats.duplicates[0].decision, 'all', 'Missing decision keeps every copy');
+  assertEqual(result.stats.validation.totalIssues, total + 1, 'Decision counted in the total');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,168 @@
+/**
+ * Tests for text encoding detection and mojibake repair
+ * (src/js/encoding.js) and their use in mergeFiles / validateAndFix.
+ *
+ * Covers:
+ *   - detectEncoding / decodeText for UTF-8 (with and without BOM),
+ *     UTF-16, Windows-1252 and ISO-8859-1 bytes
+ *   - repairMojibake on cell values
+ *   - CSV files in each encoding through mergeFiles
+ *   - The validator's mojibake cleanup pass
+ *
+ * Run: node tests/test-encoding.mjs
+ */
+
+import { ENCODING_LABELS, detectEncoding, decodeText, repairMojibake } from '../src/js/encoding.js';
+import { mergeFiles } from '../src/js/engine.js';
+import { validateAndFix, ISSUE_RULES } from '../src/js/validator.js';
+import { BROKERS } from '../src/js/brokers.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const DSV = BROKERS.find(b => b.id === 'DSV');
+// A broker without its own pipeline
+const GENERIC = { id: 'GENERIC', label: 'Generic' };
+
+const utf8 = (s) => new TextEncoder().encode(s);
+const BOM = [0xEF, 0xBB, 0xBF];
+// Single-byte text: every character's code point is its byte, except
+// the Windows-1252 characters listed
+const CP1252 = { '€': 0x80, '„': 0x84, '“': 0x93, '–': 0x96 };
+const singleByte = (s) => Uint8Array.from([...s], ch => CP1252[ch] ?? ch.charCodeAt(0));
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Encoding detection
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Encoding detection ═══');
+
+{
+  assertEqual(detectEncoding(Uint8Array.from([...BOM, ...utf8('Größe')])), 'utf-8-bom', 'UTF-8 with BOM');
+  assertEqual(detectEncoding(utf8('Größe;Müller')), 'utf-8', 'UTF-8 without BOM');
+  assertEqual(detectEncoding(utf8('MRN;Zollwert')), 'utf-8', 'Plain ASCII reads as UTF-8');
+  assertEqual(detectEncoding(singleByte('Preis 12 € – „netto“')), 'windows-1252', 'Windows-1252: € and curly quotes');
+  assertEqual(detectEncoding(singleByte('Größe;Müller')), 'iso-8859-1', 'ISO-8859-1: umlauts only');
+  assertEqual(detectEncoding(utf8('Müller').subarray(0, 2)), 'utf-8', 'UTF-8 cut off mid-character (sampled head)');
+  assertEqual(detectEncoding(Uint8Array.from([0xFF, 0xFE, 0x41, 0x00])), 'utf-16le', 'UTF-16 LE with BOM');
+  assertEqual(detectEncoding(Uint8Array.from([0xFE, 0xFF, 0x00, 0x41])), 'utf-16be', 'UTF-16 BE with BOM');
+  assert(['utf-8-bom', 'utf-8', 'windows-1252', 'iso-8859-1', 'utf-16le', 'utf-16be'].every(e => ENCODING_LABELS[e]), 'Every encoding has a label');
+}
+
+{
+  const bom = decodeText(Uint8Array.from([...BOM, ...utf8('Größe')]));
+  assertEqual(bom.text, 'Größe', 'decodeText: BOM removed');
+  assertEqual(decodeText(utf8('Straße').buffer).text, 'Straße', 'decodeText: ArrayBuffer input');
+  assertEqual(decodeText(singleByte('12 € – „netto“')).text, '12 € – „netto“', 'decodeText: Windows-1252 characters');
+  const latin = decodeText(singleByte('Größe'));
+  assertEqual(latin.text, 'Größe', 'decodeText: ISO-8859-1');
+  assertEqual(latin.encoding, 'iso-8859-1', 'decodeText: reports the encoding');
+  const utf16 = Uint8Array.from([0xFF, 0xFE, ...[...'Größe'].flatMap(ch => [ch.charCodeAt(0), 0])]);
+  assertEqual(decodeText(utf16).text, 'Größe', 'decodeText: UTF-16 LE, BOM removed');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Mojibake repair
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Mojibake repair ═══');
+
+{
+  assertEqual(repairMojibake('MÃ¼ller GmbH'), 'Müller GmbH', 'ü');
+  assertEqual(repairMojibake('SchÃ¤fer & SÃ¶hne'), 'Schäfer & Söhne', 'Several characters in one value');
+  assertEqual(repairMojibake('Preis in â‚¬'), 'Preis in €', '€ (three-byte sequence)');
+  assertEqual(repairMojibake('Müller GmbH'), 'Müller GmbH', 'Correct text unchanged');
+  assertEqual(repairMojibake('Ação Têxtil'), 'Ação Têxtil', 'Genuine ã / â unchanged');
+  assertEqual(repairMojibake(''), '', 'Empty string');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: CSV files through mergeFiles
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: CSV files through mergeFiles ═══');
+
+const HEADER = 'Registriernummer/MRN;Anmeldedatum;Versender Name;Zollwert';
+const csv = (bytes, name) => new File([bytes], name, { type: 'text/csv' });
+
+{
+  const row = '25DE0001;21.01.2025;Müller – „Süd“;100';
+  const merged = await mergeFiles([
+    csv(Uint8Array.from([...BOM, ...utf8(`${HEADER}\n${row}\n`)]), 'bom.csv'),
+    csv(utf8(`${HEADER}\n${row}\n`), 'utf8.csv'),
+    csv(singleByte(`${HEADER}\n${row}\n`), 'cp1252.csv'),
+    csv(singleByte(`${HEADER}\n25DE0002;21.01.2025;Größe AG;100\n`), 'latin1.csv'),
+  ], DSV);
+
+  assertEqual(merged.stats.rowsPerFile.map(f => f.encoding).join(','), 'utf-8-bom,utf-8,windows-1252,iso-8859-1', 'Encoding per file');
+  assertEqual(merged.headers[0][0], 'Registriernummer/MRN', 'BOM not left in the first header');
+  const names = merged.data.map(r => r[merged.headers[0].indexOf('Versender Name')]);
+  assertEqual(names[0], 'Müller – „Süd“', 'UTF-8 with BOM decoded');
+  assertEqual(names[1], 'Müller – „Süd“', 'UTF-8 decoded');
+  assertEqual(names[2], 'Müller – „Süd“', 'Windows-1252 decoded');
+  assertEqual(names[3], 'Größe AG', 'ISO-8859-1 decoded');
+}
+
+{
+  // UTF-8 that was read as Windows-1252 and saved again as UTF-8
+  const merged = await mergeFiles([csv(utf8(`${HEADER}\n25DE0003;21.01.2025;MÃ¼ller GmbH;100\n`), 'double.csv')], DSV);
+  const col = merged.headers[0].indexOf('Versender Name');
+  assertEqual(merged.data[0][col], 'Müller GmbH', 'Double-encoded value repaired');
+  const issue = merged.stats.validation.issues.find(i => i.rule === 'mojibake');
+  assert(issue != null, 'Repair logged');
+  assertEqual(issue && issue.header, 'Versender Name', 'Repair issue labelled with its column');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 4: Validator cleanup pass
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 4: Validator cleanup pass ═══');
+
+{
+  const data = [['MÃ¼ller', 'Berlin', 12], [null, 'KÃ¶ln', 'ok']];
+  const report = validateAndFix(data, GENERIC, [['Name', 'City', 'Value']]);
+  const issues = report.issues.filter(i => i.rule === 'mojibake');
+  assertEqual(data[0][0], 'Müller', 'Cell repaired in place');
+  assertEqual(data[1][1], 'Köln', 'Every cell checked');
+  assertEqual(issues.length, 2, 'One issue per repaired cell');
+  assertEqual(issues[0].type, 'cleanup', 'Issue type: cleanup');
+  assertEqual(issues[0].severity, 'info', 'Issue severity: info');
+  assertEqual(issues[0].before, 'MÃ¼ller', 'Issue: value before');
+  assertEqual(issues[0].after, 'Müller', 'Issue: value after');
+  assertEqual(issues[1].row, 2, 'Issue: 1-based row');
+  assertEqual(issues[1].header, 'City', 'Issue: header name');
+  assertEqual(report.numberFixes, 2, 'Counted as cleanups');
+  assertEqual(report.totalIssues, 2, 'Counted in the total');
+  assert(ISSUE_RULES.mojibake != null, 'Rule has a label');
+}
+
+{
+  const data = [['Müller', 'São Paulo']];
+  const report = validateAndFix(data, GENERIC, [['Name', 'City']]);
+  assertEqual(report.issues.length, 0, 'Clean text: no issues');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
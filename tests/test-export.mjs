@@ -0,0 +1,179 @@
+/**
+ * Tests for the Excel export (src/js/export.js).
+ *
+ * Covers:
+ *   - Structured issue fields the export relies on
+ *   - Cell fills and comments on the Consolidated sheet
+ *   - The "Issues" sheet (column names, before/after, hyperlinks)
+ *   - Provenance column offset and multi-row headers
+ *   - Round trip through a written .xlsx buffer
+ *
+ * Run: node tests/test-export.mjs
+ */
+
+import XLSX from 'xlsx-js-style';
+import { buildExportWorkbook, ISSUE_FILLS } from '../src/js/export.js';
+import { BROKERS } from '../src/js/brokers.js';
+import { validateAndFix } from '../src/js/validator.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const fillOf = (cell) => cell && cell.s && cell.s.fill && cell.s.fill.fgColor.rgb;
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Fills, comments and the Issues sheet
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Fills, comments and the Issues sheet ═══');
+
+{
+  const headers = [['Date', 'Name', 'Freight', 'Weight']];
+  const data = [
+    ['2025-01-01', 'A', 1.5, 10],
+    ['2025-01-02', 'B', 2, 20],
+  ];
+  const issues = [
+    { row: 1, type: 'number', col: 2, before: '1,5', after: '1.5', rule: 'decimal-comma', severity: 'info', detail: 'Col 2: "1,5" → "1.5"' },
+    { row: 2, type: 'date', col: 0, before: 45000, after: '2025-01-02', rule: 'serial-to-date', severity: 'info', detail: 'Col 0: 45000 → "2025-01-02" (serial→date)' },
+    { row: 2, type: 'warning', col: 3, before: 'x', after: null, rule: 'invalid-country', severity: 'warning', detail: 'Weight (col 3) invalid: "x"' },
+    { row: 2, type: 'number', col: 3, before: '2,0', after: '2.0', rule: 'decimal-comma', severity: 'info', detail: 'Col 3: "2,0" → "2.0"' },
+    { row: 1, type: 'warning', col: null, rule: 'invalid-hs-code', severity: 'warning', detail: 'Row-level note without a column' },
+  ];
+  const wb = buildExportWorkbook(headers, data, null, { issues });
+  const ws = wb.Sheets.Consolidated;
+
+  assertEqual(fillOf(ws.C2), ISSUE_FILLS.number, 'C2 filled as number fix');
+  assertEqual(fillOf(ws.A3), ISSUE_FILLS.date, 'A3 filled as date fix');
+  assertEqual(fillOf(ws.D3), ISSUE_FILLS.warning, 'D3: warning outranks number fill');
+  assert(!ws.B2.s || !ws.B2.s.fill, 'Untouched cell has no fill');
+  assert(ws.C2.c && ws.C2.c[0].t.includes('"1,5"'), 'C2 comment holds original value');
+  assert(ws.D3.c[0].t.includes('invalid'), 'D3 comment explains the warning');
+  assertEqual(ws.D3.c[0].t.split('\n').length, 2, 'D3 comment lists both issues');
+
+  assertEqual(wb.SheetNames.join('|'), 'Consolidated|Issues', 'Issues sheet appended');
+  const rows = XLSX.utils.sheet_to_json(wb.Sheets.Issues, { header: 1, defval: null });
+  assertEqual(rows.length, 6, 'Issues sheet: header + one line per issue');
+  assertEqual(rows[0][3], 'Column Name', 'Issues sheet: column name header');
+  assertEqual(rows[1][1], 'C2', 'Issues sheet: cell address');
+  assertEqual(rows[1][3], 'Freight', 'Issues sheet: column name from header');
+  assertEqual(rows[1][6], 'decimal-comma', 'Issues sheet: rule');
+  assertEqual(rows[1][7], 'info', 'Issues sheet: severity');
+  assertEqual(rows[1][8], '1,5', 'Issues sheet: before');
+  assertEqual(rows[1][9], '1.5', 'Issues sheet: after');
+  assertEqual(rows[5][1], null, 'Issues sheet: no cell for column-less issue');
+  assertEqual(wb.Sheets.Issues.B2.l.Target, '#Consolidated!C2', 'Issues sheet: hyperlink to cell');
+  assert(!wb.Sheets.Issues.B6 || !wb.Sheets.Issues.B6.l, 'Issues sheet: no link without a cell');
+}
+
+{
+  // Manual edit fill; a warning on the same cell still wins
+  const issues = [
+    { row: 1, type: 'manual', col: 0, before: 'x', after: 'y', rule: 'manual-edit', severity: 'notice', detail: 'Col 0: "x" → "y" (manual edit)' },
+    { row: 1, type: 'manual', col: 1, before: 'a', after: 'b', rule: 'manual-edit', severity: 'notice', detail: 'Col 1: "a" → "b" (manual edit)' },
+    { row: 1, type: 'warning', col: 1, before: 'b', rule: 'invalid-country', severity: 'warning', detail: 'still invalid' },
+  ];
+  const wb = buildExportWorkbook([['A', 'B']], [['y', 'b']], null, { issues });
+  assertEqual(fillOf(wb.Sheets.Consolidated.A2), ISSUE_FILLS.manual, 'Manual edit filled');
+  assertEqual(fillOf(wb.Sheets.Consolidated.B2), ISSUE_FILLS.warning, 'Warning outranks manual edit');
+  const rows = XLSX.utils.sheet_to_json(wb.Sheets.Issues, { header: 1, defval: null });
+  assertEqual(rows[1][5], 'manual', 'Issues sheet: manual type listed');
+}
+
+{
+  // Re-inserted blank cell: gap fill, a shift on the same cell wins
+  const issues = [
+    { row: 1, type: 'gap', col: 0, before: 'MX', after: null, rule: 'address-gap', severity: 'notice', detail: 'Shipper: -1 missing' },
+    { row: 1, type: 'gap', col: 1, before: 'x', after: null, rule: 'goods-gap', severity: 'notice', detail: 'Goods: -1 missing' },
+    { row: 1, type: 'shift', col: 1, before: 'x', after: 'x y', rule: 'goods-overflow', severity: 'notice', detail: 'Goods: +1' },
+  ];
+  const wb = buildExportWorkbook([['A', 'B']], [[null, 'x y']], null, { issues });
+  assertEqual(fillOf(wb.Sheets.Consolidated.A2), ISSUE_FILLS.gap, 'Gap fill on an empty cell');
+  assertEqual(fillOf(wb.Sheets.Consolidated.B2), ISSUE_FILLS.shift, 'Shift outranks gap');
+}
+
+{
+  // No issues → plain export, no Issues sheet
+  const wb = buildExportWorkbook([['A']], [[1]], null, { issues: [] });
+  assertEqual(wb.SheetNames.join('|'), 'Consolidated', 'No issues: single sheet');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Offsets (provenance, multi-row header)
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Offsets ═══');
+
+{
+  const headers = [['Name', 'Freight'], ['sub', 'sub']];   // DHL-style 2 header rows
+  const data = [['A', 1.5]];
+  const issues = [{
+    row: 1, type: 'number', col: 1, before: '1,5', after: '1.5', rule: 'decimal-comma',
+    detail: 'Col 1: "1,5" → "1.5"', source: { file: 'dhl.xlsx', sheet: 'S1', row: 3 },
+  }];
+  const wb = buildExportWorkbook(headers, data, null, {
+    issues,
+    provenance: [{ file: 'dhl.xlsx', sheet: 'S1', row: 3 }],
+  });
+  const ws = wb.Sheets.Consolidated;
+  assertEqual(ws.D1.v, 'Name', 'Provenance: data columns start at D');
+  assertEqual(fillOf(ws.E3), ISSUE_FILLS.number, 'Provenance + 2 header rows: fill on E3');
+  const rows = XLSX.utils.sheet_to_json(wb.Sheets.Issues, { header: 1, defval: null });
+  assertEqual(rows[1][1], 'E3', 'Issues sheet: shifted address');
+  assertEqual(rows[1][11], 'dhl.xlsx', 'Issues sheet: source file');
+  assertEqual(rows[1][13], 3, 'Issues sheet: source row');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Real validator output + round trip
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Validator output & round trip ═══');
+
+{
+  const dhl = BROKERS.find(b => b.id === 'DHL');
+  const row = new Array(137).fill(null);
+  row[0] = '2025-01-01';
+  row[33] = '1,5';
+  row[110] = '12345678';
+  row[111] = 'CN';
+  row[113] = '4000';
+  const headers = [new Array(137).fill(null).map((_, i) => `H${i}`)];
+  const data = [row];
+  const report = validateAndFix(data, dhl, headers);
+  assert(report.issues.some(i => i.type === 'number'), 'DHL: number fix reported');
+
+  const wb = buildExportWorkbook(headers, data, null, { issues: report.issues });
+  const buf = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+  const back = XLSX.read(buf, { type: 'buffer', cellStyles: true });
+  const cell = back.Sheets.Consolidated.AH2;          // col 33
+  assertEqual(cell.v, 1.5, 'Round trip: fixed value written');
+  assert(cell.c && cell.c[0].t.includes('1,5'), 'Round trip: comment survives');
+  assertEqual(back.Sheets.Issues.D2.v, 'H33', 'Round trip: Issues sheet column name');
+  assertEqual(back.Sheets.Issues.B2.l.Target, '#Consolidated!AH2', 'Round trip: hyperlink survives');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,202 @@
+/**
+ * Tests for file format detection and the fixed-width parser
+ * (src/js/formats.js), and the formats through mergeFiles.
+ *
+ * Covers:
+ *   - Magic-byte detection of workbook formats, text and foreign files,
+ *     independent of the file extension
+ *   - Delimited vs fixed-width text, inferred and declared widths
+ *   - XLSB / ODS / SpreadsheetML / XLS / fixed-width TXT merged through
+ *     mergeFiles; unsupported files in stats.skippedFiles
+ *   - Broker detection on fixed-width and unsupported files
+ *
+ * Run: node tests/test-formats.mjs
+ */
+
+import * as XLSX from 'xlsx';
+import {
+  FORMAT_LABELS, WORKBOOK_FORMATS, detectFileFormat, textLayout, inferFixedWidths, parseFixedWidth,
+} from '../src/js/formats.js';
+import { mergeFiles } from '../src/js/engine.js';
+import { parseBrokerDefinitions } from '../src/js/broker-defs.js';
+import { detectFileBroker } from '../src/js/detector.js';
+import { BROKERS } from '../src/js/brokers.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const DSV = BROKERS.find(b => b.id === 'DSV');
+
+const HEADER = ['Registriernummer/MRN', 'Anmeldedatum', 'Versender Name', 'Zollwert'];
+const ROWS = [['25DE0001', '21.01.2025', 'ACME', '100'], ['25DE0002', '22.01.2025', 'Müller GmbH', '200']];
+
+function workbookFile(bookType, name) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([HEADER, ...ROWS]), 'Export');
+  return new File([XLSX.write(wb, { type: 'array', bookType })], name);
+}
+
+// A customs system's fixed-width export: header line, two declarations
+const FIXED = [
+  'MRN         Datum       Versender           Zollwert',
+  '25DE0001    21.01.2025  ACME Ltd               100,00',
+  '25DE0002    22.01.2025  Müller GmbH          1.200,50',
+  '',
+].join('\n');
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Magic-byte detection
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Magic-byte detection ═══');
+
+{
+  const cases = [
+    ['xlsx', 'xlsx'], ['xlsb', 'xlsb'], ['ods', 'ods'], ['fods', 'fods'],
+    ['xlml', 'spreadsheetml'], ['biff8', 'xls'], ['html', 'html'],
+  ];
+  for (const [bookType, format] of cases) {
+    const det = await detectFileFormat(workbookFile(bookType, 'report.bin'));
+    assertEqual(det.format, format, `${bookType} → ${format}`);
+  }
+  assert(WORKBOOK_FORMATS.every(f => FORMAT_LABELS[f]), 'Every workbook format has a label');
+}
+
+{
+  const mislabelled = await detectFileFormat(workbookFile('xlsx', 'report.csv'));
+  assertEqual(mislabelled.format, 'xlsx', 'Content wins over the ".csv" extension');
+  const csv = await detectFileFormat(new File([`${HEADER.join(';')}\n${ROWS[0].join(';')}\n`], 'report.xlsx'));
+  assertEqual(csv.format, 'csv', 'Delimited text named ".xlsx" read as CSV');
+  assertEqual((await detectFileFormat(new File([FIXED], 'export.txt'))).format, 'fixed-width', 'Fixed-width text');
+}
+
+{
+  const pdf = await detectFileFormat(new File(['%PDF-1.4 ...'], 'report.xlsx'));
+  assertEqual(pdf.supported, false, 'PDF: unsupported');
+  assertEqual(pdf.label, 'PDF document', 'PDF: named');
+  const png = await detectFileFormat(new File([Uint8Array.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A])], 'logo.xls'));
+  assertEqual(png.label, 'PNG image', 'PNG: named');
+  const binary = await detectFileFormat(new File([Uint8Array.from([0x01, 0x00, 0x02, 0x00, 0x41])], 'data.xls'));
+  assertEqual(binary.label, 'unknown binary file', 'Binary with NUL bytes');
+  assertEqual((await detectFileFormat(new File([], 'empty.csv'))).label, 'empty file', 'Empty file');
+  const xml = await detectFileFormat(new File(['<?xml version="1.0"?><invoice><total>1</total></invoice>'], 'inv.xml'));
+  assertEqual(xml.label, 'XML file (not a spreadsheet)', 'Other XML: unsupported');
+  const prose = await detectFileFormat(new File(['Monthly report attached.\n'], 'readme.txt'));
+  assertEqual(prose.label, 'text file without columns', 'Prose text: unsupported');
+}
+
+{
+  // Excel "Unicode text": UTF-16 LE, tab-delimited
+  const text = `${HEADER.join('\t')}\r\n${ROWS[0].join('\t')}\r\n`;
+  const bytes = Uint8Array.from([0xFF, 0xFE, ...[...text].flatMap(ch => [ch.charCodeAt(0) & 0xFF, ch.charCodeAt(0) >> 8])]);
+  assertEqual((await detectFileFormat(new File([bytes], 'unicode.txt'))).format, 'csv', 'UTF-16 tab-delimited text');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Delimited and fixed-width text
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Delimited and fixed-width text ═══');
+
+{
+  assertEqual(textLayout('a;b;c\n1;"x;y";3\n'), 'csv', 'Semicolons: CSV');
+  assertEqual(textLayout('A\tB\n1\t2\n'), 'csv', 'Tabs: CSV');
+  assertEqual(textLayout('"Name, Inc";1\n"Other";2\n'), 'csv', 'Quoted values ignored');
+  assertEqual(textLayout(FIXED), 'fixed-width', 'Gutters: fixed-width');
+  assertEqual(textLayout('ABC  100,00\nDEF  200,00\n', { fixedWidth: {} }), 'fixed-width', 'Declared layout: decimal commas are not delimiters');
+  assertEqual(textLayout('just one line'), null, 'No columns');
+}
+
+{
+  const widths = inferFixedWidths(FIXED.split('\n'));
+  assertEqual(widths.join(','), '12,12,20,9', 'Inferred widths');
+  const rows = parseFixedWidth(FIXED);
+  assertEqual(rows.length, 3, 'One row per line, trailing newline dropped');
+  assertEqual(rows[0].join('|'), 'MRN|Datum|Versender|Zollwert', 'Header cells trimmed');
+  assertEqual(rows[2][2], 'Müller GmbH', 'Value with a space kept whole');
+  assertEqual(rows[2][3], '1.200,50', 'Right-aligned number');
+
+  const declared = parseFixedWidth('AB12345XYZ\nCD67890UVWextra\n', [2, 5, 3]);
+  assertEqual(declared[0].join('|'), 'AB|12345|XYZ', 'Declared widths');
+  assertEqual(declared[1][2], 'UVWextra', 'Last column takes the rest of the line');
+  assertEqual(parseFixedWidth('A  B\n\nC  D\n')[1].length, 0, 'Blank line → empty row');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Through mergeFiles
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Through mergeFiles ═══');
+
+{
+  const merged = await mergeFiles([
+    workbookFile('xlsb', 'dsv_jan.xlsb'),
+    workbookFile('ods', 'dsv_feb.ods'),
+    workbookFile('xlml', 'dsv_mar.xml'),
+    workbookFile('biff8', 'dsv_apr.xls'),
+    new File(['%PDF-1.4'], 'invoice.xlsx'),
+  ], DSV);
+  assertEqual(merged.stats.rowsPerFile.map(f => f.format).join(','), 'xlsb,ods,spreadsheetml,xls', 'Format per file');
+  assertEqual(merged.data.length, 8, 'Rows from every workbook format');
+  assertEqual(merged.stats.skippedFiles.length, 1, 'Unsupported file skipped');
+  assertEqual(merged.stats.skippedFiles[0].name, 'invoice.xlsx', 'Skipped: file name');
+  assertEqual(merged.stats.skippedFiles[0].error, 'Unsupported file format: PDF document', 'Skipped: clear error');
+}
+
+{
+  const { brokers, errors } = parseBrokerDefinitions({
+    id: 'ZOLLSYS', label: 'Zoll System', headerRows: 1, dataStartRow: 1,
+    fixedWidth: { widths: [12, 12, 20, 9] },
+    fields: { declarationNo: ['MRN'], customsValue: ['Zollwert'] },
+  });
+  assertEqual(errors.length, 0, 'Definition with fixedWidth passes the schema');
+  const broker = brokers[0];
+  assertEqual(broker.fixedWidth.widths.length, 4, 'Compiled broker keeps the widths');
+
+  const merged = await mergeFiles([new File([FIXED], 'zoll_2025_01.txt')], broker);
+  assertEqual(merged.stats.rowsPerFile[0].format, 'fixed-width', 'TXT read as fixed-width');
+  assertEqual(merged.headers[0].join('|'), 'MRN|Datum|Versender|Zollwert', 'Header from the first line');
+  assertEqual(merged.data[1][2], 'Müller GmbH', 'Cells cut at the declared widths');
+  assertEqual(merged.data[1][3], 1200.5, 'Validator types the fixed-width number');
+
+  const bad = parseBrokerDefinitions({ id: 'X', label: 'X', headerRows: 1, dataStartRow: 1, fixedWidth: { widths: [0] } });
+  assert(bad.errors.some(e => e.includes('fixedWidth.widths[0]')), 'Schema: widths must be positive');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 4: Broker detection
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 4: Broker detection ═══');
+
+{
+  const det = await detectFileBroker(new File(['%PDF-1.4'], 'report.xlsx'));
+  assertEqual(det.broker, null, 'Unsupported file: no broker');
+  assertEqual(det.error, 'Unsupported file format: PDF document', 'Unsupported file: reason kept');
+  const ods = await detectFileBroker(workbookFile('ods', 'report.ods'));
+  assertEqual(ods.broker && ods.broker.id, 'DSV', 'ODS fingerprinted');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
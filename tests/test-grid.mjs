@@ -0,0 +1,125 @@
+/**
+ * Tests for the data grid view logic (src/js/grid.js).
+ *
+ * Covers the pure part of the grid — filtering, global search,
+ * sorting and column type detection — including a 100k-row pass.
+ *
+ * Run: node tests/test-grid.mjs
+ */
+
+import { applyGridView, parseNumberFilter, detectColumnType, toNumber } from '../src/js/grid.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const columnsOf = (data, width) =>
+  Array.from({ length: width }, (_, c) => ({ label: `C${c}`, get: (i) => data[i][c] }));
+
+const data = [
+  ['Alpha GmbH', 120.5, '05.03.2025', 'CN'],
+  ['beta ltd', 7, '12.01.2025', 'US'],
+  ['Gamma', null, '01.02.2024', 'CN'],
+  ['delta', '45', null, 'DE'],
+  ['Epsilon', -3, '31.12.2025', null],
+];
+const cols = columnsOf(data, 4);
+const view = (state) => applyGridView(data.length, cols, state).join(',');
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Number filter expressions
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Number filter expressions ═══');
+
+{
+  assert(parseNumberFilter('100')(100), 'Plain number: equality');
+  assert(!parseNumberFilter('100')(101), 'Plain number: mismatch');
+  assert(parseNumberFilter('>100')(100.5), '> operator');
+  assert(parseNumberFilter('<= 5')(5), '<= operator with space');
+  assert(parseNumberFilter('!=0')(3), '!= operator');
+  assert(parseNumberFilter('10..20')(15), 'Range inclusive');
+  assert(parseNumberFilter('20..10')(10), 'Reversed range is normalised');
+  assert(parseNumberFilter('>1,5')(2), 'Comma decimal accepted');
+  assertEqual(parseNumberFilter('abc'), null, 'Text is not a number expression');
+  assertEqual(toNumber(' 42 '), 42, 'toNumber: numeric string');
+  assertEqual(toNumber('1,5'), null, 'toNumber: comma decimals are text (already normalised by validator)');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Filters, search, sort
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Filters, search, sort ═══');
+
+{
+  assertEqual(view({}), '0,1,2,3,4', 'No state: original order');
+  assertEqual(view({ filters: { 0: { type: 'text', text: 'GMBH' } } }), '0', 'Text filter is case-insensitive');
+  assertEqual(view({ filters: { 1: { type: 'number', text: '>5' } } }), '0,1,3', 'Number filter (numeric strings count)');
+  assertEqual(view({ filters: { 1: { type: 'number', text: '-5..10' } } }), '1,4', 'Range filter');
+  assertEqual(view({ filters: { 1: { type: 'number', text: '12' } } }), '', 'Number filter: exact value');
+  assertEqual(view({ filters: { 1: { type: 'number', text: '120.' } } }), '0', 'Unparsable number filter falls back to contains');
+  assertEqual(view({ filters: { 3: { type: 'text', text: 'cn' } }, search: 'gamma' }), '2', 'Filters and search combine');
+  assertEqual(view({ search: 'cn' }), '0,2', 'Search across columns');
+  assertEqual(view({ search: 'cn', hidden: new Set([3]) }), '', 'Search skips hidden columns');
+  assertEqual(view({ filters: { 0: { type: 'text', text: '   ' } } }), '0,1,2,3,4', 'Blank filter ignored');
+
+  assertEqual(view({ sort: { col: 1, dir: 1 } }), '4,1,3,0,2', 'Numeric sort ascending, empty last');
+  assertEqual(view({ sort: { col: 1, dir: -1 } }), '0,3,1,4,2', 'Numeric sort descending, empty still last');
+  assertEqual(view({ sort: { col: 2, dir: 1 } }), '2,1,0,4,3', 'DD.MM.YYYY dates sort chronologically');
+  assertEqual(view({ sort: { col: 0, dir: 1 } }), '0,1,3,4,2', 'Text sort ignores case');
+  assertEqual(view({ sort: { col: 3, dir: 1 }, filters: { 0: { type: 'text', text: 'a' } } }), '0,2,3,1', 'Sort after filter, stable');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Column types and 100k rows
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Column types & large data ═══');
+
+{
+  assertEqual(detectColumnType(cols[1], data.length), 'number', 'Mostly numeric column → number');
+  assertEqual(detectColumnType(cols[0], data.length), 'text', 'Text column → text');
+  assertEqual(detectColumnType({ get: () => null }, 10), 'text', 'Empty column → text');
+}
+
+{
+  const N = 100000;
+  const big = Array.from({ length: N }, (_, i) => [`Company ${i}`, (i * 7919) % 1000, i % 3 === 0 ? 'CN' : 'US']);
+  const bigCols = columnsOf(big, 3);
+
+  const t0 = Date.now();
+  const rows = applyGridView(N, bigCols, {
+    filters: { 1: { type: 'number', text: '>=500' }, 2: { type: 'text', text: 'cn' } },
+    sort: { col: 1, dir: -1 },
+  });
+  const ms = Date.now() - t0;
+  const expected = big.filter(r => r[1] >= 500 && r[2] === 'CN').length;
+  assertEqual(rows.length, expected, `100k rows: filtered count (${ms} ms)`);
+  assert(rows.every((r, k) => k === 0 || big[rows[k - 1]][1] >= big[r][1]), '100k rows: sorted descending');
+  assertEqual(applyGridView(N, bigCols, { search: 'company 99999' }).length, 1, '100k rows: global search');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
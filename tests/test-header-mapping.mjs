@@ -0,0 +1,268 @@
+/**
+ * Tests for the unmatched-header mapping (src/js/header-mapping.js) and
+ * its use in mergeFiles().
+ *
+ * Covers:
+ *   - Header name normalisation and similarity
+ *   - Value shapes, profiles and profile similarity
+ *   - buildUnifiedHeader `appended` positions
+ *   - findUnmatchedHeaders candidates and ranking
+ *   - mergeFiles stopOnUnmatched / userSynonyms with DSV exports
+ *   - Fuzzy matching: mojibake repair, normalised keys, edit distance,
+ *     buildColumnMapping pass 3 and stats.fuzzyHeaderMatches
+ *
+ * Run: node tests/test-header-mapping.mjs
+ */
+
+import * as XLSX from 'xlsx';
+import {
+  normalizeHeaderName, headerSimilarity, valueShape, valueProfile, profileSimilarity,
+  findUnmatchedHeaders, SUGGEST_THRESHOLD, headerKey, editDistance, matchHeaderFuzzy,
+} from '../src/js/header-mapping.js';
+import { repairMojibake } from '../src/js/encoding.js';
+import { buildUnifiedHeader, buildColumnMapping, mergeFiles } from '../src/js/engine.js';
+import { BROKERS } from '../src/js/brokers.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const DSV = BROKERS.find(b => b.id === 'DSV');
+
+// Newest export (widest) and an older one that renamed two columns
+const NEW_HEADER = ['Registriernummer/MRN', 'Anmeldedatum', 'CN Name', 'Warentarifnummer', 'Rohmasse', 'Zollwert', 'Ursprungsland'];
+const OLD_HEADER = ['Registriernummer/MRN', 'Anmeldedatum', 'Empfaenger Firma', 'Warentarifnummer', 'Bruttomasse', 'Zollwert'];
+
+const NEW_ROWS = [
+  ['25DE0001', '21.01.2025', 'ACME GMBH', '85122000900', '120,5', '1500', 'CN'],
+  ['25DE0002', '22.01.2025', 'BETA AG', '87089997900', '80', '820', 'MX'],
+];
+const OLD_ROWS = [
+  ['24DE0101', '03.12.2024', 'GAMMA KG', '85122000900', '95,25', '1000'],
+  ['24DE0102', '04.12.2024', 'DELTA GMBH', '73181595900', '12', '55'],
+];
+
+const part = (name, hRow, data) => ({ name, hRow, headers: [hRow], data });
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Name similarity
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Name similarity ═══');
+
+{
+  assertEqual(normalizeHeaderName(' Empfänger-Name '), 'empfaenger name', 'Normalise: umlaut, punctuation, case');
+  assertEqual(normalizeHeaderName('Café'), 'cafe', 'Normalise: accents dropped');
+  assertEqual(normalizeHeaderName(null), '', 'Normalise: null');
+  assertEqual(headerSimilarity('Empfänger Name', 'Empfaenger-Name'), 1, 'Similarity: same after normalising');
+  assert(headerSimilarity('Bruttomasse', 'Rohmasse') > headerSimilarity('Bruttomasse', 'Zollwert'), 'Similarity: shared word part ranks higher');
+  assert(headerSimilarity('CN Name', 'Empfänger Name') >= 1 / 3, 'Similarity: shared word counts');
+  assertEqual(headerSimilarity('', 'Zollwert'), 0, 'Similarity: empty name → 0');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Value profiles
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Value profiles ═══');
+
+{
+  assertEqual(valueShape('21.01.2025'), 'date', 'Shape: date');
+  assertEqual(valueShape('1500'), 'integer', 'Shape: integer text');
+  assertEqual(valueShape(12.5), 'decimal', 'Shape: decimal number');
+  assertEqual(valueShape('1.234,56'), 'decimal', 'Shape: grouped decimal');
+  assertEqual(valueShape('EUR'), 'code', 'Shape: code');
+  assertEqual(valueShape('ACME GMBH'), 'text', 'Shape: text');
+  assertEqual(valueShape(''), null, 'Shape: empty');
+
+  const weights = valueProfile(['120,5', '80', null, '']);
+  assertEqual(weights.shapes.decimal, 0.5, 'Profile: shares of non-empty values');
+  assertEqual(valueProfile([null, '']), null, 'Profile: all empty → null');
+
+  const names = valueProfile(['ACME GMBH', 'BETA AG']);
+  assertEqual(profileSimilarity(weights, weights), 1, 'Profile similarity: identical → 1');
+  assertEqual(profileSimilarity(weights, names), 0, 'Profile similarity: numbers vs text → 0');
+  assertEqual(profileSimilarity(weights, null), 0, 'Profile similarity: missing profile → 0');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Unmatched headers
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Unmatched headers ═══');
+
+{
+  const parts = [part('new.csv', NEW_HEADER, NEW_ROWS), part('old.csv', OLD_HEADER, OLD_ROWS)];
+  const { unified, appended } = buildUnifiedHeader(parts, DSV);
+  assertEqual(unified.length, 9, 'Unified: two renamed columns appended');
+  assertEqual(appended.join(','), '7,8', 'Unified: appended positions');
+
+  const unmatched = findUnmatchedHeaders(parts, unified, appended, {});
+  assertEqual(unmatched.length, 2, 'Both renamed headers reported');
+  const [consignee, weight] = unmatched;
+  assertEqual(consignee.header, 'Empfaenger Firma', 'Unmatched header name');
+  assertEqual(consignee.files.join(','), 'old.csv', 'Unmatched header: file it came from');
+  assertEqual(consignee.samples.join(','), 'GAMMA KG,DELTA GMBH', 'Unmatched header: sample values');
+  assertEqual(consignee.candidates[0].header, 'CN Name', 'Consignee: text column ranked first');
+  assertEqual(weight.candidates[0].header, 'Rohmasse', 'Weight: name + decimal values ranked first');
+  assert(weight.candidates[0].score >= SUGGEST_THRESHOLD, 'Weight: best candidate is preselected');
+  assert(!weight.candidates.some(c => c.header === 'Zollwert'), 'Columns the file already fills are not candidates');
+  assert(weight.candidates.some(c => c.header === 'Ursprungsland'), 'Columns the file lacks are candidates');
+  assert(weight.candidates.every((c, i, a) => i === 0 || a[i - 1].score >= c.score), 'Candidates sorted by score');
+  assert(weight.candidates[0].valueScore > 0.9, 'Value score from both columns');
+}
+
+{
+  const parts = [part('new.csv', NEW_HEADER, NEW_ROWS), part('old.csv', OLD_HEADER, OLD_ROWS)];
+  const synonyms = { 'Empfaenger Firma': 'CN Name', 'Bruttomasse': 'Bruttomasse' };
+  const { unified, appended } = buildUnifiedHeader(parts, DSV, synonyms);
+  assertEqual(unified.length, 8, 'Synonym: mapped column no longer appended');
+  assertEqual(findUnmatchedHeaders(parts, unified, appended, synonyms).length, 0, 'Name mapped to itself: kept as new column, not reported');
+}
+
+{
+  const parts = [part('a.csv', ['A', 'B'], [['1', 'x']]), part('b.csv', ['A', 'B'], [['2', 'y']])];
+  const { unified, appended } = buildUnifiedHeader(parts, DSV);
+  assertEqual(findUnmatchedHeaders(parts, unified, appended).length, 0, 'Same headers: nothing unmatched');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 4: mergeFiles
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 4: mergeFiles ═══');
+
+function xlsxFile(header, rows, name) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([header, ...rows]), 'Export');
+  return new File([XLSX.write(wb, { type: 'array', bookType: 'xlsx' })], name);
+}
+const files = () => [xlsxFile(NEW_HEADER, NEW_ROWS, 'dsv_2025_01.xlsx'), xlsxFile(OLD_HEADER, OLD_ROWS, 'dsv_2024_12.xlsx')];
+
+{
+  const stopped = await mergeFiles(files(), DSV, null, { stopOnUnmatched: true });
+  assertEqual(stopped.unmatchedHeaders.length, 2, 'stopOnUnmatched: merge stops with the unmatched headers');
+  assertEqual(stopped.data.length, 0, 'stopOnUnmatched: no data returned');
+  assertEqual(stopped.unmatchedHeaders[0].files[0], 'dsv_2024_12.xlsx', 'stopOnUnmatched: file names carried');
+
+  const plain = await mergeFiles(files(), DSV);
+  assertEqual(plain.unmatchedHeaders, undefined, 'Without the option: no stop');
+  assertEqual(plain.headers[0].length, 9, 'Without the option: renamed columns appended');
+
+  const userSynonyms = { 'Empfaenger Firma': 'CN Name', 'Bruttomasse': 'Rohmasse' };
+  const mapped = await mergeFiles(files(), DSV, null, { stopOnUnmatched: true, userSynonyms });
+  assertEqual(mapped.unmatchedHeaders, undefined, 'userSynonyms: merge completes');
+  assertEqual(mapped.headers[0].length, 7, 'userSynonyms: no extra columns');
+  assertEqual(mapped.data[2][2], 'GAMMA KG', 'userSynonyms: old values land in the mapped column');
+  assertEqual(mapped.data.length, 4, 'userSynonyms: all rows merged');
+  assertEqual(DSV.headerSynonyms['Empfaenger Firma'], undefined, 'userSynonyms: broker config not modified');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 5: Fuzzy matching
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 5: Fuzzy matching ═══');
+
+{
+  assertEqual(repairMojibake('GeschÃ¤ftsart'), 'Geschäftsart', 'Mojibake: UTF-8 read as Windows-1252');
+  assertEqual(repairMojibake('Geschã¤ftsart'), 'Geschäftsart', 'Mojibake: lower-cased variant');
+  assertEqual(repairMojibake('Anzahlpackstã¼cke'), 'Anzahlpackstücke', 'Mojibake: ü');
+  assertEqual(repairMojibake('StraÃŸe'), 'Straße', 'Mojibake: ß from a Windows-1252 byte');
+  assertEqual(repairMojibake('São Paulo'), 'São Paulo', 'Mojibake: genuine text unchanged');
+  assertEqual(repairMojibake('Ãberlassungsdatum'), 'Ãberlassungsdatum', 'Mojibake: lost byte left alone');
+  assertEqual(headerKey('Invoice value \n'), 'invoicevalue', 'Key: whitespace and line break folded');
+  assertEqual(headerKey('Ware\u0301'), headerKey('Waré'), 'Key: NFC composition');
+  assertEqual(headerKey('ANZAHL Packstücke'), headerKey('AnzahlPackstuecke'), 'Key: case and umlaut transliteration');
+  assertEqual(editDistance('kitten', 'sitting'), 3, 'Edit distance');
+  assertEqual(editDistance('', 'abc'), 3, 'Edit distance: empty string');
+}
+
+{
+  const c = (...names) => names.map((name, index) => ({ name, index }));
+  const byKey = matchHeaderFuzzy('Geschã¤ftsart', c('Verfahren', 'Geschäftsart'));
+  assertEqual(byKey.index, 1, 'Match: mojibake header → clean header');
+  assertEqual(byKey.method, 'normalized', 'Match: reported as normalised');
+
+  const edit = matchHeaderFuzzy('Ãberlassungsdatum', c('Überlassungsdatum', 'Annahmedatum'));
+  assertEqual(edit.name, 'Überlassungsdatum', 'Match: damaged header by edit distance');
+  assertEqual(edit.method, 'edit-distance', 'Match: reported as edit distance');
+  assertEqual(edit.distance, 2, 'Match: distance recorded');
+
+  const syn = matchHeaderFuzzy('Invoice value', c('Zollwert', 'Rechnungsbetrag'), { 'Invoice value \n': 'Rechnungsbetrag' });
+  assertEqual(syn.name, 'Rechnungsbetrag', 'Match: synonym source compared by key');
+  assertEqual(syn.method, 'synonym', 'Match: reported as synonym');
+
+  assertEqual(matchHeaderFuzzy('CX Ländercode', c('DT Ländercode')), null, 'No match: short codes differ on purpose');
+  assertEqual(matchHeaderFuzzy('Rechnungsbetrag1', c('Rechnungsbetrag2', 'Rechnungsbetrag3')), null, 'No match: tie is ambiguous');
+  assertEqual(matchHeaderFuzzy('Zollwert', c('Rohmasse')), null, 'No match: different header');
+}
+
+{
+  const unified = ['Registriernummer/MRN', 'Geschäftsart', 'Überlassungsdatum', 'Rohmasse'];
+  const file = ['Registriernummer/MRN', 'Geschã¤ftsart', 'Ãberlassungsdatum', 'Gross Mass (in kg)'];
+  const { mapping, fuzzy } = buildColumnMapping(file, unified, { 'Gross Mass (in kg) ': 'Rohmasse' }, []);
+  assertEqual(mapping.join(','), '0,1,2,3', 'buildColumnMapping: every column aligned');
+  assertEqual(fuzzy.length, 3, 'buildColumnMapping: three fuzzy matches reported');
+  assertEqual(fuzzy.map(m => m.method).join(','), 'normalized,edit-distance,synonym', 'buildColumnMapping: match methods');
+  assertEqual(buildColumnMapping(unified, unified, {}, []).fuzzy.length, 0, 'buildColumnMapping: exact headers not fuzzy');
+
+  const parts = [part('new.xlsx', unified, []), part('old.xlsx', file, [])];
+  const { appended } = buildUnifiedHeader(parts, DSV, { 'Gross Mass (in kg) ': 'Rohmasse' });
+  assertEqual(appended.length, 0, 'buildUnifiedHeader: fuzzy-matched headers not appended');
+}
+
+{
+  // Two near-identical headers in one file: the exact match claims the
+  // column, the other one is new rather than silently dropped
+  const A = ['Anmeldedatum', 'Rechnungsbetrag', 'Zollwert', 'Extra'];
+  const B = ['Anmeldedatum', 'Rechnungsbetrag', 'Rechnungsbeträge'];
+  const { unified, appended } = buildUnifiedHeader([part('a.xlsx', A, []), part('b.xlsx', B, [])], DSV, {});
+  assertEqual(appended.join(','), '4', 'buildUnifiedHeader: claimed column not fuzzy-matched again');
+  assertEqual(unified[4], 'Rechnungsbeträge', 'buildUnifiedHeader: near-identical header appended');
+  const { mapping, fuzzy } = buildColumnMapping(B, unified, {}, []);
+  assertEqual(mapping.join(','), '0,1,4', 'buildColumnMapping: every column of the file kept');
+  assertEqual(fuzzy.length, 0, 'buildColumnMapping: no fuzzy match reported');
+
+  const unmatched = findUnmatchedHeaders([part('a.xlsx', A, []), part('b.xlsx', B, [])], unified, appended);
+  assertEqual(unmatched.map(u => u.header).join(','), 'Rechnungsbeträge', 'findUnmatchedHeaders: offered in the mapping dialog');
+}
+
+{
+  const NEW = ['Registriernummer/MRN', 'Geschäftsart', 'Überlassungsdatum', 'Zollwert'];
+  const OLD = ['Registriernummer/MRN', 'Geschã¤ftsart', 'Ãberlassungsdatum'];
+  const result = await mergeFiles([
+    xlsxFile(NEW, [['25DE0001', '11', '21.01.2025', '1500']], 'dsv_new.xlsx'),
+    xlsxFile(OLD, [['24DE0101', '11', '03.12.2024']], 'dsv_old.xlsx'),
+  ], DSV, null, { stopOnUnmatched: true });
+  assertEqual(result.unmatchedHeaders, undefined, 'mergeFiles: fuzzy matches do not stop the merge');
+  assertEqual(result.headers[0].length, 4, 'mergeFiles: no duplicate columns');
+  assertEqual(result.data[1][2], '03.12.2024', 'mergeFiles: value in the matched column');
+  const log = result.stats.fuzzyHeaderMatches;
+  assertEqual(log.length, 2, 'Stats: fuzzy matches listed');
+  assertEqual(log[0].file, 'dsv_old.xlsx', 'Stats: file recorded');
+  assertEqual(log[0].header, 'Geschã¤ftsart', 'Stats: original header recorded');
+  assertEqual(log[0].matched, 'Geschäftsart', 'Stats: matched header recorded');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
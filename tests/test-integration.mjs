@@ -10,13 +10,21 @@
  *   - reportSummary
  *   - All brokers' validation pipelines
  *   - Edge cases and regression tests
+ *   - mergeFiles progress events and cancellation
+ *   - Row provenance (source file / sheet / row)
+ *   - Structured issue fields (col, header, before, after, rule, severity, zone)
+ *   - Header row auto-detection in extractParts and the merge stats
+ *   - Multi-sheet workbooks: candidate sheets and one part per chosen sheet
  *
  * Run: node tests/test-integration.mjs
  */
 
+import * as XLSX from 'xlsx';
 import { BROKERS } from '../src/js/brokers.js';
-import { extractParts } from '../src/js/engine.js';
-import { validateAndFix, reportSummary } from '../src/js/validator.js';
+import {
+  extractParts, mergeFiles, parseFileDetailed, listSheets, withProvenanceColumns, PROVENANCE_HEADERS,
+} from '../src/js/engine.js';
+import { validateAndFix, reportSummary, ISSUE_RULES } from '../src/js/validator.js';
 
 let passed = 0;
 let failed = 0;
@@ -223,14 +231,13 @@ console.log('\n═══ TEST GROUP 4: Validator Dispatch — Correct Pipeline 
 }
 
 {
-  // KN/SCHENKER use generic handler — only leading comma/dot fix
+  // KN/SCHENKER run the header-layout pipeline — full comma→dot on every cell
   const kn = BROKERS.find(b => b.id === 'KN');
   const row = [',5', '.7', '123,45', 'text'];
   const r = validateAndFix([row], kn);
   assertEqual(row[0], '0.5', 'KN: leading comma fixed');
   assertEqual(row[1], '0.7', 'KN: leading dot fixed');
-  // Generic handler does NOT do full comma→dot — only leading comma/dot
-  assertEqual(row[2], '123,45', 'KN: non-leading comma untouched');
+  assertEqual(row[2], '123.45', 'KN: decimal comma fixed');
   assertEqual(row[3], 'text', 'KN: text untouched');
 }
 
@@ -691,6 +698,304 @@ console.log('\n═══ TEST GROUP 18: Report Object Completeness ═══');
   }
 }
 
+// ═══════════════════════════════════════════════════
+// TEST GROUP 19: mergeFiles progress & cancellation
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 19: mergeFiles Progress & Cancellation ═══');
+
+{
+  const ups = BROKERS.find(b => b.id === 'UPS');
+  const makeFile = (name, n) => {
+    const header = Array.from({ length: 65 }, (_, i) => `Col ${i}`);
+    const rows = [header];
+    for (let r = 0; r < n; r++) rows.push(Array.from({ length: 65 }, (_, i) => (i < 3 ? `R${r}-${i}` : null)));
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+    return new File([XLSX.write(wb, { type: 'array', bookType: 'xlsx' })], name);
+  };
+  const files = [makeFile('a.xlsx', 3), makeFile('b.xlsx', 4)];
+
+  const events = [];
+  const result = await mergeFiles(files, ups, (msg, info) => events.push({ msg, info }));
+  assertEqual(result.data.length, 7, 'mergeFiles: 7 rows merged from 2 files');
+
+  const parse = events.filter(e => e.info && e.info.phase === 'parse');
+  assertEqual(parse.length, 2, 'Progress: one parse event per file');
+  assertEqual(parse[1].info.fileIndex, 2, 'Progress: fileIndex is 1-based');
+  assertEqual(parse[1].info.fileCount, 2, 'Progress: fileCount reported');
+  assertEqual(parse[1].info.rowsProcessed, 3, 'Progress: rows processed before file 2');
+  assertEqual(parse[0].msg, 'Parsing a.xlsx... (1/2)', 'Progress: message text unchanged');
+  assert(events.some(e => e.info && e.info.phase === 'validate'), 'Progress: validate phase reported');
+  const last = events[events.length - 1];
+  assertEqual(last.info.phase, 'done', 'Progress: done is the last event');
+  assertEqual(last.info.rowsProcessed, 7, 'Progress: done reports all rows');
+
+  // Old single-argument callbacks keep working
+  const msgs = [];
+  await mergeFiles(files, ups, (msg) => msgs.push(msg));
+  assert(msgs.length > 0 && typeof msgs[0] === 'string', 'Progress: message-only callback still works');
+
+  // Pre-aborted signal
+  const ac = new AbortController();
+  ac.abort();
+  let err = null;
+  try { await mergeFiles(files, ups, null, { signal: ac.signal }); } catch (e) { err = e; }
+  assertEqual(err && err.name, 'AbortError', 'Aborted signal rejects with AbortError');
+
+  // Abort during the first file
+  const ac2 = new AbortController();
+  let err2 = null;
+  let parsed = 0;
+  try {
+    await mergeFiles(files, ups, (msg, info) => {
+      if (info.phase === 'parse') { parsed++; ac2.abort(); }
+    }, { signal: ac2.signal });
+  } catch (e) { err2 = e; }
+  assertEqual(err2 && err2.name, 'AbortError', 'Abort mid-merge rejects with AbortError');
+  assertEqual(parsed, 1, 'Abort mid-merge: second file never started');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 20: Row provenance
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 20: Row Provenance ═══');
+
+{
+  // extractParts keeps original 1-based row numbers across filtered rows
+  const fedex = BROKERS.find(b => b.id === 'FEDEX');
+  const rows = [];
+  for (let i = 0; i < fedex.dataStartRow; i++) rows.push(['meta', 'x']);
+  rows.push(['a', 'b', 'c']);
+  rows.push([null, null]);            // blank → filtered
+  rows.push(['d', 'e', 'f']);
+  const parts = extractParts(rows, fedex);
+  assertEqual(parts.data.length, 2, 'extractParts: blank row filtered');
+  assertEqual(parts.rowNumbers.length, parts.data.length, 'extractParts: one row number per data row');
+  assertEqual(parts.rowNumbers[0], fedex.dataStartRow + 1, 'extractParts: first data row number is 1-based');
+  assertEqual(parts.rowNumbers[1], fedex.dataStartRow + 3, 'extractParts: row numbers skip filtered rows');
+}
+
+{
+  const ups = BROKERS.find(b => b.id === 'UPS');
+  const makeFile = (name, sheet, values) => {
+    const header = Array.from({ length: 65 }, (_, i) => `Col ${i}`);
+    const rows = [header, ...values.map(v => {
+      const row = Array.from({ length: 65 }, (_, i) => (i < 3 ? `v${i}` : null));
+      row[30] = v;    // Zollsatz — number column
+      return row;
+    })];
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), sheet);
+    return new File([XLSX.write(wb, { type: 'array', bookType: 'xlsx' })], name);
+  };
+
+  const result = await mergeFiles([
+    makeFile('jan.xlsx', 'Januar', [1, 2]),
+    makeFile('feb.xlsx', 'Februar', [3, '4,5']),
+  ], ups);
+
+  assertEqual(result.provenance.length, result.data.length, 'mergeFiles: provenance per data row');
+  assertEqual(result.provenance[0].file, 'jan.xlsx', 'Provenance: first row from jan.xlsx');
+  assertEqual(result.provenance[0].sheet, 'Januar', 'Provenance: sheet name recorded');
+  assertEqual(result.provenance[0].row, 2, 'Provenance: first data row is sheet row 2');
+  assertEqual(result.provenance[3].file, 'feb.xlsx', 'Provenance: last row from feb.xlsx');
+  assertEqual(result.provenance[3].row, 3, 'Provenance: row numbers restart per file');
+
+  const issues = result.stats.validation.issues;
+  assert(issues.length > 0, 'Provenance: validation found the European number');
+  assert(issues.every(i => i.source && i.source.file), 'Provenance: every issue has a source');
+  const numIss = issues.find(i => i.type === 'number' && i.row === 4);
+  assert(numIss && numIss.source.file === 'feb.xlsx' && numIss.source.row === 3,
+    'Provenance: issue on merged row 4 points to feb.xlsx row 3');
+}
+
+{
+  const out = withProvenanceColumns(
+    [['A', 'B'], ['a', 'b']],
+    [[1, 2], [3, 4]],
+    [{ file: 'x.csv', sheet: null, row: 2 }, { file: 'y.xlsx', sheet: 'S', row: 9 }],
+  );
+  assertEqual(out.length, 4, 'withProvenanceColumns: header + data rows');
+  assertEqual(out[0].slice(0, 3).join('|'), PROVENANCE_HEADERS.join('|'), 'withProvenanceColumns: labels on first header row');
+  assertEqual(out[1][0], null, 'withProvenanceColumns: second header row padded');
+  assertEqual(out[1][3], 'a', 'withProvenanceColumns: header cells shifted by 3');
+  assertEqual(out[3].join('|'), 'y.xlsx|S|9|3|4', 'withProvenanceColumns: data row prefixed');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 21: Structured issue fields
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 21: Structured Issue Fields ═══');
+
+{
+  const FIELDS = ['row', 'type', 'col', 'header', 'before', 'after', 'rule', 'severity', 'zone', 'detail'];
+  const dhl = BROKERS.find(b => b.id === 'DHL');
+
+  // DHL: shipper overflow + comma decimal + invalid HS code
+  const row = new Array(137).fill(null);
+  row[20] = 'HELLA AUTOMOTIVE MEXICO';
+  row[21] = '506 DE LA CALLE SANTA FE';
+  row[22] = 'CARR. 110 IRAPUATO, ABASOLO';
+  row[24] = '36844';
+  row[25] = 'MX';
+  row[35] = '1,5';     // lands in col 34 once the +1 shipper shift is repaired
+  row[109] = 'GLEICHSTROMMOTOREN';
+  row[110] = '85011099900';
+  row[111] = 'MX';
+  row[112] = '100';
+  row[113] = '4000';
+  const bad = new Array(137).fill(null);
+  bad[110] = 'NOT A CODE';
+  const headers = [new Array(137).fill(null).map((_, i) => `Header ${i}`)];
+  const report = validateAndFix([row, bad], dhl, headers);
+
+  for (const iss of report.issues) {
+    const missing = FIELDS.filter(f => !(f in iss));
+    if (missing.length) { assert(false, `DHL issue missing fields: ${missing.join(', ')}`); break; }
+  }
+  assert(report.issues.every(i => ISSUE_RULES[i.rule]), 'DHL: every rule id is documented in ISSUE_RULES');
+
+  const shift = report.issues.find(i => i.type === 'shift');
+  assertEqual(shift.col, 21, 'Shift: col is the merged address cell');
+  assertEqual(shift.rule, 'address-overflow', 'Shift: rule');
+  assertEqual(shift.severity, 'notice', 'Shift: severity notice');
+  assertEqual(shift.zone, 'Shipper', 'Shift: zone');
+  assertEqual(shift.header, 'Header 21', 'Shift: header from header row');
+  assert(String(shift.after).includes('CARR. 110'), 'Shift: after holds merged address');
+
+  const num = report.issues.find(i => i.type === 'number' && i.col === 34);
+  assert(num, 'Number: issue on col 34');
+  assertEqual(num.before, '1,5', 'Number: before');
+  assertEqual(num.after, '1.5', 'Number: after');
+  assertEqual(num.rule, 'decimal-comma', 'Number: rule');
+  assertEqual(num.severity, 'info', 'Number: severity info');
+  assertEqual(num.detail, 'Col 34: "1,5" → "1.5"', 'Number: detail message unchanged');
+
+  const warn = report.issues.find(i => i.type === 'warning' && i.row === 2);
+  assertEqual(warn.row, 2, 'Warning: row');
+  assertEqual(warn.col, 110, 'Warning: col');
+  assertEqual(warn.before, 'NOT A CODE', 'Warning: offending value in before');
+  assertEqual(warn.after, null, 'Warning: no after value');
+  assertEqual(warn.rule, 'invalid-hs-code', 'Warning: rule');
+  assertEqual(warn.severity, 'warning', 'Warning: severity warning');
+}
+
+{
+  // Every pipeline emits the same shape
+  const samples = {
+    FEDEX: () => { const r = new Array(92).fill(null); r[64] = 'DESC\n'; r[73] = '12'; r[21] = 'Germany'; return r; },
+    UPS:   () => { const r = new Array(65).fill(null); r[8] = '1,5'; r[28] = 'x'; return r; },
+    DSV:   () => ['10.01.2025', '1,5', 45000],
+    KN:    () => [',5', 'a'],
+  };
+  const dsvHeaders = [['Anlagedatum', 'Rechnungsbetrag', 'Überlassungsdatum']];
+  for (const [id, make] of Object.entries(samples)) {
+    const b = BROKERS.find(x => x.id === id);
+    const rep = validateAndFix([make()], b, id === 'DSV' ? dsvHeaders : undefined);
+    assert(rep.issues.length > 0, `${id}: sample produces issues`);
+    assert(rep.issues.every(i => i.col != null && i.rule && i.severity), `${id}: col, rule and severity on every issue`);
+    assert(rep.issues.every(i => ISSUE_RULES[i.rule]), `${id}: rule ids documented`);
+  }
+  const dsvRep = validateAndFix([samples.DSV()], BROKERS.find(x => x.id === 'DSV'), dsvHeaders);
+  const date = dsvRep.issues.find(i => i.type === 'date');
+  assertEqual(date.rule, 'serial-to-date', 'DSV: date rule');
+  assertEqual(date.header, 'Überlassungsdatum', 'DSV: header resolved');
+  assertEqual(date.before, 45000, 'DSV: date before is the serial');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 22: Header row auto-detection
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 22: Header Row Auto-Detection ═══');
+
+{
+  // FedEx added a metadata line: the header moved from row 14 to row 15
+  const fedex = BROKERS.find(b => b.id === 'FEDEX');
+  const header = ['AWB', 'REGISTRIERNUMMER', 'DATUM', 'NAME VERSENDER', 'ZOLLWERT'];
+  const rows = [['FedEx Zollreport'], ['Erstellt am', '01.02.2025']];
+  while (rows.length < 14) rows.push([null]);
+  rows.push(header, ['794000000001', '25DE0001', '21.01.2025', 'ACME', '100,00'], ['794000000002', '25DE0002', '22.01.2025', 'Beta', '50,00']);
+
+  const parts = extractParts(rows, fedex);
+  assertEqual(parts.headerRow, 14, 'extractParts: header found one row down');
+  assertEqual(parts.headerRowConfigured, 13, 'extractParts: configured row kept for reference');
+  assertEqual(parts.headers[0][0], 'AWB', 'extractParts: header taken from the found row');
+  assertEqual(parts.data.length, 2, 'extractParts: data starts after the found header');
+  assertEqual(parts.data[0][1], '25DE0001', 'extractParts: first data row not the header');
+  assertEqual(parts.rowNumbers[0], 16, 'extractParts: row numbers follow the shift');
+
+  const toFile = (aoa, name) => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), 'Report');
+    return new File([XLSX.write(wb, { type: 'array', bookType: 'xlsx' })], name);
+  };
+  const regular = [rows[0], ...rows.slice(2)];
+  const result = await mergeFiles([toFile(regular, 'fedex_2024_12.xlsx'), toFile(rows, 'fedex_2025_01.xlsx')], fedex);
+  const [dec, jan] = result.stats.rowsPerFile;
+  assertEqual(dec.headerRow, 14, 'Stats: regular file, header at row 14');
+  assertEqual(dec.headerRowConfigured, 14, 'Stats: configured row is 1-based');
+  assertEqual(jan.headerRow, 15, 'Stats: shifted file, header at row 15');
+  assertEqual(result.data.length, 4, 'Merge: no header row among the data');
+  assert(result.data.every(r => r[0] !== 'AWB'), 'Merge: header not merged as data');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 23: Multi-sheet workbooks
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 23: Multi-Sheet Workbooks ═══');
+
+{
+  // One sheet per week plus an empty cover sheet
+  const dsv = BROKERS.find(b => b.id === 'DSV');
+  const header = ['Registriernummer/MRN', 'Anmeldedatum', 'CZ Name', 'Zollwert'];
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([header, ['25DE0001', '06.01.2025', 'ACME', 10], ['25DE0002', '07.01.2025', 'Beta', 20]]), 'KW 02');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Notizen']]), 'Deckblatt');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([header, ['25DE0003', '13.01.2025', 'Gamma', 30]]), 'KW 03');
+  const file = new File([XLSX.write(wb, { type: 'array', bookType: 'xlsx' })], 'dsv_2025_01.xlsx');
+
+  const sheets = await listSheets(file, dsv);
+  assertEqual(sheets.map(sh => sh.name).join(','), 'KW 02,KW 03', 'listSheets: sheets without data left out');
+  assertEqual(sheets[0].rowCount, 2, 'listSheets: data row count');
+  assertEqual(sheets[1].rowCount, 1, 'listSheets: row count per sheet');
+  assertEqual(sheets[0].headerPreview.slice(0, 2).join('|'), 'Registriernummer/MRN|Anmeldedatum', 'listSheets: header preview');
+  assertEqual(sheets[0].default, true, 'listSheets: default sheet marked');
+  assertEqual(sheets[1].default, false, 'listSheets: other sheets not default');
+
+  const detailed = await parseFileDetailed(file, dsv, ['KW 03']);
+  assertEqual(detailed.parts.length, 1, 'parseFileDetailed: one part per chosen sheet');
+  assertEqual(detailed.sheetName, 'KW 03', 'parseFileDetailed: chosen sheet read');
+  let err = null;
+  try { await parseFileDetailed(file, dsv, ['KW 04']); } catch (e) { err = e; }
+  assertEqual(err && err.message, 'Sheet "KW 04" not found in dsv_2025_01.xlsx', 'parseFileDetailed: unknown sheet rejected');
+
+  const csv = new File([`${header.join(';')}\n25DE0004;20.01.2025;Delta;40\n`], 'dsv.csv');
+  assertEqual((await listSheets(csv, dsv)).length, 0, 'listSheets: text files have no sheets');
+
+  // Only the sheets a merge reads are converted
+  const sheetToJson = XLSX.utils.sheet_to_json;
+  let converted = 0;
+  XLSX.utils.sheet_to_json = (...args) => { converted++; return sheetToJson(...args); };
+  let single;
+  try {
+    single = await mergeFiles([file], dsv);
+  } finally {
+    XLSX.utils.sheet_to_json = sheetToJson;
+  }
+  assertEqual(single.data.length, 2, 'Merge: default sheet only');
+  assertEqual(converted, 1, 'Merge: other sheets not converted');
+  assertEqual(detailed.sheets, undefined, 'parseFileDetailed: no sheet summaries');
+
+  const multi = await mergeFiles([file, csv], dsv, null, { sheets: [['KW 02', 'KW 03'], null] });
+  assertEqual(multi.data.length, 4, 'Merge: both weeks plus the CSV');
+  assertEqual(multi.stats.rowsPerFile.length, 3, 'Stats: one entry per merged sheet');
+  assertEqual(multi.stats.rowsPerFile.map(f => f.sheet).join(','), 'KW 02,KW 03,', 'Stats: sheet per entry');
+  assertEqual(multi.stats.totalFiles, 2, 'Stats: files still counted once');
+  assertEqual(multi.provenance[2].sheet, 'KW 03', 'Provenance: sheet of the second part');
+  assertEqual(multi.provenance[2].row, 2, 'Provenance: row within its sheet');
+  assertEqual(multi.stats.layoutReport.files[1].file, 'dsv_2025_01.xlsx › KW 03', 'Layout report: part labelled with its sheet');
+}
+
 // ═══════════════════════════════════════════════════
 // RESULTS
 // ═══════════════════════════════════════════════════
@@ -0,0 +1,260 @@
+/**
+ * Kuehne + Nagel / DB Schenker Validator Tests
+ *
+ * Tests the header-named layout pipeline in validator.js:
+ *   - Column resolution through the broker headerMap (German / English,
+ *     any column order) and the derived shift schema
+ *   - Whitespace / newline cleanup
+ *   - European number format correction and string→Number typing
+ *   - Excel serial / compressed date conversion
+ *   - HS code and country code warnings, revalidateRow after an edit
+ *   - Shift repair of a description spilling into the next columns
+ *   - Analytics column mapping through the same headerMap
+ *
+ * Run: node tests/test-kn-schenker-validator.mjs
+ */
+
+import { validateAndFix, resolveHeaderLayout, revalidateRow } from '../src/js/validator.js';
+import { aggregateData } from '../src/js/analytics.js';
+import { BROKERS } from '../src/js/brokers.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const KN = BROKERS.find(b => b.id === 'KN');
+const SCHENKER = BROKERS.find(b => b.id === 'SCHENKER');
+
+// German K+N report
+const KN_HEADERS = [[
+  'Anmeldedatum', 'Registriernummer', 'Versender', 'Versendungsland', 'Empfänger',
+  'Warentarifnummer', 'Warenbezeichnung', 'Zollwert', 'Zollsatz', 'Zoll',
+  'Ursprungsland', 'Rechnungsbetrag', 'Rechnungswährung', 'Rohmasse', 'Bemerkung',
+]];
+
+function makeKnRow(overrides = {}) {
+  const row = [
+    '15.01.2025', '25DE123456789012A1', 'SHENZHEN ELECTRONICS LTD', 'CN', 'HELLA GMBH & CO. KGAA',
+    '85122000900', 'LEUCHTEN FUER KFZ', 1500.5, 2.7, 40.51,
+    'CN', 1480, 'USD', 12.5, null,
+  ];
+  for (const [col, val] of Object.entries(overrides)) row[Number(col)] = val;
+  return row;
+}
+
+// English Schenker report, different column order
+const SCHENKER_HEADERS = [[
+  'MRN', 'Entry Date', 'Commodity Code', 'Description of Goods', 'Customs Value',
+  'Duty', 'Import VAT', 'Origin Country', 'Shipper', 'Dispatch Country',
+]];
+
+function makeSchenkerRow(overrides = {}) {
+  const row = [
+    '25DE987654321098B2', '03.02.2025', '87089997900', 'BRACKETS STEEL', 820,
+    24.6, 160.47, 'MX', 'HELLA AUTOMOTIVE MEXICO', 'MX',
+  ];
+  for (const [col, val] of Object.entries(overrides)) row[Number(col)] = val;
+  return row;
+}
+
+/* ═══════════════════════════════════════════════════════════════
+   GROUP 1: Header layout resolution
+   ═══════════════════════════════════════════════════════════════ */
+console.log('\n═══ TEST GROUP 1: Header layout resolution ═══');
+
+{
+  const layout = resolveHeaderLayout(KN.headerMap, KN_HEADERS);
+  assertEqual(layout.fields.hsCode, 5, 'KN: HS code found by header');
+  assertEqual(layout.fields.description, 6, 'KN: description found');
+  assertEqual(layout.fields.declarationNo, 1, 'KN: untyped field still located');
+  assertEqual(layout.byType.numeric.join(','), '7,8,9,11,13', 'KN: numeric columns');
+  assertEqual(layout.byType.country.join(','), '3,10', 'KN: country columns');
+  assertEqual(layout.schema.columns[14], undefined, 'KN: unknown header not in schema');
+
+  const goods = layout.schema.zones.find(z => z.name === 'Goods');
+  assert(goods && goods.text === 6, 'KN: Goods zone on the description column');
+  assertEqual(goods.anchors.join(','), '7,8,9', 'KN: anchors are the typed columns after it');
+  assertEqual(goods.minEvidence, 2, 'KN: two filled anchors needed');
+  assertEqual(layout.schema.zones.map(z => z.name).join(','), 'Shipper,Consignee,Goods',
+    'KN: zones in column order');
+  assertEqual(layout.schema.zones[1].anchors.join(','), '5', 'KN: anchors stop at the next text column');
+}
+
+{
+  const layout = resolveHeaderLayout(SCHENKER.headerMap, SCHENKER_HEADERS);
+  assertEqual(layout.fields.date, 1, 'Schenker: English date header');
+  assertEqual(layout.fields.hsCode, 2, 'Schenker: Commodity Code');
+  assertEqual(layout.fields.vatAmount, 6, 'Schenker: Import VAT');
+  assertEqual(layout.byType.country.join(','), '7,9', 'Schenker: countries');
+
+  const lower = resolveHeaderLayout(KN.headerMap, [KN_HEADERS[0].map(h => h.toUpperCase())]);
+  assertEqual(lower.fields.hsCode, 5, 'Header match is case-insensitive');
+  assertEqual(Object.keys(resolveHeaderLayout(KN.headerMap, [[]]).fields).length, 0, 'No headers → nothing resolved');
+}
+
+/* ═══════════════════════════════════════════════════════════════
+   GROUP 2: Cleanup, numbers, dates
+   ═══════════════════════════════════════════════════════════════ */
+console.log('\n═══ TEST GROUP 2: Cleanup, numbers, dates ═══');
+
+{
+  const row = makeKnRow({ 2: '  SHENZHEN ELECTRONICS LTD ', 6: 'LEUCHTEN FUER KFZ\n' });
+  const report = validateAndFix([row], KN, KN_HEADERS);
+  assertEqual(row[2], 'SHENZHEN ELECTRONICS LTD', 'Spaces trimmed');
+  assertEqual(row[6], 'LEUCHTEN FUER KFZ', 'Trailing newline stripped');
+  const rules = report.issues.filter(i => i.type === 'cleanup').map(i => i.rule).join(',');
+  assertEqual(rules, 'whitespace-trim,trailing-newline', 'Cleanup rules per kind');
+}
+
+{
+  const row = makeKnRow({ 7: '1.500,50', 8: '2,7', 13: '12.5', 11: ',40' });
+  const report = validateAndFix([row], KN, KN_HEADERS);
+  assertEqual(row[7], 1500.5, 'Thousands dot + decimal comma → Number');
+  assertEqual(row[8], 2.7, 'Decimal comma → Number');
+  assertEqual(row[13], 12.5, 'Numeric text → Number');
+  assertEqual(row[11], 0.4, 'Leading comma → Number');
+  assert(report.numberFixes >= 4, 'Number fixes counted');
+  assertEqual(row[1], '25DE123456789012A1', 'Declaration number untouched');
+  assertEqual(row[5], '85122000900', 'HS code stays a string');
+}
+
+{
+  const row = makeKnRow({ 0: 45678 });
+  const report = validateAndFix([row], KN, KN_HEADERS);
+  assertEqual(row[0], '21.01.2025', 'Excel serial → DD.MM.YYYY');
+  assertEqual(report.issues.find(i => i.type === 'date').rule, 'serial-to-date', 'Date issue recorded');
+
+  const row2 = makeSchenkerRow({ 1: 3022025 });
+  validateAndFix([row2], SCHENKER, SCHENKER_HEADERS);
+  assertEqual(row2[1], '03.02.2025', 'Compressed date → DD.MM.YYYY');
+
+  const row3 = makeKnRow({ 13: 45678 });
+  validateAndFix([row3], KN, KN_HEADERS);
+  assertEqual(row3[13], 45678, 'Numbers in non-date columns untouched');
+}
+
+{
+  const report = validateAndFix([makeKnRow(), makeKnRow()], KN, KN_HEADERS);
+  assertEqual(report.totalIssues, 0, 'Clean K+N rows: no issues');
+  const r2 = validateAndFix([makeSchenkerRow()], SCHENKER, SCHENKER_HEADERS);
+  assertEqual(r2.totalIssues, 0, 'Clean Schenker row: no issues');
+}
+
+/* ═══════════════════════════════════════════════════════════════
+   GROUP 3: HS code & country warnings
+   ═══════════════════════════════════════════════════════════════ */
+console.log('\n═══ TEST GROUP 3: HS code & country warnings ═══');
+
+{
+  const row = makeKnRow({ 5: '8512', 10: 'China' });
+  const report = validateAndFix([row], KN, KN_HEADERS);
+  const hs = report.issues.find(i => i.rule === 'invalid-hs-code');
+  assert(hs && hs.col === 5 && hs.detail.startsWith('Warentarifnummer'), 'Short HS code flagged with header name');
+  const country = report.issues.find(i => i.rule === 'invalid-country');
+  assert(country && country.col === 10 && country.header === 'Ursprungsland', 'Invalid origin country flagged');
+  assertEqual(report.totalIssues, 2, 'Warnings counted');
+}
+
+{
+  const row = makeSchenkerRow({ 2: 87089997900 });
+  const report = validateAndFix([row], SCHENKER, SCHENKER_HEADERS);
+  assertEqual(report.issues.filter(i => i.type === 'warning').length, 0, 'Numeric HS code accepted');
+}
+
+{
+  const row = makeKnRow();
+  row[3] = 'XYZ';
+  const issues = revalidateRow(row, 1, KN, KN_HEADERS);
+  assertEqual(issues.length, 1, 'revalidateRow: K+N checks run after an edit');
+  assertEqual(issues[0].header, 'Versendungsland', 'revalidateRow: header filled');
+  row[3] = 'CN';
+  assertEqual(revalidateRow(row, 1, KN, KN_HEADERS).length, 0, 'revalidateRow: fixed value clears the warning');
+}
+
+/* ═══════════════════════════════════════════════════════════════
+   GROUP 4: Shift repair
+   ═══════════════════════════════════════════════════════════════ */
+console.log('\n═══ TEST GROUP 4: Shift repair ═══');
+
+{
+  // Description spilled into Zollwert — everything after moved right
+  const row = makeKnRow();
+  row.splice(7, 0, 'MIT LED');
+  const report = validateAndFix([row], KN, KN_HEADERS);
+  const shift = report.issues.find(i => i.type === 'shift');
+  assert(shift && shift.zone === 'Goods' && shift.rule === 'text-overflow', 'K+N: description overflow repaired');
+  assertEqual(row[6], 'LEUCHTEN FUER KFZ MIT LED', 'K+N: description merged');
+  assertEqual(row[7], 1500.5, 'K+N: Zollwert realigned');
+  assertEqual(row[10], 'CN', 'K+N: origin country realigned');
+  assertEqual(row.length, 16, 'K+N: row keeps its length');
+  assertEqual(report.issues.filter(i => i.type === 'warning').length, 0, 'K+N: no warnings after repair');
+}
+
+{
+  // Empty numeric cells are not read as a shift
+  const row = makeKnRow({ 7: null, 8: null, 9: null });
+  const report = validateAndFix([row], KN, KN_HEADERS);
+  assertEqual(report.shiftFixes + report.gapFixes, 0, 'K+N: empty amounts are not a shift');
+}
+
+{
+  // Schenker: shipper name spilled into the dispatch country
+  const row = makeSchenkerRow();
+  row.splice(9, 0, 'S.A. DE C.V.');
+  const report = validateAndFix([row], SCHENKER, SCHENKER_HEADERS);
+  const layout = resolveHeaderLayout(SCHENKER.headerMap, SCHENKER_HEADERS);
+  assertEqual(layout.schema.zones.find(z => z.name === 'Shipper').minEvidence, 1, 'Schenker: one anchor → one needed');
+  assertEqual(row[8], 'HELLA AUTOMOTIVE MEXICO S.A. DE C.V.', 'Schenker: shipper name merged');
+  assertEqual(row[9], 'MX', 'Schenker: country realigned');
+  assertEqual(report.shiftFixes, 1, 'Schenker: counted in shiftFixes');
+}
+
+/* ═══════════════════════════════════════════════════════════════
+   GROUP 5: Analytics mapping
+   ═══════════════════════════════════════════════════════════════ */
+console.log('\n═══ TEST GROUP 5: Analytics mapping ═══');
+
+{
+  const data = [makeKnRow(), makeKnRow({ 0: '20.02.2025', 10: 'US', 11: 520, 9: 10 })];
+  validateAndFix(data, KN, KN_HEADERS);
+  const a = aggregateData(KN_HEADERS, data, 'KN');
+  assert(a != null, 'KN: analytics computed');
+  assertEqual(a.kpis.totalDeclarations, 2, 'KN: declarations counted');
+  assertEqual(a.kpis.uniqueCountries, 2, 'KN: origin countries from Ursprungsland');
+  assertEqual(a.kpis.monthsCovered, 2, 'KN: months from Anmeldedatum');
+  assert(Math.abs(a.kpis.totalDuty - 50.51) < 0.01, 'KN: duty from Zoll');
+}
+
+{
+  const data = [makeSchenkerRow()];
+  const a = aggregateData(SCHENKER_HEADERS, data, 'SCHENKER');
+  assertEqual(a.kpis.uniqueHSChapters, 1, 'Schenker: HS chapters from Commodity Code');
+  assert(Math.abs(a.kpis.totalVAT - 160.47) < 0.01, 'Schenker: VAT from Import VAT');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,170 @@
+/**
+ * Tests for the per-merge layout report (engine.buildLayoutReport) and
+ * its "Layout Report" export sheet.
+ *
+ * Covers:
+ *   - Layout variants by header row
+ *   - Added / removed / renamed / air-only columns per file
+ *   - stats.layoutReport from mergeFiles, aligned and not aligned
+ *   - The export sheet
+ *
+ * Run: node tests/test-layout-report.mjs
+ */
+
+import * as XLSX from 'xlsx';
+import { buildLayoutReport, mergeFiles } from '../src/js/engine.js';
+import { buildExportWorkbook, layoutReportRows } from '../src/js/export.js';
+import { BROKERS } from '../src/js/brokers.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const DSV = BROKERS.find(b => b.id === 'DSV');
+
+// Three months of one broker: the layout grows in February and a column
+// is renamed in March
+const JAN = ['Registriernummer/MRN', 'Anmeldedatum', 'Versender Name', 'Zollwert'];
+const FEB = ['Registriernummer/MRN', 'Anmeldedatum', 'CZ Name', 'Zollwert', 'Rohmasse', 'Arrival Date'];
+const MAR = ['Registriernummer/MRN', 'Anmeldedatum', 'CZ Name', 'Zollwert', 'Bruttomasse', 'Arrival Date'];
+
+const part = (name, hRow) => ({ name, hRow });
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: buildLayoutReport
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: buildLayoutReport ═══');
+
+{
+  const unified = ['Registriernummer/MRN', 'Anmeldedatum', 'CZ Name', 'Zollwert', 'Rohmasse'];
+  const report = buildLayoutReport(
+    [part('jan.csv', JAN), part('feb.csv', FEB), part('feb2.csv', FEB), part('mar.csv', MAR)],
+    unified,
+    {
+      synonyms: { 'Versender Name': 'CZ Name', 'Bruttomasse': 'Rohmasse' },
+      userSynonyms: { 'Bruttomasse': 'Rohmasse' },
+      airOnlyHeader: ['Arrival Date'],
+    },
+  );
+
+  assertEqual(report.unifiedColumns, 5, 'Merged header width');
+  assertEqual(report.variants.length, 3, 'Three layouts');
+  assertEqual(report.variants[0].label, '4 columns', 'Variant label: column count');
+  assertEqual(report.variants[2].label, '6 columns #2', 'Variant label: second layout of the same width');
+  assertEqual(report.variants[1].files.join(','), 'feb.csv,feb2.csv', 'Same header → same variant');
+
+  const [jan, feb, , mar] = report.files;
+  assertEqual(jan.variant, 1, 'File: variant id');
+  assertEqual(jan.columns, 4, 'File: column count');
+  assertEqual(jan.removed.join(','), 'Rohmasse', 'Removed: merged columns the file lacks');
+  assertEqual(jan.renamed[0].header, 'Versender Name', 'Renamed: old name');
+  assertEqual(jan.renamed[0].matched, 'CZ Name', 'Renamed: merged name');
+  assertEqual(jan.renamed[0].via, 'synonym', 'Renamed: broker synonym');
+  assertEqual(jan.added.length, 0, 'Added: none');
+
+  assertEqual(feb.airOnly.join(','), 'Arrival Date', 'Air-only column listed');
+  assertEqual(feb.removed.length, 0, 'Removed: none');
+  assertEqual(feb.renamed.length, 0, 'Exact headers are not renamed');
+
+  assertEqual(mar.renamed[0].via, 'user-synonym', 'Renamed: user synonym');
+}
+
+{
+  const report = buildLayoutReport([part('a.csv', ['A', 'B']), part('b.csv', ['A', 'C'])], ['A', 'B', 'C'], { appended: [2] });
+  assertEqual(report.files[1].added.join(','), 'C', 'Added: column appended to the merged header');
+  assertEqual(report.files[1].removed.join(','), 'B', 'Removed: merged column the file lacks');
+  assertEqual(report.files[0].removed.length, 0, 'Appended columns are not listed as removed');
+}
+
+{
+  // Not aligned: the first file's header is the merged one
+  const report = buildLayoutReport([part('a.xlsx', ['A', 'B']), part('b.xlsx', ['A', 'B', 'C'])], ['A', 'B']);
+  assertEqual(report.files[1].added.join(','), 'C', 'Added: column missing from the merged header');
+  assertEqual(report.files[0].added.length, 0, 'Added: reference file');
+}
+
+{
+  const report = buildLayoutReport([part('a.xlsx', ['Geschäftsart', 'Zollwert']), part('b.xlsx', ['Geschã¤ftsart', 'Zollwert'])], ['Geschäftsart', 'Zollwert']);
+  assertEqual(report.files[1].renamed[0].via, 'normalized', 'Renamed: fuzzy match method');
+  assertEqual(report.variants.length, 2, 'Mis-encoded header is its own layout');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: mergeFiles
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: mergeFiles ═══');
+
+function xlsxFile(header, rows, name) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([header, ...rows]), 'Export');
+  return new File([XLSX.write(wb, { type: 'array', bookType: 'xlsx' })], name);
+}
+
+let merged;
+{
+  merged = await mergeFiles([
+    xlsxFile(JAN, [['25DE0001', '21.01.2025', 'ACME', '100']], 'dsv_2025_01.xlsx'),
+    xlsxFile(FEB, [['25DE0002', '21.02.2025', 'BETA', '200', '12', '20.02.2025']], 'dsv_2025_02.xlsx'),
+  ], DSV);
+  const report = merged.stats.layoutReport;
+  assertEqual(report.files.length, 2, 'stats.layoutReport: one entry per file');
+  assertEqual(report.files[0].file, 'dsv_2025_01.xlsx', 'stats.layoutReport: file name');
+  assertEqual(report.files[0].renamed[0].matched, 'CZ Name', 'stats.layoutReport: DSV synonym fired');
+  assertEqual(report.files[0].removed.join(','), 'Rohmasse', 'stats.layoutReport: column added in February');
+  assertEqual(report.files[1].airOnly.join(','), 'Arrival Date', 'stats.layoutReport: air-only column');
+  assertEqual(report.unifiedColumns, merged.headers[0].length, 'stats.layoutReport: merged header width');
+}
+
+{
+  const same = await mergeFiles([xlsxFile(FEB, [], 'a.xlsx'), xlsxFile(FEB, [], 'b.xlsx')], DSV);
+  assertEqual(same.stats.layoutReport.variants.length, 1, 'Same layout: one variant');
+  assertEqual(same.stats.layoutReport.files[1].removed.length, 0, 'Same layout: nothing removed');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Export sheet
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Export sheet ═══');
+
+{
+  const report = merged.stats.layoutReport;
+  const rows = layoutReportRows(report);
+  assertEqual(rows[0].join('|'), 'File|Layout|Columns|Added|Removed|Renamed|Air-Only', 'Sheet header');
+  assertEqual(rows[1][1], '4 columns', 'Sheet: layout label');
+  assertEqual(rows[1][5], 'Versender Name → CZ Name (synonym)', 'Sheet: renamed column');
+  assertEqual(rows[rows.length - 1][2], report.unifiedColumns, 'Sheet: merged header width');
+
+  const wb = buildExportWorkbook(merged.headers, merged.data, merged.airOnly, { layoutReport: report });
+  assert(wb.SheetNames.includes('Layout Report'), 'Workbook: Layout Report sheet');
+  assertEqual(wb.SheetNames[wb.SheetNames.length - 1], 'Layout Report', 'Workbook: sheet goes last');
+  const back = XLSX.utils.sheet_to_json(wb.Sheets['Layout Report'], { header: 1, defval: null });
+  assertEqual(back[2][6], 'Arrival Date', 'Workbook: air-only column');
+  assert(!buildExportWorkbook(merged.headers, merged.data).SheetNames.includes('Layout Report'), 'Workbook: no sheet without a report');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,293 @@
+/**
+ * Tests for the schema-driven shift engine (src/js/shift-engine.js).
+ *
+ * Covers:
+ *   - Alignment search on a small synthetic schema (overflow, missing
+ *     cell, already aligned, no evidence)
+ *   - Repairs moving the rest of the row and confidence scores
+ *   - FedEx and UPS pipelines running the engine on their schemas
+ *   - Low-confidence schema repairs queued for review, and reviewed
+ *
+ * Run: node tests/test-shift-engine.mjs
+ */
+
+import { findAlignment, applyAlignment, alignRow, alignmentConfidence, columnPasses } from '../src/js/shift-engine.js';
+import {
+  validateAndFix, FEDEX_SCHEMA, UPS_SCHEMA, REVIEW_THRESHOLD, pendingReviews, reviewRepair,
+} from '../src/js/validator.js';
+import { BROKERS } from '../src/js/brokers.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const FEDEX = BROKERS.find(b => b.id === 'FEDEX');
+const UPS = BROKERS.find(b => b.id === 'UPS');
+
+// Name (text) in col 1, then a country code and an amount
+const isText = (v) => typeof v === 'string' && /\p{L}/u.test(v);
+const SCHEMA = {
+  columns: {
+    1: { name: 'Name',    test: isText },
+    2: { name: 'Country', test: (v) => typeof v === 'string' && /^[A-Z]{2}$/.test(v) },
+    3: { name: 'Amount',  test: (v) => typeof v === 'number' },
+    4: { name: 'Note',    test: isText, allowNull: true },
+  },
+  zones: [{ name: 'Name', text: 1, anchors: [2, 3, 4] }],
+};
+const ZONE = SCHEMA.zones[0];
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Alignment search
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Alignment search ═══');
+
+{
+  assertEqual(findAlignment(['x', 'ACME', 'DE', 5, null, 'tail'], SCHEMA, ZONE), 0, 'Aligned row → 0');
+  assertEqual(findAlignment(['x', 'ACME', 'TRADING', 'DE', 5, null], SCHEMA, ZONE), 1, 'Name spilled one cell → +1');
+  assertEqual(findAlignment(['x', 'ACME', 'TRADING', 'GMBH', 'DE', 5, null], SCHEMA, ZONE), 2, 'Two spilled cells → +2');
+  assertEqual(findAlignment(['x', 'DE', 5, null, null], SCHEMA, ZONE), -1, 'Name cell dropped → -1');
+  assertEqual(findAlignment(['x', null, null, null, null], SCHEMA, ZONE), 0, 'Empty zone: no evidence, no shift');
+  assertEqual(findAlignment(['x', 'ACME', 'DE', 'oops', null], SCHEMA, ZONE), 0, 'Dirty value without a fitting shift → 0');
+  assertEqual(findAlignment(['x'], SCHEMA, ZONE), 0, 'Row shorter than the zone → 0');
+
+  const capped = { ...ZONE, maxShift: 1 };
+  assertEqual(findAlignment(['x', 'ACME', 'TRADING', 'GMBH', 'DE', 5, null], SCHEMA, capped), 0, 'maxShift caps the search');
+}
+
+{
+  assertEqual(columnPasses(SCHEMA.columns, 4, null), true, 'allowNull column accepts empty');
+  assertEqual(columnPasses(SCHEMA.columns, 0, 'x'), null, 'Column without schema → null');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Repairs
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Repairs ═══');
+
+{
+  const row = ['x', 'ACME', 'TRADING', 'DE', 5, null, 'tail'];
+  const result = applyAlignment(row, ZONE, 1);
+  assertEqual(row[1], 'ACME TRADING', 'Overflow merged into the text column');
+  assertEqual(row[2], 'DE', 'Anchors moved back');
+  assertEqual(row[5], 'tail', 'Rest of the row moved left');
+  assertEqual(row.length, 7, 'Row keeps its length');
+  assertEqual(row[6], null, 'End padded with null');
+  assertEqual(result.before, 'ACME | TRADING', 'Fragments recorded');
+  assertEqual(result.col, 1, 'Repair column is the text column');
+}
+
+{
+  const row = ['x', 'DE', 5, 'note', 'tail'];
+  const result = applyAlignment(row, ZONE, -1);
+  assertEqual(row[1], null, 'Gap: blank text cell re-inserted');
+  assertEqual(row[2], 'DE', 'Gap: anchors moved right');
+  assertEqual(row[5], 'tail', 'Gap: row grows when the last cell holds data');
+  assert(result.detail.includes('-1 missing'), 'Gap: detail names the missing cell');
+
+  const padded = ['x', 'DE', 5, null, null];
+  applyAlignment(padded, ZONE, -1);
+  assertEqual(padded.length, 5, 'Gap: trailing blank dropped instead of growing');
+}
+
+{
+  const row = ['x', 'ACME', 'TRADING', 'DE', 5, null];
+  const repairs = alignRow(row, SCHEMA);
+  assertEqual(repairs.length, 1, 'alignRow: one repair');
+  assertEqual(repairs[0].zone, 'Name', 'alignRow: zone name recorded');
+  assert(repairs[0].confidence > 0, 'alignRow: confidence scored');
+  assertEqual(alignRow(row, SCHEMA).length, 0, 'alignRow: repaired row is left alone');
+
+  const before = ['x', 'ACME', 'TRADING', 'DE', 5];
+  const after = ['x', 'ACME TRADING', 'DE', 5, null];
+  assertEqual(alignmentConfidence(SCHEMA.columns, before, after), 1, 'Confidence: 3 gained, none lost');
+  assertEqual(alignmentConfidence(SCHEMA.columns, after, after), 0, 'Confidence: nothing changed → 0');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Broker pipelines
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Broker pipelines ═══');
+
+function fedexRow() {
+  const row = new Array(92).fill(null);
+  row[12] = 'FLEX TECHNOLOGY CHANGSHA CO';
+  row[13] = 'DE2393166';
+  row[15] = 'HELLA GMBH & CO. KGAA';
+  row[16] = 'DE570509158641621';
+  row[56] = '85122000900';
+  row[57] = 'EU';
+  row[64] = 'LEUCHTEN FUR KFZ';
+  row[65] = 0.2;
+  row[66] = 6.81;
+  row[67] = 33;
+  row[68] = 44.22;
+  row[69] = 'USD';
+  row[91] = 0;
+  return row;
+}
+
+{
+  const clean = fedexRow();
+  const report = validateAndFix([clean], FEDEX);
+  assertEqual(report.shiftFixes + report.gapFixes, 0, 'FedEx: aligned row untouched');
+
+  // Description spilled into EIGENMASSE
+  const row = fedexRow();
+  row.splice(65, 0, 'MIT LED');
+  row.length = 92;
+  const r2 = validateAndFix([row], FEDEX);
+  const shift = r2.issues.find(i => i.type === 'shift');
+  assert(shift && shift.rule === 'text-overflow' && shift.zone === 'Goods' && shift.col === 64, 'FedEx: description overflow repaired');
+  assertEqual(row[64], 'LEUCHTEN FUR KFZ MIT LED', 'FedEx: description merged');
+  assertEqual(row[65], 0.2, 'FedEx: EIGENMASSE realigned');
+  assertEqual(row[69], 'USD', 'FedEx: currency realigned');
+  assertEqual(r2.shiftFixes, 1, 'FedEx: counted in shiftFixes');
+  assert(shift.confidence >= REVIEW_THRESHOLD, 'FedEx: description overflow backed by enough checks');
+  assertEqual(shift.review, null, 'FedEx: confident repair not queued for review');
+
+  // Consignee name spilled into the EORI column
+  const row3 = fedexRow();
+  row3.splice(16, 0, 'WERK 2');
+  row3.length = 92;
+  const r3 = validateAndFix([row3], FEDEX);
+  assertEqual(row3[15], 'HELLA GMBH & CO. KGAA WERK 2', 'FedEx: consignee name merged');
+  assertEqual(row3[16], 'DE570509158641621', 'FedEx: EORI realigned');
+  assertEqual(row3[64], 'LEUCHTEN FUR KFZ', 'FedEx: goods zone follows the consignee repair');
+  assertEqual(r3.shiftFixes, 1, 'FedEx: one repair for the cascade');
+}
+
+function upsRow() {
+  const row = new Array(65).fill(null);
+  row[28] = '85340011000';
+  row[29] = 'LEITERPLATTEN';
+  row[30] = 0;
+  row[31] = 1122.22;
+  row[32] = 0;
+  row[38] = 19;
+  row[41] = 'PACFIC FAME INT L LTD';
+  row[42] = 'HK';
+  row[43] = 'PACFIC FAME INT L LTD';
+  row[44] = 'HK';
+  row[45] = 'FCA';
+  row[61] = 'Keine Anwendung';
+  return row;
+}
+
+{
+  const report = validateAndFix([upsRow()], UPS);
+  assertEqual(report.shiftFixes + report.gapFixes, 0, 'UPS: aligned row untouched');
+
+  // Description cell dropped: Zollsatz lands in col 29
+  const row = upsRow();
+  row.splice(29, 1);
+  const r2 = validateAndFix([row], UPS);
+  const gap = r2.issues.find(i => i.type === 'gap');
+  assert(gap && gap.rule === 'text-gap' && gap.col === 29, 'UPS: missing description re-inserted');
+  assertEqual(row[30], 0, 'UPS: Zollsatz realigned');
+  assertEqual(row[42], 'HK', 'UPS: sender country realigned');
+  assertEqual(r2.gapFixes, 1, 'UPS: counted in gapFixes');
+  assert(r2.totalIssues >= 1, 'UPS: gap counted in totalIssues');
+
+  // Sender name spilled one cell
+  const row3 = upsRow();
+  row3.splice(42, 0, 'LIMITED');
+  const r3 = validateAndFix([row3], UPS);
+  assertEqual(row3[41], 'PACFIC FAME INT L LTD LIMITED', 'UPS: sender name merged');
+  assertEqual(row3[44], 'HK', 'UPS: seller country realigned');
+  assertEqual(r3.issues.find(i => i.type === 'shift').zone, 'Sender', 'UPS: zone from the schema');
+}
+
+{
+  assert(FEDEX_SCHEMA.zones.every(z => FEDEX_SCHEMA.columns[z.text]), 'FEDEX_SCHEMA: every text column has a test');
+  assert(UPS_SCHEMA.zones.every(z => z.anchors.every(c => UPS_SCHEMA.columns[c])), 'UPS_SCHEMA: every anchor has a test');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 4: Reviewing schema repairs
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 4: Reviewing schema repairs ═══');
+
+// A numeric-looking fragment ("12") spills into EIGENMASSE: only the
+// currency column gains from the repair, so it scores 1 × 1/3
+function weakOverflow() {
+  const row = fedexRow();
+  row.splice(65, 0, '12');
+  row.length = 92;
+  const data = [fedexRow(), row];
+  return { data, report: validateAndFix(data, FEDEX) };
+}
+
+{
+  const { data, report } = weakOverflow();
+  const shift = report.issues.find(i => i.type === 'shift');
+  assertEqual(shift && shift.row, 2, 'Low confidence: repair found');
+  assert(shift.confidence < REVIEW_THRESHOLD, 'Low confidence: below the review threshold');
+  assertEqual(shift.review, 'pending', 'Low confidence: issue pending');
+  assertEqual(data[1][64], 'LEUCHTEN FUR KFZ 12', 'Low confidence: repair applied meanwhile');
+  const pending = pendingReviews(report);
+  assertEqual(pending.length, 1, 'Low confidence: in the review queue');
+  assertEqual(pending[0].row, 2, 'Review queue: row');
+  assertEqual(pending[0].repair.zone, 'Goods', 'Review queue: zone');
+  assertEqual(report.snapshots[2].before[65], '12', 'Snapshot: row before the repair');
+  assertEqual(report.snapshots[1], undefined, 'Snapshot: aligned row has none');
+}
+
+{
+  const { data, report } = weakOverflow();
+  reviewRepair(report, data, 2, 0, { decision: 'rejected' }, [], FEDEX);
+  assertEqual(data[1][64], 'LEUCHTEN FUR KFZ', 'Rejected: description restored');
+  assertEqual(data[1][65], 12, 'Rejected: fragment back in EIGENMASSE (as a number)');
+  assertEqual(report.shiftFixes, 0, 'Rejected: no shift counted');
+  assertEqual(report.issues.filter(i => i.type === 'shift').length, 0, 'Rejected: repair issue removed');
+  assertEqual(report.snapshots[2].repairs[0].review, 'rejected', 'Rejected: decision kept on the snapshot');
+  assertEqual(pendingReviews(report).length, 0, 'Rejected: queue empty');
+}
+
+{
+  // Cleanups redone by the rebuild are not counted twice
+  const row = fedexRow();
+  row[12] += '\n';
+  row.splice(65, 0, '12');
+  row.length = 92;
+  const report = validateAndFix([row], FEDEX);
+  reviewRepair(report, [row], 1, 0, { decision: 'rejected' }, [], FEDEX);
+  const fixes = report.issues.filter(i => ['number', 'date', 'cleanup'].includes(i.type)).length;
+  assert(report.issues.some(i => i.rule === 'trailing-newline'), 'Rejected: newline cleanup redone');
+  assertEqual(report.numberFixes, fixes, 'Rejected: numberFixes match the issues');
+}
+
+{
+  const { data, report } = weakOverflow();
+  reviewRepair(report, data, 2, 0, { decision: 'accepted' }, [], FEDEX);
+  assertEqual(data[1][64], 'LEUCHTEN FUR KFZ 12', 'Accepted: repair kept');
+  assertEqual(report.issues.find(i => i.type === 'shift').review, 'accepted', 'Accepted: issue marked');
+  assertEqual(pendingReviews(report).length, 0, 'Accepted: queue empty');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
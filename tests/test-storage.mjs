@@ -0,0 +1,119 @@
+/**
+ * Tests for the session records kept in IndexedDB (src/js/storage.js).
+ *
+ * IndexedDB itself is not available in Node — these cover the pure
+ * record helpers the UI relies on, including how merges in a row are
+ * split into sessions.
+ *
+ * Run: node tests/test-storage.mjs
+ */
+
+import {
+  createSession, putMerge, recordMerges, describeFile, summarizeSession, defaultSessionName, isStorageAvailable,
+} from '../src/js/storage.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const fakeResult = (rows) => ({ headers: [['A']], data: [], stats: { totalRows: rows, totalFiles: 1 } });
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: Session records
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: Session records ═══');
+
+{
+  const s = createSession();
+  assert(/^s-/.test(s.id), 'Session id generated');
+  assert(createSession().id !== s.id, 'Session ids are unique');
+  assertEqual(s.merges.length, 0, 'New session has no merges');
+  assert(defaultSessionName(s).startsWith('Session — '), 'Empty session: generic default name');
+  assertEqual(isStorageAvailable(), false, 'No IndexedDB in Node');
+}
+
+{
+  const file = new File(['abc'], 'dhl_jan.xlsx', { lastModified: 1700000000000 });
+  const meta = describeFile(file, 'DHL');
+  assertEqual(meta.name, 'dhl_jan.xlsx', 'File metadata: name');
+  assertEqual(meta.size, 3, 'File metadata: size');
+  assertEqual(meta.brokerId, 'DHL', 'File metadata: broker');
+  assert(!('arrayBuffer' in meta), 'File metadata: plain object, no file body');
+}
+
+{
+  const s = createSession();
+  putMerge(s, 'DHL', [{ name: 'a.xlsx' }, { name: 'b.xlsx' }], fakeResult(100));
+  putMerge(s, 'UPS', [{ name: 'c.csv' }], fakeResult(50));
+  putMerge(s, 'DHL', [{ name: 'a.xlsx' }], fakeResult(70));     // re-merge replaces
+  s.reports = [{ brokerId: 'FEDEX', brokerLabel: 'FedEx', analytics: {} }];
+
+  assertEqual(s.merges.length, 2, 'One merge per broker');
+  assertEqual(s.merges[0].result.stats.totalRows, 70, 'Re-merge replaces the earlier result');
+
+  const sum = summarizeSession(s);
+  assertEqual(sum.brokerIds.join(','), 'DHL,UPS,FEDEX', 'Summary: brokers from merges and reports');
+  assertEqual(sum.totalRows, 120, 'Summary: total rows');
+  assertEqual(sum.fileCount, 2, 'Summary: file count');
+  assertEqual(sum.reportCount, 1, 'Summary: report count');
+  assert(sum.name.startsWith('DHL, UPS, FEDEX — '), 'Summary: default name lists brokers');
+  assert(!('merges' in sum), 'Summary: no heavy data');
+
+  s.name = 'January close';
+  assertEqual(summarizeSession(s).name, 'January close', 'Summary: explicit name wins');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: Merges in a row
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: Merges in a row ═══');
+
+{
+  // The app starts without a session; "New session" drops the current one
+  let current = null;
+  const saved = new Map();   // id → session, as saveSession() stores them
+  const merge = (brokerId, rows) => {
+    current = recordMerges(current, [{ brokerId, files: [{ name: `${brokerId}.xlsx` }], result: fakeResult(rows) }]);
+    saved.set(current.id, structuredClone(current));
+  };
+
+  merge('DHL', 100);
+  const first = current;
+  current = null;            // "New session"
+  merge('DHL', 40);
+  assertEqual(saved.size, 2, 'Two merges in a row: two stored sessions');
+  assert(current !== first, 'Second merge: new session');
+  assertEqual(saved.get(first.id).merges[0].result.stats.totalRows, 100, 'First session keeps its merge');
+  assertEqual(saved.get(current.id).merges[0].result.stats.totalRows, 40, 'Second session holds the new merge');
+
+  merge('UPS', 10);          // same session, another broker
+  assertEqual(saved.size, 2, 'Merge within a session: no new session');
+  assertEqual(saved.get(current.id).merges.length, 2, 'Merge within a session: added to it');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
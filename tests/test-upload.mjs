@@ -0,0 +1,279 @@
+/**
+ * Tests for upload intake (src/js/upload.js): ZIP archives, folders and
+ * report periods.
+ *
+ * Covers:
+ *   - Report file / archive recognition
+ *   - Reading stored and deflated ZIP entries
+ *   - Recursive discovery through folders and nested archives
+ *   - reportPeriod / formatPeriod / groupByPeriod
+ *   - Content hashes for refusing identical uploads
+ *
+ * Run: node tests/test-upload.mjs
+ */
+
+import * as XLSX from 'xlsx';
+import {
+  isArchive, isReportFile, listZipEntries, readZipEntry, collectReportFiles,
+  reportPeriod, formatPeriod, groupByPeriod, hashFile,
+} from '../src/js/upload.js';
+import { mergeFiles } from '../src/js/engine.js';
+import { BROKERS } from '../src/js/brokers.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✅ ${msg}`); }
+  else { failed++; failures.push(msg); console.log(`  ❌ FAIL: ${msg}`); }
+}
+function assertEqual(a, b, msg) {
+  if (a === b) { passed++; console.log(`  ✅ ${msg}`); }
+  else {
+    failed++; failures.push(msg);
+    console.log(`  ❌ FAIL: ${msg}`);
+    console.log(`     Expected: ${JSON.stringify(b)}, Got: ${JSON.stringify(a)}`);
+  }
+}
+
+const DSV = BROKERS.find(b => b.id === 'DSV');
+
+/**
+ * Minimal ZIP writer: `files` maps paths to strings / bytes; entries are
+ * deflated unless `store` is set.  CRCs are left at 0 — the reader does
+ * not check them.
+ */
+async function makeZip(files, { store = false } = {}) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [path, content] of Object.entries(files)) {
+    const raw = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    const data = store ? raw
+      : new Uint8Array(await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer());
+    const name = new TextEncoder().encode(path);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(6, 0x800, true);
+    local.setUint16(8, store ? 0 : 8, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(8, 0x800, true);
+    dir.setUint16(10, store ? 0 : 8, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, raw.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+
+    locals.push(local, name, data);
+    central.push(dir, name);
+    offset += 30 + name.length + data.length;
+  }
+  const size = central.reduce((n, part) => n + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+  return new Uint8Array(await new Blob([...locals, ...central, end]).arrayBuffer());
+}
+
+function xlsxBytes(rows) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Export');
+  return new Uint8Array(XLSX.write(wb, { type: 'array', bookType: 'xlsx' }));
+}
+
+// FileSystemEntry stand-ins, shaped like the drag & drop API
+function fileEntry(fullPath, file) {
+  return { isFile: true, isDirectory: false, fullPath, file: (ok) => ok(file) };
+}
+function dirEntry(fullPath, children) {
+  return {
+    isFile: false,
+    isDirectory: true,
+    fullPath,
+    createReader() {
+      // Hand the children out in two batches, then an empty one
+      const batches = [children.slice(0, 1), children.slice(1), []];
+      return { readEntries: (ok) => ok(batches.shift() || []) };
+    },
+  };
+}
+
+const HEADER = ['Registriernummer/MRN', 'Anmeldedatum', 'Versender Name', 'Zollwert'];
+const CSV = `${HEADER.join(';')}\n25DE0001;21.01.2025;ACME;100\n`;
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 1: File types
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 1: File types ═══');
+
+{
+  assert(isReportFile('report.XLSX'), 'Report: upper-case extension');
+  assert(isReportFile('dsv.zip/2025/export.csv'), 'Report: path inside an archive');
+  assert(!isReportFile('invoice.pdf'), 'Not a report: PDF');
+  assert(!isReportFile('logo.png'), 'Not a report: image');
+  assert(!isReportFile('~$report.xlsx'), 'Not a report: Office lock file');
+  assert(!isReportFile('dsv.zip/__MACOSX/._export.csv'), 'Not a report: macOS resource fork');
+  assert(!isReportFile('.hidden.csv'), 'Not a report: hidden file');
+  assert(isArchive('DSV_2025.ZIP'), 'Archive: .zip');
+  assert(!isArchive('report.xlsx'), 'Archive: an .xlsx is not unpacked');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 2: ZIP archives
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 2: ZIP archives ═══');
+
+{
+  const zip = new Blob([await makeZip({ 'Januar/export.csv': CSV, 'Januar/': '', 'invoice.pdf': '%PDF-1.4' })]);
+  const entries = await listZipEntries(zip);
+  assertEqual(entries.map(e => e.path).join(','), 'Januar/export.csv,invoice.pdf', 'Entries listed, folders left out');
+  assertEqual(entries[0].method, 8, 'Deflated entry');
+  assertEqual(await (await readZipEntry(zip, entries[0])).text(), CSV, 'Deflated entry read back');
+
+  const stored = new Blob([await makeZip({ 'a.csv': CSV }, { store: true })]);
+  const [entry] = await listZipEntries(stored);
+  assertEqual(entry.method, 0, 'Stored entry');
+  assertEqual(await (await readZipEntry(stored, entry)).text(), CSV, 'Stored entry read back');
+}
+
+{
+  let error = null;
+  try { await listZipEntries(new Blob(['not a zip at all'])); } catch (err) { error = err; }
+  assertEqual(error && error.message, 'Not a ZIP archive', 'Not a ZIP: error');
+
+  const zip = new Blob([await makeZip({ 'a.csv': CSV })]);
+  const [entry] = await listZipEntries(zip);
+  error = null;
+  try { await readZipEntry(zip, { ...entry, encrypted: true }); } catch (err) { error = err; }
+  assertEqual(error && error.message, 'Encrypted archive entry', 'Encrypted entry: error');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 3: Recursive discovery
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 3: Recursive discovery ═══');
+
+let collected;
+{
+  const inner = await makeZip({ 'feb.csv': CSV, 'logo.png': 'PNG' });
+  const zip = await makeZip({
+    '2025/Januar/dsv_jan.xlsx': xlsxBytes([HEADER, ['25DE0002', '21.01.2025', 'BETA', '200']]),
+    '2025/Rechnung.pdf': '%PDF-1.4',
+    '2025/februar.zip': inner,
+    '__MACOSX/2025/._dsv_jan.xlsx': 'x',
+  });
+  const plain = new File([CSV], 'march.csv');
+  collected = await collectReportFiles([new File([zip], 'dsv_2025.zip'), plain]);
+
+  const origins = collected.files.map(f => f.origin);
+  assertEqual(origins.join(' | '), 'dsv_2025.zip/2025/Januar/dsv_jan.xlsx | dsv_2025.zip/2025/februar.zip/feb.csv | march.csv', 'Report files with their origin paths');
+  assertEqual(collected.files[0].file.name, 'dsv_jan.xlsx', 'Unpacked file named after the entry');
+  assert(collected.files[2].file === plain, 'Plain file passed through');
+  assertEqual(collected.skipped.length, 3, 'PDF, logo and resource fork skipped');
+  assertEqual(collected.skipped[0].origin, 'dsv_2025.zip/2025/Rechnung.pdf', 'Skipped: origin path');
+  assertEqual(collected.skipped[0].reason, 'Not a report file', 'Skipped: reason');
+}
+
+{
+  const merged = await mergeFiles(collected.files.map(f => f.file), DSV);
+  assertEqual(merged.stats.totalFiles, 3, 'Unpacked files merge');
+  assertEqual(merged.data.length, 3, 'Rows from every unpacked file');
+  assertEqual(merged.provenance[0].file, 'dsv_jan.xlsx', 'Provenance names the unpacked file');
+}
+
+{
+  const zip = await makeZip({ 'export.csv': CSV });
+  const tree = dirEntry('/Reports', [
+    fileEntry('/Reports/notes.docx', new File(['hi'], 'notes.docx')),
+    dirEntry('/Reports/Q1', [
+      fileEntry('/Reports/Q1/jan.csv', new File([CSV], 'jan.csv')),
+      fileEntry('/Reports/Q1/feb.zip', new File([zip], 'feb.zip')),
+    ]),
+  ]);
+  const { files, skipped } = await collectReportFiles([tree]);
+  assertEqual(files.map(f => f.origin).join(' | '), 'Reports/Q1/jan.csv | Reports/Q1/feb.zip/export.csv', 'Dropped folder walked recursively');
+  assertEqual(skipped.map(s => s.origin).join(','), 'Reports/notes.docx', 'Folder: non-report file skipped');
+
+  const picked = new File([CSV], 'jan.csv');
+  Object.defineProperty(picked, 'webkitRelativePath', { value: 'Reports/Q1/jan.csv' });
+  const fromPicker = await collectReportFiles([picked]);
+  assertEqual(fromPicker.files[0].origin, 'Reports/Q1/jan.csv', 'Folder picker: relative path kept');
+}
+
+{
+  const { files, skipped } = await collectReportFiles([new File(['broken'], 'broken.zip')]);
+  assertEqual(files.length, 0, 'Unreadable archive: no files');
+  assertEqual(skipped[0].reason, 'Not a ZIP archive', 'Unreadable archive: listed with the reason');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 4: Report periods
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 4: Report periods ═══');
+
+{
+  assertEqual(reportPeriod('dsv_2025_01.csv'), '2025-01', 'YYYY_MM');
+  assertEqual(reportPeriod('Import 2025-03.xlsx'), '2025-03', 'YYYY-MM');
+  assertEqual(reportPeriod('export_202502.xlsx'), '2025-02', 'YYYYMM');
+  assertEqual(reportPeriod('export_20250415.xlsx'), '2025-04', 'YYYYMMDD');
+  assertEqual(reportPeriod('Zollanmeldungen 11.2024.xlsx'), '2024-11', 'MM.YYYY');
+  assertEqual(reportPeriod('Report Januar 2025.xlsx'), '2025-01', 'German month name + year');
+  assertEqual(reportPeriod('ups_mar25.csv'), '2025-03', 'Short month + two-digit year');
+  assertEqual(reportPeriod('dsv.zip/2025/Februar/export.csv'), '2025-02', 'Month and year from folders');
+  assertEqual(reportPeriod('2024-12/dsv_2025_01.csv'), '2025-01', 'File name wins over its folder');
+  assertEqual(reportPeriod('export.csv'), null, 'No period');
+  assertEqual(reportPeriod('DHL_137_columns.xlsx'), null, 'Numbers that are not a period');
+  assertEqual(formatPeriod('2025-01'), 'Jan 2025', 'Label');
+  assertEqual(formatPeriod(null), 'No period', 'Label: no period');
+}
+
+{
+  const files = ['b_2025_02.csv', 'x.csv', 'a_2025_01.csv', 'c_2025_02.csv'].map(n => new File([''], n));
+  const groups = groupByPeriod(files);
+  assertEqual(groups.map(g => g.period).join(','), '2025-01,2025-02,', 'Periods oldest first, none last');
+  assertEqual(groups[1].files.map(f => f.name).join(','), 'b_2025_02.csv,c_2025_02.csv', 'Upload order kept within a period');
+
+  const origins = new Map([[files[1], 'dsv.zip/2024-12/x.csv']]);
+  const byOrigin = groupByPeriod(files, f => origins.get(f) || f.name);
+  assertEqual(byOrigin[0].period, '2024-12', 'Period from the origin path');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 5: Content hashes
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 5: Content hashes ═══');
+
+{
+  const hash = await hashFile(new File(['abc'], 'a.csv'));
+  assertEqual(hash, 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', 'SHA-256 as hex');
+  assertEqual(await hashFile(new File([CSV], 'dsv_jan.csv')), await hashFile(new File([CSV], 'copy of dsv_jan.csv')), 'Same contents, other name: same hash');
+  assert(await hashFile(new File([CSV], 'a.csv')) !== await hashFile(new File([CSV + '\n'], 'a.csv')), 'One byte more: other hash');
+
+  const zip = new Blob([await makeZip({ 'Januar/export.csv': CSV })]);
+  const { files } = await collectReportFiles([new File([zip], 'dsv.zip')]);
+  assertEqual(await hashFile(files[0].file), await hashFile(new File([CSV], 'export.csv')), 'File from a ZIP hashes like the loose file');
+}
+
+// ═══════════════════════════════════════════════════
+// RESULTS
+// ═══════════════════════════════════════════════════
+
+console.log(`\n${'═'.repeat(60)}`);
+console.log(`RESULTS: ${passed} passed, ${failed} failed`);
+if (failures.length > 0) {
+  console.log('\nFailed tests:');
+  failures.forEach(f => console.log(`  - ${f}`));
+}
+console.log(`${'═'.repeat(60)}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -5,7 +5,10 @@
  * Run: node tests/test-validator.mjs
  */
 
-import { validateAndFix, reportSummary } from '../src/js/validator.js';
+import {
+  validateAndFix, reportSummary, revalidateRow, manualEditIssue, recountReport,
+  repairConfidence, pendingReviews, reviewRepair, REVIEW_THRESHOLD, duplicateIssue,
+} from '../src/js/validator.js';
 
 const DHL_BROKER = {
   id: 'DHL',
@@ -952,6 +955,329 @@ console.log('\n═══ TEST GROUP 16: Uniform decimal separators (comma → do
     `got: "${row[20]}"`);
 }
 
+// ═══════════════════════════════════════════════════
+// TEST GROUP 17: Manual edits — revalidate a single row
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 17: Manual edits (revalidateRow) ═══');
+
+{
+  const row = makeRow();
+  row[20] = 'SHIPPER'; row[21] = 'STREET'; row[22] = 'TOWN'; row[23] = '12345'; row[24] = 'CN';
+  row[109] = 'WIDGETS';
+  row[110] = 'ABC-123';
+  row[111] = 'CN';
+  const headers = [makeRow().map((_, i) => `H${i}`)];
+  const data = [row];
+  const report = validateAndFix(data, DHL_BROKER, headers);
+  const before = report.issues.filter(i => i.type === 'warning');
+  assert(before.length === 1 && before[0].col === 110, 'Invalid HS code warned by the pipeline',
+    `got: ${JSON.stringify(before.map(i => i.col))}`);
+
+  // Same check, one row at a time
+  const again = revalidateRow(row, 1, DHL_BROKER, headers);
+  assert(again.length === 1 && again[0].rule === 'invalid-hs-code' && again[0].header === 'H110',
+    'revalidateRow reproduces the pipeline warning with header',
+    `got: ${JSON.stringify(again)}`);
+
+  // User fixes the HS code
+  const old = row[110];
+  row[110] = '8708299000';
+  assert(revalidateRow(row, 1, DHL_BROKER, headers).length === 0, 'Edited row passes the checks');
+
+  const manual = manualEditIssue(1, 110, old, row[110], headers);
+  assert(manual.type === 'manual' && manual.rule === 'manual-edit' && manual.header === 'H110',
+    'Manual edit issue is structured', `got: ${JSON.stringify(manual)}`);
+  assert(manual.before === 'ABC-123' && manual.after === '8708299000', 'Manual edit keeps before/after');
+
+  report.issues = report.issues.filter(i => i.type !== 'warning').concat(manual);
+  recountReport(report);
+  assert(report.totalIssues === report.shiftFixes + report.numberFixes + 1,
+    'recountReport: warning gone, manual edit counted', `got: ${report.totalIssues}`);
+  assert(reportSummary(report).includes('1 manual edit'), 'Summary mentions manual edits',
+    `got: "${reportSummary(report)}"`);
+}
+
+{
+  // Brokers without row checks never warn
+  assert(revalidateRow(['x'], 1, { id: 'DSV' }).length === 0, 'DSV: no row checks');
+  const fedex = new Array(91).fill(null);
+  fedex[56] = '12AB';
+  const w = revalidateRow(fedex, 4, { id: 'FEDEX' });
+  assert(w.length === 1 && w[0].row === 4 && w[0].col === 56, 'FedEx: HS code check on the given row',
+    `got: ${JSON.stringify(w)}`);
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 18: Repair confidence & review queue
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 18: Repair confidence & review queue ═══');
+
+// Shipper +1 overflow with a correctly aligned goods zone: the repair
+// fixes the shipper columns but drags the goods zone out of place.
+function lowConfidenceRow() {
+  const row = makeRow();
+  row[20] = 'HELLA'; row[21] = 'STREET 1'; row[22] = 'FRAG'; row[23] = 'IRAPUATO'; row[24] = '36844'; row[25] = 'MX';
+  row[109] = 'MOTOR'; row[110] = '85011099900'; row[111] = 'MX'; row[112] = '100'; row[113] = '4000';
+  row[117] = '12,5';
+  return row;
+}
+
+{
+  const a = makeRow(); a[24] = '36844'; a[110] = 'X';
+  const b = makeRow(); b[24] = 'MX'; b[110] = '85011099900'; b[111] = 'CN';
+  assert(repairConfidence(a, b) === 1, 'Three checks gained, none lost → 1', `got: ${repairConfidence(a, b)}`);
+  assert(repairConfidence(b, a) === 0, 'Nothing gained → 0');
+  const c = makeRow(); c[24] = 'MX';
+  assert(repairConfidence(a, c) === 0.33, 'Single gained check → low confidence', `got: ${repairConfidence(a, c)}`);
+
+  const goods = makeRow();
+  goods[109] = 'GLEICH'; goods[110] = 'STROM'; goods[111] = '85011099900'; goods[112] = 'MX'; goods[113] = '100'; goods[114] = '4000';
+  goods[118] = '1290.00'; goods[119] = 'EUR';
+  const report = validateAndFix([goods], DHL_BROKER);
+  const shift = report.issues.find(i => i.type === 'shift');
+  assert(shift.confidence >= REVIEW_THRESHOLD && shift.review === null, 'Clear goods overflow: confident, no review',
+    `got: ${shift.confidence} / ${shift.review}`);
+  assert(pendingReviews(report).length === 0, 'Nothing pending');
+}
+
+{
+  const row = lowConfidenceRow();
+  const original = row.slice();
+  const headers = [makeRow().map((_, i) => `H${i}`)];
+  const data = [row];
+  const report = validateAndFix(data, DHL_BROKER, headers);
+  const shift = report.issues.find(i => i.type === 'shift' && i.zone === 'Shipper');
+  assert(shift.confidence < REVIEW_THRESHOLD && shift.review === 'pending', 'Ambiguous shipper repair is queued',
+    `got: ${shift.confidence} / ${shift.review}`);
+  assert(row[24] === 'MX', 'Pending repair is still applied');
+  const pending = pendingReviews(report);
+  assert(pending.length >= 1 && pending[0].row === 1 && pending[0].repair.zone === 'Shipper', 'pendingReviews lists it');
+  assert(reportSummary(report).includes('awaiting review'), 'Summary mentions pending reviews');
+
+  // Reject → original cells back, number fixes redone, shift count drops
+  const shiftsBefore = report.shiftFixes;
+  const removed = report.issues.filter(i => i.type === 'shift').length;
+  const issues = reviewRepair(report, data, 1, pending[0].index, { decision: 'rejected' }, headers);
+  assert(data[0] === row, 'Row updated in place');
+  assert(row[24] === '36844' && row[25] === 'MX', 'Rejected: shipper cells restored');
+  assert(row[110] === '85011099900', 'Rejected: goods zone back in place');
+  assert(row[117] === 12.5, 'Rejected: number fix re-applied', `got: ${JSON.stringify(row[117])}`);
+  assert(report.shiftFixes === shiftsBefore - removed + issues.filter(i => i.type === 'shift').length,
+    'Rejected: shift count updated', `got: ${report.shiftFixes}`);
+  assert(!issues.some(i => i.type === 'shift' && i.zone === 'Shipper'), 'Rejected: no shipper shift issue');
+  assert(issues.some(i => i.rule === 'invalid-country' && i.header === 'H24'), 'Rejected: row checks re-run with headers');
+  assert(report.snapshots[1].repairs[pending[0].index].review === 'rejected', 'Decision recorded on the repair');
+  assert(JSON.stringify(report.snapshots[1].before) === JSON.stringify(original), 'Snapshot untouched');
+  assert(report.totalIssues === report.shiftFixes + report.numberFixes +
+    report.issues.filter(i => i.type === 'warning' || i.type === 'manual').length, 'Rejected: totals recounted');
+}
+
+{
+  // Change the shift amount
+  const row = lowConfidenceRow();
+  row[22] = 'FRAG A'; row[23] = 'FRAG B'; row[24] = 'IRAPUATO'; row[25] = '36844'; row[26] = 'MX';
+  const data = [row];
+  const report = validateAndFix(data, DHL_BROKER);
+  const shipper = report.snapshots[1] && report.snapshots[1].repairs.findIndex(rp => rp.zone === 'Shipper');
+  assert(shipper >= 0, 'Shipper overflow detected');
+  reviewRepair(report, data, 1, shipper, { decision: 'adjusted', shift: 2 });
+  const rp = report.snapshots[1].repairs[shipper];
+  assert(rp.shift === 2 && rp.review === 'adjusted', 'Adjusted: new shift and decision recorded');
+  assert(row[21] === 'STREET 1, FRAG A, FRAG B' && row[24] === 'MX', 'Adjusted: row rebuilt with +2',
+    `got: ${JSON.stringify(row.slice(20, 26))}`);
+  const issue = report.issues.find(i => i.type === 'shift' && i.zone === 'Shipper');
+  assert(issue.review === 'adjusted', 'Adjusted: issue carries the decision');
+
+  let threw = false;
+  try { reviewRepair(report, data, 1, shipper, { decision: 'adjusted', shift: 0 }); } catch { threw = true; }
+  assert(threw, 'Adjusted: invalid shift amount rejected');
+}
+
+{
+  // Accept → row unchanged, decision on both repair and issue
+  const row = lowConfidenceRow();
+  const data = [row];
+  const report = validateAndFix(data, DHL_BROKER);
+  const after = row.slice();
+  const [p] = pendingReviews(report);
+  reviewRepair(report, data, 1, p.index, { decision: 'accepted' });
+  assert(JSON.stringify(row) === JSON.stringify(after), 'Accepted: row unchanged');
+  assert(p.repair.review === 'accepted', 'Accepted: repair decided');
+  assert(report.issues.find(i => i.type === 'shift' && i.zone === p.repair.zone).review === 'accepted',
+    'Accepted: issue decided');
+  assert(!pendingReviews(report).some(q => q.index === p.index), 'Accepted: no longer pending');
+}
+
+{
+  // Reject keeps the row's issues the rebuild does not produce
+  const row = lowConfidenceRow();
+  row[2] = 'MÃ¼ller GmbH';
+  const headers = [makeRow().map((_, i) => `H${i}`)];
+  const data = [row];
+  const report = validateAndFix(data, DHL_BROKER, headers);
+  report.issues.push(duplicateIssue(1, 'first', 'kept over row 7'));
+  const edit = manualEditIssue(1, 5, row[5], 'EDITED', headers);
+  row[5] = 'EDITED';
+  report.issues.push(edit);
+  recountReport(report);
+
+  const [p] = pendingReviews(report);
+  reviewRepair(report, data, 1, p.index, { decision: 'rejected' }, headers);
+  const types = (...t) => report.issues.filter(i => t.includes(i.type)).length;
+  assert(report.issues.some(i => i.rule === 'mojibake'), 'Rejected: mojibake cleanup kept');
+  assert(row[2] === 'Müller GmbH', 'Rejected: mojibake repair still in the row');
+  assert(report.issues.some(i => i.type === 'duplicate'), 'Rejected: duplicate decision kept');
+  assert(report.issues.includes(edit) && row[5] === 'EDITED', 'Rejected: manual edit re-applied');
+  assert(report.numberFixes === types('number', 'date', 'cleanup'), 'Rejected: numberFixes match the issues',
+    `got: ${report.numberFixes} vs ${types('number', 'date', 'cleanup')}`);
+  assert(report.shiftFixes === types('shift') && report.gapFixes === types('gap'), 'Rejected: shift/gap counts match');
+  assert(report.totalIssues === report.shiftFixes + report.gapFixes + report.numberFixes +
+    types('warning', 'manual', 'duplicate'), 'Rejected: totals recounted');
+}
+
+{
+  // Edits after the merged cell sit one column left in the repaired row:
+  // a reject must move them back with their cell, not write the old index
+  const row = lowConfidenceRow();
+  const headers = [makeRow().map((_, i) => `H${i}`)];
+  const data = [row];
+  const report = validateAndFix(data, DHL_BROKER, headers);
+  assert(row[23] === '36844' && row[24] === 'MX', 'Repaired: shipper zip/country moved left');
+  const moved = manualEditIssue(1, 24, row[24], 'DE', headers);
+  const merged = manualEditIssue(1, 21, row[21], 'STREET 9', headers);
+  row[24] = 'DE'; row[21] = 'STREET 9';
+  report.issues.push(moved, merged);
+  recountReport(report);
+
+  const [p] = pendingReviews(report);
+  reviewRepair(report, data, 1, p.index, { decision: 'rejected' }, headers);
+  assert(row[25] === 'DE' && row[24] === '36844', 'Rejected: edit follows its cell, zip untouched',
+    `got: ${row[24]} / ${row[25]}`);
+  assert(report.issues.includes(moved) && moved.col === 25 && moved.header === 'H25', 'Rejected: manual issue moved to col 25',
+    `got: ${moved.col} / ${moved.header}`);
+  assert(row[21] === 'STREET 1' && row[22] === 'FRAG', 'Rejected: edit of the merged cell not re-applied');
+  assert(!report.issues.includes(merged), 'Rejected: dropped edit leaves the manual issues');
+  const note = report.issues.find(i => i.rule === 'manual-edit-dropped');
+  assert(note && note.type === 'warning' && note.before === 'STREET 9', 'Rejected: dropped edit reported as a warning');
+}
+
+// ═══════════════════════════════════════════════════
+// TEST GROUP 19: Left shifts — missing cells re-inserted
+// ═══════════════════════════════════════════════════
+console.log('\n═══ TEST GROUP 19: Left shifts (missing cells) ═══');
+
+// Aligned goods zone starting at `at` (109 when aligned)
+function putGoods(row, at) {
+  row[at] = 'GLEICHSTROMMOTOREN';
+  row[at + 1] = '85011099900';
+  row[at + 2] = 'MX';
+  row[at + 3] = '100';
+  row[at + 4] = '4000';
+}
+
+{
+  // Empty shipper postcode collapsed: country lands in col 23, the rest
+  // of the row one column early
+  const row = makeRow();
+  row[20] = 'HELLA AUTOMOTIVE MEXICO'; row[21] = '506 DE LA CALLE SANTA FE'; row[22] = 'IRAPUATO'; row[23] = 'MX';
+  row[25] = 'HELLA GMBH & CO. KGAA'; row[26] = 'RIXBECKER STRASSE 75'; row[27] = 'LIPPSTADT'; row[28] = '59552'; row[29] = 'DE';
+  row[30] = 'DAP';
+  putGoods(row, 108);
+  const report = validateAndFix([row], DHL_BROKER);
+  const gaps = report.issues.filter(i => i.type === 'gap');
+  assert(gaps.length === 1 && gaps[0].rule === 'address-gap' && gaps[0].zone === 'Shipper' && gaps[0].col === 23,
+    'Shipper: missing postcode detected as a gap at col 23', `got: ${JSON.stringify(gaps)}`);
+  assert(report.gapFixes === 1 && report.shiftFixes === 0, 'Counted as gap, not shift');
+  assert(row[23] === null && row[24] === 'MX', 'Blank postcode re-inserted, country back in col 24');
+  assert(row[26] === 'HELLA GMBH & CO. KGAA' && row[30] === 'DE' && row[31] === 'DAP', 'Consignee + Incoterm realigned');
+  assert(row[110] === '85011099900' && row[113] === '4000', 'Goods zone realigned');
+  assert(gaps[0].severity === 'notice', 'Gap severity is notice');
+  assert(report.totalIssues === report.gapFixes + report.numberFixes +
+    report.issues.filter(i => i.type === 'warning').length, 'Gap fixes counted in totalIssues');
+  assert(reportSummary(report).includes('1 missing cell(s) re-inserted'), 'Summary mentions re-inserted cells');
+  assert(report.snapshots[1].repairs[0].shift === -1, 'Snapshot records a negative shift');
+}
+
+{
+  // Missing town: the postcode sits in the town column
+  const row = makeRow();
+  row[20] = 'TEXAS INSTRUMENTS INC'; row[21] = '12500 T I BOULEVARD'; row[22] = '75243'; row[23] = 'US';
+  putGoods(row, 108);
+  const report = validateAndFix([row], DHL_BROKER);
+  const gap = report.issues.find(i => i.type === 'gap');
+  assert(gap && gap.col === 22, 'Shipper: missing town re-inserted at col 22', `got: ${gap && gap.col}`);
+  assert(row[22] === null && row[23] === '75243' && row[24] === 'US', 'Postcode and country realigned');
+}
+
+{
+  // Consignee gap, shipper aligned
+  const row = makeRow();
+  row[20] = 'SHIPPER'; row[21] = 'STREET'; row[22] = 'TOWN'; row[23] = '12345'; row[24] = 'CN';
+  row[26] = 'HELLA GMBH & CO. KGAA'; row[27] = 'RIXBECKER STRASSE 75'; row[28] = 'LIPPSTADT'; row[29] = 'DE';
+  row[30] = 'DAP';
+  putGoods(row, 108);
+  const report = validateAndFix([row], DHL_BROKER);
+  const gap = report.issues.find(i => i.type === 'gap');
+  assert(gap && gap.zone === 'Consignee' && gap.col === 29 && row[30] === 'DE' && row[31] === 'DAP',
+    'Consignee: missing postcode re-inserted', `got: ${JSON.stringify(row.slice(26, 32))}`);
+}
+
+{
+  // Missing delivery location: freight + weight one column early
+  const row = makeRow();
+  row[31] = 'DAP'; row[32] = '12,50'; row[33] = '3,2';
+  putGoods(row, 108);
+  const report = validateAndFix([row], DHL_BROKER);
+  const gap = report.issues.find(i => i.type === 'gap');
+  assert(gap && gap.rule === 'location-gap' && gap.col === 32, 'Mid-row: missing location detected');
+  assert(row[32] === null && row[33] === 12.5 && row[34] === 3.2, 'Freight and weight realigned (and converted)');
+  assert(row[110] === '85011099900', 'Goods zone follows the mid-row repair');
+  assert(report.issues.filter(i => i.type === 'gap').length === 1, 'Only one gap repair needed');
+}
+
+{
+  // Missing goods description
+  const row = makeRow();
+  row[109] = '85011099900'; row[110] = 'MX'; row[111] = '100'; row[112] = '4000';
+  const report = validateAndFix([row], DHL_BROKER);
+  const gap = report.issues.find(i => i.type === 'gap');
+  assert(gap && gap.rule === 'goods-gap' && gap.col === 109, 'Goods: missing description detected');
+  assert(row[109] === null && row[110] === '85011099900' && row[113] === '4000', 'Goods zone realigned');
+
+  // Short row (no trailing blanks) keeps its last cell
+  const short = makeRow(113);
+  short[109] = '85011099900'; short[110] = 'MX'; short[111] = '100'; short[112] = '4000';
+  validateAndFix([short], DHL_BROKER);
+  assert(short.length === 114 && short[113] === '4000', 'Short row grows instead of dropping data',
+    `got length ${short.length}`);
+}
+
+{
+  // No false positives
+  const row = makeRow();
+  row[20] = 'TEXAS INSTRUMENTS'; row[21] = '12500 T I BLVD'; row[22] = 'DALLAS'; row[23] = '75243'; row[24] = 'US';
+  row[31] = 'DAP'; row[32] = '1010 WIEN'; row[33] = '12.5'; row[34] = '3';
+  putGoods(row, 109);
+  const report = validateAndFix([row], DHL_BROKER);
+  assert(report.issues.filter(i => i.type === 'gap' || i.type === 'shift').length === 0,
+    'Aligned row (numeric-looking location) untouched');
+}
+
+{
+  // Review: reject a gap → original cells back; sign cannot flip
+  const row = makeRow();
+  row[109] = '85011099900'; row[110] = 'MX'; row[111] = '100'; row[112] = '4000';
+  const data = [row];
+  const report = validateAndFix(data, DHL_BROKER);
+  const index = report.snapshots[1].repairs.findIndex(rp => rp.zone === 'Goods');
+  let threw = false;
+  try { reviewRepair(report, data, 1, index, { decision: 'adjusted', shift: 1 }); } catch { threw = true; }
+  assert(threw, 'Gap repair cannot be adjusted into an overflow repair');
+  reviewRepair(report, data, 1, index, { decision: 'rejected' });
+  assert(row[109] === '85011099900' && row[112] === '4000', 'Rejected gap: original cells restored');
+  assert(report.gapFixes === 0 && !report.issues.some(i => i.type === 'gap'), 'Rejected gap: no gap issue left');
+}
+
 // ═══════════════════════════════════════════════════
 // SUMMARY
 // ═══════════════════════════════════════════════════